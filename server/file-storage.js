@@ -0,0 +1,61 @@
+// World save storage on disk for the server, with the same async key/value API
+// as the backends in src/world-storage.js: a folder per store, a file per key.
+// Uint8Array values (chunks) are written as they are, everything else as JSON.
+import { mkdir, readFile, readdir, rename, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { STORE_NAMES } from '../src/world-storage.js';
+
+export class FileStorage {
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    static async open(directory) {
+        await Promise.all(STORE_NAMES.map(name => mkdir(path.join(directory, name), { recursive: true })));
+        return new FileStorage(directory);
+    }
+
+    getPath(storeName, key, extension) {
+        if (!STORE_NAMES.includes(storeName)) throw new Error(`Unknown store: ${storeName}`);
+        return path.join(this.directory, storeName, encodeURIComponent(key) + extension);
+    }
+
+    async get(storeName, key) {
+        const binary = await readIfExists(this.getPath(storeName, key, '.bin'));
+        if (binary) return new Uint8Array(binary);
+        const json = await readIfExists(this.getPath(storeName, key, '.json'));
+        return json ? JSON.parse(json.toString('utf8')) : undefined;
+    }
+
+    async put(storeName, key, value) {
+        const binary = value instanceof Uint8Array;
+        const file = this.getPath(storeName, key, binary ? '.bin' : '.json');
+        // Written beside it and renamed over it, so a crash mid-write leaves the old file
+        await writeFile(`${file}.tmp`, binary ? value : JSON.stringify(value));
+        await rename(`${file}.tmp`, file);
+        await rm(this.getPath(storeName, key, binary ? '.json' : '.bin'), { force: true });
+    }
+
+    async delete(storeName, key) {
+        await rm(this.getPath(storeName, key, '.bin'), { force: true });
+        await rm(this.getPath(storeName, key, '.json'), { force: true });
+    }
+
+    async keys(storeName) {
+        const files = await readdir(path.join(this.directory, storeName));
+        return files
+            .filter(file => file.endsWith('.bin') || file.endsWith('.json'))
+            .map(file => decodeURIComponent(file.slice(0, file.lastIndexOf('.'))));
+    }
+
+    close() {}
+}
+
+async function readIfExists(file) {
+    try {
+        return await readFile(file);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
@@ -0,0 +1,346 @@
+// The multiplayer server's world and players, see src/protocol.js for the
+// messages. The server owns the world: a World (src/world.js) like the one the
+// browser plays in, generated, lit and saved with the same code; edits from
+// clients are checked before they are applied and broadcast; block ticks
+// (flowing fluids, falling sand) run here. Players move by stepping their
+// clients' inputs with the same PlayerController the clients predict with, one
+// input per client tick. In survival the server keeps each player's inventory
+// the way their client does, so it only takes placing what they have, and
+// breaking no faster than holding the button would.
+//
+// Transport-free: a connection is anything with send(data), close(code, reason)
+// and onMessage/onClose callbacks, like WebSocketConnection in websocket.js.
+import { BLOCK, blocks } from '../src/blocks.js';
+import { CHUNK_SIZE, MIN_SECTION_Y, SECTION_VOLUME, TICK_RATE, WORLD_MAX_Y, WORLD_MIN_Y } from '../src/constants.js';
+import { DEFAULT_PIPELINE } from '../src/generator.js';
+import { Inventory } from '../src/inventory.js';
+import { createLogger } from '../src/log.js';
+import { PhysicsBody } from '../src/physics.js';
+import {
+    PLAYER_EYE_HEIGHT, PLAYER_HEIGHT, PLAYER_STEP_HEIGHT, PLAYER_WIDTH, PlayerController, REACH_DISTANCE,
+} from '../src/player-controller.js';
+import { PROTOCOL_VERSION, encodeSectionMessage, getMovementState, sanitizeInput } from '../src/protocol.js';
+import { World, getChunkKey } from '../src/world.js';
+
+const log = createLogger('server');
+
+const MAX_INPUTS_PER_TICK = 2; // Lets a client catch up after a stall, but never move more than twice as fast
+const MAX_QUEUED_INPUTS = TICK_RATE * 5;
+const REACH_SLACK = 1.5; // Edits are checked against where the server has the player, which lags a little
+const BREAK_SLACK = TICK_RATE / 4; // Ticks a survival break may come early, messages don't arrive evenly spaced
+const CHUNK_REQUEST_SLACK = 3; // Chunks further than maxViewDistance + this from the player aren't sent
+const UNLOAD_INTERVAL = TICK_RATE * 5; // Ticks between looking for chunks nobody needs
+const FALL_OUT_HEIGHT = WORLD_MIN_Y - 50;
+const MAX_NAME_LENGTH = 16;
+export const GAME_MODES = ['survival', 'creative'];
+
+// In chunks, from the chunk the player is in
+function getChunkDistance(player, chunkX, chunkZ) {
+    const [x, , z] = player.controller.body.position;
+    return Math.max(Math.abs(chunkX - Math.floor(x / CHUNK_SIZE)), Math.abs(chunkZ - Math.floor(z / CHUNK_SIZE)));
+}
+
+export class GameServer {
+    // worldSave: a WorldSave (src/world-save.js) for the chunks.
+    // maxViewDistance: chunks further from a player than this (and some slack) aren't sent.
+    // spawnPoint: column [x, z] players join and respawn in, on top of whatever is there.
+    // gameMode: every player's, 'survival' or 'creative' (which lets them fly).
+    constructor({
+        seed, worldSave, pipeline = DEFAULT_PIPELINE, maxViewDistance = 8, maxPlayers = 8, spawnPoint = [0, 0], gameMode = 'survival',
+    }) {
+        if (!GAME_MODES.includes(gameMode)) throw new Error(`Unknown game mode "${gameMode}", one of ${GAME_MODES.join(', ')}`);
+        this.seed = seed >>> 0;
+        this.worldSave = worldSave;
+        this.maxViewDistance = maxViewDistance;
+        this.maxPlayers = maxPlayers;
+        this.spawnPoint = spawnPoint;
+        this.gameMode = gameMode;
+        this.players = new Map(); // id -> player, see connect
+        this.joining = new Set(); // Players waiting for the spawn to load, their slots are taken
+        this.nextPlayerId = 1;
+        this.tickCount = 0;
+        this.timer = null;
+        // Without Workers in Node the chunk jobs run on the spot
+        this.world = new World({
+            seed: this.seed, pipeline, worldSave,
+            onBlockChange: (x, y, z, id) => this.onBlockChange(x, y, z, id),
+        });
+    }
+
+    start() {
+        this.timer = setInterval(() => this.tick(), 1000 / TICK_RATE);
+    }
+
+    // Disconnects everyone and writes the world
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        for (const player of this.players.values()) player.connection.close(1001, 'Server stopping');
+        this.world.fallingBlocks.landAll(this.world);
+        return this.worldSave.flush();
+    }
+
+    // --- Chunks ---
+
+    // Air outside the world and in chunks that aren't loaded
+    getBlock(x, y, z) {
+        return this.world.getBlock(x, y, z);
+    }
+
+    // Changes a block; the world relights, saves and wakes up the block ticks.
+    // Returns false if the chunk isn't loaded.
+    setBlock(x, y, z, id) {
+        if (!this.world.isChunkReadyAt(x, z)) return false;
+        this.world.setBlock(x, y, z, id);
+        return true;
+    }
+
+    // Any change, a player's or a block tick's, goes to everyone who has the chunk
+    onBlockChange(x, y, z, id) {
+        const key = getChunkKey(Math.floor(x / CHUNK_SIZE), Math.floor(z / CHUNK_SIZE));
+        const message = JSON.stringify({ type: 'block', x, y, z, id });
+        for (const player of this.players.values()) {
+            if (player.watched.has(key)) player.connection.send(message);
+        }
+    }
+
+    // Saved sections, or freshly generated ones, lit and stitched to the loaded neighbours.
+    // A chunk that failed to load is dropped, so the next request tries again.
+    loadChunk(chunkX, chunkZ) {
+        return this.world.loadChunk(chunkX, chunkZ).catch(error => {
+            this.world.unloadChunk(getChunkKey(chunkX, chunkZ));
+            throw error;
+        });
+    }
+
+    // Chunks no player is near or watching. Their edits are already queued in the save.
+    unloadUnusedChunks() {
+        // Clients drop chunks they walked away from, and ask again when they come back
+        for (const player of this.players.values()) {
+            for (const key of player.watched) {
+                const [chunkX, chunkZ] = key.split(',').map(Number);
+                if (getChunkDistance(player, chunkX, chunkZ) > this.maxViewDistance + CHUNK_REQUEST_SLACK) player.watched.delete(key);
+            }
+        }
+        for (const [key, chunk] of this.world.chunks) {
+            if (!chunk.generated) continue; // Someone is waiting for it
+            const used = Array.from(this.players.values())
+                .some(player => player.watched.has(key) || getChunkDistance(player, chunk.x, chunk.z) <= 1);
+            if (!used) this.world.unloadChunk(key);
+        }
+    }
+
+    // --- Players ---
+    // A player: { id, name, connection, controller, yaw, inputs (queued { seq, input }),
+    //             lastSeq (last input stepped), watched (keys of the chunks sent to the client), joined,
+    //             inventory (survival, what the client has), lastBreakTick }
+
+    connect(connection) {
+        const body = new PhysicsBody({ width: PLAYER_WIDTH, height: PLAYER_HEIGHT, stepHeight: PLAYER_STEP_HEIGHT });
+        const player = {
+            id: this.nextPlayerId++, name: '', connection, controller: new PlayerController(body), yaw: 0,
+            inputs: [], lastSeq: 0, lastQueuedSeq: 0, watched: new Set(), joined: false,
+            inventory: new Inventory(), lastBreakTick: -Infinity,
+        };
+        connection.onMessage = (data) => {
+            try {
+                this.handleMessage(player, data);
+            } catch (error) {
+                log.error(`Bad message from player ${player.id}:`, error);
+                this.kick(player, 'Bad message');
+            }
+        };
+        connection.onClose = () => this.disconnect(player);
+        return player;
+    }
+
+    kick(player, reason) {
+        player.connection.send(JSON.stringify({ type: 'error', message: reason }));
+        player.connection.close(1008, reason);
+    }
+
+    // For what is done for a player without waiting on it (loading chunks, finding the spawn):
+    // if it fails (storage, generation) the player is kicked instead of left waiting
+    catchPlayerError(player, promise) {
+        return promise.catch(error => {
+            log.error(`Kicking ${player.name || 'player'} (${player.id}) after an error:`, error);
+            this.kick(player, 'Server error');
+        });
+    }
+
+    disconnect(player) {
+        if (!this.players.delete(player.id)) return;
+        log.info(`${player.name} (${player.id}) left`);
+        this.broadcast({ type: 'left', id: player.id });
+    }
+
+    broadcast(message) {
+        const data = JSON.stringify(message);
+        for (const player of this.players.values()) player.connection.send(data);
+    }
+
+    handleMessage(player, data) {
+        if (typeof data !== 'string') throw new Error('Clients only send text messages');
+        const message = JSON.parse(data);
+        if (message.type === 'hello') {
+            this.catchPlayerError(player, this.join(player, message));
+            return;
+        }
+        if (!player.joined) return;
+        switch (message.type) {
+            case 'input': {
+                if (!Number.isInteger(message.seq) || message.seq <= player.lastQueuedSeq) return; // Old or repeated
+                player.lastQueuedSeq = message.seq;
+                // Whether the player may fly is the server's to say, not the client's
+                const input = sanitizeInput(message.input, { canFly: this.gameMode === 'creative' });
+                player.inputs.push({ seq: message.seq, input });
+                if (player.inputs.length > MAX_QUEUED_INPUTS) player.inputs.shift();
+                break;
+            }
+            case 'requestChunk':
+                this.catchPlayerError(player, this.sendChunk(player, message.x, message.z));
+                break;
+            case 'setBlock':
+                this.editBlock(player, message.x, message.y, message.z, message.id);
+                break;
+            case 'respawn':
+                this.catchPlayerError(player, this.moveToSpawn(player).then(() => this.sendState(player)));
+                break;
+        }
+    }
+
+    async join(player, { version, name }) {
+        if (player.joined || this.joining.has(player) || !player.connection.open) return; // A second hello is ignored
+        if (version !== PROTOCOL_VERSION) return this.kick(player, `Server speaks protocol ${PROTOCOL_VERSION}, client ${version}`);
+        if (this.players.size + this.joining.size >= this.maxPlayers) return this.kick(player, 'Server is full');
+        player.name = typeof name === 'string' && name.trim() ? name.trim().slice(0, MAX_NAME_LENGTH) : `Player ${player.id}`;
+        this.joining.add(player);
+        try {
+            await this.moveToSpawn(player);
+        } finally {
+            this.joining.delete(player);
+        }
+        if (!player.connection.open) return; // Left while the spawn loaded
+        player.joined = true;
+        if (this.gameMode === 'survival') player.inventory.addStarterItems(blocks); // As the client does for a new player
+        this.players.set(player.id, player);
+        log.info(`${player.name} (${player.id}) joined`);
+        player.connection.send(JSON.stringify({
+            type: 'welcome', id: player.id, seed: this.seed, tickRate: TICK_RATE, gameMode: this.gameMode,
+            movement: getMovementState(player.controller),
+        }));
+    }
+
+    // On top of the highest block in the spawn column, water included
+    async moveToSpawn(player) {
+        const [x, z] = this.spawnPoint;
+        await this.loadChunk(Math.floor(x / CHUNK_SIZE), Math.floor(z / CHUNK_SIZE));
+        let y = WORLD_MAX_Y - 1;
+        while (y > WORLD_MIN_Y && this.getBlock(x, y, z) === BLOCK.AIR) y--;
+        const { body } = player.controller;
+        body.position = [x + 0.5, y + 1, z + 0.5];
+        body.velocity = [0, 0, 0];
+        player.controller.flying = false;
+    }
+
+    sendState(player) {
+        player.connection.send(JSON.stringify({ type: 'state', seq: player.lastSeq, movement: getMovementState(player.controller) }));
+    }
+
+    async sendChunk(player, chunkX, chunkZ) {
+        if (!Number.isInteger(chunkX) || !Number.isInteger(chunkZ)) return;
+        if (getChunkDistance(player, chunkX, chunkZ) > this.maxViewDistance + CHUNK_REQUEST_SLACK) return;
+        const key = getChunkKey(chunkX, chunkZ);
+        player.watched.add(key); // Block changes from now on go to the client, after the voxels
+        const chunk = await this.loadChunk(chunkX, chunkZ);
+        if (!chunk || !player.watched.has(key)) return;
+        const voxels = new Uint8Array(SECTION_VOLUME);
+        chunk.sections.forEach((section, i) => {
+            player.connection.send(encodeSectionMessage(chunkX, MIN_SECTION_Y + i, chunkZ, section.copyVoxelsTo(voxels)));
+        });
+    }
+
+    // A client's edit: applied and broadcast if it's allowed, otherwise the client
+    // gets told what is really there so it can undo its own copy
+    editBlock(player, x, y, z, id) {
+        if (![x, y, z, id].every(Number.isInteger)) return;
+        if (!this.canEdit(player, x, y, z, id)) {
+            if (this.world.isChunkReadyAt(x, z)) player.connection.send(JSON.stringify({ type: 'block', x, y, z, id: this.getBlock(x, y, z) }));
+            return;
+        }
+        if (this.gameMode === 'survival') this.useInventory(player, this.getBlock(x, y, z), id);
+        this.setBlock(x, y, z, id);
+    }
+
+    canEdit(player, x, y, z, id) {
+        if (y < WORLD_MIN_Y || y >= WORLD_MAX_Y || !this.world.isChunkReadyAt(x, z)) return false;
+        const [px, py, pz] = player.controller.body.position;
+        const reach = Math.hypot(x + 0.5 - px, y + 0.5 - (py + PLAYER_EYE_HEIGHT), z + 0.5 - pz);
+        if (reach > REACH_DISTANCE + REACH_SLACK) return false;
+        const current = this.getBlock(x, y, z);
+        const survival = this.gameMode === 'survival';
+        if (id === BLOCK.AIR) return blocks.isBreakable(current) && (!survival || this.hasHadTimeToBreak(player, current));
+        // Placing: what the player has, into something you can walk through, and solid blocks not into a player
+        if (!blocks.isPlaceable(id) || blocks.isSolid(current)) return false;
+        if (survival && player.inventory.find(id) === -1) return false;
+        if (!blocks.isSolid(id)) return true;
+        return !Array.from(this.players.values()).some(other => {
+            const { min, max } = other.controller.body.getBox();
+            return max[0] > x && min[0] < x + 1 && max[1] > y && min[1] < y + 1 && max[2] > z && min[2] < z + 1;
+        });
+    }
+
+    // The client breaks one block at a time over its hardness in seconds (see BlockBreaking in
+    // src/survival.js), so there's at least that long between a player's breaks
+    hasHadTimeToBreak(player, id) {
+        return this.tickCount - player.lastBreakTick >= blocks.getHardness(id) * TICK_RATE - BREAK_SLACK;
+    }
+
+    // Survival: an allowed edit collects the drop or uses up the block, like on the client
+    useInventory(player, current, id) {
+        if (id === BLOCK.AIR) {
+            player.lastBreakTick = this.tickCount;
+            const drop = blocks.getDrop(current);
+            if (drop !== null) player.inventory.add(drop, 1);
+        } else {
+            player.inventory.take(player.inventory.find(id), 1);
+        }
+    }
+
+    // --- Ticks ---
+
+    tick() {
+        this.tickCount++;
+        for (const player of this.players.values()) this.tickPlayer(player);
+        this.world.tick();
+        if (this.tickCount % UNLOAD_INTERVAL === 0) this.unloadUnusedChunks();
+
+        const players = Array.from(this.players.values(), player => ({
+            id: player.id, name: player.name, position: player.controller.body.position.slice(), yaw: player.yaw,
+        }));
+        this.broadcast({ type: 'players', players });
+    }
+
+    // Steps the player's queued inputs, like the client did when it predicted them
+    tickPlayer(player) {
+        const { body } = player.controller;
+        const [x, , z] = body.position;
+        if (!this.world.isChunkReadyAt(x, z)) {
+            // The inputs wait for it, as on the client
+            this.catchPlayerError(player, this.loadChunk(Math.floor(x / CHUNK_SIZE), Math.floor(z / CHUNK_SIZE)));
+            return;
+        }
+        const inputs = player.inputs.splice(0, MAX_INPUTS_PER_TICK);
+        if (inputs.length === 0) return;
+        for (const { seq, input } of inputs) {
+            player.controller.step(input, this.world);
+            player.lastSeq = seq;
+            player.yaw = input.yaw;
+        }
+        if (body.position[1] < FALL_OUT_HEIGHT) {
+            this.catchPlayerError(player, this.moveToSpawn(player).then(() => this.sendState(player)));
+            return;
+        }
+        this.sendState(player);
+    }
+}
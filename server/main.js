@@ -0,0 +1,124 @@
+// Multiplayer server: node server/main.js [--port 8080] [--host 127.0.0.1] [--world worlds/default] [--seed 1234]
+//     [--game-mode survival] [--log-level info]
+// Serves the game's files over http and the world over WebSockets on the same
+// port, so everyone opens http://<host>:<port>/?server (see voxel-game.js).
+// Needs nothing but Node 18 or newer.
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { blocks } from '../src/blocks.js';
+import { createLogger, setLogLevel } from '../src/log.js';
+import { DEFAULT_PORT } from '../src/protocol.js';
+import { WorldSave } from '../src/world-save.js';
+import { FileStorage } from './file-storage.js';
+import { GameServer } from './game-server.js';
+import { acceptWebSocket } from './websocket.js';
+
+const log = createLogger('server');
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..'); // Where index.html is
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+};
+// What the page loads: itself, its scripts, the optional blocks.json and tiles.json, and tile sheet
+// images next to them. Nothing else under ROOT is served: not the worlds, server/, .git or node_modules.
+const PUBLIC_FILES = new Set(['index.html', 'voxel-game.js', 'blocks.json', 'tiles.json']);
+const PUBLIC_DIRECTORIES = new Set(['src']);
+
+const { values: options } = parseArgs({
+    options: {
+        port: { type: 'string', default: String(DEFAULT_PORT) },
+        host: { type: 'string', default: '127.0.0.1' }, // Only this machine; 0.0.0.0 for the local network
+        world: { type: 'string', default: path.join(ROOT, 'worlds', 'default') },
+        seed: { type: 'string' }, // Only used when the world is created
+        'game-mode': { type: 'string', default: 'survival' }, // creative lets everyone fly
+        'log-level': { type: 'string', default: 'info' }, // debug shows every chunk loaded
+    },
+});
+
+function isPublicFile(file) {
+    const relative = path.relative(ROOT, file);
+    const [first, ...rest] = relative.split(path.sep);
+    if (rest.length === 0) return PUBLIC_FILES.has(first) || path.extname(first) === '.png';
+    return PUBLIC_DIRECTORIES.has(first);
+}
+
+// The game's own files, see PUBLIC_FILES
+async function serveFile(request, response) {
+    const urlPath = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    const file = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+    if (request.method !== 'GET' || !file.startsWith(ROOT + path.sep) || !isPublicFile(file)) {
+        response.writeHead(404).end();
+        return;
+    }
+    try {
+        const data = await readFile(file);
+        response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream' });
+        response.end(data);
+    } catch {
+        response.writeHead(404).end();
+    }
+}
+
+// Same as loadExtraBlocks in voxel-game.js, so edits with those ids pass the checks
+async function loadExtraBlocks(file) {
+    let definitions;
+    try {
+        definitions = JSON.parse(await readFile(file, 'utf8')).blocks || [];
+    } catch (error) {
+        if (error.code !== 'ENOENT') log.warn(`Could not read ${file}:`, error.message);
+        return;
+    }
+    for (const definition of definitions) {
+        try {
+            blocks.register(definition);
+        } catch (error) {
+            log.error(`Skipping block from ${file}:`, error.message);
+        }
+    }
+}
+
+async function main() {
+    setLogLevel(options['log-level']);
+    await loadExtraBlocks(path.join(ROOT, 'blocks.json'));
+    const worldSave = new WorldSave(await FileStorage.open(options.world));
+    const newSeed = options.seed !== undefined ? Number(options.seed) : Math.random() * 0x100000000;
+    const { seed } = await worldSave.loadWorldInfo(newSeed >>> 0);
+    const game = new GameServer({ seed, worldSave, gameMode: options['game-mode'] });
+
+    const server = createServer((request, response) => {
+        serveFile(request, response).catch(error => {
+            log.error('Serving a file failed:', error);
+            response.destroy();
+        });
+    });
+    server.on('upgrade', (request, socket, head) => {
+        const connection = acceptWebSocket(request, socket, head);
+        if (connection) game.connect(connection);
+    });
+
+    const port = Number(options.port);
+    server.listen(port, options.host, () => {
+        log.info(`World ${options.world}, seed ${seed}`);
+        log.info(`Open http://${options.host}:${port}/?server to play`);
+    });
+    game.start();
+
+    const shutDown = async () => {
+        log.info('Saving the world...');
+        server.close();
+        await game.stop();
+        process.exit(0);
+    };
+    process.once('SIGINT', shutDown);
+    process.once('SIGTERM', shutDown);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,151 @@
+// Just enough of the WebSocket protocol (RFC 6455) for the game server, on top
+// of Node's http module so the server runs without any packages: the upgrade
+// handshake, text and binary messages (fragmented ones too), ping/pong and close.
+// Frames from clients are always masked, frames to them never are.
+import { createHash } from 'node:crypto';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_SIZE = 1 << 20; // Clients only send small JSON messages
+const OPCODE = { CONTINUATION: 0, TEXT: 1, BINARY: 2, CLOSE: 8, PING: 9, PONG: 10 };
+const CLOSE_PROTOCOL_ERROR = 1002;
+const CLOSE_TOO_BIG = 1009;
+
+// Answers an http 'upgrade' request. Returns the connection, or null (after a
+// 400) if the request isn't a WebSocket handshake.
+export function acceptWebSocket(request, socket, head) {
+    const key = request.headers['sec-websocket-key'];
+    if ((request.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return null;
+    }
+    const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', '',
+    ].join('\r\n'));
+    const connection = new WebSocketConnection(socket);
+    if (head && head.length > 0) connection.receive(head);
+    return connection;
+}
+
+export class WebSocketConnection {
+    constructor(socket) {
+        this.socket = socket;
+        this.open = true;
+        this.buffer = Buffer.alloc(0); // Received bytes not yet parsed into frames
+        this.fragments = []; // Payloads of a message split over several frames
+        this.fragmentOpcode = 0;
+        this.onMessage = null; // (data) with a string for text and a Uint8Array for binary messages
+        this.onClose = null; // (code, reason)
+        socket.setNoDelay(true); // Small messages every tick, don't wait to batch them
+        socket.on('data', (data) => this.receive(data));
+        socket.on('close', () => this.closed(1006, 'Connection lost'));
+        socket.on('error', () => socket.destroy()); // 'close' follows
+    }
+
+    // Strings go as text messages, Uint8Arrays (and Buffers) as binary ones
+    send(data) {
+        if (!this.open) return;
+        if (typeof data === 'string') this.writeFrame(OPCODE.TEXT, Buffer.from(data, 'utf8'));
+        else this.writeFrame(OPCODE.BINARY, Buffer.from(data.buffer, data.byteOffset, data.byteLength));
+    }
+
+    close(code = 1000, reason = '') {
+        if (!this.open) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.writeFrame(OPCODE.CLOSE, payload);
+        this.socket.end();
+        this.closed(code, reason);
+    }
+
+    closed(code, reason) {
+        if (!this.open) return;
+        this.open = false;
+        if (this.onClose) this.onClose(code, reason);
+    }
+
+    writeFrame(opcode, payload) {
+        const length = payload.length;
+        const headerSize = length < 126 ? 2 : length < 0x10000 ? 4 : 10;
+        const header = Buffer.alloc(headerSize);
+        header[0] = 0x80 | opcode; // Always the final frame, we never fragment
+        if (length < 126) {
+            header[1] = length;
+        } else if (length < 0x10000) {
+            header[1] = 126;
+            header.writeUInt16BE(length, 2);
+        } else {
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(length), 2);
+        }
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+
+    // Parses every complete frame in what has arrived so far
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        while (this.open && this.buffer.length >= 2) {
+            const buffer = this.buffer;
+            const final = (buffer[0] & 0x80) !== 0;
+            const opcode = buffer[0] & 0x0F;
+            const masked = (buffer[1] & 0x80) !== 0;
+            let length = buffer[1] & 0x7F;
+            let offset = 2;
+            if (length === 126) {
+                if (buffer.length < 4) return;
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10) return;
+                length = Number(buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+            if (!masked) return this.close(CLOSE_PROTOCOL_ERROR, 'Unmasked frame');
+            if (length > MAX_MESSAGE_SIZE) return this.close(CLOSE_TOO_BIG, 'Message too big');
+            if (buffer.length < offset + 4 + length) return; // Rest of the frame still on its way
+
+            const mask = buffer.subarray(offset, offset + 4);
+            const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+            this.buffer = buffer.subarray(offset + 4 + length);
+            this.handleFrame(final, opcode, payload);
+        }
+    }
+
+    handleFrame(final, opcode, payload) {
+        switch (opcode) {
+            case OPCODE.PING:
+                this.writeFrame(OPCODE.PONG, payload);
+                return;
+            case OPCODE.PONG:
+                return;
+            case OPCODE.CLOSE:
+                this.close(payload.length >= 2 ? payload.readUInt16BE(0) : 1000);
+                return;
+            case OPCODE.TEXT:
+            case OPCODE.BINARY:
+                if (this.fragments.length > 0) return this.close(CLOSE_PROTOCOL_ERROR, 'Expected a continuation frame');
+                this.fragmentOpcode = opcode;
+                break;
+            case OPCODE.CONTINUATION:
+                if (this.fragments.length === 0) return this.close(CLOSE_PROTOCOL_ERROR, 'Nothing to continue');
+                break;
+            default:
+                return this.close(CLOSE_PROTOCOL_ERROR, `Unknown opcode ${opcode}`);
+        }
+
+        this.fragments.push(payload);
+        const size = this.fragments.reduce((sum, fragment) => sum + fragment.length, 0);
+        if (size > MAX_MESSAGE_SIZE) return this.close(CLOSE_TOO_BIG, 'Message too big');
+        if (!final) return;
+        const message = Buffer.concat(this.fragments);
+        this.fragments = [];
+        if (!this.onMessage) return;
+        this.onMessage(this.fragmentOpcode === OPCODE.TEXT ? message.toString('utf8') : new Uint8Array(message));
+    }
+}
@@ -0,0 +1,39 @@
+// Biome definitions. A column's biome is the one whose climate point is closest
+// to the column's (temperature, humidity), both in [0, 1]; see the 'biomes'
+// generator stage for how heights are blended across borders.
+import { BLOCK } from './blocks.js';
+
+// heightCurve reshapes the terrain noise (about -1..1) before it is scaled by
+// amplitude and added to baseHeight
+const linear = (n) => n; // Rolling hills around baseHeight
+const ridged = (n) => (1 - Math.abs(n)) ** 2; // 0..1, sharp crests where the noise crosses zero
+
+export const BIOMES = {
+    PLAINS: {
+        id: 0, name: 'plains', climate: [0.6, 0.4],
+        baseHeight: 22, amplitude: 5, heightCurve: linear,
+        surface: BLOCK.GRASS, filler: BLOCK.DIRT, fillerDepth: 3, treeDensity: 0.15,
+    },
+    DESERT: {
+        id: 1, name: 'desert', climate: [0.9, 0.1],
+        baseHeight: 23, amplitude: 4, heightCurve: linear,
+        surface: BLOCK.SAND, filler: BLOCK.SAND, fillerDepth: 4, treeDensity: 0,
+    },
+    FOREST: {
+        id: 2, name: 'forest', climate: [0.55, 0.8],
+        baseHeight: 24, amplitude: 8, heightCurve: linear,
+        surface: BLOCK.GRASS, filler: BLOCK.DIRT, fillerDepth: 3, treeDensity: 1.5,
+    },
+    MOUNTAINS: {
+        id: 3, name: 'mountains', climate: [0.3, 0.3],
+        baseHeight: 24, amplitude: 30, heightCurve: ridged,
+        surface: BLOCK.STONE, filler: BLOCK.STONE, fillerDepth: 1, treeDensity: 0.05,
+    },
+    SNOWY_TUNDRA: {
+        id: 4, name: 'snowy tundra', climate: [0.05, 0.5],
+        baseHeight: 23, amplitude: 6, heightCurve: linear,
+        surface: BLOCK.SNOW, filler: BLOCK.DIRT, fillerDepth: 3, treeDensity: 0.1,
+    },
+};
+
+export const BIOME_LIST = Object.values(BIOMES);
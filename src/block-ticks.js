@@ -0,0 +1,312 @@
+// Block ticks: blocks that change over time. There are two kinds:
+//   scheduled ticks  a block asks to be ticked again after a delay (in ticks)
+//   random ticks     every tick, a few random blocks of each loaded section get one,
+//                    for slow processes like grass spreading
+// What a block does on a tick is its behaviour, registered by block name.
+// Fluids (see fluid in blocks.js) flow and blocks with gravity fall, unless
+// they have a behaviour of their own.
+//
+// The world is an object with
+//   getBlock(x, y, z), setBlock(x, y, z, id)
+//   getLight(x, y, z)   packed light (see lighting.js), -1 where there is none
+//   getLoadedSections() sections to random tick, objects with section coordinates x, y and z
+//                       (see section.js); sections of nothing but air can be left out
+//   spawnFallingBlock(x, y, z, id)  starts a block falling from the emptied cell (see falling-blocks.js)
+import { BLOCK, blocks } from './blocks.js';
+import { SECTION_SIZE, WORLD_MAX_Y, WORLD_MIN_Y } from './constants.js';
+import { getBlockLight, getSkyLight } from './lighting.js';
+import { createRandom } from './noise.js';
+
+export const RANDOM_TICKS_PER_SECTION = 3; // Per tick
+
+const NEIGHBOURS = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+const HORIZONTAL = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// Block name -> { randomTick, scheduledTick, neighbourChanged }, all optional,
+// each called as (world, x, y, z, scheduler). neighbourChanged is called for
+// the changed block itself too, so a placed block can schedule its first tick.
+const behaviours = new Map();
+
+export function registerBlockBehaviour(name, behaviour) {
+    behaviours.set(name, behaviour);
+}
+
+function getBehaviour(id) {
+    const block = blocks.get(id);
+    if (!block) return undefined;
+    if (behaviours.has(block.name)) return behaviours.get(block.name);
+    if (block.fluid) return fluidBehaviour;
+    return block.gravity ? fallingBehaviour : undefined;
+}
+
+export class BlockTickScheduler {
+    // seed makes the random ticks repeatable
+    constructor({ seed = 0, randomTicksPerSection = RANDOM_TICKS_PER_SECTION } = {}) {
+        this.random = createRandom(seed); // Also for behaviours, so they repeat too
+        this.randomTicksPerSection = randomTicksPerSection;
+        this.currentTick = 0;
+        this.scheduled = new Map(); // Due tick -> flat x, y, z list
+        this.scheduledKeys = new Set(); // "x,y,z" of every pending tick, a block is only scheduled once
+    }
+
+    get pendingCount() {
+        return this.scheduledKeys.size;
+    }
+
+    // Ticks the block at (x, y, z) delay ticks from now (at least 1). Ignored if
+    // it already has a tick pending.
+    schedule(x, y, z, delay = 1) {
+        const key = `${x},${y},${z}`;
+        if (this.scheduledKeys.has(key)) return;
+        this.scheduledKeys.add(key);
+        const due = this.currentTick + Math.max(1, Math.floor(delay));
+        let bucket = this.scheduled.get(due);
+        if (!bucket) {
+            bucket = [];
+            this.scheduled.set(due, bucket);
+        }
+        bucket.push(x, y, z);
+    }
+
+    // Lets a changed block and its neighbours react, e.g. leaves around a felled trunk
+    onBlockChanged(world, x, y, z) {
+        for (const [dx, dy, dz] of [[0, 0, 0], ...NEIGHBOURS]) {
+            const ny = y + dy;
+            if (ny < WORLD_MIN_Y || ny >= WORLD_MAX_Y) continue;
+            const behaviour = getBehaviour(world.getBlock(x + dx, ny, z + dz));
+            if (behaviour && behaviour.neighbourChanged) behaviour.neighbourChanged(world, x + dx, ny, z + dz, this);
+        }
+    }
+
+    tick(world) {
+        // Whatever is at a position when its tick comes up gets it, so ticks of
+        // blocks that were replaced (or unloaded, which reads as air) fizzle out
+        const bucket = this.scheduled.get(this.currentTick);
+        if (bucket) {
+            this.scheduled.delete(this.currentTick);
+            for (let i = 0; i < bucket.length; i += 3) {
+                const x = bucket[i], y = bucket[i + 1], z = bucket[i + 2];
+                this.scheduledKeys.delete(`${x},${y},${z}`);
+                const behaviour = getBehaviour(world.getBlock(x, y, z));
+                if (behaviour && behaviour.scheduledTick) behaviour.scheduledTick(world, x, y, z, this);
+            }
+        }
+
+        for (const section of world.getLoadedSections()) {
+            for (let i = 0; i < this.randomTicksPerSection; i++) {
+                const x = section.x * SECTION_SIZE + Math.floor(this.random() * SECTION_SIZE);
+                const y = section.y * SECTION_SIZE + Math.floor(this.random() * SECTION_SIZE);
+                const z = section.z * SECTION_SIZE + Math.floor(this.random() * SECTION_SIZE);
+                const behaviour = getBehaviour(world.getBlock(x, y, z));
+                if (behaviour && behaviour.randomTick) behaviour.randomTick(world, x, y, z, this);
+            }
+        }
+        this.currentTick++;
+    }
+}
+
+// --- Behaviours ---
+
+function getLightLevel(world, x, y, z) {
+    if (y >= WORLD_MAX_Y) return 15; // Open sky
+    const light = world.getLight(x, y, z);
+    return light < 0 ? 0 : Math.max(getSkyLight(light), getBlockLight(light));
+}
+
+function randomInt(scheduler, min, max) {
+    return min + Math.floor(scheduler.random() * (max - min + 1));
+}
+
+const GRASS_MIN_LIGHT = 4; // Grass with less light above it turns back into dirt
+const GRASS_SPREAD_LIGHT = 9; // Grass needs this much light to spread
+
+function canGrassLive(world, x, y, z) {
+    const above = world.getBlock(x, y + 1, z);
+    return !blocks.isOpaque(above) && !blocks.isLiquid(above) && getLightLevel(world, x, y + 1, z) >= GRASS_MIN_LIGHT;
+}
+
+registerBlockBehaviour('grass', {
+    // Dies when covered, otherwise tries to spread onto a few dirt blocks around it
+    randomTick(world, x, y, z, scheduler) {
+        if (!canGrassLive(world, x, y, z)) {
+            world.setBlock(x, y, z, BLOCK.DIRT);
+            return;
+        }
+        if (getLightLevel(world, x, y + 1, z) < GRASS_SPREAD_LIGHT) return;
+        for (let i = 0; i < 4; i++) {
+            const tx = x + randomInt(scheduler, -1, 1);
+            const ty = y + randomInt(scheduler, -3, 1);
+            const tz = z + randomInt(scheduler, -1, 1);
+            if (world.getBlock(tx, ty, tz) === BLOCK.DIRT && canGrassLive(world, tx, ty, tz)) {
+                world.setBlock(tx, ty, tz, BLOCK.GRASS);
+            }
+        }
+    },
+});
+
+const LEAF_SUPPORT_DISTANCE = 4; // Leaves need wood this many steps away, counted through leaves
+const LEAF_DECAY_DELAY = [10, 40]; // Ticks before leaves next to a change check, spread out so they don't all go at once
+
+// Is there wood within LEAF_SUPPORT_DISTANCE, going only through leaves (or a chunk that isn't loaded)?
+function isLeafSupported(world, x, y, z) {
+    const visited = new Set([`${x},${y},${z}`]);
+    let frontier = [[x, y, z]];
+    for (let distance = 1; distance <= LEAF_SUPPORT_DISTANCE; distance++) {
+        const next = [];
+        for (const [cx, cy, cz] of frontier) {
+            for (const [dx, dy, dz] of NEIGHBOURS) {
+                const nx = cx + dx, ny = cy + dy, nz = cz + dz;
+                const key = `${nx},${ny},${nz}`;
+                if (visited.has(key)) continue;
+                visited.add(key);
+                const block = world.getBlock(nx, ny, nz);
+                if (block === BLOCK.WOOD) return true;
+                // An unloaded chunk might hold the trunk, keep the leaves until it's back
+                if (ny >= WORLD_MIN_Y && ny < WORLD_MAX_Y && world.getLight(nx, ny, nz) < 0) return true;
+                if (block === BLOCK.LEAVES) next.push([nx, ny, nz]);
+            }
+        }
+        frontier = next;
+    }
+    return false;
+}
+
+function decayIfUnsupported(world, x, y, z) {
+    if (!isLeafSupported(world, x, y, z)) world.setBlock(x, y, z, BLOCK.AIR);
+}
+
+// Placed leaves decay too when there's no wood near them: blocks have no state to tell them apart
+registerBlockBehaviour('leaves', {
+    randomTick: decayIfUnsupported,
+    scheduledTick: decayIfUnsupported,
+    // A felled trunk or decayed leaf next to it: check soon, so a whole canopy goes in a cascade
+    neighbourChanged(world, x, y, z, scheduler) {
+        scheduler.schedule(x, y, z, randomInt(scheduler, LEAF_DECAY_DELAY[0], LEAF_DECAY_DELAY[1]));
+    },
+});
+
+// --- Fluids ---
+// A source (level 0) stays put; flowing blocks are one level higher per block
+// away from what feeds them: a neighbour a level lower, or the same fluid right
+// above (a falling column feeds level 1). Every step takes the source's flowDelay
+// ticks. Fluid runs down first; on the ground it spreads one level further out,
+// towards the nearest drop if there's one within DROP_SEARCH_DISTANCE, until
+// the last registered level. Flowing blocks that lose their feed dry up level by level.
+
+const DROP_SEARCH_DISTANCE = 4;
+
+// Fluid -> { other fluid it touches: the block it turns into }
+const FLUID_REACTIONS = { lava: { water: 'stone' } };
+
+// Air, or the same fluid further from its source than level
+function canFlowInto(id, fluid, level) {
+    return id === BLOCK.AIR || (blocks.getFluid(id) === fluid && blocks.getFluidLevel(id) > level);
+}
+
+// The level a flowing block at (x, y, z) is fed at, Infinity if nothing feeds it
+function getFedLevel(world, x, y, z, fluid) {
+    if (blocks.getFluid(world.getBlock(x, y + 1, z)) === fluid) return 1;
+    let level = Infinity;
+    for (const [dx, dz] of HORIZONTAL) {
+        const id = world.getBlock(x + dx, y, z + dz);
+        if (blocks.getFluid(id) === fluid) level = Math.min(level, blocks.getFluidLevel(id) + 1);
+    }
+    return level;
+}
+
+// Steps from (x, z) to the nearest spot it could run down at, going sideways
+// from the block at (fromX, fromZ); Infinity if there's none near
+function distanceToDrop(world, fromX, y, fromZ, x, z, fluid) {
+    const visited = new Set([`${fromX},${fromZ}`, `${x},${z}`]);
+    let frontier = [[x, z]];
+    for (let distance = 1; distance <= DROP_SEARCH_DISTANCE; distance++) {
+        const next = [];
+        for (const [cx, cz] of frontier) {
+            if (canFlowInto(world.getBlock(cx, y - 1, cz), fluid, 0)) return distance;
+            for (const [dx, dz] of HORIZONTAL) {
+                const nx = cx + dx, nz = cz + dz;
+                const key = `${nx},${nz}`;
+                if (visited.has(key)) continue;
+                visited.add(key);
+                if (canFlowInto(world.getBlock(nx, y, nz), fluid, 0)) next.push([nx, nz]);
+            }
+        }
+        frontier = next;
+    }
+    return Infinity;
+}
+
+function fluidTick(world, x, y, z) {
+    const id = world.getBlock(x, y, z);
+    const fluid = blocks.getFluid(id);
+    let level = blocks.getFluidLevel(id);
+
+    const reactions = FLUID_REACTIONS[fluid];
+    if (reactions) {
+        for (const [dx, dy, dz] of NEIGHBOURS) {
+            const product = reactions[blocks.getFluid(world.getBlock(x + dx, y + dy, z + dz))];
+            if (product) {
+                world.setBlock(x, y, z, blocks.getByName(product).id);
+                return;
+            }
+        }
+    }
+
+    if (level > 0) {
+        level = getFedLevel(world, x, y, z, fluid);
+        const fed = blocks.getFluidBlock(fluid, level) ?? BLOCK.AIR;
+        if (fed !== id) {
+            world.setBlock(x, y, z, fed); // Ticks again if it's still fluid, see neighbourChanged
+            return;
+        }
+    }
+
+    const below = world.getBlock(x, y - 1, z);
+    if (y > WORLD_MIN_Y && canFlowInto(below, fluid, 1)) {
+        world.setBlock(x, y - 1, z, blocks.getFluidBlock(fluid, 1));
+        return;
+    }
+    // Falling onto its own stream: that stream does the spreading
+    if (blocks.getFluid(below) === fluid && blocks.getFluidLevel(below) > 0) return;
+
+    const spreadId = blocks.getFluidBlock(fluid, level + 1);
+    if (spreadId === undefined) return; // As far as it flows
+    const targets = [];
+    let nearestDrop = Infinity;
+    for (const [dx, dz] of HORIZONTAL) {
+        if (!canFlowInto(world.getBlock(x + dx, y, z + dz), fluid, level + 1)) continue;
+        const distance = distanceToDrop(world, x, y, z, x + dx, z + dz, fluid);
+        if (distance < nearestDrop) targets.length = 0;
+        if (distance <= nearestDrop) targets.push([x + dx, z + dz]);
+        nearestDrop = Math.min(nearestDrop, distance);
+    }
+    for (const [tx, tz] of targets) world.setBlock(tx, y, tz, spreadId);
+}
+
+const fluidBehaviour = {
+    scheduledTick: fluidTick,
+    randomTick: fluidTick, // Picks up flows that stopped halfway, e.g. when the game was closed
+    neighbourChanged(world, x, y, z, scheduler) {
+        const source = blocks.getByName(blocks.getFluid(world.getBlock(x, y, z)));
+        scheduler.schedule(x, y, z, source ? source.flowDelay : 1);
+    },
+};
+
+// --- Falling blocks ---
+// A block with gravity checks what's under it a moment after anything next to
+// it changes. With nothing solid there it leaves the grid and falls, which
+// changes the block above, so a whole column of sand comes down one after another.
+
+const FALL_DELAY = 2;
+
+const fallingBehaviour = {
+    scheduledTick(world, x, y, z) {
+        if (y === WORLD_MIN_Y || blocks.isSolid(world.getBlock(x, y - 1, z))) return;
+        const id = world.getBlock(x, y, z);
+        world.setBlock(x, y, z, BLOCK.AIR);
+        world.spawnFallingBlock(x, y, z, id);
+    },
+    neighbourChanged(world, x, y, z, scheduler) {
+        scheduler.schedule(x, y, z, FALL_DELAY);
+    },
+};
@@ -0,0 +1,293 @@
+// Block registry: the single source of truth for what every block id means.
+// The mesher, collision, raycasting and the toolbar all read from here.
+//
+// A block definition (as registered, e.g. from blocks.json):
+//   id            0..255, optional: the next free id is used when left out
+//   name          unique lowercase name, also becomes BLOCK.NAME (uppercased)
+//   color         base color, a number (0xRRGGBB) or '#rrggbb'
+//   faces         optional per-face colors: { all, top, bottom, side, north, south, east, west }
+//   textures      optional per-face texture tiles, same keys as faces
+//   solid         collides with the player (default true)
+//   transparent   doesn't hide the faces of blocks behind it (default false)
+//   liquid        can be swum in (default false)
+//   gravity       falls when there's nothing solid under it, like sand (default false)
+//   translucent   drawn see-through, in a separate mesh pass after everything else (default false)
+//   fluid         name of the fluid's source block, for the source and its flowing levels
+//   fluidLevel    0 for the source, 1.. for flowing blocks, one more per block away from it.
+//                 How many levels are registered is how far the fluid flows.
+//   flowDelay     on the source block: ticks between two steps of the flow (default 5)
+//   lightEmission block light level 0..15 (default 0)
+//   lightAbsorption light lost passing through, on top of the usual 1 per block;
+//                 15 blocks light (default: 0 if transparent, else 15)
+//   hardness      seconds to break by hand, -1 means it can't be broken or targeted (default 1)
+//   drops         name of the block dropped when broken, null for nothing (default: itself)
+//   food          hunger restored by eating it (see survival.js); food is eaten, never placed (default 0)
+
+// Face order used everywhere: +x, -x, +y, -y, +z, -z (= axis * 2 + (positive ? 0 : 1))
+export const FACE = { EAST: 0, WEST: 1, TOP: 2, BOTTOM: 3, SOUTH: 4, NORTH: 5 };
+const FACE_KEYS = ['east', 'west', 'top', 'bottom', 'south', 'north'];
+const UNKNOWN_COLOR = 0xFF00FF; // Ids in a save that no definition claims any more
+
+const MAX_BLOCK_ID = 255; // Voxels are stored in Uint8Arrays
+export const BLANK_TILE = 'blank';
+
+function parseColor(value, blockName) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) return parseInt(value.slice(1), 16);
+    throw new Error(`Block "${blockName}" has an invalid color: ${value}`);
+}
+
+// Picks the most specific entry for a face: east/west/... > top/bottom or side > all
+function resolveFaces(faces, fallback) {
+    return FACE_KEYS.map((key, face) => {
+        if (!faces) return fallback;
+        const isSide = face !== FACE.TOP && face !== FACE.BOTTOM;
+        return faces[key] ?? (isSide ? faces.side : undefined) ?? faces.all ?? fallback;
+    });
+}
+
+export class BlockRegistry {
+    constructor() {
+        this.definitions = []; // Indexed by id, holes are undefined
+        this.byName = new Map();
+        // Flat lookup tables for the hot paths (mesher, collision)
+        this.solid = new Uint8Array(MAX_BLOCK_ID + 1).fill(1);
+        this.opaque = new Uint8Array(MAX_BLOCK_ID + 1).fill(1);
+        this.liquid = new Uint8Array(MAX_BLOCK_ID + 1);
+        this.translucent = new Uint8Array(MAX_BLOCK_ID + 1);
+        this.gravity = new Uint8Array(MAX_BLOCK_ID + 1);
+        this.fluidLevels = new Map(); // Fluid (source name) -> block ids by level
+        this.faceColors = new Uint32Array((MAX_BLOCK_ID + 1) * 6).fill(UNKNOWN_COLOR);
+        this.lightEmission = new Uint8Array(MAX_BLOCK_ID + 1);
+        this.lightAbsorption = new Uint8Array(MAX_BLOCK_ID + 1).fill(15);
+        this.names = {}; // NAME -> id, see BLOCK below
+        // Texture tiles, indexed in first-use order. Tile 0 is plain white, used for
+        // faces without a texture so the face color shows as is.
+        this.tileNames = [BLANK_TILE];
+        this.tileIndex = new Map([[BLANK_TILE, 0]]);
+        this.faceTiles = new Uint16Array((MAX_BLOCK_ID + 1) * 6);
+    }
+
+    register(definition) {
+        const name = definition.name;
+        if (typeof name !== 'string' || !/^[a-z][a-z0-9_]*$/.test(name)) {
+            throw new Error(`Invalid block name: ${name}`);
+        }
+        if (this.byName.has(name)) throw new Error(`Block "${name}" is already registered`);
+
+        const id = definition.id ?? this.nextFreeId();
+        if (!Number.isInteger(id) || id < 0 || id > MAX_BLOCK_ID) throw new Error(`Block "${name}" has an invalid id: ${id}`);
+        if (this.definitions[id]) throw new Error(`Block id ${id} is taken by "${this.definitions[id].name}"`);
+        if (definition.fluid && (!Number.isInteger(definition.fluidLevel ?? 0) || definition.fluidLevel < 0)) {
+            throw new Error(`Block "${name}" has an invalid fluid level: ${definition.fluidLevel}`);
+        }
+
+        const color = definition.color === undefined ? UNKNOWN_COLOR : parseColor(definition.color, name);
+        const block = {
+            id,
+            name,
+            color,
+            faceColors: resolveFaces(definition.faces, color).map(value => parseColor(value, name)),
+            faceTextures: resolveFaces(definition.textures, null),
+            solid: definition.solid ?? true,
+            transparent: definition.transparent ?? false,
+            liquid: definition.liquid ?? false,
+            translucent: definition.translucent ?? false,
+            gravity: definition.gravity ?? false,
+            fluid: definition.fluid ?? null,
+            fluidLevel: definition.fluid ? definition.fluidLevel ?? 0 : -1,
+            flowDelay: definition.flowDelay ?? 5,
+            lightEmission: definition.lightEmission ?? 0,
+            lightAbsorption: definition.lightAbsorption ?? (definition.transparent ? 0 : 15),
+            hardness: definition.hardness ?? 1,
+            drops: definition.drops === undefined ? name : definition.drops,
+            food: definition.food ?? 0,
+            source: definition, // As registered, so it can be sent to the workers
+        };
+
+        this.definitions[id] = block;
+        this.byName.set(name, block);
+        this.solid[id] = block.solid ? 1 : 0;
+        this.opaque[id] = block.transparent ? 0 : 1;
+        this.liquid[id] = block.liquid ? 1 : 0;
+        this.translucent[id] = block.translucent ? 1 : 0;
+        this.gravity[id] = block.gravity ? 1 : 0;
+        if (block.fluid) {
+            if (!this.fluidLevels.has(block.fluid)) this.fluidLevels.set(block.fluid, []);
+            this.fluidLevels.get(block.fluid)[block.fluidLevel] = id;
+        }
+        this.lightEmission[id] = Math.max(0, Math.min(15, block.lightEmission));
+        this.lightAbsorption[id] = Math.max(0, Math.min(15, block.lightAbsorption));
+        block.faceColors.forEach((faceColor, face) => { this.faceColors[id * 6 + face] = faceColor; });
+        block.faceTextures.forEach((tile, face) => { this.faceTiles[id * 6 + face] = tile ? this.addTile(tile) : 0; });
+        this.names[name.toUpperCase()] = id;
+        return block;
+    }
+
+    addTile(tileName) {
+        if (!this.tileIndex.has(tileName)) {
+            this.tileIndex.set(tileName, this.tileNames.length);
+            this.tileNames.push(tileName);
+        }
+        return this.tileIndex.get(tileName);
+    }
+
+    registerAll(definitions) {
+        return definitions.map(definition => this.register(definition));
+    }
+
+    nextFreeId() {
+        for (let id = 0; id <= MAX_BLOCK_ID; id++) {
+            if (!this.definitions[id]) return id;
+        }
+        throw new Error('No free block ids left');
+    }
+
+    get(id) {
+        return this.definitions[id];
+    }
+
+    getByName(name) {
+        return this.byName.get(name);
+    }
+
+    all() {
+        return this.definitions.filter(Boolean);
+    }
+
+    isSolid(id) {
+        return this.solid[id] === 1;
+    }
+
+    // Hides the faces of the blocks next to it
+    isOpaque(id) {
+        return this.opaque[id] === 1;
+    }
+
+    isLiquid(id) {
+        return this.liquid[id] === 1;
+    }
+
+    // Drawn in the translucent mesh pass
+    isTranslucent(id) {
+        return this.translucent[id] === 1;
+    }
+
+    // Falls when there's nothing solid under it
+    hasGravity(id) {
+        return this.gravity[id] === 1;
+    }
+
+    // Name of the fluid (its source block) or null
+    getFluid(id) {
+        const block = this.definitions[id];
+        return block ? block.fluid : null;
+    }
+
+    // 0 for a fluid source, 1.. for flowing blocks, -1 for anything else
+    getFluidLevel(id) {
+        const block = this.definitions[id];
+        return block ? block.fluidLevel : -1;
+    }
+
+    // Id of the fluid's block at level, or undefined past the last level it flows to
+    getFluidBlock(fluid, level) {
+        const levels = this.fluidLevels.get(fluid);
+        return levels ? levels[level] : undefined;
+    }
+
+    getFaceColor(id, face) {
+        return this.faceColors[id * 6 + face];
+    }
+
+    getLightEmission(id) {
+        return this.lightEmission[id];
+    }
+
+    getLightAbsorption(id) {
+        return this.lightAbsorption[id];
+    }
+
+    // Index into tileNames, 0 (blank) for untextured faces
+    getFaceTile(id, face) {
+        return this.faceTiles[id * 6 + face];
+    }
+
+    // Can be targeted and broken by the player
+    isBreakable(id) {
+        const block = this.definitions[id];
+        return !!block && block.hardness >= 0;
+    }
+
+    // Can be put into the world by the player: solid blocks and fluid sources
+    isPlaceable(id) {
+        const block = this.definitions[id];
+        return !!block && ((block.solid && block.hardness >= 0) || block.fluidLevel === 0);
+    }
+
+    getHardness(id) {
+        const block = this.definitions[id];
+        return block ? block.hardness : -1;
+    }
+
+    // Hunger it restores when eaten, 0 for anything that isn't food
+    getFood(id) {
+        const block = this.definitions[id];
+        return block ? block.food : 0;
+    }
+
+    // Id of the block dropped when this one is broken, or null
+    getDrop(id) {
+        const block = this.definitions[id];
+        if (!block || block.drops === null) return null;
+        const drop = this.byName.get(block.drops);
+        return drop ? drop.id : null;
+    }
+}
+
+// Flowing levels 1..count of a fluid: copies of the source definition with ids firstId..
+function flowingLevels(source, firstId, count) {
+    return Array.from({ length: count }, (_, i) => ({
+        ...source, id: firstId + i, name: `${source.name}_flowing_${i + 1}`, fluid: source.name, fluidLevel: i + 1,
+    }));
+}
+
+const WATER = { id: 6, name: 'water', color: 0x3366CC, textures: { all: 'water' }, solid: false, transparent: true,
+    translucent: true, liquid: true, hardness: -1, drops: null, lightAbsorption: 2, fluid: 'water', flowDelay: 5 };
+const LAVA = { id: 15, name: 'lava', color: 0xE0600A, textures: { all: 'lava' }, solid: false, liquid: true,
+    hardness: -1, drops: null, lightEmission: 15, fluid: 'lava', flowDelay: 30 };
+
+export const DEFAULT_BLOCKS = [
+    { id: 0, name: 'air', solid: false, transparent: true, hardness: -1, drops: null },
+    { id: 1, name: 'grass', color: 0x559944, faces: { side: 0x6B8A3A, bottom: 0x885522 },
+        textures: { top: 'grass_top', side: 'grass_side', bottom: 'dirt' }, hardness: 0.6, drops: 'dirt' },
+    { id: 2, name: 'dirt', color: 0x885522, textures: { all: 'dirt' }, hardness: 0.5 },
+    { id: 3, name: 'stone', color: 0x808080, textures: { all: 'stone' }, hardness: 1.5 },
+    { id: 4, name: 'wood', color: 0x996633, faces: { top: 0xB08850, bottom: 0xB08850 },
+        textures: { top: 'wood_top', bottom: 'wood_top', side: 'wood_side' }, hardness: 2 },
+    // Usually transparent, but solid for basic collision
+    { id: 5, name: 'leaves', color: 0x33AA33, textures: { all: 'leaves' }, hardness: 0.2, drops: null, lightAbsorption: 1 },
+    // Visible but you walk (swim) through it
+    WATER,
+    { id: 7, name: 'coal_ore', color: 0x3A3A3A, textures: { all: 'coal_ore' }, hardness: 3 },
+    { id: 8, name: 'iron_ore', color: 0xB08D74, textures: { all: 'iron_ore' }, hardness: 3 },
+    { id: 9, name: 'sand', color: 0xDBCB8A, textures: { all: 'sand' }, hardness: 0.5, gravity: true },
+    { id: 10, name: 'snow', color: 0xF4F8FC, textures: { all: 'snow' }, hardness: 0.2 },
+    { id: 11, name: 'planks', color: 0xB8945F, textures: { all: 'planks' }, hardness: 2 },
+    { id: 12, name: 'bricks', color: 0x9C4A3A, textures: { all: 'bricks' }, hardness: 2 },
+    { id: 13, name: 'glowstone', color: 0xF2D27A, textures: { all: 'glowstone' }, hardness: 0.3, lightEmission: 15 },
+    { id: 14, name: 'glass', color: 0xCFE8F0, textures: { all: 'glass' }, transparent: true, hardness: 0.3, drops: null },
+    LAVA,
+    ...flowingLevels(WATER, 16, 7),
+    ...flowingLevels(LAVA, 23, 3),
+    { id: 26, name: 'gravel', color: 0x85807A, textures: { all: 'gravel' }, hardness: 0.6, gravity: true },
+    // Only ever in the inventory, dropped by pigs
+    { id: 27, name: 'porkchop', color: 0xE89890, solid: false, transparent: true, hardness: -1, drops: null, food: 4 },
+];
+
+export const blocks = new BlockRegistry();
+blocks.registerAll(DEFAULT_BLOCKS);
+
+// Ids by uppercase name (BLOCK.STONE === 3). The same object the registry keeps
+// up to date, so blocks registered later show up here too.
+export const BLOCK = blocks.names;
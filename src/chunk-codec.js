@@ -0,0 +1,84 @@
+// Versioned binary format for saved chunk voxels.
+//
+// Layout (little endian):
+//   0  4 bytes  magic "VXCK"
+//   4  u8       format version (CHUNK_FORMAT_VERSION)
+//   5  u16      size x
+//   7  u16      size y
+//   9  u16      size z
+//   11 ...      runs of [run length as unsigned LEB128 varint, block id u8]
+//               covering the voxels in index order (y, then z, then x)
+export const CHUNK_FORMAT_VERSION = 1;
+const MAGIC = [0x56, 0x58, 0x43, 0x4B]; // "VXCK"
+const HEADER_SIZE = 11;
+
+export function encodeChunk(voxels, sizeX, sizeY, sizeZ) {
+    if (voxels.length !== sizeX * sizeY * sizeZ) {
+        throw new Error(`Voxel count ${voxels.length} doesn't match ${sizeX}x${sizeY}x${sizeZ}`);
+    }
+
+    // Worst case is one run per voxel: 5 varint bytes + 1 id byte
+    const out = new Uint8Array(HEADER_SIZE + voxels.length * 6);
+    const view = new DataView(out.buffer);
+    out.set(MAGIC, 0);
+    out[4] = CHUNK_FORMAT_VERSION;
+    view.setUint16(5, sizeX, true);
+    view.setUint16(7, sizeY, true);
+    view.setUint16(9, sizeZ, true);
+
+    let offset = HEADER_SIZE;
+    let i = 0;
+    while (i < voxels.length) {
+        const type = voxels[i];
+        let run = 1;
+        while (i + run < voxels.length && voxels[i + run] === type) run++;
+        i += run;
+
+        while (run >= 0x80) {
+            out[offset++] = (run & 0x7F) | 0x80;
+            run >>>= 7;
+        }
+        out[offset++] = run;
+        out[offset++] = type;
+    }
+    return out.slice(0, offset);
+}
+
+// Returns { sizeX, sizeY, sizeZ, voxels }. Throws on anything malformed rather
+// than returning a partially filled chunk.
+export function decodeChunk(bytes) {
+    if (bytes.length < HEADER_SIZE || MAGIC.some((b, i) => bytes[i] !== b)) {
+        throw new Error('Not a saved chunk (bad magic)');
+    }
+    const version = bytes[4];
+    if (version !== CHUNK_FORMAT_VERSION) {
+        throw new Error(`Unsupported chunk format version ${version}`);
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const sizeX = view.getUint16(5, true);
+    const sizeY = view.getUint16(7, true);
+    const sizeZ = view.getUint16(9, true);
+    const voxels = new Uint8Array(sizeX * sizeY * sizeZ);
+
+    let offset = HEADER_SIZE;
+    let i = 0;
+    while (offset < bytes.length) {
+        let run = 0;
+        let shift = 0;
+        let byte;
+        do {
+            if (offset >= bytes.length) throw new Error('Truncated chunk data');
+            byte = bytes[offset++];
+            run += (byte & 0x7F) * 2 ** shift;
+            shift += 7;
+        } while (byte & 0x80);
+        if (offset >= bytes.length) throw new Error('Truncated chunk data');
+        const type = bytes[offset++];
+        if (i + run > voxels.length) throw new Error('Chunk data overflows its size');
+        voxels.fill(type, i, i + run);
+        i += run;
+    }
+    if (i !== voxels.length) throw new Error('Chunk data is shorter than its size');
+
+    return { sizeX, sizeY, sizeZ, voxels };
+}
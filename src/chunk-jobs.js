@@ -0,0 +1,98 @@
+// The work a chunk worker does. Also called directly on the main thread when
+// workers aren't available (e.g. in Node), so it must stay DOM-free.
+import { BLOCK, blocks } from './blocks.js';
+import { SECTION_SIZE } from './constants.js';
+import { createGenerator } from './generator.js';
+import { greedyMesh } from './mesher.js';
+import { MAX_LIGHT, computeChunkLight } from './lighting.js';
+import { getFaceConnections } from './occlusion.js';
+
+// Meshing needs a one-block border of the neighbouring sections, diagonal ones
+// included (ambient occlusion looks around corners). Padded volumes are PADDED_SIZE
+// cubed, index = ((y + 1) * PADDED_SIZE + z + 1) * PADDED_SIZE + x + 1.
+export const PADDED_SIZE = SECTION_SIZE + 2;
+
+// Copies a section's voxels and light plus the border around it into padded volumes.
+// getSection(dx, dy, dz) returns the Section (see section.js) for the section (0, 0, 0)
+// and its neighbours (-1..1), or null for a missing one: that side counts as sunlit air.
+export function padSection(getSection) {
+    const voxels = new Uint8Array(PADDED_SIZE * PADDED_SIZE * PADDED_SIZE).fill(BLOCK.AIR);
+    const light = new Uint8Array(voxels.length).fill(MAX_LIGHT << 4);
+    // The part of the padded volume a neighbour covers, in its local coordinates
+    const from = (d) => d < 0 ? SECTION_SIZE - 1 : 0;
+    const to = (d) => d > 0 ? 0 : SECTION_SIZE - 1;
+    for (let dy = -1; dy <= 1; dy++) {
+        for (let dz = -1; dz <= 1; dz++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const section = getSection(dx, dy, dz);
+                if (!section) continue;
+                for (let y = from(dy); y <= to(dy); y++) {
+                    const paddedY = y + dy * SECTION_SIZE + 1;
+                    for (let z = from(dz); z <= to(dz); z++) {
+                        const paddedZ = z + dz * SECTION_SIZE + 1;
+                        for (let x = from(dx); x <= to(dx); x++) {
+                            const index = y * (SECTION_SIZE * SECTION_SIZE) + z * SECTION_SIZE + x;
+                            const padded = (paddedY * PADDED_SIZE + paddedZ) * PADDED_SIZE + x + dx * SECTION_SIZE + 1;
+                            voxels[padded] = section.getBlock(index);
+                            light[padded] = section.getLight(index);
+                        }
+                    }
+                }
+            }
+        }
+    }
+    return { voxels, light };
+}
+
+// voxels and light: padded volumes from padSection. Returns the mesher's
+// { opaque, translucent } and the section's face connections for cave culling.
+export function meshSection(voxels, light) {
+    const indexOf = (x, y, z) => ((y + 1) * PADDED_SIZE + z + 1) * PADDED_SIZE + x + 1;
+    const getBlock = (x, y, z) => voxels[indexOf(x, y, z)];
+    const getLight = (x, y, z) => light[indexOf(x, y, z)];
+    return {
+        ...greedyMesh(SECTION_SIZE, SECTION_SIZE, SECTION_SIZE, getBlock, getLight),
+        connections: getFaceConnections(SECTION_SIZE, (x, y, z) => blocks.isOpaque(getBlock(x, y, z))),
+    };
+}
+
+// Generators are cached per seed and pipeline, workers generate many chunks with the same one
+const generators = new Map();
+function getGenerator(seed, pipeline) {
+    const key = `${seed}:${JSON.stringify(pipeline)}`;
+    let generator = generators.get(key);
+    if (!generator) {
+        generator = createGenerator(seed, pipeline);
+        generators.set(key, generator);
+    }
+    return generator;
+}
+
+// Runs one job message and returns { result, transfer } so the caller can hand
+// the typed array buffers over without copying.
+export function runChunkJob(job) {
+    switch (job.type) {
+        case 'generate': {
+            const voxels = getGenerator(job.seed, job.pipeline).generateChunk(job.chunkX, job.chunkZ);
+            return { result: voxels, transfer: [voxels.buffer] };
+        }
+        case 'mesh': {
+            const mesh = meshSection(job.voxels, job.light);
+            return {
+                result: mesh,
+                transfer: [mesh.opaque, mesh.translucent].flatMap(part => [part.positions.buffer, part.normals.buffer,
+                    part.colors.buffer, part.uvs.buffer, part.tiles.buffer, part.indices.buffer]),
+            };
+        }
+        case 'light': {
+            const light = computeChunkLight(job.voxels);
+            return { result: light, transfer: [light.buffer] };
+        }
+        case 'registerBlocks': {
+            blocks.registerAll(job.definitions);
+            return { result: null, transfer: [] };
+        }
+        default:
+            throw new Error(`Unknown chunk job type: ${job.type}`);
+    }
+}
@@ -0,0 +1,84 @@
+// The material shared by all chunk meshes: Lambert shading with the block atlas.
+// Chunk geometry carries uvs in blocks and a tile index per vertex (see mesher.js);
+// the patched shader repeats the tile once per block inside merged quads.
+import * as THREE from 'three';
+
+// atlas: result of buildAtlas (texture-atlas.js), mip levels included
+export function createAtlasTexture(atlas) {
+    const levels = atlas.levels.map(({ width, height, data }) => ({
+        width, height, data: new Uint8Array(data.buffer, data.byteOffset, data.byteLength),
+    }));
+    const texture = new THREE.DataTexture(levels[0].data, atlas.width, atlas.height, THREE.RGBAFormat);
+    texture.mipmaps = levels; // Our own chain, it stops before cells start mixing
+    texture.generateMipmaps = false;
+    texture.magFilter = THREE.NearestFilter; // Crisp pixels up close
+    texture.minFilter = THREE.NearestMipmapLinearFilter; // No shimmering in the distance
+    texture.colorSpace = THREE.SRGBColorSpace;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+// One texture per atlas, shared by the opaque and the translucent material
+const atlasTextures = new WeakMap();
+function getAtlasTexture(atlas) {
+    if (!atlasTextures.has(atlas)) atlasTextures.set(atlas, createAtlasTexture(atlas));
+    return atlasTextures.get(atlas);
+}
+
+// translucent: for the translucent pass (water), see-through and visible from
+// behind, so the surface shows from under water too
+export function createChunkMaterial(atlas, { translucent = false } = {}) {
+    const material = new THREE.MeshLambertMaterial(translucent ? {
+        vertexColors: true,
+        map: getAtlasTexture(atlas),
+        transparent: true,
+        opacity: 0.7,
+        depthWrite: false, // Doesn't hide what's behind it, even when drawn first
+        side: THREE.DoubleSide,
+    } : {
+        vertexColors: true,
+        map: getAtlasTexture(atlas),
+        alphaTest: 0.5, // Cut-out tiles like glass
+    });
+
+    const uniforms = {
+        atlasSize: { value: new THREE.Vector2(atlas.width, atlas.height) },
+        atlasColumns: { value: atlas.columns },
+        tileSize: { value: atlas.tileSize },
+        cellSize: { value: atlas.cellSize },
+    };
+
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, uniforms);
+
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>
+                attribute float tile;
+                uniform vec2 atlasSize;
+                uniform float atlasColumns;
+                uniform float tileSize;
+                uniform float cellSize;
+                varying vec2 vTileOrigin;`)
+            .replace('#include <uv_vertex>', `#include <uv_vertex>
+                float tileIndex = floor(tile + 0.5);
+                vec2 cell = vec2(mod(tileIndex, atlasColumns), floor(tileIndex / atlasColumns));
+                vTileOrigin = (cell * cellSize + tileSize * 0.5) / atlasSize; // Tile sits in the middle of its cell`);
+
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>
+                uniform vec2 atlasSize;
+                uniform float tileSize;
+                varying vec2 vTileOrigin;`)
+            .replace('#include <map_fragment>', `
+                #ifdef USE_MAP
+                    // fract() repeats the tile per block; the gradients come from the
+                    // unwrapped uvs so the mip level doesn't jump at block edges
+                    vec2 tileScale = vec2(tileSize) / atlasSize;
+                    vec2 atlasUv = vTileOrigin + fract(vMapUv) * tileScale;
+                    vec4 sampledDiffuseColor = textureGrad(map, atlasUv, dFdx(vMapUv) * tileScale, dFdy(vMapUv) * tileScale);
+                    diffuseColor *= sampledDiffuseColor;
+                #endif`);
+    };
+    material.customProgramCacheKey = () => translucent ? 'voxel-chunk-translucent' : 'voxel-chunk';
+    return material;
+}
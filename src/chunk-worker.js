@@ -0,0 +1,16 @@
+// Module worker entry point, spawned by ChunkWorkerPool
+import { runChunkJob } from './chunk-jobs.js';
+
+self.onmessage = (event) => {
+    const { id, job } = event.data;
+    if (id === undefined) { // Broadcast, nobody waits for an answer
+        runChunkJob(job);
+        return;
+    }
+    try {
+        const { result, transfer } = runChunkJob(job);
+        self.postMessage({ id, result }, transfer);
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
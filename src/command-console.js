@@ -0,0 +1,111 @@
+// The / console: a text line over the game that runs commands from a
+// CommandRegistry (see commands.js), with their output above it. Tab
+// completes the word being typed (again for the next match), the up and
+// down arrows go through earlier lines, Escape or Enter on an empty line
+// closes it.
+
+const MAX_LOG_LINES = 100;
+const MAX_HISTORY = 50;
+
+export class CommandConsole {
+    // root: element with an <input> and a log element (.console-log), see index.html.
+    // onClose(resume) runs when the console closes, resume unless it was Escape: e.g. to lock the mouse again.
+    constructor(root, registry, { onClose = null } = {}) {
+        this.root = root;
+        this.registry = registry;
+        this.onClose = onClose;
+        this.input = root.querySelector('input');
+        this.log = root.querySelector('.console-log');
+        this.isOpen = false;
+        this.history = [];
+        this.historyIndex = 0; // history.length while typing a new line
+        this.completions = null; // Matches being cycled through with Tab
+        this.completionIndex = 0;
+
+        this.input.addEventListener('keydown', (event) => {
+            event.stopPropagation(); // Typing isn't playing: the game's keys stay as they were
+            this.onKeyDown(event);
+        });
+        this.input.addEventListener('input', () => { this.completions = null; });
+    }
+
+    open(text = '/') {
+        this.isOpen = true;
+        this.root.classList.add('open');
+        this.input.value = text;
+        this.historyIndex = this.history.length;
+        this.completions = null;
+        this.input.focus();
+    }
+
+    close(resume = true) {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+        this.root.classList.remove('open');
+        this.input.blur();
+        if (this.onClose) this.onClose(resume);
+    }
+
+    onKeyDown(event) {
+        if (event.key === 'Enter') {
+            const line = this.input.value.trim();
+            if (line === '' || line === '/') this.close();
+            else this.submit(line);
+        } else if (event.key === 'Escape') {
+            this.close(false);
+        } else if (event.key === 'Tab') {
+            event.preventDefault(); // Focus stays here
+            this.complete();
+        } else if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+            event.preventDefault(); // The cursor would jump to the start
+            this.browseHistory(event.key === 'ArrowUp' ? -1 : 1);
+        }
+    }
+
+    // Runs the line and prints what came of it
+    submit(line) {
+        if (this.history[this.history.length - 1] !== line) this.history.push(line);
+        if (this.history.length > MAX_HISTORY) this.history.shift();
+        this.historyIndex = this.history.length;
+        this.input.value = '/';
+        this.print(line, 'command');
+        try {
+            const message = this.registry.run(line);
+            if (message !== undefined && message !== null && message !== '') this.print(String(message));
+        } catch (error) {
+            this.print(error.message, 'error');
+        }
+    }
+
+    complete() {
+        if (!this.completions) {
+            this.completions = this.registry.complete(this.input.value);
+            this.completionIndex = 0;
+            if (this.completions.length > 1) this.print(this.completions.map(line => line.split(' ').pop()).join('  '));
+        } else {
+            this.completionIndex = (this.completionIndex + 1) % this.completions.length;
+        }
+        if (this.completions.length === 0) return;
+        const completion = this.completions[this.completionIndex];
+        this.input.value = this.completions.length === 1 ? completion + ' ' : completion;
+        if (this.completions.length === 1) this.completions = null; // Next Tab completes the next word
+    }
+
+    browseHistory(step) {
+        this.historyIndex = Math.max(0, Math.min(this.history.length, this.historyIndex + step));
+        this.input.value = this.history[this.historyIndex] ?? '/';
+        this.completions = null;
+    }
+
+    // kind: '' for output, 'command' for what was typed, 'error'
+    print(text, kind = '') {
+        for (const line of text.split('\n')) {
+            const element = this.root.ownerDocument.createElement('div');
+            element.textContent = line;
+            if (kind) element.className = kind;
+            this.log.appendChild(element);
+        }
+        while (this.log.childElementCount > MAX_LOG_LINES) this.log.firstElementChild.remove();
+        this.log.scrollTop = this.log.scrollHeight;
+    }
+}
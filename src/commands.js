@@ -0,0 +1,168 @@
+// Chat-style commands ("/tp 0 80 0"): a registry of commands with typed
+// arguments, the parser, and completions for the console. DOM-free; the
+// console overlay is command-console.js and the game's commands are in
+// game-commands.js. voxel-game.js hands the registry out as game.commands
+// for scripts: game.commands.run('/time set noon').
+//
+// A command is { name, description, args, run(args, context) }:
+//   args     [{ name, type, optional, choices }]: optional ones come last,
+//            choices limits a string to those words
+//   run      gets the parsed values by argument name and the registry's
+//            context, and returns a message for the console (or nothing).
+//            It throws an Error when it can't do what was asked.
+import { blocks as defaultBlocks } from './blocks.js';
+
+// Argument types: parse(token, context, arg) -> value (throws on bad input),
+// complete(context, arg) -> words to offer
+const ARGUMENT_TYPES = {
+    string: {
+        parse: (token) => token,
+        complete: () => [],
+    },
+    int: {
+        parse: (token) => {
+            if (!/^[-+]?\d+$/.test(token)) throw new Error(`"${token}" is not a whole number`);
+            return Number(token);
+        },
+        complete: () => [],
+    },
+    number: {
+        parse: (token) => parseNumber(token),
+        complete: () => [],
+    },
+    // A world coordinate, ~ for the player's own and ~5 for 5 from it. arg.axis: 0 x, 1 y, 2 z.
+    coordinate: {
+        parse: (token, context, arg) => {
+            if (!token.startsWith('~')) return parseNumber(token);
+            if (!context.position) throw new Error('~ needs a player position');
+            return context.position[arg.axis] + (token.length > 1 ? parseNumber(token.slice(1)) : 0);
+        },
+        complete: () => ['~'],
+    },
+    // A block name, parsed to its id
+    block: {
+        parse: (token, context) => {
+            const block = (context.blocks || defaultBlocks).getByName(token);
+            if (!block) throw new Error(`Unknown block "${token}"`);
+            return block.id;
+        },
+        complete: (context) => (context.blocks || defaultBlocks).all().map(block => block.name),
+    },
+};
+
+function parseNumber(token) {
+    const value = Number(token);
+    if (token === '' || !Number.isFinite(value)) throw new Error(`"${token}" is not a number`);
+    return value;
+}
+
+// "/tp  1 2 3" -> ['tp', '1', '2', '3']
+function tokenize(line) {
+    return line.trim().replace(/^\//, '').split(/\s+/).filter(Boolean);
+}
+
+export class CommandRegistry {
+    // getContext(): what commands run with, e.g. { position } of the player for ~ coordinates
+    constructor({ getContext = () => ({}) } = {}) {
+        this.getContext = getContext;
+        this.commands = new Map(); // Name -> command
+        this.types = {
+            ...ARGUMENT_TYPES,
+            command: { parse: (token) => this.require(token), complete: () => Array.from(this.commands.keys()) },
+        };
+        this.register({
+            name: 'help',
+            description: 'Lists the commands, or shows how to use one',
+            args: [{ name: 'command', type: 'command', optional: true }],
+            run: ({ command }) => {
+                const describe = (each) => this.getUsage(each) + (each.description ? `: ${each.description}` : '');
+                return command ? describe(command) : this.list().map(describe).join('\n');
+            },
+        });
+    }
+
+    register(command) {
+        if (!/^[a-z][a-z0-9_-]*$/.test(command.name)) throw new Error(`Invalid command name: ${command.name}`);
+        if (this.commands.has(command.name)) throw new Error(`Command "${command.name}" is already registered`);
+        const args = (command.args || []).map(arg => ({ type: 'string', optional: false, ...arg }));
+        for (const [index, arg] of args.entries()) {
+            if (!this.types[arg.type]) throw new Error(`Command "${command.name}" has an unknown argument type: ${arg.type}`);
+            if (!arg.optional && index > 0 && args[index - 1].optional) {
+                throw new Error(`Command "${command.name}": required argument ${arg.name} after an optional one`);
+            }
+        }
+        const registered = { description: '', ...command, args };
+        this.commands.set(command.name, registered);
+        return registered;
+    }
+
+    // type: { parse(token, context, arg), complete(context, arg) }, like ARGUMENT_TYPES
+    registerType(name, type) {
+        if (this.types[name]) throw new Error(`Argument type "${name}" is already registered`);
+        this.types[name] = type;
+    }
+
+    list() {
+        return Array.from(this.commands.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    require(name) {
+        const command = this.commands.get(name);
+        if (!command) throw new Error(`Unknown command "${name}", try /help`);
+        return command;
+    }
+
+    // "/tp <x> <y> <z>", optional arguments in brackets, choices spelled out
+    getUsage(command) {
+        const args = command.args.map(arg => {
+            const label = arg.choices ? arg.choices.join('|') : arg.name;
+            return arg.optional ? `[${label}]` : `<${label}>`;
+        });
+        return ['/' + command.name, ...args].join(' ');
+    }
+
+    // Runs a command line, with or without the slash. Returns the command's message, throws its errors
+    // and those of the arguments.
+    run(line) {
+        const [name, ...tokens] = tokenize(line);
+        if (!name) throw new Error('Type a command, try /help');
+        const command = this.require(name);
+        const context = this.getContext();
+        const usage = `usage: ${this.getUsage(command)}`;
+        if (tokens.length > command.args.length) throw new Error(`Too many arguments, ${usage}`);
+
+        const values = {};
+        command.args.forEach((arg, index) => {
+            const token = tokens[index];
+            if (token === undefined) {
+                if (!arg.optional) throw new Error(`Missing ${arg.name}, ${usage}`);
+                return;
+            }
+            if (arg.choices && !arg.choices.includes(token)) throw new Error(`${arg.name} must be one of ${arg.choices.join(', ')}`);
+            try {
+                values[arg.name] = this.types[arg.type].parse(token, context, arg);
+            } catch (error) {
+                throw new Error(`${error.message} (${arg.name}), ${usage}`);
+            }
+        });
+        return command.run(values, context);
+    }
+
+    // Ways to finish the last word of a partly typed line, as whole lines, for Tab in the console
+    complete(line) {
+        const tokens = tokenize(line);
+        if (tokens.length === 0 || /\s$/.test(line)) tokens.push(''); // Starting a new word
+        const prefix = tokens[tokens.length - 1];
+        let words;
+        if (tokens.length === 1) {
+            words = Array.from(this.commands.keys());
+        } else {
+            const command = this.commands.get(tokens[0]);
+            const arg = command && command.args[tokens.length - 2];
+            if (!arg) return [];
+            words = arg.choices || this.types[arg.type].complete(this.getContext(), arg);
+        }
+        const start = '/' + tokens.slice(0, -1).map(token => token + ' ').join('');
+        return words.filter(word => word.startsWith(prefix)).sort().map(word => start + word);
+    }
+}
@@ -0,0 +1,24 @@
+// Shared between the main thread and the chunk workers
+export const CHUNK_SIZE = 16; // Width/Depth in blocks
+
+// The world's vertical range, blocks from WORLD_MIN_Y up to (not including)
+// WORLD_MAX_Y. Both must be multiples of SECTION_SIZE; changing them changes
+// where existing saves have their blocks.
+export const WORLD_MIN_Y = -64;
+export const WORLD_HEIGHT = 256;
+export const WORLD_MAX_Y = WORLD_MIN_Y + WORLD_HEIGHT;
+
+// Chunks are columns of SECTION_SIZE cubed sections (see section.js), stored,
+// saved and meshed one by one
+export const SECTION_SIZE = CHUNK_SIZE;
+export const SECTION_VOLUME = SECTION_SIZE * SECTION_SIZE * SECTION_SIZE;
+export const SECTIONS_PER_CHUNK = WORLD_HEIGHT / SECTION_SIZE;
+export const MIN_SECTION_Y = WORLD_MIN_Y / SECTION_SIZE;
+
+// A whole column as one flat array, only while it is generated and lit: faster access, harder indexing.
+// Index = (y - WORLD_MIN_Y) * CHUNK_SIZE * CHUNK_SIZE + z * CHUNK_SIZE + x, so each section is one contiguous slice
+export const CHUNK_VOLUME = CHUNK_SIZE * WORLD_HEIGHT * CHUNK_SIZE;
+
+// Simulation ticks per second: player physics, block ticks and the world clock
+// advance in ticks of 1 / TICK_RATE seconds, rendering interpolates in between
+export const TICK_RATE = 20;
@@ -0,0 +1,84 @@
+// World clock for the day/night cycle. Time of day runs from 0 to 1:
+// 0 midnight, 0.25 sunrise, 0.5 noon, 0.75 sunset. Only numbers come out of
+// here, voxel-game.js applies them to the lights, the sky and the fog.
+
+export const DAY_LENGTH = 1200; // Seconds for a full day
+export const DEFAULT_TIME = 0.3; // New worlds start in the morning
+
+// Sky color (0xRRGGBB) and light intensities through the day, interpolated in between.
+// light is the directional light: the sun by day, the moon by night.
+const SKY_KEYFRAMES = [
+    { time: 0, sky: 0x0A0F24, ambient: 0.2, light: 0.15 }, // Night
+    { time: 0.21, sky: 0x0A0F24, ambient: 0.2, light: 0.15 },
+    { time: 0.25, sky: 0xE89A6C, ambient: 0.4, light: 0.3 }, // Dawn
+    { time: 0.31, sky: 0x87CEEB, ambient: 0.7, light: 0.8 }, // Day
+    { time: 0.69, sky: 0x87CEEB, ambient: 0.7, light: 0.8 },
+    { time: 0.75, sky: 0xE8764C, ambient: 0.4, light: 0.3 }, // Dusk
+    { time: 0.79, sky: 0x0A0F24, ambient: 0.2, light: 0.15 }, // Night
+    { time: 1, sky: 0x0A0F24, ambient: 0.2, light: 0.15 },
+];
+
+const SUN_TILT = 0.35; // The arc leans towards +z so noon light isn't straight down
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+function lerpColor(a, b, t) {
+    let color = 0;
+    for (let shift = 16; shift >= 0; shift -= 8) {
+        color |= Math.round(lerp((a >> shift) & 255, (b >> shift) & 255, t)) << shift;
+    }
+    return color;
+}
+
+export class WorldClock {
+    constructor(time = DEFAULT_TIME, { dayLength = DAY_LENGTH, frozen = false } = {}) {
+        this.dayLength = dayLength;
+        this.frozen = frozen; // For testing: the time only changes through setTime
+        this.setTime(time);
+    }
+
+    advance(seconds) {
+        if (!this.frozen) this.setTime(this.time + seconds / this.dayLength);
+    }
+
+    setTime(time) {
+        this.time = ((time % 1) + 1) % 1;
+    }
+
+    // Unit vector pointing at the sun. It rises in the east (+x) and sets in the west.
+    getSunDirection() {
+        const angle = (this.time - 0.25) * Math.PI * 2;
+        const x = Math.cos(angle), y = Math.sin(angle);
+        const length = Math.hypot(x, y, SUN_TILT);
+        return [x / length, y / length, SUN_TILT / length];
+    }
+
+    isDay() {
+        return this.time >= 0.25 && this.time < 0.75;
+    }
+
+    // { skyColor, ambientIntensity, lightIntensity } for the current time
+    getSkyState() {
+        const next = SKY_KEYFRAMES.findIndex(frame => frame.time > this.time);
+        const to = SKY_KEYFRAMES[next];
+        const from = SKY_KEYFRAMES[next - 1];
+        const t = (this.time - from.time) / (to.time - from.time);
+        return {
+            skyColor: lerpColor(from.sky, to.sky, t),
+            ambientIntensity: lerp(from.ambient, to.ambient, t),
+            lightIntensity: lerp(from.light, to.light, t),
+        };
+    }
+
+    // What the save keeps, see WorldSave.saveClock
+    getState() {
+        return { time: this.time, frozen: this.frozen };
+    }
+
+    applyState(state) {
+        this.setTime(state.time);
+        this.frozen = !!state.frozen;
+    }
+}
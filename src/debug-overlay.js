@@ -0,0 +1,39 @@
+// F3 overlay: frame rate and whatever the game wants to show about the world,
+// as lines of text in the corner. It counts every frame even while hidden and
+// only rewrites the text a few times a second, so reading it doesn't cost
+// much.
+
+const REFRESH_INTERVAL = 0.25; // Seconds between redraws, also what the frame rate is averaged over
+
+export class DebugOverlay {
+    // element: where the text goes, shown with the class 'open' (see index.html)
+    constructor(element) {
+        this.element = element;
+        this.isOpen = false;
+        this.frames = 0;
+        this.elapsed = 0;
+        this.slowestFrame = 0;
+    }
+
+    toggle() {
+        this.isOpen = !this.isOpen;
+        this.element.classList.toggle('open', this.isOpen);
+        this.elapsed = REFRESH_INTERVAL; // Filled in on the next frame
+    }
+
+    // Every frame. getLines() returns the lines below the frame rate, only called when redrawing.
+    update(deltaTime, getLines) {
+        this.frames++;
+        this.elapsed += deltaTime;
+        this.slowestFrame = Math.max(this.slowestFrame, deltaTime);
+        if (this.elapsed < REFRESH_INTERVAL) return;
+        if (this.isOpen) {
+            const fps = this.frames / this.elapsed;
+            const frameTime = `${(this.elapsed / this.frames * 1000).toFixed(1)} ms, slowest ${(this.slowestFrame * 1000).toFixed(1)} ms`;
+            this.element.textContent = [`${fps.toFixed(0)} fps (${frameTime})`, ...getLines()].join('\n');
+        }
+        this.frames = 0;
+        this.elapsed = 0;
+        this.slowestFrame = 0;
+    }
+}
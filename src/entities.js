@@ -0,0 +1,117 @@
+// Entity component system for everything that moves besides the player. An
+// entity is just an id; its data lives in components, plain objects stored per
+// component name, and systems are functions that run over every entity with
+// the components they need. DOM- and three.js-free, voxel-game.js draws them.
+//
+// Components used so far:
+//   position   [x, y, z], the middle of the bottom of the box
+//   velocity   [x, y, z] in blocks per second
+//   aabb       { width, height, stepHeight, onGround, inLiquid }, the collision box
+//   health     { current, max, hurtTicks }
+//   model      { type, yaw, previousPosition }, what is drawn (see MOB_TYPES in mobs.js)
+//   mob        { type }, plus wander for the AI, see mobs.js
+import { FIXED_TIMESTEP, PhysicsBody } from './physics.js';
+
+export class EntityManager {
+    constructor() {
+        this.nextId = 1;
+        this.ids = new Set();
+        this.components = new Map(); // Component name -> Map(entity id -> data)
+    }
+
+    get count() {
+        return this.ids.size;
+    }
+
+    // components: { name: data }
+    create(components = {}) {
+        const id = this.nextId++;
+        this.ids.add(id);
+        for (const [name, data] of Object.entries(components)) this.add(id, name, data);
+        return id;
+    }
+
+    destroy(id) {
+        if (!this.ids.delete(id)) return;
+        for (const store of this.components.values()) store.delete(id);
+    }
+
+    exists(id) {
+        return this.ids.has(id);
+    }
+
+    add(id, name, data) {
+        if (!this.ids.has(id)) throw new Error(`No entity ${id}`);
+        if (!this.components.has(name)) this.components.set(name, new Map());
+        this.components.get(name).set(id, data);
+        return data;
+    }
+
+    remove(id, name) {
+        const store = this.components.get(name);
+        if (store) store.delete(id);
+    }
+
+    get(id, name) {
+        const store = this.components.get(name);
+        return store ? store.get(id) : undefined;
+    }
+
+    has(id, name) {
+        const store = this.components.get(name);
+        return !!store && store.has(id);
+    }
+
+    // Ids of the entities that have all the named components. A snapshot, so
+    // systems can destroy entities while going through it.
+    query(...names) {
+        const stores = names.map(name => this.components.get(name));
+        if (stores.some(store => !store)) return [];
+        stores.sort((a, b) => a.size - b.size); // Walk the smallest
+        const [first, ...rest] = stores;
+        const ids = [];
+        for (const id of first.keys()) {
+            if (rest.every(store => store.has(id))) ids.push(id);
+        }
+        return ids;
+    }
+}
+
+// --- Systems ---
+
+// Moves every entity with position, velocity and aabb through the voxel world
+// with the same collision as the player (PhysicsBody, see physics.js).
+// world is the physics world; skip(id) can hold entities still, e.g. in chunks that aren't loaded.
+const body = new PhysicsBody({ width: 1, height: 1 });
+export function updatePhysics(entities, world, skip = () => false, dt = FIXED_TIMESTEP) {
+    for (const id of entities.query('position', 'velocity', 'aabb')) {
+        if (skip(id)) continue;
+        const aabb = entities.get(id, 'aabb');
+        // The body works on the component arrays in place
+        body.width = aabb.width;
+        body.height = aabb.height;
+        body.stepHeight = aabb.stepHeight;
+        body.position = entities.get(id, 'position');
+        body.velocity = entities.get(id, 'velocity');
+        body.onGround = aabb.onGround;
+        body.step(dt, world);
+        aabb.onGround = body.onGround;
+        aabb.inLiquid = body.inLiquid;
+    }
+}
+
+// Counts down the red flash after a hit
+export function updateHealth(entities) {
+    for (const id of entities.query('health')) {
+        const health = entities.get(id, 'health');
+        if (health.hurtTicks > 0) health.hurtTicks--;
+    }
+}
+
+// The box of an entity with position and aabb, as { min, max } like PhysicsBody.getBox
+export function getEntityBox(entities, id) {
+    const [x, y, z] = entities.get(id, 'position');
+    const { width, height } = entities.get(id, 'aabb');
+    const half = width / 2;
+    return { min: [x - half, y, z - half], max: [x + half, y + height, z + half] };
+}
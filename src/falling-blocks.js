@@ -0,0 +1,72 @@
+// Blocks with gravity (sand, gravel, see blocks.js) leave the voxel grid
+// while they drop: each is a PhysicsBody simulated once per tick, drawn between
+// cells by voxel-game.js, and put back into the grid where it lands.
+//
+// The world is the physics world (see physics.js) plus
+//   getBlock(x, y, z), setBlock(x, y, z, id)
+import { blocks } from './blocks.js';
+import { WORLD_MIN_Y } from './constants.js';
+import { FIXED_TIMESTEP, PhysicsBody } from './physics.js';
+
+const FALLING_BLOCK_SIZE = 0.98; // A bit smaller than a cell so it drops past the blocks beside it
+const MAX_FALL_TICKS = 20 * 60; // Blocks that somehow never land are dropped after this
+
+export class FallingBlocks {
+    // onSpawn(fallingBlock) and onRemove(fallingBlock) are for drawing them
+    constructor({ onSpawn = null, onRemove = null } = {}) {
+        this.fallingBlocks = new Set(); // { blockType, body, previousPosition, ticks }
+        this.onSpawn = onSpawn;
+        this.onRemove = onRemove;
+    }
+
+    get count() {
+        return this.fallingBlocks.size;
+    }
+
+    // Starts a block of blockType falling from the cell (x, y, z), which the caller has emptied
+    spawn(x, y, z, blockType) {
+        const body = new PhysicsBody({ width: FALLING_BLOCK_SIZE, height: FALLING_BLOCK_SIZE, position: [x + 0.5, y, z + 0.5] });
+        const fallingBlock = { blockType, body, previousPosition: body.position.slice(), ticks: 0 };
+        this.fallingBlocks.add(fallingBlock);
+        if (this.onSpawn) this.onSpawn(fallingBlock);
+        return fallingBlock;
+    }
+
+    tick(world) {
+        for (const fallingBlock of this.fallingBlocks) {
+            const { body } = fallingBlock;
+            fallingBlock.previousPosition = body.position.slice();
+            body.step(FIXED_TIMESTEP, world);
+            fallingBlock.ticks++;
+            if (body.onGround) {
+                this.land(fallingBlock, world);
+            } else if (body.position[1] < WORLD_MIN_Y || fallingBlock.ticks > MAX_FALL_TICKS) {
+                this.remove(fallingBlock); // Out of the world
+            }
+        }
+    }
+
+    // Back into the grid, replacing whatever it can fall through (air, water).
+    // Landing in a cell that filled up in the meantime destroys it.
+    land(fallingBlock, world) {
+        const [x, y, z] = fallingBlock.body.position;
+        const cellX = Math.floor(x), cellY = Math.round(y), cellZ = Math.floor(z);
+        if (!blocks.isSolid(world.getBlock(cellX, cellY, cellZ))) world.setBlock(cellX, cellY, cellZ, fallingBlock.blockType);
+        this.remove(fallingBlock);
+    }
+
+    remove(fallingBlock) {
+        this.fallingBlocks.delete(fallingBlock);
+        if (this.onRemove) this.onRemove(fallingBlock);
+    }
+
+    // Puts every falling block straight where it would land, e.g. before saving
+    landAll(world) {
+        for (const fallingBlock of this.fallingBlocks) {
+            const { body } = fallingBlock;
+            while (!body.onGround && body.position[1] >= WORLD_MIN_Y) body.move(0, -1, 0, world);
+            if (body.onGround) this.land(fallingBlock, world);
+            else this.remove(fallingBlock);
+        }
+    }
+}
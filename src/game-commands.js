@@ -0,0 +1,146 @@
+// The game's / commands (/tp, /setblock, /fill, /time, ...) on a
+// CommandRegistry, see commands.js. DOM-free: the commands reach the game
+// only through the object handed to createGameCommands, so they run the same
+// in the browser (voxel-game.js) and in tests.
+//
+// The game object:
+//   world, regionEditor, worldClock, playerController
+//   seed, multiplayer, creative     read when a command runs
+//   teleport(position)              moves the player, feet at position
+//   editBlock(x, y, z, id)          sets a block (and sends it to the server)
+//   setCreative(creative)
+//   setOcclusionCulling(on)
+import { blocks } from './blocks.js';
+import { CommandRegistry } from './commands.js';
+import { WORLD_MAX_Y, WORLD_MIN_Y } from './constants.js';
+
+// Times of day by name, see day-cycle.js
+export const NAMED_TIMES = { midnight: 0, sunrise: 0.25, day: 0.3, noon: 0.5, sunset: 0.75, night: 0.8 };
+
+const coordinateArgs = (...names) => names.map((name, index) => ({ name, type: 'coordinate', axis: index % 3 }));
+
+function requireSinglePlayer(game) {
+    if (game.multiplayer) throw new Error('Only in single player, the server owns this world');
+}
+
+function requireCreative(game, what) {
+    if (!game.creative) throw new Error(`${what} needs creative mode, see /gamemode`);
+}
+
+// Fill, paste, undo and friends: creative single player only, a server would have to check every block of an edit
+export function canEditRegions(game) {
+    return game.creative && !game.multiplayer;
+}
+
+export function requireRegionEditing(game) {
+    if (game.multiplayer) throw new Error('Region editing is single player only');
+    if (!game.creative) throw new Error('Region editing needs creative mode (G)');
+}
+
+// Typed in the / console or run from scripts: game.commands.run('/tp ~ 100 ~').
+// Coordinates are blocks, ~ is relative to the player's feet.
+export function createGameCommands(game) {
+    const commands = new CommandRegistry({ getContext: () => ({ position: game.playerController.body.position }) });
+
+    commands.registerType('time', {
+        parse: (token) => {
+            if (Object.hasOwn(NAMED_TIMES, token)) return NAMED_TIMES[token];
+            const time = Number(token);
+            if (!Number.isFinite(time)) throw new Error(`"${token}" is not a time: 0..1 or ${Object.keys(NAMED_TIMES).join(', ')}`);
+            return time;
+        },
+        complete: () => Object.keys(NAMED_TIMES),
+    });
+
+    commands.register({
+        name: 'tp',
+        description: 'Moves the player, feet at x y z',
+        args: coordinateArgs('x', 'y', 'z'),
+        run: ({ x, y, z }) => {
+            requireSinglePlayer(game); // The server would put the player back
+            game.teleport([x, y, z]);
+            return `Teleported to ${x.toFixed(1)} ${y.toFixed(1)} ${z.toFixed(1)}`;
+        },
+    });
+
+    commands.register({
+        name: 'setblock',
+        description: 'Sets one block, creative mode only',
+        args: [...coordinateArgs('x', 'y', 'z'), { name: 'block', type: 'block' }],
+        run: ({ x, y, z, block }) => {
+            requireCreative(game, '/setblock'); // Survival places from the inventory
+            [x, y, z] = [x, y, z].map(Math.floor);
+            if (!game.world.isChunkReadyAt(x, z)) throw new Error(`${x} ${y} ${z} isn't loaded`);
+            if (y < WORLD_MIN_Y || y >= WORLD_MAX_Y) throw new Error(`${y} is outside the world (${WORLD_MIN_Y} to ${WORLD_MAX_Y - 1})`);
+            game.editBlock(x, y, z, block);
+            return `Set ${x} ${y} ${z} to ${blocks.get(block).name}`;
+        },
+    });
+
+    commands.register({
+        name: 'fill',
+        description: 'Fills a box (and selects it for game.region), only replacing the last block if given; undo with Ctrl+Z',
+        args: [...coordinateArgs('x1', 'y1', 'z1', 'x2', 'y2', 'z2'), { name: 'block', type: 'block' }, { name: 'replace', type: 'block', optional: true }],
+        run: ({ x1, y1, z1, x2, y2, z2, block, replace }) => {
+            requireRegionEditing(game);
+            game.regionEditor.setCorner(0, [x1, y1, z1]);
+            game.regionEditor.setCorner(1, [x2, y2, z2]);
+            const count = replace === undefined ? game.regionEditor.fill(block) : game.regionEditor.replace(replace, block);
+            return `Changed ${count} blocks`;
+        },
+    });
+
+    commands.register({
+        name: 'seed',
+        description: "Shows the world's seed",
+        run: () => `Seed: ${game.seed}`,
+    });
+
+    commands.register({
+        name: 'time',
+        description: 'Sets, advances or shows the time of day (0 midnight, 0.5 noon)',
+        args: [{ name: 'action', choices: ['set', 'add', 'query'] }, { name: 'time', type: 'time', optional: true }],
+        run: ({ action, time }) => {
+            const clock = game.worldClock;
+            if (action !== 'query') {
+                if (time === undefined) throw new Error(`/time ${action} needs a time`);
+                clock.setTime(action === 'set' ? time : clock.time + time);
+            }
+            return `Time: ${clock.time.toFixed(3)}${clock.frozen ? ' (frozen)' : ''}`;
+        },
+    });
+
+    commands.register({
+        name: 'fly',
+        description: 'Starts or stops flying, creative mode only',
+        run: () => {
+            requireCreative(game, 'Flying');
+            game.playerController.flying = !game.playerController.flying;
+            return game.playerController.flying ? 'Flying' : 'Not flying';
+        },
+    });
+
+    commands.register({
+        name: 'culling',
+        description: 'Turns cave culling on or off, the view frustum always culls (see F3)',
+        args: [{ name: 'state', choices: ['on', 'off'] }],
+        run: ({ state }) => {
+            game.setOcclusionCulling(state === 'on');
+            return `Occlusion culling ${state}`;
+        },
+    });
+
+    commands.register({
+        name: 'gamemode',
+        description: 'Switches between creative and survival (like G)',
+        args: [{ name: 'mode', choices: ['creative', 'survival'] }],
+        run: ({ mode }) => {
+            requireSinglePlayer(game);
+            game.setCreative(mode === 'creative');
+            if (!game.creative) game.playerController.flying = false;
+            return `Game mode: ${mode}`;
+        },
+    });
+
+    return commands;
+}
@@ -0,0 +1,319 @@
+// Seeded world generation as a pipeline of stages. Each stage reads and writes the
+// chunk's voxel buffer in order; the pipeline is plain data (see DEFAULT_PIPELINE)
+// so it can be posted to the chunk workers unchanged.
+//
+// Everything random comes from the world seed, either through seeded noise (a
+// function of world coordinates) or through a PRNG seeded from the seed, the chunk
+// coordinates and the stage index. The same seed and chunk coordinates therefore
+// always produce byte-identical voxels, whichever worker generates them.
+import { BLOCK } from './blocks.js';
+import { CHUNK_SIZE, CHUNK_VOLUME, WORLD_MAX_Y, WORLD_MIN_Y } from './constants.js';
+import { createNoise2D, createNoise3D, createRandom, hashSeed } from './noise.js';
+import { BIOME_LIST } from './biomes.js';
+
+export const DEFAULT_PIPELINE = [
+    { type: 'biomes', climateScale: 0.0025, scale: 0.01, octaves: 4, persistence: 0.5, lacunarity: 2, blend: 0.12 },
+    { type: 'water', level: 20, beachHeight: 1 },
+    { type: 'caves', scale: 0.06, verticalScale: 0.09, threshold: 0.55, minY: WORLD_MIN_Y + 2 },
+    { type: 'ores', veins: [
+        { block: 'COAL_ORE', perChunk: 20, size: 8, minY: -16, maxY: 44 },
+        { block: 'IRON_ORE', perChunk: 16, size: 5, minY: WORLD_MIN_Y + 2, maxY: 28 },
+    ] },
+    { type: 'trees', chance: 0.012, minTrunk: 4, maxTrunk: 6 },
+];
+
+// Local x and z, world y, see CHUNK_VOLUME in constants.js
+const index = (x, y, z) => (y - WORLD_MIN_Y) * (CHUNK_SIZE * CHUNK_SIZE) + z * CHUNK_SIZE + x;
+
+// Fractal (multi-octave) noise, normalized back to about -1..1
+function createFbm(noise2D, { scale, octaves, persistence = 0.5, lacunarity = 2 }) {
+    let normalization = 0;
+    for (let o = 0, a = 1; o < octaves; o++, a *= persistence) normalization += a;
+    return (x, z) => {
+        let value = 0;
+        let frequency = scale;
+        let amplitude = 1;
+        for (let o = 0; o < octaves; o++) {
+            value += noise2D(x * frequency, z * frequency) * amplitude;
+            frequency *= lacunarity;
+            amplitude *= persistence;
+        }
+        return value / normalization;
+    };
+}
+
+const clampHeight = (height) => Math.max(WORLD_MIN_Y + 1, Math.min(WORLD_MAX_Y - 1, Math.floor(height)));
+
+// --- Stages ---
+// A stage factory gets (options, seed, stageIndex, queries) and returns a function
+// run once per chunk with the generation context (see createGenerator).
+// Stages that can answer questions about any column without generating it
+// (heightAt, biomeAt, waterLevel) publish them on queries; they are copied onto
+// every chunk's context and exposed by the generator.
+
+// Multi-octave (fBm) heightmap: stone from the bottom of the world, then dirtDepth dirt, then grass on top.
+function heightmapStage({ scale, octaves, persistence, lacunarity, amplitude, baseHeight, dirtDepth }, seed, stageIndex, queries) {
+    const fbm = createFbm(createNoise2D(createRandom(hashSeed(seed, stageIndex))), { scale, octaves, persistence, lacunarity });
+    const heightAt = (worldX, worldZ) => clampHeight(baseHeight + fbm(worldX, worldZ) * amplitude);
+    queries.heightAt = heightAt;
+
+    return (ctx) => {
+        for (let z = 0; z < CHUNK_SIZE; z++) {
+            for (let x = 0; x < CHUNK_SIZE; x++) {
+                const height = heightAt(ctx.originX + x, ctx.originZ + z);
+                ctx.heightMap[z * CHUNK_SIZE + x] = height;
+                for (let y = WORLD_MIN_Y; y <= height; y++) {
+                    let type = BLOCK.GRASS;
+                    if (y < height - dirtDepth) type = BLOCK.STONE;
+                    else if (y < height) type = BLOCK.DIRT;
+                    ctx.voxels[index(x, y, z)] = type;
+                }
+            }
+        }
+    };
+}
+
+// Biome driven terrain. Temperature and humidity noise pick the biome of each
+// column (see biomes.js); every biome has its own height curve, surface and filler.
+// Heights are a weighted mix of the biomes whose climate is within `blend` of the
+// closest one, so borders slope instead of stepping.
+function biomesStage({ climateScale, scale, octaves, persistence, lacunarity, blend }, seed, stageIndex, queries) {
+    const climateOptions = { scale: climateScale, octaves: 2 };
+    const temperature = createFbm(createNoise2D(createRandom(hashSeed(seed, stageIndex, 1))), climateOptions);
+    const humidity = createFbm(createNoise2D(createRandom(hashSeed(seed, stageIndex, 2))), climateOptions);
+    const terrain = createFbm(createNoise2D(createRandom(hashSeed(seed, stageIndex, 3))), { scale, octaves, persistence, lacunarity });
+    const toUnit = (n) => Math.max(0, Math.min(1, 0.5 + n * 0.75)); // Noise rarely reaches +-1, stretch it a bit
+
+    const distances = new Float64Array(BIOME_LIST.length);
+    const sampleColumn = (worldX, worldZ) => {
+        const t = toUnit(temperature(worldX, worldZ));
+        const h = toUnit(humidity(worldX, worldZ));
+        let closest = 0;
+        for (let b = 0; b < BIOME_LIST.length; b++) {
+            const [bt, bh] = BIOME_LIST[b].climate;
+            distances[b] = Math.hypot(t - bt, h - bh);
+            if (distances[b] < distances[closest]) closest = b;
+        }
+
+        const n = terrain(worldX, worldZ);
+        let totalWeight = 0;
+        let height = 0;
+        for (let b = 0; b < BIOME_LIST.length; b++) {
+            const weight = Math.max(0, blend - (distances[b] - distances[closest])) ** 2;
+            if (weight === 0) continue;
+            const biome = BIOME_LIST[b];
+            height += (biome.baseHeight + biome.heightCurve(n) * biome.amplitude) * weight;
+            totalWeight += weight;
+        }
+        return { biome: BIOME_LIST[closest], height: clampHeight(height / totalWeight) };
+    };
+    queries.heightAt = (worldX, worldZ) => sampleColumn(worldX, worldZ).height;
+    queries.biomeAt = (worldX, worldZ) => sampleColumn(worldX, worldZ).biome;
+
+    return (ctx) => {
+        for (let z = 0; z < CHUNK_SIZE; z++) {
+            for (let x = 0; x < CHUNK_SIZE; x++) {
+                const { biome, height } = sampleColumn(ctx.originX + x, ctx.originZ + z);
+                ctx.heightMap[z * CHUNK_SIZE + x] = height;
+                ctx.biomeMap[z * CHUNK_SIZE + x] = biome.id;
+                for (let y = WORLD_MIN_Y; y <= height; y++) {
+                    let type = biome.surface;
+                    if (y < height - biome.fillerDepth) type = BLOCK.STONE;
+                    else if (y < height) type = biome.filler;
+                    ctx.voxels[index(x, y, z)] = type;
+                }
+            }
+        }
+    };
+}
+
+// Floods everything below the water level with water. Grass and snow under water
+// become dirt, and grass up to beachHeight above the water becomes sand.
+function waterStage({ level, beachHeight = 0 }, seed, stageIndex, queries) {
+    queries.waterLevel = level;
+    return (ctx) => {
+        for (let z = 0; z < CHUNK_SIZE; z++) {
+            for (let x = 0; x < CHUNK_SIZE; x++) {
+                const height = ctx.heightMap[z * CHUNK_SIZE + x];
+                const top = index(x, height, z);
+                if (height <= level + beachHeight && height >= level - 1 && ctx.voxels[top] === BLOCK.GRASS) {
+                    ctx.voxels[top] = BLOCK.SAND;
+                }
+                if (height >= level) continue;
+                if (ctx.voxels[top] === BLOCK.GRASS || ctx.voxels[top] === BLOCK.SNOW) ctx.voxels[top] = BLOCK.DIRT;
+                for (let y = height + 1; y <= level; y++) ctx.voxels[index(x, y, z)] = BLOCK.WATER;
+            }
+        }
+    };
+}
+
+// Carves caves where 3D noise exceeds the threshold. Columns under water keep a
+// few blocks of roof so oceans don't drain into caves.
+function cavesStage({ scale, verticalScale, threshold, minY }, seed, stageIndex) {
+    const noise3D = createNoise3D(createRandom(hashSeed(seed, stageIndex)));
+    return (ctx) => {
+        for (let z = 0; z < CHUNK_SIZE; z++) {
+            for (let x = 0; x < CHUNK_SIZE; x++) {
+                const height = ctx.heightMap[z * CHUNK_SIZE + x];
+                const underwater = ctx.waterLevel !== undefined && height < ctx.waterLevel;
+                const top = underwater ? height - 4 : height;
+                const worldX = ctx.originX + x;
+                const worldZ = ctx.originZ + z;
+                for (let y = minY; y <= top; y++) {
+                    if (noise3D(worldX * scale, y * verticalScale, worldZ * scale) > threshold) {
+                        ctx.voxels[index(x, y, z)] = BLOCK.AIR;
+                    }
+                }
+            }
+        }
+    };
+}
+
+// Random-walk ore veins that only replace stone. Veins are clipped at the chunk edge.
+function oresStage({ veins }) {
+    const resolved = veins.map(vein => {
+        const block = BLOCK[vein.block];
+        if (block === undefined) throw new Error(`Unknown ore block: ${vein.block}`);
+        return { ...vein, block };
+    });
+    return (ctx) => {
+        const random = ctx.random;
+        for (const { block, perChunk, size, minY, maxY } of resolved) {
+            for (let v = 0; v < perChunk; v++) {
+                let x = Math.floor(random() * CHUNK_SIZE);
+                let y = minY + Math.floor(random() * (maxY - minY + 1));
+                let z = Math.floor(random() * CHUNK_SIZE);
+                for (let s = 0; s < size; s++) {
+                    if (x >= 0 && x < CHUNK_SIZE && z >= 0 && z < CHUNK_SIZE && y >= WORLD_MIN_Y && y < WORLD_MAX_Y &&
+                        ctx.voxels[index(x, y, z)] === BLOCK.STONE) {
+                        ctx.voxels[index(x, y, z)] = block;
+                    }
+                    const step = Math.floor(random() * 6);
+                    if (step === 0) x++; else if (step === 1) x--;
+                    else if (step === 2) y++; else if (step === 3) y--;
+                    else if (step === 4) z++; else z--;
+                }
+            }
+        }
+    };
+}
+
+// Trees of WOOD and LEAVES above the water line, thinned or thickened by the
+// biome's treeDensity when there is a biomes stage. Canopies reach into
+// neighbouring chunks, so each chunk also replays the trees rooted in the chunks
+// around it (from their own seeds) and keeps the parts that fall inside.
+function treesStage({ chance, minTrunk, maxTrunk }, seed, stageIndex) {
+    const CANOPY_RADIUS = 2;
+    const MAX_TREE_DENSITY = Math.max(1, ...BIOME_LIST.map(biome => biome.treeDensity));
+
+    // Trees are decided from the column alone, so any chunk can ask about any column
+    const treesInChunk = (ctx, chunkX, chunkZ) => {
+        const random = createRandom(hashSeed(seed, stageIndex, chunkX, chunkZ));
+        const trees = [];
+        for (let z = 0; z < CHUNK_SIZE; z++) {
+            for (let x = 0; x < CHUNK_SIZE; x++) {
+                const roll = random();
+                const trunk = minTrunk + Math.floor(random() * (maxTrunk - minTrunk + 1));
+                const worldX = chunkX * CHUNK_SIZE + x;
+                const worldZ = chunkZ * CHUNK_SIZE + z;
+                if (roll >= chance * MAX_TREE_DENSITY) continue; // Cheap early out before sampling the biome
+                const density = ctx.biomeAt ? ctx.biomeAt(worldX, worldZ).treeDensity : 1;
+                if (roll >= chance * density) continue;
+                const ground = ctx.heightAt(worldX, worldZ);
+                if (ctx.waterLevel !== undefined && ground < ctx.waterLevel) continue;
+                if (ground + trunk + 2 >= WORLD_MAX_Y) continue;
+                trees.push({ worldX, worldZ, ground, trunk });
+            }
+        }
+        return trees;
+    };
+
+    return (ctx) => {
+        if (!ctx.heightAt) throw new Error('The trees stage needs a heightmap stage before it');
+        const set = (worldX, y, worldZ, type, onlyAir) => {
+            const x = worldX - ctx.originX;
+            const z = worldZ - ctx.originZ;
+            if (x < 0 || x >= CHUNK_SIZE || z < 0 || z >= CHUNK_SIZE || y < WORLD_MIN_Y || y >= WORLD_MAX_Y) return;
+            const i = index(x, y, z);
+            if (onlyAir && ctx.voxels[i] !== BLOCK.AIR) return;
+            ctx.voxels[i] = type;
+        };
+
+        for (let dz = -1; dz <= 1; dz++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                for (const { worldX, worldZ, ground, trunk } of treesInChunk(ctx, ctx.chunkX + dx, ctx.chunkZ + dz)) {
+                    // Skip trees that can't reach this chunk
+                    if (worldX < ctx.originX - CANOPY_RADIUS || worldX >= ctx.originX + CHUNK_SIZE + CANOPY_RADIUS ||
+                        worldZ < ctx.originZ - CANOPY_RADIUS || worldZ >= ctx.originZ + CHUNK_SIZE + CANOPY_RADIUS) continue;
+                    // Only the heightmap decides where trees go (not the voxels, which a
+                    // neighbouring chunk can't see), so every chunk agrees on them
+                    const top = ground + trunk;
+                    for (let y = top - 2; y <= top + 1; y++) {
+                        const radius = y > top - 1 ? 1 : CANOPY_RADIUS;
+                        for (let lz = -radius; lz <= radius; lz++) {
+                            for (let lx = -radius; lx <= radius; lx++) {
+                                if (Math.abs(lx) === radius && Math.abs(lz) === radius && radius > 1) continue; // Round the corners
+                                set(worldX + lx, y, worldZ + lz, BLOCK.LEAVES, true);
+                            }
+                        }
+                    }
+                    for (let y = ground + 1; y <= top; y++) set(worldX, y, worldZ, BLOCK.WOOD, false);
+                    set(worldX, ground, worldZ, BLOCK.DIRT, false); // No grass under the trunk
+                }
+            }
+        }
+    };
+}
+
+export const STAGE_TYPES = {
+    heightmap: heightmapStage,
+    biomes: biomesStage,
+    water: waterStage,
+    caves: cavesStage,
+    ores: oresStage,
+    trees: treesStage,
+};
+
+// Builds a generator for one seed. pipeline is a list of { type, ...options }
+// where type is a key of STAGE_TYPES; stages run in list order.
+export function createGenerator(seed, pipeline = DEFAULT_PIPELINE) {
+    seed >>>= 0;
+    const queries = { heightAt: null, biomeAt: null, waterLevel: undefined };
+    const stages = pipeline.map((config, stageIndex) => {
+        const factory = STAGE_TYPES[config.type];
+        if (!factory) throw new Error(`Unknown generator stage: ${config.type}`);
+        return factory(config, seed, stageIndex, queries);
+    });
+
+    return {
+        seed,
+        // Biome definition (see biomes.js) of a column, or null without a biomes stage
+        getBiomeAt(worldX, worldZ) {
+            return queries.biomeAt ? queries.biomeAt(Math.floor(worldX), Math.floor(worldZ)) : null;
+        },
+        // Generated surface height of a column, ignoring caves and decorations
+        getHeightAt(worldX, worldZ) {
+            return queries.heightAt ? queries.heightAt(Math.floor(worldX), Math.floor(worldZ)) : null;
+        },
+        // Returns a new voxel buffer for the whole column (see CHUNK_VOLUME)
+        generateChunk(chunkX, chunkZ) {
+            const ctx = {
+                seed,
+                chunkX,
+                chunkZ,
+                originX: chunkX * CHUNK_SIZE,
+                originZ: chunkZ * CHUNK_SIZE,
+                voxels: new Uint8Array(CHUNK_VOLUME).fill(BLOCK.AIR),
+                heightMap: new Int16Array(CHUNK_SIZE * CHUNK_SIZE), // Top solid y per column (z * CHUNK_SIZE + x)
+                biomeMap: new Uint8Array(CHUNK_SIZE * CHUNK_SIZE), // Biome id per column
+                ...queries,
+                random: null,
+            };
+            stages.forEach((stage, stageIndex) => {
+                ctx.random = createRandom(hashSeed(seed, stageIndex, chunkX, chunkZ));
+                stage(ctx);
+            });
+            return ctx.voxels;
+        },
+    };
+}
@@ -0,0 +1,241 @@
+// Keyboard, mouse and gamepad for the browser: which actions are held, looking
+// around while the pointer is locked, and the player's movement input for a
+// tick (see player-controller.js). What the actions do (breaking, the hotbar,
+// menus) is left to the callbacks.
+//
+// Actions are bound to inputs, any number each: key codes ('KeyW'), mouse
+// buttons ('Mouse0' left, 'Mouse2' right) and gamepad buttons ('Gamepad0', in
+// the standard mapping: 0 A, 1 B, 3 Y, 4/5 bumpers, 6/7 triggers, 9 start, 10
+// left stick). The gamepad's left stick walks and its right stick looks around,
+// it is read every frame in pollGamepad.
+//
+// Looking around works like three.js' PointerLockControls: yaw turns about the
+// vertical axis, pitch (-PI/2..PI/2) tilts up and down, in 'YXZ' order.
+import { createLogger } from './log.js';
+
+const log = createLogger('input');
+
+const LOOK_SPEED = 0.002; // Radians per pixel of mouse movement, times the sensitivity
+const GAMEPAD_LOOK_SPEED = 3; // Radians per second with the stick all the way, times the sensitivity
+const STICK_DEAD_ZONE = 0.15; // Sticks rarely rest at exactly 0
+const MAX_PITCH = Math.PI / 2;
+
+// Action -> inputs. The order is the settings menu's.
+export const DEFAULT_BINDINGS = {
+    forward: ['KeyW', 'ArrowUp'],
+    back: ['KeyS', 'ArrowDown'],
+    left: ['KeyA', 'ArrowLeft'],
+    right: ['KeyD', 'ArrowRight'],
+    jump: ['Space', 'Gamepad0'],
+    sneak: ['ShiftLeft', 'ShiftRight', 'Gamepad1'],
+    sprint: ['KeyR', 'Gamepad10'], // Not Ctrl: Ctrl+W would close the tab
+    attack: ['Mouse0', 'Gamepad7'], // Break blocks, hit mobs
+    use: ['Mouse2', 'Gamepad6'], // Place blocks, eat
+    hotbarNext: ['Gamepad5'], // And the mouse wheel
+    hotbarPrevious: ['Gamepad4'],
+    inventory: ['KeyE', 'Gamepad3'],
+    creative: ['KeyG'],
+    commands: ['Slash'],
+    debug: ['F3'],
+    regionCorner1: ['BracketLeft'], // See region-tools.js
+    regionCorner2: ['BracketRight'],
+    pause: ['Gamepad9'], // Escape always leaves the pointer lock
+};
+
+export const ACTION_LABELS = {
+    forward: 'Forward', back: 'Back', left: 'Left', right: 'Right', jump: 'Jump / fly', sneak: 'Sneak',
+    sprint: 'Sprint', attack: 'Break / hit', use: 'Place / eat', hotbarNext: 'Next slot', hotbarPrevious: 'Previous slot',
+    inventory: 'Inventory', creative: 'Creative mode', commands: 'Commands', debug: 'Debug info',
+    regionCorner1: 'Region corner 1', regionCorner2: 'Region corner 2', pause: 'Pause',
+};
+
+// How an input is shown in menus: 'KeyW' -> 'W', 'Mouse0' -> 'Left click'
+export function getInputLabel(code) {
+    const mouse = /^Mouse(\d)$/.exec(code);
+    if (mouse) return ['Left click', 'Middle click', 'Right click'][mouse[1]] || `Mouse ${mouse[1]}`;
+    const gamepad = /^Gamepad(\d+)$/.exec(code);
+    if (gamepad) return `Pad ${gamepad[1]}`;
+    return code.replace(/^Key|^Digit/, '');
+}
+
+const applyDeadZone = (value) => Math.abs(value) < STICK_DEAD_ZONE ? 0 : value;
+
+export class Input {
+    // element: what gets the pointer lock. bindings: like DEFAULT_BINDINGS. Callbacks, all optional:
+    // onActionDown(action), onActionUp(action), onKeyDown(event) for every key (e.g. digits),
+    // onWheel(event), onLock(), onUnlock()
+    constructor(element, {
+        bindings = DEFAULT_BINDINGS, onActionDown = null, onActionUp = null, onKeyDown = null, onWheel = null, onLock = null, onUnlock = null,
+    } = {}) {
+        this.element = element;
+        this.document = element.ownerDocument;
+        this.handlers = { onActionDown, onActionUp, onKeyDown, onWheel, onLock, onUnlock };
+        this.isLocked = false;
+        this.yaw = 0;
+        this.pitch = 0;
+        this.sensitivity = 1; // Mouse and right stick
+        this.invertY = false;
+        this.held = new Set(); // Inputs held now
+        this.pressedSinceTick = new Set(); // So taps shorter than a tick still count
+        this.moveStick = [0, 0]; // Gamepad left stick, x right and y down
+        this.capture = null; // See captureNextInput
+        this.setBindings(bindings);
+
+        this.document.addEventListener('keydown', (event) => {
+            if (this.capture) {
+                event.preventDefault();
+                this.finishCapture(event.code === 'Escape' ? null : event.code);
+                return;
+            }
+            this.call('onKeyDown', event);
+            // While playing, / would type into the console it opens and F3 would search the page
+            if (this.actionsByInput.has(event.code) && (this.isLocked || /^F\d+$/.test(event.code))) event.preventDefault();
+            if (!event.repeat) this.press(event.code);
+        });
+        this.document.addEventListener('keyup', (event) => this.release(event.code));
+        this.document.addEventListener('mousedown', (event) => {
+            if (!this.capture) {
+                this.press(`Mouse${event.button}`);
+                return;
+            }
+            // The click that follows shouldn't also press whatever is under the pointer
+            const type = event.button === 0 ? 'click' : event.button === 2 ? 'contextmenu' : 'auxclick';
+            this.document.addEventListener(type, (click) => {
+                click.preventDefault();
+                click.stopPropagation();
+            }, { capture: true, once: true });
+            this.finishCapture(`Mouse${event.button}`);
+        });
+        this.document.addEventListener('mouseup', (event) => this.release(`Mouse${event.button}`));
+        this.document.addEventListener('wheel', (event) => this.call('onWheel', event));
+        this.document.addEventListener('mousemove', (event) => this.onMouseMove(event));
+        this.document.addEventListener('pointerlockchange', () => {
+            this.isLocked = this.document.pointerLockElement === this.element;
+            this.call(this.isLocked ? 'onLock' : 'onUnlock');
+        });
+        this.document.addEventListener('pointerlockerror', () => log.error('Unable to lock the pointer'));
+    }
+
+    lock() {
+        this.element.requestPointerLock();
+    }
+
+    unlock() {
+        this.document.exitPointerLock();
+    }
+
+    // bindings: action -> inputs, like DEFAULT_BINDINGS. Held inputs stay held.
+    setBindings(bindings) {
+        this.bindings = Object.fromEntries(Object.entries(bindings).map(([action, inputs]) => [action, inputs.slice()]));
+        this.actionsByInput = new Map();
+        for (const [action, inputs] of Object.entries(this.bindings)) {
+            for (const code of inputs) {
+                if (!this.actionsByInput.has(code)) this.actionsByInput.set(code, []);
+                this.actionsByInput.get(code).push(action);
+            }
+        }
+    }
+
+    // The next key or mouse button goes to callback(code) instead of the game, e.g. to
+    // rebind an action. Escape cancels: callback(null).
+    captureNextInput(callback) {
+        this.capture = callback;
+    }
+
+    finishCapture(code) {
+        const callback = this.capture;
+        this.capture = null;
+        callback(code);
+    }
+
+    press(code) {
+        if (this.held.has(code)) return;
+        this.held.add(code);
+        this.pressedSinceTick.add(code);
+        for (const action of this.actionsByInput.get(code) || []) this.call('onActionDown', action);
+    }
+
+    release(code) {
+        if (!this.held.delete(code)) return;
+        for (const action of this.actionsByInput.get(code) || []) this.call('onActionUp', action);
+    }
+
+    onMouseMove(event) {
+        if (!this.isLocked) return;
+        this.turn(event.movementX * LOOK_SPEED * this.sensitivity, event.movementY * LOOK_SPEED * this.sensitivity);
+    }
+
+    // Right and down in radians, down is up with invertY
+    turn(right, down) {
+        this.yaw -= right;
+        this.pitch = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, this.pitch - (this.invertY ? -down : down)));
+    }
+
+    // Every frame: the first connected gamepad's buttons go through the bindings like
+    // keys, its right stick looks around (while playing), its left stick is kept for readMovement
+    pollGamepad(deltaTime) {
+        const gamepads = this.document.defaultView.navigator.getGamepads ? this.document.defaultView.navigator.getGamepads() : [];
+        const gamepad = Array.from(gamepads).find(pad => pad && pad.connected);
+        if (!gamepad) {
+            this.moveStick = [0, 0];
+            for (const code of this.held) {
+                if (code.startsWith('Gamepad')) this.release(code); // Unplugged with a button down
+            }
+            return;
+        }
+        gamepad.buttons.forEach((button, index) => {
+            if (button.pressed) this.press(`Gamepad${index}`);
+            else this.release(`Gamepad${index}`);
+        });
+        const [moveX = 0, moveY = 0, lookX = 0, lookY = 0] = gamepad.axes.map(applyDeadZone);
+        this.moveStick = [moveX, moveY];
+        if (this.isLocked) {
+            const speed = GAMEPAD_LOOK_SPEED * this.sensitivity * deltaTime;
+            this.turn(lookX * speed, lookY * speed);
+        }
+    }
+
+    setLook(pitch, yaw) {
+        this.pitch = pitch;
+        this.yaw = yaw;
+    }
+
+    // Unit vector the camera looks along
+    getLookDirection() {
+        const cosPitch = Math.cos(this.pitch);
+        return [-Math.sin(this.yaw) * cosPitch, Math.sin(this.pitch), -Math.cos(this.yaw) * cosPitch];
+    }
+
+    isActionDown(action) {
+        return (this.bindings[action] || []).some(code => this.held.has(code));
+    }
+
+    // Held now, or pressed and already let go since the last tick
+    wasActionPressed(action) {
+        return this.isActionDown(action) || (this.bindings[action] || []).some(code => this.pressedSinceTick.has(code));
+    }
+
+    // The player's input for one tick, see PlayerController.step. Call endTick after using it.
+    readMovement() {
+        const axis = (positive, negative, stick) => {
+            const keys = (this.isActionDown(positive) ? 1 : 0) - (this.isActionDown(negative) ? 1 : 0);
+            return Math.max(-1, Math.min(1, keys + stick));
+        };
+        return {
+            forward: axis('forward', 'back', -this.moveStick[1]),
+            strafe: axis('right', 'left', this.moveStick[0]),
+            yaw: this.yaw,
+            jump: this.wasActionPressed('jump'),
+            sneak: this.isActionDown('sneak'),
+            sprint: this.isActionDown('sprint'),
+        };
+    }
+
+    endTick() {
+        this.pressedSinceTick.clear();
+    }
+
+    call(name, ...args) {
+        if (this.handlers[name]) this.handlers[name](...args);
+    }
+}
@@ -0,0 +1,137 @@
+// Player inventory: the hotbar (slots 0..hotbarSize - 1, keys 1-9 and 0) followed
+// by the backpack. A slot holds an item stack { id, count } or null; items are
+// block ids (see blocks.js). DOM-free, voxel-game.js draws it.
+
+export const HOTBAR_SIZE = 10;
+export const BACKPACK_SIZE = 27;
+export const MAX_STACK_SIZE = 64;
+// A stack of each for new players, by block name. A server gives its players the same, see server/game-server.js.
+export const STARTER_ITEMS = ['dirt', 'stone', 'wood', 'grass', 'leaves', 'sand', 'snow'];
+
+export class Inventory {
+    // onChange(inventory) runs after every change, e.g. to redraw the hotbar
+    constructor({ hotbarSize = HOTBAR_SIZE, backpackSize = BACKPACK_SIZE, onChange = null } = {}) {
+        this.hotbarSize = hotbarSize;
+        this.slots = new Array(hotbarSize + backpackSize).fill(null);
+        this.selected = 0; // Hotbar slot in hand
+        this.onChange = onChange;
+    }
+
+    get size() {
+        return this.slots.length;
+    }
+
+    getSlot(index) {
+        return this.slots[index] ?? null;
+    }
+
+    setSlot(index, stack) {
+        this.slots[index] = stack && stack.count > 0 ? { id: stack.id, count: Math.min(stack.count, MAX_STACK_SIZE) } : null;
+        this.changed();
+    }
+
+    getSelectedStack() {
+        return this.slots[this.selected];
+    }
+
+    select(index) {
+        this.selected = ((index % this.hotbarSize) + this.hotbarSize) % this.hotbarSize;
+        this.changed();
+    }
+
+    // Mouse wheel: next (1) or previous (-1) hotbar slot, wrapping around
+    selectNext(delta) {
+        this.select(this.selected + delta);
+    }
+
+    // Adds items, hotbar first: tops up stacks of the same item, then fills empty
+    // slots. Returns how many didn't fit.
+    add(id, count = 1) {
+        let left = count;
+        for (const stack of this.slots) {
+            if (left === 0) break;
+            if (!stack || stack.id !== id || stack.count >= MAX_STACK_SIZE) continue;
+            const moved = Math.min(left, MAX_STACK_SIZE - stack.count);
+            stack.count += moved;
+            left -= moved;
+        }
+        for (let i = 0; i < this.slots.length && left > 0; i++) {
+            if (this.slots[i]) continue;
+            const moved = Math.min(left, MAX_STACK_SIZE);
+            this.slots[i] = { id, count: moved };
+            left -= moved;
+        }
+        if (left !== count) this.changed();
+        return left;
+    }
+
+    // Takes up to count items out of a slot, returns how many were taken
+    take(index, count = 1) {
+        const stack = this.slots[index];
+        if (!stack) return 0;
+        const taken = Math.min(count, stack.count);
+        stack.count -= taken;
+        if (stack.count === 0) this.slots[index] = null;
+        this.changed();
+        return taken;
+    }
+
+    // Drag and drop: puts the stack at from onto slot to. Stacks of the same item
+    // merge up to the stack limit, anything else swaps places.
+    move(from, to) {
+        if (from === to || !this.slots[from]) return;
+        const source = this.slots[from];
+        const target = this.slots[to];
+        if (target && target.id === source.id) {
+            const moved = Math.min(source.count, MAX_STACK_SIZE - target.count);
+            target.count += moved;
+            source.count -= moved;
+            if (source.count === 0) this.slots[from] = null;
+        } else {
+            this.slots[from] = target;
+            this.slots[to] = source;
+        }
+        this.changed();
+    }
+
+    // Slot of the first stack of the item, -1 if there is none
+    find(id) {
+        return this.slots.findIndex(stack => stack && stack.id === id);
+    }
+
+    count(id) {
+        return this.slots.reduce((total, stack) => total + (stack && stack.id === id ? stack.count : 0), 0);
+    }
+
+    clear() {
+        this.slots.fill(null);
+        this.changed();
+    }
+
+    // STARTER_ITEMS, with ids from blockRegistry (see blocks.js)
+    addStarterItems(blockRegistry) {
+        for (const name of STARTER_ITEMS) {
+            const block = blockRegistry.getByName(name);
+            if (block) this.add(block.id, MAX_STACK_SIZE);
+        }
+    }
+
+    // Plain data for the save
+    getState() {
+        return { slots: this.slots.map(stack => stack && { ...stack }), selected: this.selected };
+    }
+
+    applyState(state) {
+        this.slots.fill(null);
+        (state.slots || []).forEach((stack, index) => {
+            if (index >= this.slots.length || !stack) return;
+            if (!Number.isInteger(stack.id) || !Number.isInteger(stack.count) || stack.count <= 0) return;
+            this.slots[index] = { id: stack.id, count: Math.min(stack.count, MAX_STACK_SIZE) };
+        });
+        this.select(state.selected ?? 0);
+    }
+
+    changed() {
+        if (this.onChange) this.onChange(this);
+    }
+}
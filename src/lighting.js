@@ -0,0 +1,203 @@
+// Voxel light: skylight falling from the top of the world and block light from
+// emissive blocks (lightEmission), both 0..15. Light spreads by flood fill, losing
+// 1 per block plus the lightAbsorption of the block it enters; full skylight keeps
+// falling straight down through clear blocks without losing anything.
+//
+// Light is a Uint8Array laid out like the voxels (a whole column in the workers,
+// a section once loaded, see section.js): skylight in the high nibble, block
+// light in the low nibble. Has no three.js dependency, the initial
+// light of a chunk is computed in the workers.
+//
+// The flood fills work through an access object with world coordinates:
+//   getBlock(x, y, z)         block id
+//   getLight(x, y, z)         packed light, or -1 where there is no light data (not loaded)
+//   setLight(x, y, z, value)
+import { blocks } from './blocks.js';
+import { CHUNK_SIZE, CHUNK_VOLUME, WORLD_MAX_Y, WORLD_MIN_Y } from './constants.js';
+
+export const MAX_LIGHT = 15;
+export const SKY_LIGHT = 0;
+export const BLOCK_LIGHT = 1;
+
+const DIRECTIONS = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+const DOWN = 3;
+
+export const getSkyLight = (light) => light >> 4;
+export const getBlockLight = (light) => light & 15;
+
+function readChannel(light, channel) {
+    return channel === SKY_LIGHT ? light >> 4 : light & 15;
+}
+
+function writeChannel(light, channel, level) {
+    return channel === SKY_LIGHT ? (light & 0x0F) | (level << 4) : (light & 0xF0) | level;
+}
+
+// Level a block gets from a neighbour at level, travelling in direction
+function spreadLevel(channel, level, direction, blockType) {
+    const absorption = blocks.getLightAbsorption(blockType);
+    if (absorption >= MAX_LIGHT) return 0;
+    if (channel === SKY_LIGHT && direction === DOWN && level === MAX_LIGHT && absorption === 0) return MAX_LIGHT;
+    return Math.max(0, level - 1 - absorption);
+}
+
+// Spreads light outwards from the queued positions (flat x, y, z list).
+// Only ever raises levels, so queueing a position twice is harmless.
+function propagate(access, queue, channel) {
+    for (let head = 0; head < queue.length; head += 3) {
+        const x = queue[head], y = queue[head + 1], z = queue[head + 2];
+        const level = readChannel(access.getLight(x, y, z), channel);
+        if (level <= 1) continue;
+        for (let direction = 0; direction < 6; direction++) {
+            const [dx, dy, dz] = DIRECTIONS[direction];
+            const nx = x + dx, ny = y + dy, nz = z + dz;
+            if (ny < WORLD_MIN_Y || ny >= WORLD_MAX_Y) continue;
+            const current = access.getLight(nx, ny, nz);
+            if (current < 0) continue;
+            const next = spreadLevel(channel, level, direction, access.getBlock(nx, ny, nz));
+            if (next > readChannel(current, channel)) {
+                access.setLight(nx, ny, nz, writeChannel(current, channel, next));
+                queue.push(nx, ny, nz);
+            }
+        }
+    }
+}
+
+// Darkens everything that got its light through (x, y, z). Returns the positions
+// bordering the darkened area that are lit from elsewhere, to spread back in from.
+function removeLight(access, x, y, z, channel) {
+    const relight = [];
+    const start = access.getLight(x, y, z);
+    const startLevel = readChannel(start, channel);
+    if (startLevel === 0) return relight;
+    access.setLight(x, y, z, writeChannel(start, channel, 0));
+
+    const queue = [x, y, z, startLevel];
+    for (let head = 0; head < queue.length; head += 4) {
+        const cx = queue[head], cy = queue[head + 1], cz = queue[head + 2], level = queue[head + 3];
+        for (let direction = 0; direction < 6; direction++) {
+            const [dx, dy, dz] = DIRECTIONS[direction];
+            const nx = cx + dx, ny = cy + dy, nz = cz + dz;
+            if (ny < WORLD_MIN_Y || ny >= WORLD_MAX_Y) continue;
+            const current = access.getLight(nx, ny, nz);
+            if (current < 0) continue;
+            const neighbourLevel = readChannel(current, channel);
+            if (neighbourLevel === 0) continue;
+
+            const litFromHere = neighbourLevel < level ||
+                (channel === SKY_LIGHT && direction === DOWN && level === MAX_LIGHT && neighbourLevel === MAX_LIGHT);
+            if (!litFromHere) {
+                relight.push(nx, ny, nz);
+                continue;
+            }
+            access.setLight(nx, ny, nz, writeChannel(current, channel, 0));
+            queue.push(nx, ny, nz, neighbourLevel);
+            // Light sources inside the darkened area shine again
+            const emission = channel === BLOCK_LIGHT ? blocks.getLightEmission(access.getBlock(nx, ny, nz)) : 0;
+            if (emission > 0) {
+                access.setLight(nx, ny, nz, writeChannel(current, channel, emission));
+                relight.push(nx, ny, nz);
+            }
+        }
+    }
+    return relight;
+}
+
+// Light of a chunk (a whole column, see CHUNK_VOLUME) on its own, as if everything
+// around it was dark (the sky above excepted). stitchChunkLight then lets light
+// flow in and out of its neighbours.
+export function computeChunkLight(voxels) {
+    const light = new Uint8Array(CHUNK_VOLUME);
+    const indexOf = (x, y, z) => (y - WORLD_MIN_Y) * (CHUNK_SIZE * CHUNK_SIZE) + z * CHUNK_SIZE + x;
+    const inside = (x, z) => x >= 0 && x < CHUNK_SIZE && z >= 0 && z < CHUNK_SIZE;
+    const access = {
+        getBlock: (x, y, z) => voxels[indexOf(x, y, z)],
+        getLight: (x, y, z) => inside(x, z) ? light[indexOf(x, y, z)] : -1,
+        setLight: (x, y, z, value) => { light[indexOf(x, y, z)] = value; },
+    };
+
+    // Full sunlight down to the first block that takes some of it. skyFloor is the
+    // lowest y that gets it, per column (z * CHUNK_SIZE + x).
+    const skyFloor = new Int16Array(CHUNK_SIZE * CHUNK_SIZE);
+    for (let z = 0; z < CHUNK_SIZE; z++) {
+        for (let x = 0; x < CHUNK_SIZE; x++) {
+            let y = WORLD_MAX_Y - 1;
+            for (; y >= WORLD_MIN_Y; y--) {
+                if (blocks.getLightAbsorption(voxels[indexOf(x, y, z)]) !== 0) break;
+                light[indexOf(x, y, z)] = MAX_LIGHT << 4;
+            }
+            skyFloor[z * CHUNK_SIZE + x] = y + 1;
+        }
+    }
+    // Only sunlit blocks next to a darker one spread anything: the bottom of each
+    // sunlit column, and the sides where a neighbouring column is shaded. The open
+    // air above the ground, most of a tall world, is left out.
+    const skyQueue = [];
+    const floorAt = (x, z) => inside(x, z) ? skyFloor[z * CHUNK_SIZE + x] : WORLD_MIN_Y;
+    for (let z = 0; z < CHUNK_SIZE; z++) {
+        for (let x = 0; x < CHUNK_SIZE; x++) {
+            const floor = skyFloor[z * CHUNK_SIZE + x];
+            const shaded = Math.max(floor + 1, floorAt(x - 1, z), floorAt(x + 1, z), floorAt(x, z - 1), floorAt(x, z + 1));
+            for (let y = floor; y < Math.min(shaded, WORLD_MAX_Y); y++) skyQueue.push(x, y, z);
+        }
+    }
+    const blockQueue = [];
+    for (let i = 0; i < CHUNK_VOLUME; i++) {
+        const emission = blocks.getLightEmission(voxels[i]);
+        if (emission === 0) continue;
+        light[i] |= emission;
+        blockQueue.push(i % CHUNK_SIZE, WORLD_MIN_Y + Math.floor(i / (CHUNK_SIZE * CHUNK_SIZE)), Math.floor(i / CHUNK_SIZE) % CHUNK_SIZE);
+    }
+
+    propagate(access, skyQueue, SKY_LIGHT);
+    propagate(access, blockQueue, BLOCK_LIGHT);
+    return light;
+}
+
+// Spreads light both ways across the four borders of a freshly lit chunk,
+// between it and whichever neighbours already have light. Where both sides
+// are equally lit (open sky, solid rock) nothing can flow, so most of a tall
+// border is skipped.
+export function stitchChunkLight(access, chunkX, chunkZ) {
+    const x0 = chunkX * CHUNK_SIZE;
+    const z0 = chunkZ * CHUNK_SIZE;
+    const x1 = x0 + CHUNK_SIZE - 1;
+    const z1 = z0 + CHUNK_SIZE - 1;
+    const queue = [];
+    const pair = (x, y, z, outsideX, outsideZ) => {
+        const outside = access.getLight(outsideX, y, outsideZ);
+        if (outside < 0 || outside === access.getLight(x, y, z)) return;
+        queue.push(x, y, z, outsideX, y, outsideZ);
+    };
+    for (let y = WORLD_MIN_Y; y < WORLD_MAX_Y; y++) {
+        for (let i = 0; i < CHUNK_SIZE; i++) {
+            pair(x0, y, z0 + i, x0 - 1, z0 + i);
+            pair(x1, y, z0 + i, x1 + 1, z0 + i);
+            pair(x0 + i, y, z0, x0 + i, z0 - 1);
+            pair(x0 + i, y, z1, x0 + i, z1 + 1);
+        }
+    }
+    propagate(access, queue.slice(), SKY_LIGHT);
+    propagate(access, queue, BLOCK_LIGHT);
+}
+
+// Relights around (x, y, z) after the block there changed (the new block is
+// already in place). Touches as few blocks as the change needs, across chunks.
+export function updateLightAt(access, x, y, z) {
+    const emission = blocks.getLightEmission(access.getBlock(x, y, z));
+    for (const channel of [SKY_LIGHT, BLOCK_LIGHT]) {
+        const queue = removeLight(access, x, y, z, channel);
+        // The lit neighbours shine into the changed block again (if it lets light in)
+        for (const [dx, dy, dz] of DIRECTIONS) {
+            const ny = y + dy;
+            if (ny < WORLD_MIN_Y || ny >= WORLD_MAX_Y) continue;
+            const light = access.getLight(x + dx, ny, z + dz);
+            if (light > 0 && readChannel(light, channel) > 0) queue.push(x + dx, ny, z + dz);
+        }
+        if (channel === BLOCK_LIGHT && emission > 0) {
+            access.setLight(x, y, z, writeChannel(access.getLight(x, y, z), channel, emission));
+            queue.push(x, y, z);
+        }
+        propagate(access, queue, channel);
+    }
+}
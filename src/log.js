@@ -0,0 +1,29 @@
+// Leveled logging for the game and the server: each module makes a named
+// logger, and one level for everything decides what reaches the console.
+// Per-chunk and per-frame messages are debug, hidden unless asked for
+// (?log=debug in the browser, --log-level debug for the server).
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+const CONSOLE_METHODS = ['debug', 'info', 'warn', 'error'];
+
+let minimumLevel = LOG_LEVELS.indexOf('info');
+
+export function setLogLevel(level) {
+    const index = LOG_LEVELS.indexOf(level);
+    if (index < 0) throw new Error(`Unknown log level "${level}", one of ${LOG_LEVELS.join(', ')}`);
+    minimumLevel = index;
+}
+
+export function getLogLevel() {
+    return LOG_LEVELS[minimumLevel];
+}
+
+// log.debug(...), log.info(...), log.warn(...), log.error(...): like console.log, prefixed with [name]
+export function createLogger(name) {
+    const logger = {};
+    CONSOLE_METHODS.forEach((method, level) => {
+        logger[method] = (...args) => {
+            if (level >= minimumLevel) console[method](`[${name}]`, ...args);
+        };
+    });
+    return logger;
+}
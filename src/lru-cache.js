@@ -0,0 +1,51 @@
+// Small least-recently-used cache on top of Map's insertion order.
+// onEvict(key, value) is called for entries pushed out by the capacity limit.
+export class LRUCache {
+    constructor(capacity, onEvict = null) {
+        this.capacity = capacity;
+        this.onEvict = onEvict;
+        this.entries = new Map();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    get(key) {
+        if (!this.entries.has(key)) return undefined;
+        const value = this.entries.get(key);
+        this.entries.delete(key); // Move to the most recently used end
+        this.entries.set(key, value);
+        return value;
+    }
+
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        while (this.entries.size > this.capacity) {
+            const [oldestKey, oldestValue] = this.entries.entries().next().value;
+            this.entries.delete(oldestKey);
+            if (this.onEvict) this.onEvict(oldestKey, oldestValue);
+        }
+        return this;
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    // Removes and returns the value, or undefined
+    take(key) {
+        const value = this.entries.get(key);
+        this.entries.delete(key);
+        return value;
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
@@ -0,0 +1,254 @@
+// Greedy mesher: turns a voxel volume into one indexed triangle list.
+// Has no three.js dependency so it can run in workers and in Node.
+import { BLOCK, blocks } from './blocks.js';
+import { MAX_LIGHT, getBlockLight, getSkyLight } from './lighting.js';
+
+// Block colors are sRGB hex values; vertex colors are expected in linear space
+// (this is what THREE.Color does for us when given a hex value).
+function srgbToLinear(c) {
+    return c < 0.04045 ? c * 0.0773993808 : Math.pow(c * 0.9478672986 + 0.0521327014, 2.4);
+}
+
+const WHITE = [1, 1, 1];
+const linearColorCache = new Map();
+function getLinearColor(hex) {
+    let color = linearColorCache.get(hex);
+    if (!color) {
+        color = [
+            srgbToLinear(((hex >> 16) & 255) / 255),
+            srgbToLinear(((hex >> 8) & 255) / 255),
+            srgbToLinear((hex & 255) / 255),
+        ];
+        linearColorCache.set(hex, color);
+    }
+    return color;
+}
+
+// Corner shading: ambient occlusion by how many of the three blocks touching a
+// corner are opaque (index 3 = none), and brightness per light level in quarter
+// steps (corner light is an average). Never fully black so caves stay readable.
+const AO_LEVELS = [0.45, 0.65, 0.82, 1];
+const LIGHT_LEVELS = Array.from({ length: MAX_LIGHT * 4 + 1 }, (_, q) => 0.05 + 0.95 * Math.pow(0.8, MAX_LIGHT - q / 4));
+const FULL_SKYLIGHT = MAX_LIGHT << 4;
+
+// Corner data is packed as ao | sky << 2 | block << 8, light in quarter levels (0..60)
+const cornerBrightness = (corner) => LIGHT_LEVELS[Math.max((corner >> 2) & 63, corner >> 8)] * AO_LEVELS[corner & 3];
+
+// All levels of a fluid look the same: they mesh as their source block, so
+// there are no faces between them and their faces merge
+function surfaceOf(id) {
+    const fluid = blocks.getFluid(id);
+    return fluid ? blocks.getFluidBlock(fluid, 0) ?? id : id;
+}
+
+// Directions from the middle of a face to its corners, in quad corner order
+const CORNER_SIGNS = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+
+// Builds the visible surface of a sizeX * sizeY * sizeZ volume.
+// getBlock(x, y, z) is called with local coordinates and must also answer for
+// the one-block border around the volume (-1 and size), so faces against
+// neighbouring chunks are culled correctly. Only blocks inside the volume emit faces.
+//
+// getLight(x, y, z) returns the packed light (see lighting.js) with the same
+// border; without it everything is in full sunlight. Every face corner gets the
+// average light of the (non-opaque) blocks in front of it and ambient occlusion
+// from the blocks around it, baked into the vertex colors.
+//
+// Faces are merged greedily: coplanar faces of the same block type are grown into
+// the largest rectangles possible, first along u then along v. Only faces lit
+// evenly at all four corners are merged, so the shading looks the same as per block.
+//
+// Returns { opaque, translucent }, the faces of translucent blocks (see blocks.js)
+// kept apart so they can be drawn in a pass of their own. Each is
+// { positions, normals, colors, uvs, tiles, indices, quadCount } as typed
+// arrays, with positions in local coordinates (0..size). uvs are in blocks (a
+// merged 3x2 quad spans 0..3, 0..2) and tiles holds the atlas tile per vertex;
+// the material repeats the tile once per block (see chunk-material.js).
+// Vertex colors are the face color (white for textured faces) times the corner shading.
+export function greedyMesh(sizeX, sizeY, sizeZ, getBlock, getLight = () => FULL_SKYLIGHT) {
+    const dims = [sizeX, sizeY, sizeZ];
+    const quads = []; // Flat list: axis, side, layer, u, v, width, height, blockType, 4 packed corners
+    const translucentQuads = []; // Same for translucent blocks
+
+    const sample = [0, 0, 0];
+    const isOpaqueAt = (x, y, z) => blocks.isOpaque(getBlock(x, y, z));
+    // Shading of the four corners of the face whose front is the block at front
+    // (u and v are the face's axes), written to out[offset..offset + 3]
+    const shadeFace = (front, u, v, out, offset) => {
+        for (let c = 0; c < 4; c++) {
+            const [su, sv] = CORNER_SIGNS[c];
+            sample[0] = front[0]; sample[1] = front[1]; sample[2] = front[2];
+            sample[u] += su;
+            const side1 = isOpaqueAt(sample[0], sample[1], sample[2]);
+            const light1 = side1 ? -1 : getLight(sample[0], sample[1], sample[2]);
+            sample[v] += sv;
+            const diagonal = isOpaqueAt(sample[0], sample[1], sample[2]);
+            const lightCorner = diagonal ? -1 : getLight(sample[0], sample[1], sample[2]);
+            sample[u] -= su;
+            const side2 = isOpaqueAt(sample[0], sample[1], sample[2]);
+            const light2 = side2 ? -1 : getLight(sample[0], sample[1], sample[2]);
+
+            const ao = side1 && side2 ? 0 : 3 - side1 - side2 - diagonal;
+            // Light doesn't leak in through a corner closed off on both sides
+            const lights = [getLight(front[0], front[1], front[2]), light1, light2, side1 && side2 ? -1 : lightCorner];
+            let sky = 0, block = 0, count = 0;
+            for (const light of lights) {
+                if (light < 0) continue;
+                sky += getSkyLight(light);
+                block += getBlockLight(light);
+                count++;
+            }
+            out[offset + c] = ao | (Math.round(sky * 4 / count) << 2) | (Math.round(block * 4 / count) << 8);
+        }
+    };
+
+    const pos = [0, 0, 0];
+    for (let d = 0; d < 3; d++) {
+        const u = (d + 1) % 3;
+        const v = (d + 2) % 3;
+        const sizeU = dims[u];
+        const sizeV = dims[v];
+        // mask > 0: face pointing +d, mask < 0: face pointing -d, 0: no face
+        const mask = new Int32Array(sizeU * sizeV);
+        const corners = new Uint16Array(sizeU * sizeV * 4);
+        // The corner data shared by all four corners of evenly lit faces, -1 otherwise
+        const mergeKeys = new Int32Array(sizeU * sizeV);
+
+        // Walk every plane between layer k - 1 and layer k along axis d
+        for (let k = 0; k <= dims[d]; k++) {
+            let n = 0;
+            let hasFaces = false;
+            for (let j = 0; j < sizeV; j++) {
+                for (let i = 0; i < sizeU; i++, n++) {
+                    pos[u] = i; pos[v] = j;
+                    pos[d] = k - 1;
+                    const back = surfaceOf(getBlock(pos[0], pos[1], pos[2]));
+                    pos[d] = k;
+                    const block = surfaceOf(getBlock(pos[0], pos[1], pos[2]));
+
+                    // A face shows unless the block on the other side is opaque or the same
+                    // see-through block (no walls between two water blocks).
+                    // Where two different see-through blocks meet only the back face is kept.
+                    if (back !== BLOCK.AIR && !blocks.isOpaque(block) && block !== back && k > 0) {
+                        mask[n] = back;
+                    } else if (block !== BLOCK.AIR && !blocks.isOpaque(back) && back !== block && k < dims[d]) {
+                        mask[n] = -block;
+                        pos[d] = k - 1; // The face looks into the back block
+                    } else {
+                        mask[n] = 0;
+                        continue;
+                    }
+                    hasFaces = true;
+                    shadeFace(pos, u, v, corners, n * 4);
+                    const first = corners[n * 4];
+                    const even = corners[n * 4 + 1] === first && corners[n * 4 + 2] === first && corners[n * 4 + 3] === first;
+                    mergeKeys[n] = even ? first : -1;
+                }
+            }
+            if (!hasFaces) continue;
+
+            // Greedily merge the mask into rectangles
+            n = 0;
+            for (let j = 0; j < sizeV; j++) {
+                for (let i = 0; i < sizeU;) {
+                    const type = mask[n];
+                    if (type === 0) {
+                        i++; n++;
+                        continue;
+                    }
+
+                    const key = mergeKeys[n];
+                    const mergesWith = (m) => key !== -1 && mask[m] === type && mergeKeys[m] === key;
+                    let width = 1;
+                    while (i + width < sizeU && mergesWith(n + width)) width++;
+
+                    let height = 1;
+                    grow: while (j + height < sizeV) {
+                        const row = n + height * sizeU;
+                        for (let w = 0; w < width; w++) {
+                            if (!mergesWith(row + w)) break grow;
+                        }
+                        height++;
+                    }
+
+                    const blockType = Math.abs(type);
+                    const list = blocks.isTranslucent(blockType) ? translucentQuads : quads;
+                    list.push(d, type > 0 ? 1 : -1, k, i, j, width, height, blockType,
+                        corners[n * 4], corners[n * 4 + 1], corners[n * 4 + 2], corners[n * 4 + 3]);
+
+                    // Clear the merged area so it isn't emitted twice
+                    for (let h = 0; h < height; h++) {
+                        mask.fill(0, n + h * sizeU, n + h * sizeU + width);
+                    }
+                    i += width; n += width;
+                }
+            }
+        }
+    }
+
+    return { opaque: buildArrays(quads), translucent: buildArrays(translucentQuads) };
+}
+
+const QUAD_STRIDE = 12;
+
+function buildArrays(quads) {
+    const quadCount = quads.length / QUAD_STRIDE;
+    const vertexCount = quadCount * 4;
+    const positions = new Float32Array(vertexCount * 3);
+    const normals = new Float32Array(vertexCount * 3);
+    const colors = new Float32Array(vertexCount * 3);
+    const uvs = new Float32Array(vertexCount * 2);
+    const tiles = new Float32Array(vertexCount);
+    const indices = vertexCount > 65535 ? new Uint32Array(quadCount * 6) : new Uint16Array(quadCount * 6);
+
+    const corner = [0, 0, 0];
+    for (let q = 0; q < quadCount; q++) {
+        const o = q * QUAD_STRIDE;
+        const d = quads[o], side = quads[o + 1], k = quads[o + 2];
+        const i = quads[o + 3], j = quads[o + 4], width = quads[o + 5], height = quads[o + 6];
+        const face = d * 2 + (side > 0 ? 0 : 1);
+        const tile = blocks.getFaceTile(quads[o + 7], face);
+        const color = tile === 0 ? getLinearColor(blocks.getFaceColor(quads[o + 7], face)) : WHITE;
+        const u = (d + 1) % 3;
+        const v = (d + 2) % 3;
+        // Texture axes: world y is always "up" on side faces
+        const s = d === 0 ? 2 : 0;
+        const t = d === 1 ? 2 : 1;
+
+        // Corners in counter-clockwise order when viewed from +d (e_u x e_v = e_d)
+        const cornersU = [i, i + width, i + width, i];
+        const cornersV = [j, j, j + height, j + height];
+        for (let c = 0; c < 4; c++) {
+            const vi = (q * 4 + c) * 3;
+            corner[d] = k; corner[u] = cornersU[c]; corner[v] = cornersV[c];
+            positions[vi] = corner[0];
+            positions[vi + 1] = corner[1];
+            positions[vi + 2] = corner[2];
+            normals[vi + d] = side;
+            const brightness = cornerBrightness(quads[o + 8 + c]);
+            colors[vi] = color[0] * brightness;
+            colors[vi + 1] = color[1] * brightness;
+            colors[vi + 2] = color[2] * brightness;
+            const ti = q * 4 + c;
+            uvs[ti * 2] = corner[s];
+            uvs[ti * 2 + 1] = corner[t];
+            tiles[ti] = tile;
+        }
+
+        // Split along the diagonal that keeps a single dark corner in its own
+        // triangle, otherwise the shading smears across the whole quad
+        const b = [0, 1, 2, 3].map(c => cornerBrightness(quads[o + 8 + c]));
+        const first = b[0] + b[2] < b[1] + b[3] ? 1 : 0;
+        const c0 = q * 4 + first, c1 = q * 4 + (first + 1) % 4, c2 = q * 4 + (first + 2) % 4, c3 = q * 4 + (first + 3) % 4;
+        const ii = q * 6;
+        if (side > 0) {
+            indices[ii] = c0; indices[ii + 1] = c1; indices[ii + 2] = c2;
+            indices[ii + 3] = c0; indices[ii + 4] = c2; indices[ii + 5] = c3;
+        } else {
+            indices[ii] = c0; indices[ii + 1] = c2; indices[ii + 2] = c1;
+            indices[ii + 3] = c0; indices[ii + 4] = c3; indices[ii + 5] = c2;
+        }
+    }
+
+    return { positions, normals, colors, uvs, tiles, indices, quadCount };
+}
@@ -0,0 +1,200 @@
+// Mobs: entities (see entities.js) with a type from MOB_TYPES. They wander
+// around on paths from the A* pathfinder and spawn by light level and biome.
+//
+// A mob type:
+//   width, height, stepHeight   the collision box
+//   maxHealth
+//   speed            walking speed in blocks per second
+//   model            boxes to draw, { size: [x, y, z], offset: [x, y, z], color }, offsets
+//                    from the middle of the bottom of the box, facing -z
+//   spawn            { blocks: block ids it spawns on, biomes: biome names,
+//                      minLight: light level (0..15) it needs, groupSize: [min, max] }
+//   drops            { item: block name, count: [min, max] } left when it dies, or null
+//
+// The world for the AI and spawning is an object with
+//   isSolid(x, y, z), getBlock(x, y, z)
+//   getLight(x, y, z)    packed light (see lighting.js), -1 where there is none
+//   getBiome(x, z)       biome name (see biomes.js)
+import { BLOCK, blocks } from './blocks.js';
+import { CHUNK_SIZE, TICK_RATE, WORLD_MAX_Y, WORLD_MIN_Y } from './constants.js';
+import { getBlockLight, getSkyLight } from './lighting.js';
+import { findPath, isWalkable } from './pathfinding.js';
+import { JUMP_VELOCITY } from './player-controller.js';
+
+export const MOB_TYPES = {
+    pig: {
+        width: 0.9, height: 0.9, stepHeight: 0.6,
+        maxHealth: 10,
+        speed: 1.5,
+        model: [
+            { size: [0.6, 0.5, 0.9], offset: [0, 0.35, 0.05], color: 0xF0A8A0 }, // Body
+            { size: [0.5, 0.5, 0.45], offset: [0, 0.45, -0.55], color: 0xF0A8A0 }, // Head
+            { size: [0.25, 0.15, 0.06], offset: [0, 0.55, -0.8], color: 0xE08880 }, // Snout
+            { size: [0.2, 0.35, 0.2], offset: [-0.18, 0, -0.25], color: 0xE0968E }, // Legs
+            { size: [0.2, 0.35, 0.2], offset: [0.18, 0, -0.25], color: 0xE0968E },
+            { size: [0.2, 0.35, 0.2], offset: [-0.18, 0, 0.3], color: 0xE0968E },
+            { size: [0.2, 0.35, 0.2], offset: [0.18, 0, 0.3], color: 0xE0968E },
+        ],
+        spawn: { blocks: [BLOCK.GRASS], biomes: ['plains', 'forest'], minLight: 9, groupSize: [2, 4] },
+        drops: { item: 'porkchop', count: [1, 3] },
+    },
+};
+
+export const MAX_MOBS = 16; // Spawning stops at this many mobs in the loaded world
+const MIN_SPAWN_DISTANCE = 24; // Blocks from the player, so mobs don't pop up in view
+const WANDER_RANGE = 8; // How far a mob walks from where it stands
+const IDLE_TICKS = [40, 200]; // Standing still between walks
+const WAYPOINT_REACHED = 0.25; // Horizontal distance to a waypoint's middle that counts as there
+
+function randomInt(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+// Creates a mob entity standing at position ([x, y, z], bottom middle).
+// state (from getMobState) restores a saved one.
+export function spawnMob(entities, type, position, state = null) {
+    const mobType = MOB_TYPES[type];
+    if (!mobType) throw new Error(`Unknown mob type: ${type}`);
+    return entities.create({
+        mob: { type },
+        position: position.slice(),
+        velocity: state ? state.velocity.slice() : [0, 0, 0],
+        aabb: { width: mobType.width, height: mobType.height, stepHeight: mobType.stepHeight, onGround: false, inLiquid: false },
+        health: { current: state ? state.health : mobType.maxHealth, max: mobType.maxHealth, hurtTicks: 0 },
+        model: { type, yaw: state ? state.yaw : 0, previousPosition: position.slice() },
+        wander: { path: null, pathIndex: 0, pathTicks: 0, idleTicks: 0 },
+    });
+}
+
+// Plain data for the save, see spawnMob
+export function getMobState(entities, id) {
+    return {
+        type: entities.get(id, 'mob').type,
+        position: entities.get(id, 'position').slice(),
+        velocity: entities.get(id, 'velocity').slice(),
+        health: entities.get(id, 'health').current,
+        yaw: entities.get(id, 'model').yaw,
+    };
+}
+
+// What a mob of type leaves when it dies, as an inventory stack { id, count }, or null
+export function rollMobDrops(type, random) {
+    const drops = MOB_TYPES[type].drops;
+    const item = drops && blocks.getByName(drops.item);
+    return item ? { id: item.id, count: randomInt(random, drops.count[0], drops.count[1]) } : null;
+}
+
+// --- AI ---
+// Stand around for a while, then walk a path to a random spot nearby
+
+// skip(id) holds mobs still, like updatePhysics
+export function updateMobAI(entities, world, random, skip = () => false) {
+    for (const id of entities.query('mob', 'wander', 'position', 'velocity', 'aabb')) {
+        if (skip(id)) continue;
+        const health = entities.get(id, 'health');
+        if (health && health.hurtTicks > 0) continue; // Knocked back, the hit carries it
+        const mobType = MOB_TYPES[entities.get(id, 'mob').type];
+        const wander = entities.get(id, 'wander');
+        const position = entities.get(id, 'position');
+        const velocity = entities.get(id, 'velocity');
+        const aabb = entities.get(id, 'aabb');
+        if (aabb.inLiquid) velocity[1] = Math.max(velocity[1], 1); // Keeps the head above water
+
+        if (!wander.path) {
+            velocity[0] = 0;
+            velocity[2] = 0;
+            if (--wander.idleTicks > 0) continue;
+            wander.idleTicks = randomInt(random, IDLE_TICKS[0], IDLE_TICKS[1]);
+            wander.path = pickWanderPath(world, position, mobType, random);
+            wander.pathIndex = 0;
+            wander.pathTicks = 0;
+            continue;
+        }
+
+        const [cellX, cellY, cellZ] = wander.path[wander.pathIndex];
+        const dx = cellX + 0.5 - position[0];
+        const dz = cellZ + 0.5 - position[2];
+        const distance = Math.hypot(dx, dz);
+        // Given up after twice the time the path should take, e.g. when something is in the way
+        const tooLong = ++wander.pathTicks > wander.path.length * 2 * TICK_RATE / mobType.speed + TICK_RATE;
+        if (distance < WAYPOINT_REACHED || tooLong) {
+            wander.pathIndex++;
+            if (wander.pathIndex >= wander.path.length || tooLong) wander.path = null;
+            continue;
+        }
+        velocity[0] = dx / distance * mobType.speed;
+        velocity[2] = dz / distance * mobType.speed;
+        entities.get(id, 'model').yaw = Math.atan2(-dx, -dz); // Model faces -z at yaw 0
+        if (cellY > Math.floor(position[1] + 0.01) && aabb.onGround) velocity[1] = JUMP_VELOCITY;
+    }
+}
+
+function pickWanderPath(world, position, mobType, random) {
+    const start = [Math.floor(position[0]), Math.floor(position[1] + 0.01), Math.floor(position[2])];
+    const height = Math.ceil(mobType.height);
+    if (!isWalkable(world.isSolid, start[0], start[1], start[2], height)) return null; // Swimming or falling
+    const goalX = start[0] + randomInt(random, -WANDER_RANGE, WANDER_RANGE);
+    const goalZ = start[2] + randomInt(random, -WANDER_RANGE, WANDER_RANGE);
+    // The goal's level: the first walkable cell near the mob's own
+    for (let dy = 2; dy >= -3; dy--) {
+        if (!isWalkable(world.isSolid, goalX, start[1] + dy, goalZ, height)) continue;
+        const path = findPath(world.isSolid, start, [goalX, start[1] + dy, goalZ], { height, maxNodes: 400 });
+        return path && path.length > 0 ? path : null;
+    }
+    return null;
+}
+
+// --- Spawning ---
+
+function getLightLevel(world, x, y, z) {
+    if (y >= WORLD_MAX_Y) return 15;
+    const light = world.getLight(x, y, z);
+    return light < 0 ? 0 : Math.max(getSkyLight(light), getBlockLight(light));
+}
+
+// Can a mob of mobType spawn standing in the cell (x, y, z)?
+function canSpawnAt(world, mobType, x, y, z) {
+    const rules = mobType.spawn;
+    return isWalkable(world.isSolid, x, y, z, Math.ceil(mobType.height)) &&
+        rules.blocks.includes(world.getBlock(x, y - 1, z)) &&
+        rules.biomes.includes(world.getBiome(x, z)) &&
+        getLightLevel(world, x, y, z) >= rules.minLight;
+}
+
+// One spawn attempt: a random column of a random chunk (objects with chunk
+// coordinates x and z), a group of the first mob type whose rules fit the top
+// of it. center ([x, y, z], the player) keeps spawns at MIN_SPAWN_DISTANCE.
+// Returns the ids of the new mobs.
+export function trySpawnMobs(entities, world, chunks, center, random) {
+    const room = MAX_MOBS - entities.query('mob').length;
+    if (chunks.length === 0 || room <= 0) return [];
+    const chunk = chunks[Math.floor(random() * chunks.length)];
+    const x = chunk.x * CHUNK_SIZE + Math.floor(random() * CHUNK_SIZE);
+    const z = chunk.z * CHUNK_SIZE + Math.floor(random() * CHUNK_SIZE);
+    if (Math.hypot(x + 0.5 - center[0], z + 0.5 - center[2]) < MIN_SPAWN_DISTANCE) return [];
+    let y = WORLD_MAX_Y - 1;
+    while (y > WORLD_MIN_Y && !world.isSolid(x, y, z)) y--;
+    y++; // Standing on the top block
+
+    for (const [type, mobType] of Object.entries(MOB_TYPES)) {
+        if (!canSpawnAt(world, mobType, x, y, z)) continue;
+        const ids = [];
+        const taken = new Set();
+        const [min, max] = mobType.spawn.groupSize;
+        const groupSize = Math.min(room, randomInt(random, min, max));
+        // The rest of the group around the first, where the rules allow
+        for (let attempt = 0; attempt < groupSize * 4 && ids.length < groupSize; attempt++) {
+            const mx = attempt === 0 ? x : x + randomInt(random, -2, 2);
+            const mz = attempt === 0 ? z : z + randomInt(random, -2, 2);
+            if (taken.has(`${mx},${mz}`)) continue;
+            for (const my of [y, y + 1, y - 1]) {
+                if (!canSpawnAt(world, mobType, mx, my, mz)) continue;
+                taken.add(`${mx},${mz}`);
+                ids.push(spawnMob(entities, type, [mx + 0.5, my, mz + 0.5]));
+                break;
+            }
+        }
+        return ids;
+    }
+    return [];
+}
@@ -0,0 +1,143 @@
+// Client side of the multiplayer protocol (see protocol.js). DOM-free: it gets a
+// WebSocket (the browser's, or Node's in scripts) and reports what arrives
+// through callbacks; voxel-game.js applies it to the world.
+//
+// The player's own movement is predicted: every tick the input is stepped
+// locally straight away and sent to the server. The server steps the same input
+// and answers with where that put the player; if that isn't where the
+// prediction put them (another player's edit, a teleport), the controller is
+// reset to the server's state and the inputs it hasn't answered yet are stepped
+// again on top.
+import { createLogger } from './log.js';
+import { PROTOCOL_VERSION, applyMovementState, decodeSectionMessage, getMovementState } from './protocol.js';
+
+const log = createLogger('multiplayer');
+
+const MAX_PENDING_INPUTS = 200; // 10 s of ticks without an answer, the server is gone in all but name
+const CORRECTION_DISTANCE = 1e-4; // Predictions further off than this are corrected
+
+export class MultiplayerClient {
+    // controller: the local PlayerController, world: the physics world it steps in.
+    // handlers: { onSection(x, y, z, voxels), onBlock(x, y, z, id), onPlayers(players),
+    //             onPlayerLeft(id), onClose(reason) }, all optional
+    constructor(socket, { controller, world, handlers = {} }) {
+        this.socket = socket;
+        this.controller = controller;
+        this.world = world;
+        this.handlers = handlers;
+        this.welcome = null; // See protocol.js, once the server accepted us
+        this.nextSeq = 1;
+        this.pendingInputs = []; // { seq, input, predicted } not answered yet
+        this.corrections = 0; // Predictions the server disagreed with, for debugging
+        socket.binaryType = 'arraybuffer';
+        socket.addEventListener('message', (event) => this.onMessage(event.data));
+        socket.addEventListener('close', (event) => this.onClose(event.reason || 'Connection closed'));
+    }
+
+    // Connects and says hello. Resolves with the client once the server sent its
+    // welcome, rejects if the connection fails or is refused before that.
+    static connect(url, name, options, WebSocketClass = WebSocket) {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocketClass(url);
+            const client = new MultiplayerClient(socket, options);
+            const onClose = client.handlers.onClose;
+            client.handlers.onClose = (reason) => reject(new Error(`Could not join ${url}: ${reason}`));
+            client.onWelcome = () => {
+                client.handlers.onClose = onClose;
+                resolve(client);
+            };
+            socket.addEventListener('open', () => client.send({ type: 'hello', version: PROTOCOL_VERSION, name }));
+        });
+    }
+
+    get id() {
+        return this.welcome ? this.welcome.id : null;
+    }
+
+    send(message) {
+        if (this.socket.readyState === 1) this.socket.send(JSON.stringify(message)); // 1 = OPEN
+    }
+
+    close() {
+        this.socket.close();
+    }
+
+    // One tick of the player's own movement: stepped now, confirmed by the server later
+    predictStep(input) {
+        const seq = this.nextSeq++;
+        this.controller.step(input, this.world);
+        this.pendingInputs.push({ seq, input, predicted: this.controller.body.position.slice() });
+        if (this.pendingInputs.length > MAX_PENDING_INPUTS) this.pendingInputs.shift();
+        this.send({ type: 'input', seq, input });
+    }
+
+    requestChunk(chunkX, chunkZ) {
+        this.send({ type: 'requestChunk', x: chunkX, z: chunkZ });
+    }
+
+    // The edit is already made locally; the server broadcasts it, or sends back what's really there
+    setBlock(x, y, z, id) {
+        this.send({ type: 'setBlock', x, y, z, id });
+    }
+
+    respawn() {
+        this.send({ type: 'respawn' });
+    }
+
+    onMessage(data) {
+        if (typeof data !== 'string') {
+            const { x, y, z, voxels } = decodeSectionMessage(new Uint8Array(data));
+            this.call('onSection', x, y, z, voxels);
+            return;
+        }
+        const message = JSON.parse(data);
+        switch (message.type) {
+            case 'welcome':
+                this.welcome = message;
+                applyMovementState(this.controller, message.movement);
+                if (this.onWelcome) this.onWelcome();
+                break;
+            case 'state':
+                this.reconcile(message.seq, message.movement);
+                break;
+            case 'block':
+                this.call('onBlock', message.x, message.y, message.z, message.id);
+                break;
+            case 'players':
+                this.call('onPlayers', message.players.filter(player => player.id !== this.id));
+                break;
+            case 'left':
+                this.call('onPlayerLeft', message.id);
+                break;
+            case 'error':
+                log.error('Server error:', message.message);
+                break;
+        }
+    }
+
+    // The server's movement state after input seq
+    reconcile(seq, movement) {
+        while (this.pendingInputs.length > 0 && this.pendingInputs[0].seq < seq) this.pendingInputs.shift();
+        const answered = this.pendingInputs[0] && this.pendingInputs[0].seq === seq ? this.pendingInputs.shift() : null;
+        const [x, y, z] = movement.position;
+        if (answered) {
+            const [px, py, pz] = answered.predicted;
+            if (Math.hypot(x - px, y - py, z - pz) <= CORRECTION_DISTANCE) return; // Predicted right
+        }
+
+        this.corrections++;
+        applyMovementState(this.controller, movement);
+        for (const pending of this.pendingInputs) {
+            this.controller.step(pending.input, this.world);
+            pending.predicted = this.controller.body.position.slice();
+        }
+    }
+
+    onClose(reason) {
+        this.call('onClose', reason);
+    }
+
+    call(name, ...args) {
+        if (this.handlers[name]) this.handlers[name](...args);
+    }
+}
@@ -0,0 +1,150 @@
+// Seeded 2D/3D simplex noise. Self-contained (no import map needed) so it can be
+// loaded from workers, and seeded so every worker sees the same terrain.
+
+// mulberry32: small, fast 32-bit PRNG returning floats in [0, 1)
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Mixes a seed with integer coordinates into a new 32-bit seed, e.g. to give every
+// chunk its own reproducible random stream: createRandom(hashSeed(seed, chunkX, chunkZ))
+export function hashSeed(seed, ...values) {
+    let h = seed >>> 0;
+    for (const value of values) {
+        h = Math.imul(h ^ (value | 0), 0x9E3779B1);
+        h ^= h >>> 16;
+        h = Math.imul(h, 0x85EBCA6B);
+        h ^= h >>> 13;
+    }
+    return h >>> 0;
+}
+
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+const GRAD2 = new Float64Array([1, 1, -1, 1, 1, -1, -1, -1, 1, 0, -1, 0, 0, 1, 0, -1]);
+
+function buildPermutationTable(random) {
+    const p = new Uint8Array(256);
+    for (let i = 0; i < 256; i++) p[i] = i;
+    for (let i = 255; i > 0; i--) { // Fisher-Yates shuffle
+        const r = Math.floor(random() * (i + 1));
+        const tmp = p[i];
+        p[i] = p[r];
+        p[r] = tmp;
+    }
+    const perm = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) perm[i] = p[i & 255];
+    return perm;
+}
+
+// Returns noise2D(x, y) in roughly [-1, 1]
+export function createNoise2D(random = Math.random) {
+    const perm = buildPermutationTable(random);
+
+    return function noise2D(x, y) {
+        const s = (x + y) * F2;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const t = (i + j) * G2;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+
+        // Which triangle of the simplex cell are we in?
+        const i1 = x0 > y0 ? 1 : 0;
+        const j1 = x0 > y0 ? 0 : 1;
+
+        const x1 = x0 - i1 + G2;
+        const y1 = y0 - j1 + G2;
+        const x2 = x0 - 1 + 2 * G2;
+        const y2 = y0 - 1 + 2 * G2;
+
+        const ii = i & 255;
+        const jj = j & 255;
+
+        let n0 = 0, n1 = 0, n2 = 0;
+        let t0 = 0.5 - x0 * x0 - y0 * y0;
+        if (t0 >= 0) {
+            const g = (perm[ii + perm[jj]] & 7) * 2;
+            t0 *= t0;
+            n0 = t0 * t0 * (GRAD2[g] * x0 + GRAD2[g + 1] * y0);
+        }
+        let t1 = 0.5 - x1 * x1 - y1 * y1;
+        if (t1 >= 0) {
+            const g = (perm[ii + i1 + perm[jj + j1]] & 7) * 2;
+            t1 *= t1;
+            n1 = t1 * t1 * (GRAD2[g] * x1 + GRAD2[g + 1] * y1);
+        }
+        let t2 = 0.5 - x2 * x2 - y2 * y2;
+        if (t2 >= 0) {
+            const g = (perm[ii + 1 + perm[jj + 1]] & 7) * 2;
+            t2 *= t2;
+            n2 = t2 * t2 * (GRAD2[g] * x2 + GRAD2[g + 1] * y2);
+        }
+        return 70 * (n0 + n1 + n2);
+    };
+}
+
+const F3 = 1 / 3;
+const G3 = 1 / 6;
+const GRAD3 = new Float64Array([
+    1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1, 0,
+    1, 0, 1, -1, 0, 1, 1, 0, -1, -1, 0, -1,
+    0, 1, 1, 0, -1, 1, 0, 1, -1, 0, -1, -1,
+]);
+
+// Returns noise3D(x, y, z) in roughly [-1, 1]
+export function createNoise3D(random = Math.random) {
+    const perm = buildPermutationTable(random);
+    const permMod12 = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) permMod12[i] = perm[i] % 12;
+
+    return function noise3D(x, y, z) {
+        const s = (x + y + z) * F3;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const k = Math.floor(z + s);
+        const t = (i + j + k) * G3;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+        const z0 = z - (k - t);
+
+        // Which of the six tetrahedra of the simplex cell are we in?
+        let i1, j1, k1, i2, j2, k2;
+        if (x0 >= y0) {
+            if (y0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+            else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+            else { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+        } else {
+            if (y0 < z0) { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+            else if (x0 < z0) { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+            else { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+        }
+
+        const offsets = [
+            [x0, y0, z0, 0, 0, 0],
+            [x0 - i1 + G3, y0 - j1 + G3, z0 - k1 + G3, i1, j1, k1],
+            [x0 - i2 + 2 * G3, y0 - j2 + 2 * G3, z0 - k2 + 2 * G3, i2, j2, k2],
+            [x0 - 1 + 3 * G3, y0 - 1 + 3 * G3, z0 - 1 + 3 * G3, 1, 1, 1],
+        ];
+
+        const ii = i & 255;
+        const jj = j & 255;
+        const kk = k & 255;
+        let n = 0;
+        for (const [dx, dy, dz, oi, oj, ok] of offsets) {
+            let tc = 0.6 - dx * dx - dy * dy - dz * dz;
+            if (tc < 0) continue;
+            const g = permMod12[ii + oi + perm[jj + oj + perm[kk + ok]]] * 3;
+            tc *= tc;
+            n += tc * tc * (GRAD3[g] * dx + GRAD3[g + 1] * dy + GRAD3[g + 2] * dz);
+        }
+        return 32 * n;
+    };
+}
@@ -0,0 +1,102 @@
+// Cave culling: which sections can be seen at all from the camera's section,
+// going by which of their faces are connected through see-through blocks.
+// Sections behind solid rock (caves under the player's feet, the surface seen
+// from a cave) aren't drawn even where they are in the view frustum.
+//
+// Each meshed section gets a face connection mask (see getFaceConnections):
+// one bit for every pair of its six faces (FACE order, see blocks.js) that a
+// line of sight could go in through one and out through the other. The search
+// then walks out from the camera's section, only through connected faces and
+// never back towards the camera. DOM-free, the connections are worked out in
+// the chunk workers (see chunk-jobs.js).
+import { getSectionKey } from './section.js';
+
+// Direction out of each face, in FACE order: east, west, top, bottom, south, north
+const DIRECTIONS = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+const opposite = (face) => face ^ 1;
+
+// Bit of the face pair a-b (a !== b), 15 pairs in all
+const PAIR_BITS = new Int32Array(36).fill(-1);
+for (let a = 0, bit = 0; a < 6; a++) {
+    for (let b = a + 1; b < 6; b++, bit++) {
+        PAIR_BITS[a * 6 + b] = PAIR_BITS[b * 6 + a] = 1 << bit;
+    }
+}
+
+export const ALL_CONNECTED = (1 << 15) - 1; // Air: every face sees every other
+export const NONE_CONNECTED = 0; // Solid all through
+
+export function areFacesConnected(connections, a, b) {
+    return (connections & PAIR_BITS[a * 6 + b]) !== 0;
+}
+
+// Face connections of a size cubed volume, isOpaque(x, y, z) in local
+// coordinates: flood fills its see-through blocks and connects every pair of
+// faces that one filled area touches.
+export function getFaceConnections(size, isOpaque) {
+    const visited = new Uint8Array(size * size * size);
+    const stack = new Int32Array(size * size * size);
+    let connections = 0;
+    for (let start = 0; start < visited.length; start++) {
+        if (visited[start]) continue;
+        visited[start] = 1;
+        const startX = start % size, startZ = Math.floor(start / size) % size, startY = Math.floor(start / (size * size));
+        if (isOpaque(startX, startY, startZ)) continue;
+
+        let faces = 0; // Bit per FACE the area touches
+        let top = 0;
+        stack[top++] = start;
+        while (top > 0) {
+            const index = stack[--top];
+            const x = index % size, z = Math.floor(index / size) % size, y = Math.floor(index / (size * size));
+            if (x === size - 1) faces |= 1 << 0;
+            if (x === 0) faces |= 1 << 1;
+            if (y === size - 1) faces |= 1 << 2;
+            if (y === 0) faces |= 1 << 3;
+            if (z === size - 1) faces |= 1 << 4;
+            if (z === 0) faces |= 1 << 5;
+            for (const [dx, dy, dz] of DIRECTIONS) {
+                const nx = x + dx, ny = y + dy, nz = z + dz;
+                if (nx < 0 || ny < 0 || nz < 0 || nx >= size || ny >= size || nz >= size) continue;
+                const next = (ny * size + nz) * size + nx;
+                if (visited[next]) continue;
+                visited[next] = 1;
+                if (!isOpaque(nx, ny, nz)) stack[top++] = next;
+            }
+        }
+        for (let a = 0; a < 6; a++) {
+            for (let b = a + 1; b < 6; b++) {
+                if (faces & (1 << a) && faces & (1 << b)) connections |= PAIR_BITS[a * 6 + b];
+            }
+        }
+        if (connections === ALL_CONNECTED) break;
+    }
+    return connections;
+}
+
+// Keys ("x,y,z", see section.js) of the sections that can be seen from the
+// camera's section start [x, y, z]. getConnections(x, y, z): a section's face
+// connections, or null where the search stops (outside the loaded world).
+// isInView(x, y, z): whether the section is in the view frustum.
+export function findVisibleSections(start, getConnections, isInView) {
+    const [startX, startY, startZ] = start;
+    const visible = new Set([getSectionKey(startX, startY, startZ)]);
+    // Per queued section: where it is, the face it was entered through, and the
+    // directions walked to get there (bit per FACE), which it can't turn back on
+    const queue = [[startX, startY, startZ, -1, 0]];
+    for (let head = 0; head < queue.length; head++) {
+        const [x, y, z, entryFace, walked] = queue[head];
+        const connections = entryFace < 0 ? ALL_CONNECTED : getConnections(x, y, z);
+        for (let face = 0; face < 6; face++) {
+            if (walked & (1 << opposite(face))) continue; // Back towards the camera
+            if (entryFace >= 0 && !areFacesConnected(connections, entryFace, face)) continue;
+            const [dx, dy, dz] = DIRECTIONS[face];
+            const nx = x + dx, ny = y + dy, nz = z + dz;
+            const key = getSectionKey(nx, ny, nz);
+            if (visible.has(key) || getConnections(nx, ny, nz) === null || !isInView(nx, ny, nz)) continue;
+            visible.add(key);
+            queue.push([nx, ny, nz, opposite(face), walked | (1 << face)]);
+        }
+    }
+    return visible;
+}
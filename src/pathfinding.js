@@ -0,0 +1,129 @@
+// A* over the voxel grid for walking mobs. A cell is walkable when there's
+// something solid under it and room above it for the mob's height. From a cell
+// a mob can walk to the four cells beside it on the same level, one block up
+// (a jump) or up to maxDrop blocks down.
+//
+// isSolid(x, y, z) answers for block coordinates, e.g. isSolidWorld.
+
+const SIDES = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const JUMP_COST = 1.5; // Jumping is slower than walking, prefer a way round when it's short
+
+export function isWalkable(isSolid, x, y, z, height = 1) {
+    if (!isSolid(x, y - 1, z)) return false;
+    for (let dy = 0; dy < height; dy++) {
+        if (isSolid(x, y + dy, z)) return false;
+    }
+    return true;
+}
+
+// Path from start to goal (block coordinates [x, y, z], both walkable cells) as
+// a list of cells, start excluded and goal included; [] if start is the goal.
+// null when there's no path within maxNodes expanded cells.
+export function findPath(isSolid, start, goal, { height = 1, maxDrop = 3, maxNodes = 1000 } = {}) {
+    const [goalX, goalY, goalZ] = goal;
+    if (!isWalkable(isSolid, goalX, goalY, goalZ, height)) return null;
+    const key = (x, y, z) => `${x},${y},${z}`;
+    // Never more than the real cost: every step moves one block sideways
+    const estimate = (x, z) => Math.abs(x - goalX) + Math.abs(z - goalZ);
+
+    const startKey = key(...start);
+    const nodes = new Map([[startKey, { cell: start, cost: 0, parent: null, closed: false }]]);
+    const open = new MinHeap();
+    open.push(estimate(start[0], start[2]), startKey);
+    let expanded = 0;
+
+    while (open.size > 0 && expanded < maxNodes) {
+        const currentKey = open.pop();
+        const current = nodes.get(currentKey);
+        if (current.closed) continue; // Already reached more cheaply
+        current.closed = true;
+        expanded++;
+
+        const [x, y, z] = current.cell;
+        if (x === goalX && y === goalY && z === goalZ) {
+            const path = [];
+            for (let node = current; node.parent; node = node.parent) path.push(node.cell);
+            return path.reverse();
+        }
+
+        for (const [dx, dz] of SIDES) {
+            const nx = x + dx, nz = z + dz;
+            const ny = stepTarget(isSolid, x, y, z, nx, nz, height, maxDrop);
+            if (ny === null) continue;
+            const cost = current.cost + (ny > y ? JUMP_COST : 1);
+            const neighbourKey = key(nx, ny, nz);
+            const neighbour = nodes.get(neighbourKey);
+            if (neighbour && (neighbour.closed || neighbour.cost <= cost)) continue;
+            nodes.set(neighbourKey, { cell: [nx, ny, nz], cost, parent: current, closed: false });
+            open.push(cost + estimate(nx, nz), neighbourKey);
+        }
+    }
+    return null;
+}
+
+// The level a mob standing at (x, y, z) ends up at when it walks into column
+// (nx, nz), or null if it can't
+function stepTarget(isSolid, x, y, z, nx, nz, height, maxDrop) {
+    if (isWalkable(isSolid, nx, y, nz, height)) return y;
+    // Up: needs room for the jump above the current cell
+    if (!isSolid(x, y + height, z) && isWalkable(isSolid, nx, y + 1, nz, height)) return y + 1;
+    // Down: the column must be clear until the first cell it can stand in
+    for (let dy = 0; dy < height; dy++) {
+        if (isSolid(nx, y + dy, nz)) return null;
+    }
+    for (let drop = 1; drop <= maxDrop; drop++) {
+        if (isSolid(nx, y - drop, nz)) return null;
+        if (isSolid(nx, y - drop - 1, nz)) return y - drop;
+    }
+    return null;
+}
+
+// Binary heap of values by priority, lowest first
+class MinHeap {
+    constructor() {
+        this.priorities = [];
+        this.values = [];
+    }
+
+    get size() {
+        return this.values.length;
+    }
+
+    push(priority, value) {
+        const { priorities, values } = this;
+        let i = values.length;
+        priorities.push(priority);
+        values.push(value);
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (priorities[parent] <= priority) break;
+            priorities[i] = priorities[parent];
+            values[i] = values[parent];
+            i = parent;
+        }
+        priorities[i] = priority;
+        values[i] = value;
+    }
+
+    pop() {
+        const { priorities, values } = this;
+        const top = values[0];
+        const lastPriority = priorities.pop();
+        const lastValue = values.pop();
+        const size = values.length;
+        if (size === 0) return top;
+        let i = 0;
+        while (true) {
+            let child = i * 2 + 1;
+            if (child >= size) break;
+            if (child + 1 < size && priorities[child + 1] < priorities[child]) child++;
+            if (priorities[child] >= lastPriority) break;
+            priorities[i] = priorities[child];
+            values[i] = values[child];
+            i = child;
+        }
+        priorities[i] = lastPriority;
+        values[i] = lastValue;
+        return top;
+    }
+}
@@ -0,0 +1,165 @@
+// Axis-aligned box physics against the voxel grid, for the player and other
+// entities. No three.js dependency: vectors are [x, y, z] arrays.
+//
+// Moves are swept one axis at a time (y, then x, then z) against every block box
+// the move could touch, so a body never ends up inside a block and never snags on
+// the edge between two blocks. Given the same steps it always ends up in the same
+// place, so it can be tested in Node at FIXED_TIMESTEP (one simulation tick).
+//
+// The world is an object with
+//   getCollisionHeight(x, y, z)  height of the solid box from the bottom of the block,
+//                                0 for none, 1 for a full block, 0.5 for a slab
+//   isLiquid(x, y, z)            whether the block is water (or another liquid)
+import { TICK_RATE } from './constants.js';
+
+export const FIXED_TIMESTEP = 1 / TICK_RATE;
+export const GRAVITY = -20;
+const TERMINAL_VELOCITY = -50;
+const LIQUID_GRAVITY_SCALE = 0.2; // Bodies sink slowly in water
+const LIQUID_DRAG = 2; // Per second, water slows everything down
+const SKIN = 1e-7; // Boxes that only touch don't count as overlapping
+
+export class PhysicsBody {
+    // position is the middle of the bottom of the box
+    constructor({ width, height, position = [0, 0, 0], stepHeight = 0 }) {
+        this.width = width;
+        this.height = height;
+        this.stepHeight = stepHeight; // Ledges up to this high are walked onto
+        this.position = position.slice();
+        this.velocity = [0, 0, 0];
+        this.onGround = false;
+        this.inLiquid = false;
+        this.gravityScale = 1; // 0 while flying
+    }
+
+    getBox() {
+        const half = this.width / 2;
+        const [x, y, z] = this.position;
+        return { min: [x - half, y, z - half], max: [x + half, y + this.height, z + half] };
+    }
+
+    // One physics step: gravity (weaker in liquids), liquid drag, then the move
+    step(dt, world) {
+        this.inLiquid = touchesLiquid(this.getBox(), world);
+        const gravity = GRAVITY * this.gravityScale * (this.inLiquid ? LIQUID_GRAVITY_SCALE : 1);
+        this.velocity[1] = Math.max(TERMINAL_VELOCITY, this.velocity[1] + gravity * dt);
+        if (this.inLiquid) {
+            const drag = Math.max(0, 1 - LIQUID_DRAG * dt);
+            this.velocity[0] *= drag;
+            this.velocity[1] *= drag;
+            this.velocity[2] *= drag;
+        }
+        this.move(this.velocity[0] * dt, this.velocity[1] * dt, this.velocity[2] * dt, world);
+    }
+
+    // Moves by (dx, dy, dz) as far as the blocks allow, stepping up onto low
+    // ledges when on the ground. Blocked axes get their velocity zeroed.
+    // Returns the distance actually moved as [dx, dy, dz].
+    move(dx, dy, dz, world) {
+        const box = this.getBox();
+        const boxes = collectBoxes(box, dx, dy, dz, this.stepHeight, world);
+        let moved = sweep(box, boxes, dx, dy, dz);
+
+        // Step up: same move from stepHeight higher, then back down onto the ledge.
+        // Kept if it gets further horizontally.
+        const blockedSideways = moved[0] !== dx || moved[2] !== dz;
+        const grounded = this.onGround || (dy < 0 && moved[1] !== dy);
+        if (this.stepHeight > 0 && blockedSideways && grounded) {
+            const start = this.getBox();
+            const up = sweep(start, boxes, 0, this.stepHeight, 0);
+            const across = sweep(start, boxes, dx, 0, dz);
+            const down = sweep(start, boxes, 0, -up[1] + Math.min(0, dy), 0);
+            const stepped = [across[0], up[1] + across[1] + down[1], across[2]];
+            if (stepped[0] ** 2 + stepped[2] ** 2 > moved[0] ** 2 + moved[2] ** 2) moved = stepped;
+        }
+
+        this.position[0] += moved[0];
+        this.position[1] += moved[1];
+        this.position[2] += moved[2];
+        this.onGround = dy < 0 && moved[1] > dy;
+        if (moved[0] !== dx) this.velocity[0] = 0;
+        if (moved[1] !== dy) this.velocity[1] = 0;
+        if (moved[2] !== dz) this.velocity[2] = 0;
+        return moved;
+    }
+
+    // Would the box, moved by (dx, 0, dz), still have something to stand on
+    // within stepHeight below it? Used to keep sneaking bodies on their ledge.
+    hasSupportAt(dx, dz, world) {
+        const box = this.getBox();
+        box.min[0] += dx; box.max[0] += dx;
+        box.min[2] += dz; box.max[2] += dz;
+        const depth = Math.max(this.stepHeight, 0.1);
+        const boxes = collectBoxes(box, 0, -depth, 0, 0, world);
+        return sweep(box, boxes, 0, -depth, 0)[1] > -depth;
+    }
+
+    getState() {
+        return { position: this.position.slice(), velocity: this.velocity.slice(), onGround: this.onGround };
+    }
+
+    applyState(state) {
+        this.position = state.position.slice();
+        this.velocity = state.velocity.slice();
+        this.onGround = !!state.onGround;
+    }
+}
+
+function touchesLiquid(box, world) {
+    for (let y = Math.floor(box.min[1]); y <= Math.floor(box.max[1] - SKIN); y++) {
+        for (let z = Math.floor(box.min[2]); z <= Math.floor(box.max[2] - SKIN); z++) {
+            for (let x = Math.floor(box.min[0]); x <= Math.floor(box.max[0] - SKIN); x++) {
+                if (world.isLiquid(x, y, z)) return true;
+            }
+        }
+    }
+    return false;
+}
+
+// Boxes of every block the move (plus a possible step up) could run into,
+// as { min, max } like getBox
+function collectBoxes(box, dx, dy, dz, stepHeight, world) {
+    const min = [box.min[0] + Math.min(0, dx), box.min[1] + Math.min(0, dy), box.min[2] + Math.min(0, dz)];
+    const max = [box.max[0] + Math.max(0, dx), box.max[1] + Math.max(0, dy) + stepHeight, box.max[2] + Math.max(0, dz)];
+    const boxes = [];
+    // One block lower than the box reaches: nothing is taller than a block
+    for (let y = Math.floor(min[1]) - 1; y <= Math.floor(max[1]); y++) {
+        for (let z = Math.floor(min[2]); z <= Math.floor(max[2]); z++) {
+            for (let x = Math.floor(min[0]); x <= Math.floor(max[0]); x++) {
+                const height = world.getCollisionHeight(x, y, z);
+                if (height > 0) boxes.push({ min: [x, y, z], max: [x + 1, y + height, z + 1] });
+            }
+        }
+    }
+    return boxes;
+}
+
+// Moves box (in place) by up to (dx, dy, dz), one axis at a time, and returns how far it got
+function sweep(box, boxes, dx, dy, dz) {
+    const moved = [0, 0, 0];
+    const deltas = [dx, dy, dz];
+    for (const axis of [1, 0, 2]) {
+        let delta = deltas[axis];
+        if (delta === 0) continue;
+        for (const other of boxes) delta = clipAxis(box, other, axis, delta);
+        box.min[axis] += delta;
+        box.max[axis] += delta;
+        moved[axis] = delta;
+    }
+    return moved;
+}
+
+// How far box can move along axis before hitting other (delta shortened if needed)
+function clipAxis(box, other, axis, delta) {
+    for (let a = 0; a < 3; a++) {
+        if (a === axis) continue;
+        if (box.max[a] <= other.min[a] + SKIN || box.min[a] >= other.max[a] - SKIN) return delta; // Passes beside it
+    }
+    if (delta > 0 && other.min[axis] >= box.max[axis] - SKIN) {
+        return Math.min(delta, Math.max(0, other.min[axis] - box.max[axis]));
+    }
+    if (delta < 0 && other.max[axis] <= box.min[axis] + SKIN) {
+        return Math.max(delta, Math.min(0, other.max[axis] - box.min[axis]));
+    }
+    return delta;
+}
@@ -0,0 +1,121 @@
+// Turns player input into movement of a PhysicsBody (see physics.js): walking,
+// sprinting, sneaking (which keeps you from walking off edges), swimming and
+// flying (double-tap jump). Everything is counted in fixed steps, so the same
+// inputs give the same movement every time.
+//
+// input, per step:
+//   forward, strafe  -1..1 (forward/back, right/left)
+//   yaw              camera yaw in radians (0 looks towards -z, like three.js)
+//   jump, sneak, sprint   whether the key is held
+//   canFly           whether double-tapping jump may start flying
+import { FIXED_TIMESTEP } from './physics.js';
+
+// The player's box and reach, shared with the multiplayer server, which steps the same body
+export const PLAYER_WIDTH = 0.4;
+export const PLAYER_HEIGHT = 1.7;
+export const PLAYER_EYE_HEIGHT = 1.6; // Camera height above the feet
+export const PLAYER_STEP_HEIGHT = 0.6; // Walks up slabs, not full blocks
+export const REACH_DISTANCE = 5; // Blocks can be broken and placed this far from the eyes
+
+export const WALK_SPEED = 5;
+const SPRINT_FACTOR = 1.4;
+const SNEAK_FACTOR = 0.3;
+const SWIM_FACTOR = 0.5;
+const FLY_SPEED = 10;
+const FLY_VERTICAL_SPEED = 8;
+export const JUMP_VELOCITY = 8;
+const SWIM_UP_SPEED = 3;
+const GROUND_ACCELERATION = 20; // How quickly velocity follows the input, per second
+const AIR_ACCELERATION = 4;
+const DOUBLE_TAP_STEPS = Math.round(0.3 / FIXED_TIMESTEP); // Max gap between the two taps of a double tap
+const SNEAK_PROBE_STEP = 0.05; // Sneaking shortens moves off a ledge in steps of this size
+
+export class PlayerController {
+    constructor(body) {
+        this.body = body;
+        this.flying = false;
+        this.sneaking = false;
+        this.sprinting = false;
+        this.jumpHeld = false;
+        this.stepsSinceJumpTap = Infinity;
+    }
+
+    step(input, world, dt = FIXED_TIMESTEP) {
+        const body = this.body;
+        this.updateFlying(input);
+        this.sneaking = input.sneak && !this.flying;
+        this.sprinting = input.sprint && input.forward > 0 && !this.sneaking;
+
+        // Target horizontal velocity from the input, relative to where the camera looks
+        let speed = this.flying ? FLY_SPEED : WALK_SPEED;
+        if (this.sprinting) speed *= SPRINT_FACTOR;
+        if (this.sneaking) speed *= SNEAK_FACTOR;
+        if (body.inLiquid && !this.flying) speed *= SWIM_FACTOR;
+        const length = Math.hypot(input.forward, input.strafe);
+        const scale = length > 1 ? speed / length : speed; // No faster diagonally
+        const sin = Math.sin(input.yaw), cos = Math.cos(input.yaw);
+        const targetX = (-sin * input.forward + cos * input.strafe) * scale;
+        const targetZ = (-cos * input.forward - sin * input.strafe) * scale;
+
+        const acceleration = body.onGround || this.flying || body.inLiquid ? GROUND_ACCELERATION : AIR_ACCELERATION;
+        const blend = Math.min(1, acceleration * dt);
+        body.velocity[0] += (targetX - body.velocity[0]) * blend;
+        body.velocity[2] += (targetZ - body.velocity[2]) * blend;
+
+        if (this.flying) {
+            const vertical = (input.jump ? 1 : 0) - (input.sneak ? 1 : 0);
+            body.velocity[1] += (vertical * FLY_VERTICAL_SPEED - body.velocity[1]) * blend;
+        } else if (body.inLiquid && input.jump) {
+            body.velocity[1] = Math.min(SWIM_UP_SPEED, body.velocity[1] + GROUND_ACCELERATION * dt);
+        } else if (body.onGround && input.jump) {
+            body.velocity[1] = JUMP_VELOCITY;
+        }
+
+        body.gravityScale = this.flying ? 0 : 1;
+        if (this.sneaking && body.onGround) this.keepOnLedge(world, dt);
+        body.step(dt, world);
+        if (this.flying && body.onGround) this.flying = false; // Landed
+    }
+
+    // A tap is the step the jump key goes down; two within DOUBLE_TAP_STEPS toggle flying
+    updateFlying(input) {
+        this.stepsSinceJumpTap++;
+        const tapped = input.jump && !this.jumpHeld;
+        this.jumpHeld = input.jump;
+        if (!input.canFly) {
+            this.flying = false;
+            return;
+        }
+        if (!tapped) return;
+        if (this.stepsSinceJumpTap <= DOUBLE_TAP_STEPS) {
+            this.flying = !this.flying;
+            this.stepsSinceJumpTap = Infinity; // A third tap starts a new double tap
+        } else {
+            this.stepsSinceJumpTap = 0;
+        }
+    }
+
+    // Shortens this step's horizontal move until the body still has ground under it
+    keepOnLedge(world, dt) {
+        const body = this.body;
+        let dx = body.velocity[0] * dt;
+        let dz = body.velocity[2] * dt;
+        const shorten = (d) => Math.abs(d) <= SNEAK_PROBE_STEP ? 0 : d - Math.sign(d) * SNEAK_PROBE_STEP;
+        while (dx !== 0 && !body.hasSupportAt(dx, 0, world)) dx = shorten(dx);
+        while (dz !== 0 && !body.hasSupportAt(0, dz, world)) dz = shorten(dz);
+        while (dx !== 0 && dz !== 0 && !body.hasSupportAt(dx, dz, world)) {
+            dx = shorten(dx);
+            dz = shorten(dz);
+        }
+        body.velocity[0] = dx / dt;
+        body.velocity[2] = dz / dt;
+    }
+
+    getState() {
+        return { flying: this.flying };
+    }
+
+    applyState(state) {
+        this.flying = !!state.flying;
+    }
+}
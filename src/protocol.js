@@ -0,0 +1,99 @@
+// Messages between the multiplayer server (server/) and its clients, over one
+// WebSocket per player. Control messages are JSON text frames { type, ... };
+// section voxels go in binary frames, see encodeSectionMessage.
+//
+// Client -> server:
+//   hello        { version, name }, first thing after connecting
+//   input        { seq, input }, one per client tick, see sanitizeInput
+//   requestChunk { x, z }, the client loaded a chunk and wants its voxels
+//   setBlock     { x, y, z, id }, an edit the client already made locally
+//   respawn      {}
+// Server -> client:
+//   welcome      { id, seed, tickRate, gameMode, movement }, answer to hello; gameMode is
+//                'survival' or 'creative', the server's for every player
+//   (binary)     voxels of a section of a requested chunk, every section of it in a row
+//   block        { x, y, z, id }, a block changed (or an edit was refused and this is what's there)
+//   state        { seq, movement }, where the player is after the client's input seq
+//   players      { players: [{ id, name, position, yaw }] }, every player, every server tick
+//   left         { id }, a player disconnected
+//   error        { message }, sent before the server closes the connection
+import { encodeChunk, decodeChunk } from './chunk-codec.js';
+import { SECTION_SIZE } from './constants.js';
+
+export const PROTOCOL_VERSION = 3; // 2: sections instead of whole chunks, 3: the server's game mode
+export const DEFAULT_PORT = 8080;
+const SECTION_HEADER_SIZE = 12; // Section x, y and z as int32
+
+// Binary section message: section coordinates, then the voxels in the save format (chunk-codec.js).
+// Sections of one block take a few bytes.
+export function encodeSectionMessage(sectionX, sectionY, sectionZ, voxels) {
+    const body = encodeChunk(voxels, SECTION_SIZE, SECTION_SIZE, SECTION_SIZE);
+    const out = new Uint8Array(SECTION_HEADER_SIZE + body.length);
+    const view = new DataView(out.buffer);
+    view.setInt32(0, sectionX, true);
+    view.setInt32(4, sectionY, true);
+    view.setInt32(8, sectionZ, true);
+    out.set(body, SECTION_HEADER_SIZE);
+    return out;
+}
+
+// Returns { x, y, z, voxels }, throws on anything that isn't a whole section
+export function decodeSectionMessage(bytes) {
+    if (bytes.length < SECTION_HEADER_SIZE) throw new Error('Section message too short');
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const { sizeX, sizeY, sizeZ, voxels } = decodeChunk(bytes.subarray(SECTION_HEADER_SIZE));
+    if (sizeX !== SECTION_SIZE || sizeY !== SECTION_SIZE || sizeZ !== SECTION_SIZE) {
+        throw new Error(`Section message is ${sizeX}x${sizeY}x${sizeZ}, expected ${SECTION_SIZE} cubed`);
+    }
+    return { x: view.getInt32(0, true), y: view.getInt32(4, true), z: view.getInt32(8, true), voxels };
+}
+
+// Movement input (see player-controller.js) as received, made safe to step with.
+// canFly is the server's to decide, whatever the client sent.
+const clamp = (value, min, max) => Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : 0;
+export function sanitizeInput(input, { canFly }) {
+    input = input || {};
+    return {
+        forward: clamp(input.forward, -1, 1),
+        strafe: clamp(input.strafe, -1, 1),
+        yaw: clamp(input.yaw, -Math.PI * 4, Math.PI * 4),
+        jump: !!input.jump,
+        sneak: !!input.sneak,
+        sprint: !!input.sprint,
+        canFly,
+    };
+}
+
+// Everything a PlayerController and its body carry from one step to the next,
+// as plain data. Server and client step the same inputs from the same state to
+// the same place, which is what lets the client predict its own movement.
+export function getMovementState(controller) {
+    const { body } = controller;
+    return {
+        position: body.position.slice(),
+        velocity: body.velocity.slice(),
+        onGround: body.onGround,
+        inLiquid: body.inLiquid,
+        gravityScale: body.gravityScale,
+        flying: controller.flying,
+        sneaking: controller.sneaking,
+        sprinting: controller.sprinting,
+        jumpHeld: controller.jumpHeld,
+        // Infinity doesn't survive JSON
+        stepsSinceJumpTap: Number.isFinite(controller.stepsSinceJumpTap) ? controller.stepsSinceJumpTap : -1,
+    };
+}
+
+export function applyMovementState(controller, state) {
+    const { body } = controller;
+    body.position = state.position.slice();
+    body.velocity = state.velocity.slice();
+    body.onGround = state.onGround;
+    body.inLiquid = state.inLiquid;
+    body.gravityScale = state.gravityScale;
+    controller.flying = state.flying;
+    controller.sneaking = state.sneaking;
+    controller.sprinting = state.sprinting;
+    controller.jumpHeld = state.jumpHeld;
+    controller.stepsSinceJumpTap = state.stepsSinceJumpTap < 0 ? Infinity : state.stepsSinceJumpTap;
+}
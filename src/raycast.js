@@ -0,0 +1,74 @@
+// Voxel raycast by grid stepping (Amanatides & Woo): visits every block the ray
+// passes through, in order, so the first hit is exact regardless of the meshes.
+// No three.js dependency; vectors are [x, y, z] arrays.
+import { blocks } from './blocks.js';
+
+// Casts from origin along direction (needn't be normalized) up to maxDistance.
+// getBlock(x, y, z) gives the block id at integer coordinates, canTarget(id)
+// decides what stops the ray (by default what can be broken, so air and water don't).
+//
+// Returns null on a miss, otherwise
+//   { position, blockType, face, normal, adjacent, distance }
+// position is the hit block, face the side it was entered through (FACE in blocks.js),
+// normal that side's outward normal and adjacent the cell in front of it (where a block
+// would be placed). When the ray starts inside a target, face is -1 and normal/adjacent null.
+export function raycastVoxels(origin, direction, maxDistance, getBlock, canTarget = (id) => blocks.isBreakable(id)) {
+    const length = Math.hypot(direction[0], direction[1], direction[2]);
+    if (length === 0) return null;
+    const dir = direction.map(component => component / length);
+
+    const position = origin.map(Math.floor);
+    const step = dir.map(Math.sign);
+    // Distance along the ray between two grid lines on each axis, and to the next one
+    const tDelta = dir.map(component => component === 0 ? Infinity : Math.abs(1 / component));
+    const tMax = [0, 1, 2].map(axis => {
+        if (dir[axis] === 0) return Infinity;
+        const boundary = dir[axis] > 0 ? position[axis] + 1 : position[axis];
+        return (boundary - origin[axis]) / dir[axis];
+    });
+
+    let distance = 0;
+    let axis = -1; // Axis of the last step, -1 while in the starting block
+    while (distance <= maxDistance) {
+        const blockType = getBlock(position[0], position[1], position[2]);
+        if (canTarget(blockType)) {
+            if (axis === -1) return { position, blockType, face: -1, normal: null, adjacent: null, distance };
+            const normal = [0, 0, 0];
+            normal[axis] = -step[axis];
+            const adjacent = position.slice();
+            adjacent[axis] -= step[axis];
+            return { position, blockType, face: axis * 2 + (normal[axis] > 0 ? 0 : 1), normal, adjacent, distance };
+        }
+
+        // Step into the neighbouring block whose boundary is closest
+        axis = tMax[0] < tMax[1] ? (tMax[0] < tMax[2] ? 0 : 2) : (tMax[1] < tMax[2] ? 1 : 2);
+        distance = tMax[axis];
+        position[axis] += step[axis];
+        tMax[axis] += tDelta[axis];
+    }
+    return null;
+}
+
+// Distance along the ray (direction needn't be normalized) to where it enters
+// box ({ min, max }, e.g. an entity's), 0 if it starts inside, null if it misses
+// within maxDistance. Slab test: the ray is inside the box where it is inside
+// the box's extent on all three axes at once.
+export function raycastBox(origin, direction, maxDistance, box) {
+    const length = Math.hypot(direction[0], direction[1], direction[2]);
+    if (length === 0) return null;
+    let near = 0, far = maxDistance;
+    for (let axis = 0; axis < 3; axis++) {
+        const dir = direction[axis] / length;
+        if (dir === 0) {
+            if (origin[axis] < box.min[axis] || origin[axis] > box.max[axis]) return null; // Parallel, outside
+            continue;
+        }
+        let t1 = (box.min[axis] - origin[axis]) / dir;
+        let t2 = (box.max[axis] - origin[axis]) / dir;
+        if (t1 > t2) [t1, t2] = [t2, t1];
+        near = Math.max(near, t1);
+        far = Math.min(far, t2);
+        if (near > far) return null;
+    }
+    return near;
+}
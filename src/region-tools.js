@@ -0,0 +1,194 @@
+// Editing many blocks at once: a region selected by two corner blocks, filling
+// and replacing in it, copying it to a clipboard and pasting that (turned in
+// quarter turns) somewhere else, with undo and redo of all of those.
+// DOM-free; schematic.js reads and writes clipboards as files.
+//
+// Edits go through the world's setBlock inside batchEdits (see world.js), so
+// relighting, saving and block ticks work as for single blocks and every
+// section is rebuilt once per edit. Blocks in chunks that aren't loaded are
+// left alone.
+//
+// A clipboard is { sizeX, sizeY, sizeZ, voxels }: block ids in index order
+// (y, then z, then x), index = (y * sizeZ + z) * sizeX + x.
+import { BLOCK } from './blocks.js';
+
+export const MAX_REGION_VOLUME = 64 * 64 * 64; // Blocks per edit, bigger ones would stall the game
+const MAX_HISTORY = 50; // Edits that can be undone
+
+// Smallest box holding both corners ([x, y, z] blocks, inclusive): { min, max, size }
+export function getRegionBounds(corner1, corner2) {
+    const min = corner1.map((value, axis) => Math.min(value, corner2[axis]));
+    const max = corner1.map((value, axis) => Math.max(value, corner2[axis]));
+    return { min, max, size: max.map((value, axis) => value - min[axis] + 1) };
+}
+
+function checkVolume(sizeX, sizeY, sizeZ) {
+    const volume = sizeX * sizeY * sizeZ;
+    if (volume > MAX_REGION_VOLUME) throw new Error(`${volume} blocks is more than the ${MAX_REGION_VOLUME} an edit can change`);
+}
+
+// The clipboard turned clockwise (seen from above) by quarterTurns
+export function rotateClipboard(clipboard, quarterTurns) {
+    const turns = ((quarterTurns % 4) + 4) % 4;
+    if (turns === 0) return { ...clipboard, voxels: clipboard.voxels.slice() };
+    const { sizeX, sizeY, sizeZ, voxels } = clipboard;
+    const rotated = turns === 2 ? { sizeX, sizeY, sizeZ } : { sizeX: sizeZ, sizeY, sizeZ: sizeX };
+    rotated.voxels = new Uint8Array(voxels.length);
+    for (let y = 0; y < sizeY; y++) {
+        for (let z = 0; z < sizeZ; z++) {
+            for (let x = 0; x < sizeX; x++) {
+                // +x is east and +z south, so a clockwise turn takes east to south
+                let rx = x, rz = z;
+                if (turns === 1) { rx = sizeZ - 1 - z; rz = x; }
+                else if (turns === 2) { rx = sizeX - 1 - x; rz = sizeZ - 1 - z; }
+                else { rx = z; rz = sizeX - 1 - x; }
+                rotated.voxels[(y * rotated.sizeZ + rz) * rotated.sizeX + rx] = voxels[(y * sizeZ + z) * sizeX + x];
+            }
+        }
+    }
+    return rotated;
+}
+
+export class RegionEditor {
+    // world: getBlock, setBlock, isChunkReadyAt and batchEdits, like World.
+    // onSelectionChange(bounds or null): e.g. to draw the selection.
+    constructor(world, { maxHistory = MAX_HISTORY, onSelectionChange = null } = {}) {
+        this.world = world;
+        this.maxHistory = maxHistory;
+        this.onSelectionChange = onSelectionChange;
+        this.corners = [null, null];
+        this.clipboard = null;
+        this.undoStack = []; // Edits: { positions (flat x, y, z), before, after }
+        this.redoStack = [];
+    }
+
+    // index 0 or 1, position [x, y, z]
+    setCorner(index, position) {
+        this.corners[index] = position.map(Math.floor);
+        if (this.onSelectionChange) this.onSelectionChange(this.getSelection());
+    }
+
+    clearSelection() {
+        this.corners = [null, null];
+        if (this.onSelectionChange) this.onSelectionChange(null);
+    }
+
+    // Bounds of the selected region (see getRegionBounds), null until both corners are set
+    getSelection() {
+        const [corner1, corner2] = this.corners;
+        return corner1 && corner2 ? getRegionBounds(corner1, corner2) : null;
+    }
+
+    requireSelection() {
+        const selection = this.getSelection();
+        if (!selection) throw new Error('Select a region first: set both corners');
+        checkVolume(...selection.size);
+        return selection;
+    }
+
+    // Sets every block of the selection to id. Returns the number of blocks changed.
+    fill(id) {
+        return this.replace(null, id);
+    }
+
+    // Sets the blocks of the selection that are fromId (any block if null) to toId
+    replace(fromId, toId) {
+        const { min, max } = this.requireSelection();
+        const changes = [];
+        for (let y = min[1]; y <= max[1]; y++) {
+            for (let z = min[2]; z <= max[2]; z++) {
+                for (let x = min[0]; x <= max[0]; x++) {
+                    if (fromId === null || this.world.getBlock(x, y, z) === fromId) changes.push(x, y, z, toId);
+                }
+            }
+        }
+        return this.edit(changes);
+    }
+
+    // Copies the selection to the clipboard and returns it
+    copy() {
+        const { min, size: [sizeX, sizeY, sizeZ] } = this.requireSelection();
+        const voxels = new Uint8Array(sizeX * sizeY * sizeZ);
+        for (let y = 0; y < sizeY; y++) {
+            for (let z = 0; z < sizeZ; z++) {
+                for (let x = 0; x < sizeX; x++) {
+                    voxels[(y * sizeZ + z) * sizeX + x] = this.world.getBlock(min[0] + x, min[1] + y, min[2] + z);
+                }
+            }
+        }
+        this.clipboard = { sizeX, sizeY, sizeZ, voxels };
+        return this.clipboard;
+    }
+
+    // Pastes the clipboard with its lowest corner at position, turned clockwise by
+    // quarterTurns. includeAir: whether air in the clipboard clears what's there.
+    paste(position, { quarterTurns = 0, includeAir = true } = {}) {
+        if (!this.clipboard) throw new Error('Nothing to paste, copy a region first');
+        const { sizeX, sizeY, sizeZ, voxels } = rotateClipboard(this.clipboard, quarterTurns);
+        checkVolume(sizeX, sizeY, sizeZ);
+        const [originX, originY, originZ] = position.map(Math.floor);
+        const changes = [];
+        for (let y = 0; y < sizeY; y++) {
+            for (let z = 0; z < sizeZ; z++) {
+                for (let x = 0; x < sizeX; x++) {
+                    const id = voxels[(y * sizeZ + z) * sizeX + x];
+                    if (id !== BLOCK.AIR || includeAir) changes.push(originX + x, originY + y, originZ + z, id);
+                }
+            }
+        }
+        return this.edit(changes);
+    }
+
+    // --- History ---
+
+    // Applies changes (flat x, y, z, id) as one edit that can be undone. Returns the number of blocks changed.
+    edit(changes) {
+        const positions = [], before = [], after = [];
+        this.world.batchEdits(() => {
+            for (let i = 0; i < changes.length; i += 4) {
+                const x = changes[i], y = changes[i + 1], z = changes[i + 2], id = changes[i + 3];
+                if (!this.world.isChunkReadyAt(x, z)) continue;
+                const previous = this.world.getBlock(x, y, z);
+                if (previous === id) continue;
+                this.world.setBlock(x, y, z, id);
+                if (this.world.getBlock(x, y, z) !== id) continue; // Outside the world
+                positions.push(x, y, z);
+                before.push(previous);
+                after.push(id);
+            }
+        });
+        if (positions.length === 0) return 0;
+        this.undoStack.push({ positions: Int32Array.from(positions), before: Uint8Array.from(before), after: Uint8Array.from(after) });
+        if (this.undoStack.length > this.maxHistory) this.undoStack.shift();
+        this.redoStack = [];
+        return before.length;
+    }
+
+    // Puts back what the last edit replaced. Returns false if there is nothing to undo.
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return false;
+        this.restore(entry, true);
+        this.redoStack.push(entry);
+        return true;
+    }
+
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return false;
+        this.restore(entry, false);
+        this.undoStack.push(entry);
+        return true;
+    }
+
+    // Undo goes back through the changes and redo forward, so a block changed twice in one edit ends up right
+    restore({ positions, before, after }, undo) {
+        const ids = undo ? before : after;
+        this.world.batchEdits(() => {
+            for (let n = 0; n < ids.length; n++) {
+                const i = undo ? ids.length - 1 - n : n;
+                this.world.setBlock(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2], ids[i]);
+            }
+        });
+    }
+}
@@ -0,0 +1,559 @@
+// Draws the game with three.js: the section meshes (built by the chunk workers,
+// see mesher.js), falling blocks, mobs, other players, the sky, and the outline
+// and cracks on the targeted block. It only reads the world; the game tells it
+// what changed (World's onSectionDirty, the falling block callbacks) and where
+// the camera is every frame. Section meshes out of view or behind solid rock
+// aren't drawn, see updateCulling.
+import * as THREE from 'three';
+import { BLOCK, blocks } from './blocks.js';
+import { padSection } from './chunk-jobs.js';
+import { createChunkMaterial } from './chunk-material.js';
+import { CHUNK_SIZE, MIN_SECTION_Y, SECTION_SIZE, SECTIONS_PER_CHUNK, TICK_RATE } from './constants.js';
+import { createLogger } from './log.js';
+import { greedyMesh } from './mesher.js';
+import { MOB_TYPES } from './mobs.js';
+import { ALL_CONNECTED, NONE_CONNECTED, findVisibleSections } from './occlusion.js';
+import { PLAYER_HEIGHT } from './player-controller.js';
+import { Section, getSectionKey } from './section.js';
+import { BREAK_STAGES } from './survival.js';
+import { TILE_SIZE, generateCrackStages } from './texture-atlas.js';
+
+const log = createLogger('renderer');
+
+const SKY_OBJECT_DISTANCE = 300; // Sun and moon, past the fog but inside the camera's far plane
+const LIGHT_DISTANCE = 100; // Directional light offset from the player, only its direction matters
+const BELOW_WORLD = new Section(BLOCK.STONE, 0); // What meshes see under the bottom of the world
+
+// Other players: a box figure each, like the mob models in MOB_TYPES
+const PLAYER_MODEL = [
+    { size: [0.25, 0.75, 0.25], offset: [-0.13, 0, 0], color: 0x2E3A59 }, // Legs
+    { size: [0.25, 0.75, 0.25], offset: [0.13, 0, 0], color: 0x2E3A59 },
+    { size: [0.55, 0.65, 0.3], offset: [0, 0.75, 0], color: 0x3A6EA5 }, // Body
+    { size: [0.45, 0.45, 0.45], offset: [0, 1.4, 0], color: 0xD8B08C }, // Head
+];
+
+export class Renderer {
+    // world: the World to draw. atlas: block tiles, see texture-atlas.js.
+    // jobs: the ChunkWorkerPool sections are meshed on. viewDistance: in chunks, the fog hides the edge.
+    // fov: vertical, in degrees. viewDistance, fov and antialias can be changed later, see the setters.
+    constructor({ world, atlas, jobs, viewDistance, fov = 75, antialias = true, container = document.body }) {
+        this.world = world;
+        this.jobs = jobs;
+
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(); // Sky color, set by updateSky
+        this.scene.fog = new THREE.Fog(this.scene.background.clone());
+        this.setViewDistance(viewDistance);
+
+        this.camera = new THREE.PerspectiveCamera(fov, window.innerWidth / window.innerHeight, 0.1, 1000);
+        this.container = container;
+        this.renderer = null;
+        this.setAntialias(antialias);
+        window.addEventListener('resize', () => this.onWindowResize());
+
+        this.chunkMaterial = createChunkMaterial(atlas); // Vertex colors times the block's atlas tile
+        this.translucentChunkMaterial = createChunkMaterial(atlas, { translucent: true });
+        // Section key -> { chunk, sectionY, mesh, translucentMesh, connections, jobId, appliedJobId }
+        this.sectionMeshes = new Map();
+        this.dirtySections = new Set(); // Keys of sections needing mesh regeneration
+        this.meshJobsInFlight = 0;
+        this.fallingBlockMeshes = new Map(); // Falling block -> THREE.Mesh
+        this.mobModels = new Map(); // Entity id -> THREE.Group
+        this.boxMaterials = new Map(); // Color -> material, shared by all mobs and players
+        this.hurtMaterial = new THREE.MeshLambertMaterial({ color: 0xFF4040 });
+        this.remotePlayers = new Map(); // Player id -> { position, previousPosition, yaw, receivedAt, model }
+        // Culling, see updateCulling. occlusionCulling off draws everything in the view frustum.
+        this.occlusionCulling = true;
+        this.frustum = new THREE.Frustum();
+        this.frustumMatrix = new THREE.Matrix4();
+        this.sectionBox = new THREE.Box3();
+        this.visibleSectionCount = 0;
+
+        // Lighting: follows the time of day, see updateSky
+        this.ambientLight = new THREE.AmbientLight(0xcccccc, 0.7);
+        this.scene.add(this.ambientLight);
+        this.celestialLight = new THREE.DirectionalLight(0xffffff, 0.8); // The sun by day, the moon by night
+        // this.celestialLight.castShadow = true; // Performance cost
+        this.scene.add(this.celestialLight);
+        this.scene.add(this.celestialLight.target); // Moved with the player so the direction stays right
+        this.sun = this.createSkyObject(0xFFF2B0, 40);
+        this.moon = this.createSkyObject(0xDDE4F0, 28);
+
+        // Wireframe around the targeted block, slightly larger so it doesn't z-fight the faces
+        this.selectionOutline = new THREE.LineSegments(
+            new THREE.EdgesGeometry(new THREE.BoxGeometry(1.004, 1.004, 1.004)),
+            new THREE.LineBasicMaterial({ color: 0x000000, transparent: true, opacity: 0.6 }),
+        );
+        this.selectionOutline.visible = false;
+        this.scene.add(this.selectionOutline);
+        // Box around the region selected for editing (see region-tools.js), scaled to its size
+        this.regionOutline = new THREE.LineSegments(
+            new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1)),
+            new THREE.LineBasicMaterial({ color: 0xffdd33 }),
+        );
+        this.regionOutline.visible = false;
+        this.scene.add(this.regionOutline);
+
+        // Cracks on the block being broken, one texture per stage
+        this.crackTextures = generateCrackStages(BREAK_STAGES).map(tile => {
+            const texture = new THREE.DataTexture(new Uint8Array(tile.buffer), TILE_SIZE, TILE_SIZE, THREE.RGBAFormat);
+            texture.magFilter = THREE.NearestFilter;
+            texture.needsUpdate = true;
+            return texture;
+        });
+        this.breakingOverlay = new THREE.Mesh(
+            new THREE.BoxGeometry(1.002, 1.002, 1.002),
+            new THREE.MeshBasicMaterial({ map: this.crackTextures[0], transparent: true, depthWrite: false }),
+        );
+        this.breakingOverlay.visible = false;
+        this.scene.add(this.breakingOverlay);
+    }
+
+    // Chunks fade into the sky before the edge of the loaded area (at least viewDistance chunks away)
+    setViewDistance(viewDistance) {
+        const fogFar = viewDistance * CHUNK_SIZE;
+        this.scene.fog.near = fogFar * 0.55;
+        this.scene.fog.far = fogFar;
+    }
+
+    setFov(fov) {
+        this.camera.fov = fov;
+        this.camera.updateProjectionMatrix();
+    }
+
+    // Antialias is fixed when the WebGL context is made, so changing it swaps in a new
+    // renderer and canvas. Meshes and textures are uploaded again on the next frame.
+    setAntialias(antialias) {
+        if (this.renderer && this.antialias === antialias) return;
+        this.antialias = antialias;
+        const previous = this.renderer;
+        this.renderer = new THREE.WebGLRenderer({ antialias }); // Antialias can be costly
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+        // this.renderer.shadowMap.enabled = true; // Shadows add significant cost
+        if (previous) {
+            previous.domElement.replaceWith(this.renderer.domElement);
+            previous.dispose();
+            previous.forceContextLoss(); // Browsers only allow a few contexts at a time
+        } else {
+            this.container.appendChild(this.renderer.domElement);
+        }
+    }
+
+    onWindowResize() {
+        this.camera.aspect = window.innerWidth / window.innerHeight;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(window.innerWidth, window.innerHeight);
+    }
+
+    // Eye position [x, y, z], and pitch and yaw as in input.js
+    setCamera(position, pitch, yaw) {
+        this.camera.position.fromArray(position);
+        this.camera.rotation.set(pitch, yaw, 0, 'YXZ');
+    }
+
+    render() {
+        this.updateRemotePlayerModels();
+        this.updateCulling();
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    // Compare geometries/textures over a long walk: they should stay roughly constant.
+    getStats() {
+        return {
+            geometries: this.renderer.info.memory.geometries,
+            textures: this.renderer.info.memory.textures,
+            drawCalls: this.renderer.info.render.calls,
+            triangles: this.renderer.info.render.triangles,
+            meshedSections: Array.from(this.sectionMeshes.values()).filter(entry => entry.mesh || entry.translucentMesh).length,
+            visibleSections: this.visibleSectionCount, // Meshed ones drawn in the last frame
+            dirtySections: this.dirtySections.size,
+            dirtyChunks: new Set(Array.from(this.dirtySections, key => key.replace(/,[^,]+,/, ','))).size, // Columns with dirty sections
+        };
+    }
+
+    // --- Section Meshes ---
+    // One mesh (plus one for translucent faces) per section that has something to draw
+
+    markSectionDirty(key) {
+        this.dirtySections.add(key);
+    }
+
+    // Hands dirty sections to the worker pool. Only a few jobs are kept in flight so
+    // freshly edited sections don't queue up behind a long backlog.
+    updateSectionMeshes() {
+        if (this.dirtySections.size === 0) return;
+        const maxJobsInFlight = this.jobs.concurrency * 2;
+
+        let dispatchedCount = 0;
+        for (const key of this.dirtySections) {
+            if (this.meshJobsInFlight >= maxJobsInFlight) break;
+            this.dirtySections.delete(key);
+            const [sectionX, sectionY, sectionZ] = key.split(',').map(Number);
+            const chunk = this.world.getChunk(sectionX, sectionZ);
+            if (!chunk || !chunk.generated) continue; // Meshed once its terrain arrives
+            if (this.isHidden(sectionX, sectionY, sectionZ)) {
+                this.removeSection(key);
+                continue;
+            }
+
+            this.meshJobsInFlight++;
+            dispatchedCount++;
+            this.meshSection(key, chunk, sectionY)
+                .catch(error => log.error(`Meshing section ${key} failed:`, error))
+                .finally(() => this.meshJobsInFlight--);
+        }
+        if (dispatchedCount > 0) log.debug(`Queued ${dispatchedCount} section meshes`);
+    }
+
+    // Sections with no faces to draw, without meshing them: all air, or one opaque
+    // block all through with the same on all six sides (deep rock)
+    isHidden(sectionX, sectionY, sectionZ) {
+        const section = this.getSection(sectionX, sectionY, sectionZ);
+        if (section.isEmpty) return true;
+        const isSolidRock = (s) => !!s && s.isUniform && blocks.isOpaque(s.block);
+        return isSolidRock(section) && [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]]
+            .every(([dx, dy, dz]) => isSolidRock(this.getSection(sectionX + dx, sectionY + dy, sectionZ + dz)));
+    }
+
+    // Like World.getSection, but below the world counts as solid: nothing is drawn facing out of its bottom
+    getSection(sectionX, sectionY, sectionZ) {
+        return sectionY < MIN_SECTION_Y ? BELOW_WORLD : this.world.getSection(sectionX, sectionY, sectionZ);
+    }
+
+    // Meshing runs in a worker on a copy of the voxels and light plus a border of the neighbours'.
+    // Results that arrive after a newer one has been applied are dropped.
+    meshSection(key, chunk, sectionY) {
+        let entry = this.sectionMeshes.get(key);
+        if (!entry || entry.chunk !== chunk) {
+            entry = { chunk, sectionY, mesh: null, translucentMesh: null, connections: ALL_CONNECTED, jobId: 0, appliedJobId: 0 };
+            this.sectionMeshes.set(key, entry);
+        }
+        const jobId = ++entry.jobId;
+        const { voxels, light } = padSection((dx, dy, dz) => this.getSection(chunk.x + dx, sectionY + dy, chunk.z + dz));
+        return this.jobs.mesh(voxels, light).then(meshData => {
+            if (jobId < entry.appliedJobId || this.sectionMeshes.get(key) !== entry) return;
+            entry.appliedJobId = jobId;
+            entry.connections = meshData.connections;
+            const origin = [chunk.worldX, sectionY * SECTION_SIZE, chunk.worldZ]; // Mesher works in section-local coordinates
+            entry.mesh = this.replaceGeometry(entry.mesh, meshData.opaque, this.chunkMaterial, origin);
+            entry.translucentMesh = this.replaceGeometry(entry.translucentMesh, meshData.translucent, this.translucentChunkMaterial, origin);
+        });
+    }
+
+    // Puts the mesher output into mesh, creating it at origin if needed. Returns
+    // the mesh, or null (removed) if there is nothing to draw.
+    replaceGeometry(mesh, meshData, material, origin) {
+        if (meshData.quadCount === 0) {
+            if (mesh) this.removeMesh(mesh);
+            return null;
+        }
+
+        const geometry = createChunkGeometry(meshData);
+        if (mesh) {
+            // Reuse the mesh object, only the geometry changes
+            mesh.geometry.dispose();
+            mesh.geometry = geometry;
+            return mesh;
+        }
+        mesh = new THREE.Mesh(geometry, material);
+        mesh.position.fromArray(origin);
+        mesh.frustumCulled = false; // updateCulling does it per section
+        // mesh.castShadow = true;
+        // mesh.receiveShadow = true;
+        this.scene.add(mesh);
+        return mesh;
+    }
+
+    // Pending mesh jobs for the section are dropped
+    removeSection(key) {
+        const entry = this.sectionMeshes.get(key);
+        if (!entry) return;
+        if (entry.mesh) this.removeMesh(entry.mesh);
+        if (entry.translucentMesh) this.removeMesh(entry.translucentMesh);
+        this.sectionMeshes.delete(key);
+    }
+
+    // The chunk was unloaded, all its sections go
+    removeChunk(chunk) {
+        for (let i = 0; i < SECTIONS_PER_CHUNK; i++) {
+            const key = getSectionKey(chunk.x, MIN_SECTION_Y + i, chunk.z);
+            this.dirtySections.delete(key);
+            this.removeSection(key);
+        }
+    }
+
+    removeMesh(mesh) {
+        this.scene.remove(mesh);
+        mesh.geometry.dispose(); // Materials are shared, don't dispose them here
+    }
+
+    // --- Culling ---
+    // Every frame, before drawing: section meshes are only drawn if their box is in
+    // the view frustum and, with occlusionCulling, a line of sight from the camera's
+    // section can reach them through see-through blocks (see occlusion.js).
+
+    updateCulling() {
+        this.camera.updateMatrixWorld();
+        this.frustumMatrix.multiplyMatrices(this.camera.projectionMatrix, this.camera.matrixWorldInverse);
+        this.frustum.setFromProjectionMatrix(this.frustumMatrix);
+
+        const start = this.camera.position.toArray().map(value => Math.floor(value / SECTION_SIZE));
+        const inWorld = start[1] >= MIN_SECTION_Y && start[1] < MIN_SECTION_Y + SECTIONS_PER_CHUNK;
+        // Above or below the world there is no section to start from, only the frustum counts
+        const visible = this.occlusionCulling && inWorld ? findVisibleSections(start,
+            (x, y, z) => this.getConnections(x, y, z), (x, y, z) => this.isSectionInView(x, y, z)) : null;
+
+        this.visibleSectionCount = 0;
+        for (const [key, entry] of this.sectionMeshes) {
+            if (!entry.mesh && !entry.translucentMesh) continue;
+            const shown = visible ? visible.has(key) : this.isSectionInView(entry.chunk.x, entry.sectionY, entry.chunk.z);
+            if (entry.mesh) entry.mesh.visible = shown;
+            if (entry.translucentMesh) entry.translucentMesh.visible = shown;
+            if (shown) this.visibleSectionCount++;
+        }
+    }
+
+    isSectionInView(sectionX, sectionY, sectionZ) {
+        this.sectionBox.min.set(sectionX, sectionY, sectionZ).multiplyScalar(SECTION_SIZE);
+        this.sectionBox.max.copy(this.sectionBox.min).addScalar(SECTION_SIZE);
+        return this.frustum.intersectsBox(this.sectionBox);
+    }
+
+    // Face connections of a section for findVisibleSections, null outside the loaded world.
+    // Sections without a mesh yet count as open, so nothing disappears while they're meshed.
+    getConnections(sectionX, sectionY, sectionZ) {
+        if (sectionY < MIN_SECTION_Y || sectionY >= MIN_SECTION_Y + SECTIONS_PER_CHUNK) return null;
+        const section = this.world.getSection(sectionX, sectionY, sectionZ);
+        if (!section) return null;
+        const entry = this.sectionMeshes.get(getSectionKey(sectionX, sectionY, sectionZ));
+        if (entry) return entry.connections;
+        return section.isUniform && blocks.isOpaque(section.block) ? NONE_CONNECTED : ALL_CONNECTED;
+    }
+
+    // --- Falling Blocks ---
+    // One small mesh per falling block, lit like the cell it started from
+
+    addFallingBlock(fallingBlock) {
+        const [x, y, z] = fallingBlock.body.position.map(Math.floor);
+        const light = this.world.getLight(x, y, z);
+        const isCell = (cx, cy, cz) => cx === 0 && cy === 0 && cz === 0;
+        const { opaque, translucent } = greedyMesh(1, 1, 1,
+            (cx, cy, cz) => isCell(cx, cy, cz) ? fallingBlock.blockType : BLOCK.AIR,
+            light < 0 ? undefined : () => light);
+        const isTranslucent = translucent.quadCount > 0;
+        const mesh = new THREE.Mesh(createChunkGeometry(isTranslucent ? translucent : opaque),
+            isTranslucent ? this.translucentChunkMaterial : this.chunkMaterial);
+        this.fallingBlockMeshes.set(fallingBlock, mesh);
+        this.scene.add(mesh);
+    }
+
+    removeFallingBlock(fallingBlock) {
+        const mesh = this.fallingBlockMeshes.get(fallingBlock);
+        this.fallingBlockMeshes.delete(fallingBlock);
+        this.removeMesh(mesh);
+    }
+
+    // Every frame, between their last two tick positions like the camera
+    updateFallingBlocks(alpha) {
+        for (const [fallingBlock, mesh] of this.fallingBlockMeshes) {
+            const [x, y, z] = fallingBlock.body.position;
+            const [px, py, pz] = fallingBlock.previousPosition;
+            // The mesh spans 0..1 from its corner, the body position is the middle of its bottom
+            mesh.position.set(px + (x - px) * alpha - 0.5, py + (y - py) * alpha, pz + (z - pz) * alpha - 0.5);
+        }
+    }
+
+    // --- Mobs ---
+    // A group of boxes per mob (see model in MOB_TYPES), kept in step with the entities every frame
+
+    getBoxMaterial(color) {
+        if (!this.boxMaterials.has(color)) this.boxMaterials.set(color, new THREE.MeshLambertMaterial({ color }));
+        return this.boxMaterials.get(color);
+    }
+
+    // boxes: { size, offset, color } like model in MOB_TYPES
+    createBoxModel(boxes) {
+        const group = new THREE.Group();
+        for (const { size, offset, color } of boxes) {
+            const part = new THREE.Mesh(new THREE.BoxGeometry(...size), this.getBoxMaterial(color));
+            part.position.set(offset[0], offset[1] + size[1] / 2, offset[2]); // Offsets are to the bottom of the box
+            part.userData.material = part.material;
+            group.add(part);
+        }
+        return group;
+    }
+
+    // entities: the EntityManager, see entities.js
+    updateMobs(entities, alpha) {
+        for (const id of entities.query('model', 'position')) {
+            const model = entities.get(id, 'model');
+            let group = this.mobModels.get(id);
+            if (!group) {
+                group = this.createBoxModel(MOB_TYPES[model.type].model);
+                this.mobModels.set(id, group);
+                this.scene.add(group);
+            }
+            const [x, y, z] = entities.get(id, 'position');
+            const [px, py, pz] = model.previousPosition;
+            group.position.set(px + (x - px) * alpha, py + (y - py) * alpha, pz + (z - pz) * alpha);
+            group.rotation.y = model.yaw;
+            const health = entities.get(id, 'health');
+            const hurt = !!health && health.hurtTicks > 0;
+            for (const part of group.children) part.material = hurt ? this.hurtMaterial : part.userData.material;
+        }
+        for (const [id, group] of this.mobModels) {
+            if (entities.exists(id)) continue;
+            this.scene.remove(group);
+            for (const part of group.children) part.geometry.dispose();
+            this.mobModels.delete(id);
+        }
+    }
+
+    // --- Other Players ---
+    // Moved smoothly to the position the server last sent
+
+    // players: [{ id, name, position, yaw }], see protocol.js
+    updatePlayers(players) {
+        const now = performance.now();
+        for (const { id, name, position, yaw } of players) {
+            let remote = this.remotePlayers.get(id);
+            if (!remote) {
+                const model = this.createBoxModel(PLAYER_MODEL);
+                model.add(createNameTag(name));
+                this.scene.add(model);
+                remote = { position, previousPosition: position, yaw, receivedAt: now, model };
+                this.remotePlayers.set(id, remote);
+            }
+            remote.previousPosition = getRemotePlayerPosition(remote, now);
+            remote.position = position;
+            remote.yaw = yaw;
+            remote.receivedAt = now;
+        }
+    }
+
+    // Every frame
+    updateRemotePlayerModels() {
+        const now = performance.now();
+        for (const remote of this.remotePlayers.values()) {
+            remote.model.position.fromArray(getRemotePlayerPosition(remote, now));
+            remote.model.rotation.y = remote.yaw;
+        }
+    }
+
+    removePlayer(id) {
+        const remote = this.remotePlayers.get(id);
+        if (!remote) return;
+        this.scene.remove(remote.model);
+        remote.model.traverse(object => {
+            if (object.geometry) object.geometry.dispose();
+            if (object.isSprite) {
+                object.material.map.dispose();
+                object.material.dispose();
+            }
+        });
+        this.remotePlayers.delete(id);
+    }
+
+    // --- Block Outline & Cracks ---
+
+    // Block position [x, y, z] under the crosshair, or null
+    setTarget(position) {
+        this.selectionOutline.visible = position !== null;
+        if (position) this.selectionOutline.position.set(position[0] + 0.5, position[1] + 0.5, position[2] + 0.5);
+    }
+
+    // Selected region bounds { min, size } (see getRegionBounds), or null
+    setRegion(bounds) {
+        this.regionOutline.visible = bounds !== null;
+        if (!bounds) return;
+        const { min, size } = bounds;
+        this.regionOutline.position.set(min[0] + size[0] / 2, min[1] + size[1] / 2, min[2] + size[2] / 2);
+        this.regionOutline.scale.set(size[0] + 0.02, size[1] + 0.02, size[2] + 0.02);
+    }
+
+    // stage: 0..BREAK_STAGES - 1, or -1 when nothing is being broken
+    setBreaking(stage, position) {
+        this.breakingOverlay.visible = stage >= 0;
+        if (stage < 0) return;
+        const [x, y, z] = position;
+        this.breakingOverlay.position.set(x + 0.5, y + 0.5, z + 0.5);
+        this.breakingOverlay.material.map = this.crackTextures[stage];
+    }
+
+    // --- Day/Night Cycle ---
+
+    // Flat square that always faces the camera, drawn without fog
+    createSkyObject(color, size) {
+        const mesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(size, size),
+            new THREE.MeshBasicMaterial({ color, fog: false }),
+        );
+        this.scene.add(mesh);
+        return mesh;
+    }
+
+    // clock: the WorldClock, see day-cycle.js. Sky objects are centred on the camera.
+    updateSky(clock) {
+        const { skyColor, ambientIntensity, lightIntensity } = clock.getSkyState();
+        this.scene.background.setHex(skyColor);
+        this.scene.fog.color.setHex(skyColor);
+        this.ambientLight.intensity = ambientIntensity;
+
+        // Sun and moon sit on opposite ends of the same arc, centred on the player
+        const center = this.camera.position;
+        const sunDirection = new THREE.Vector3(...clock.getSunDirection());
+        this.sun.position.copy(center).addScaledVector(sunDirection, SKY_OBJECT_DISTANCE);
+        this.moon.position.copy(center).addScaledVector(sunDirection, -SKY_OBJECT_DISTANCE);
+        this.sun.lookAt(center);
+        this.moon.lookAt(center);
+
+        const lightDirection = clock.isDay() ? sunDirection : sunDirection.negate();
+        this.celestialLight.position.copy(center).addScaledVector(lightDirection, LIGHT_DISTANCE);
+        this.celestialLight.target.position.copy(center);
+        this.celestialLight.color.setHex(clock.isDay() ? 0xFFFFFF : 0x9DB0D8); // Bluish moonlight
+        this.celestialLight.intensity = lightIntensity;
+    }
+}
+
+// Geometry for mesher output, see mesher.js
+function createChunkGeometry({ positions, normals, colors, uvs, tiles, indices }) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+    geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    geometry.setAttribute('tile', new THREE.BufferAttribute(tiles, 1));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    // The section's bounds rather than ones computed from every vertex
+    geometry.boundingBox = new THREE.Box3(new THREE.Vector3(0, 0, 0), new THREE.Vector3(SECTION_SIZE, SECTION_SIZE, SECTION_SIZE));
+    geometry.boundingSphere = geometry.boundingBox.getBoundingSphere(new THREE.Sphere());
+    return geometry;
+}
+
+// Where a remote player is drawn: on its way from the last drawn position to the
+// newest one, over the tick the server takes to send the next
+function getRemotePlayerPosition(remote, now) {
+    const t = Math.min(1, (now - remote.receivedAt) / 1000 * TICK_RATE);
+    const [x, y, z] = remote.position;
+    const [px, py, pz] = remote.previousPosition;
+    return [px + (x - px) * t, py + (y - py) * t, pz + (z - pz) * t];
+}
+
+// The name above a player's head, always facing the camera
+function createNameTag(name) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const context = canvas.getContext('2d');
+    context.fillStyle = 'rgba(0, 0, 0, 0.4)';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.font = '36px sans-serif';
+    context.fillStyle = 'white';
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    context.fillText(name, canvas.width / 2, canvas.height / 2);
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: new THREE.CanvasTexture(canvas) }));
+    sprite.scale.set(1, 0.25, 1);
+    sprite.position.y = PLAYER_HEIGHT + 0.4;
+    return sprite;
+}
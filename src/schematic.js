@@ -0,0 +1,88 @@
+// Versioned binary format for region clipboards (see region-tools.js), so
+// builds can be exported to a file and imported into another world.
+// Blocks are stored by name, so a schematic still loads after block ids change.
+//
+// Layout (little endian):
+//   0  4 bytes  magic "VXSC"
+//   4  u8       format version (SCHEMATIC_FORMAT_VERSION)
+//   5  u16      palette length
+//   7  ...      palette: per entry a u8 byte length and the block name in UTF-8
+//   ..  ...     the blocks as palette indices in a saved chunk (see chunk-codec.js),
+//               which also holds the size: index order y, then z, then x
+import { blocks as defaultBlocks } from './blocks.js';
+import { decodeChunk, encodeChunk } from './chunk-codec.js';
+
+export const SCHEMATIC_FORMAT_VERSION = 1;
+export const SCHEMATIC_FILE_EXTENSION = '.vxschem';
+const MAGIC = [0x56, 0x58, 0x53, 0x43]; // "VXSC"
+const HEADER_SIZE = 7;
+const MAX_NAME_BYTES = 255; // The palette's u8 length
+
+export function encodeSchematic({ sizeX, sizeY, sizeZ, voxels }, blocks = defaultBlocks) {
+    const palette = []; // Block ids in first-use order
+    const paletteIndex = new Map();
+    const indices = new Uint8Array(voxels.length);
+    for (let i = 0; i < voxels.length; i++) {
+        const id = voxels[i];
+        if (!paletteIndex.has(id)) {
+            if (!blocks.get(id)) throw new Error(`Unknown block id ${id} in the clipboard`);
+            paletteIndex.set(id, palette.length);
+            palette.push(id);
+        }
+        indices[i] = paletteIndex.get(id);
+    }
+
+    const encoder = new TextEncoder();
+    const names = palette.map(id => {
+        const name = encoder.encode(blocks.get(id).name);
+        if (name.length > MAX_NAME_BYTES) throw new Error(`Block name "${blocks.get(id).name}" is too long for a schematic (over ${MAX_NAME_BYTES} bytes)`);
+        return name;
+    });
+    const body = encodeChunk(indices, sizeX, sizeY, sizeZ);
+    const out = new Uint8Array(HEADER_SIZE + names.reduce((sum, name) => sum + 1 + name.length, 0) + body.length);
+    out.set(MAGIC, 0);
+    out[4] = SCHEMATIC_FORMAT_VERSION;
+    new DataView(out.buffer).setUint16(5, palette.length, true);
+    let offset = HEADER_SIZE;
+    for (const name of names) {
+        out[offset++] = name.length;
+        out.set(name, offset);
+        offset += name.length;
+    }
+    out.set(body, offset);
+    return out;
+}
+
+// Returns a clipboard { sizeX, sizeY, sizeZ, voxels } with this game's block
+// ids. Throws on anything malformed and on blocks this game doesn't have.
+export function decodeSchematic(bytes, blocks = defaultBlocks) {
+    if (bytes.length < HEADER_SIZE || MAGIC.some((b, i) => bytes[i] !== b)) {
+        throw new Error('Not a schematic (bad magic)');
+    }
+    const version = bytes[4];
+    if (version !== SCHEMATIC_FORMAT_VERSION) {
+        throw new Error(`Unsupported schematic format version ${version}`);
+    }
+    const paletteLength = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint16(5, true);
+
+    const decoder = new TextDecoder();
+    const palette = new Uint8Array(paletteLength);
+    let offset = HEADER_SIZE;
+    for (let i = 0; i < paletteLength; i++) {
+        const length = bytes[offset++];
+        if (length === undefined || offset + length > bytes.length) throw new Error('Truncated schematic palette');
+        const name = decoder.decode(bytes.subarray(offset, offset + length));
+        offset += length;
+        const block = blocks.getByName(name);
+        if (!block) throw new Error(`Unknown block "${name}" in the schematic`);
+        palette[i] = block.id;
+    }
+
+    const { sizeX, sizeY, sizeZ, voxels: indices } = decodeChunk(bytes.subarray(offset));
+    const voxels = new Uint8Array(indices.length);
+    for (let i = 0; i < indices.length; i++) {
+        if (indices[i] >= paletteLength) throw new Error(`Palette index ${indices[i]} out of range`);
+        voxels[i] = palette[indices[i]];
+    }
+    return { sizeX, sizeY, sizeZ, voxels };
+}
@@ -0,0 +1,96 @@
+// One SECTION_SIZE cube of a chunk column: its blocks and their packed light
+// (see lighting.js), index = y * SECTION_SIZE * SECTION_SIZE + z * SECTION_SIZE + x.
+// Most sections are one block all through, air above the ground and stone deep
+// below it, with the same light everywhere; those keep just the value, and get
+// an array on the first write that breaks the pattern.
+import { BLOCK } from './blocks.js';
+import { MIN_SECTION_Y, SECTION_SIZE, SECTION_VOLUME, SECTIONS_PER_CHUNK } from './constants.js';
+
+export function getSectionKey(sectionX, sectionY, sectionZ) {
+    return `${sectionX},${sectionY},${sectionZ}`;
+}
+
+// Section coordinate of a world coordinate (any axis)
+export const getSectionCoord = (worldCoord) => Math.floor(worldCoord / SECTION_SIZE);
+
+// Where a section starts in a whole column array (see CHUNK_VOLUME in constants.js)
+export const getColumnOffset = (sectionY) => (sectionY - MIN_SECTION_Y) * SECTION_VOLUME;
+
+// The array if it holds different values, otherwise its one value
+function compact(array) {
+    const first = array[0];
+    for (let i = 1; i < array.length; i++) {
+        if (array[i] !== first) return array.slice(); // A copy: a subarray would keep the whole column alive
+    }
+    return first;
+}
+
+export class Section {
+    // voxels and light: a Uint8Array of SECTION_VOLUME, or one value for all of it
+    constructor(voxels = BLOCK.AIR, light = 0) {
+        this.voxels = typeof voxels === 'number' ? null : voxels;
+        this.block = typeof voxels === 'number' ? voxels : -1; // The block everywhere while voxels is null
+        this.light = typeof light === 'number' ? null : light;
+        this.lightLevel = typeof light === 'number' ? light : -1;
+        this.modified = false; // Edited since generation, must not be thrown away on unload
+    }
+
+    // A section from (parts of) full arrays, shrunk to single values where it can be
+    static fromArrays(voxels, light) {
+        return new Section(compact(voxels), compact(light));
+    }
+
+    // All air, nothing to draw
+    get isEmpty() {
+        return this.voxels === null && this.block === BLOCK.AIR;
+    }
+
+    get isUniform() {
+        return this.voxels === null;
+    }
+
+    getBlock(index) {
+        return this.voxels ? this.voxels[index] : this.block;
+    }
+
+    setBlock(index, id) {
+        if (!this.voxels) {
+            if (id === this.block) return;
+            this.voxels = new Uint8Array(SECTION_VOLUME).fill(this.block);
+        }
+        this.voxels[index] = id;
+    }
+
+    getLight(index) {
+        return this.light ? this.light[index] : this.lightLevel;
+    }
+
+    setLight(index, value) {
+        if (!this.light) {
+            if (value === this.lightLevel) return;
+            this.light = new Uint8Array(SECTION_VOLUME).fill(this.lightLevel);
+        }
+        this.light[index] = value;
+    }
+
+    // Copies the blocks (or light) into a larger array, e.g. a whole column
+    copyVoxelsTo(target, offset = 0) {
+        if (this.voxels) target.set(this.voxels, offset);
+        else target.fill(this.block, offset, offset + SECTION_VOLUME);
+        return target;
+    }
+
+    copyLightTo(target, offset = 0) {
+        if (this.light) target.set(this.light, offset);
+        else target.fill(this.lightLevel, offset, offset + SECTION_VOLUME);
+        return target;
+    }
+}
+
+// A lit column (see CHUNK_VOLUME) as its sections, bottom up
+export function splitColumn(voxels, light) {
+    return Array.from({ length: SECTIONS_PER_CHUNK }, (_, i) => {
+        const start = i * SECTION_VOLUME;
+        return Section.fromArrays(voxels.subarray(start, start + SECTION_VOLUME), light.subarray(start, start + SECTION_VOLUME));
+    });
+}
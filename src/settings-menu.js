@@ -0,0 +1,108 @@
+// The settings panel in the pause screen (#blocker): sliders for the numeric
+// settings, checkboxes for the others and a button per action to rebind it.
+// Every change is handed to onChange at once, the game applies and saves it
+// (see settings.js).
+import { ACTION_LABELS, getInputLabel } from './input.js';
+import { DEFAULT_SETTINGS, SETTING_RANGES, sanitizeSettings } from './settings.js';
+
+const LABELS = {
+    renderDistance: 'Render distance',
+    fov: 'Field of view',
+    mouseSensitivity: 'Mouse sensitivity',
+    antialias: 'Antialiasing',
+    invertY: 'Invert Y',
+};
+
+export class SettingsMenu {
+    // root: element to build the panel in. input: the Input, for capturing the key to bind.
+    // onChange(settings): a complete copy after every change.
+    constructor(root, { settings, input, onChange }) {
+        this.root = root;
+        this.document = root.ownerDocument;
+        this.input = input;
+        this.onChange = onChange;
+        this.settings = sanitizeSettings(settings);
+        this.build();
+    }
+
+    get isOpen() {
+        return this.root.classList.contains('open');
+    }
+
+    toggle(open = !this.isOpen) {
+        this.root.classList.toggle('open', open);
+    }
+
+    build() {
+        this.root.textContent = '';
+        for (const name of Object.keys(SETTING_RANGES)) this.addSlider(name);
+        this.addCheckbox('antialias');
+        this.addCheckbox('invertY');
+
+        const bindings = this.addElement(this.root, 'div', 'settings-bindings');
+        for (const action of Object.keys(this.settings.bindings)) this.addBinding(bindings, action);
+
+        const reset = this.addElement(this.root, 'button', 'settings-reset', 'Reset to defaults');
+        reset.addEventListener('click', () => {
+            this.settings = sanitizeSettings(DEFAULT_SETTINGS);
+            this.build();
+            this.changed();
+        });
+    }
+
+    addElement(parent, tag, className, text = '') {
+        const element = this.document.createElement(tag);
+        if (className) element.className = className;
+        element.textContent = text;
+        parent.appendChild(element);
+        return element;
+    }
+
+    addSlider(name) {
+        const row = this.addElement(this.root, 'label', 'settings-row', LABELS[name]);
+        const slider = this.addElement(row, 'input');
+        Object.assign(slider, { type: 'range', ...SETTING_RANGES[name], value: this.settings[name] });
+        const value = this.addElement(row, 'span', 'settings-value', this.settings[name]);
+        slider.addEventListener('input', () => {
+            this.settings[name] = Number(slider.value);
+            value.textContent = slider.value;
+            this.changed();
+        });
+    }
+
+    addCheckbox(name) {
+        const row = this.addElement(this.root, 'label', 'settings-row', LABELS[name]);
+        const checkbox = this.addElement(row, 'input');
+        Object.assign(checkbox, { type: 'checkbox', checked: this.settings[name] });
+        checkbox.addEventListener('change', () => {
+            this.settings[name] = checkbox.checked;
+            this.changed();
+        });
+    }
+
+    // Clicking the button binds the next key or mouse button to the action instead of its
+    // keyboard and mouse inputs; gamepad buttons stay bound
+    addBinding(parent, action) {
+        this.addElement(parent, 'span', '', ACTION_LABELS[action] || action);
+        const button = this.addElement(parent, 'button');
+        const showInputs = () => {
+            button.textContent = this.settings.bindings[action].map(getInputLabel).join(', ') || '(none)';
+        };
+        showInputs();
+        button.addEventListener('click', () => {
+            button.textContent = 'Press a key or button, Escape to cancel';
+            this.input.captureNextInput((code) => {
+                if (code !== null) {
+                    const gamepad = this.settings.bindings[action].filter(each => each.startsWith('Gamepad'));
+                    this.settings.bindings[action] = [code, ...gamepad];
+                    this.changed();
+                }
+                showInputs();
+            });
+        });
+    }
+
+    changed() {
+        if (this.onChange) this.onChange(sanitizeSettings(this.settings));
+    }
+}
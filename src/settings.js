@@ -0,0 +1,61 @@
+// The player's settings: view, mouse and key bindings. Kept as JSON in
+// localStorage, which is passed in (anything with getItem and setItem) so
+// this stays DOM-free. Whatever is read back is checked: unknown keys are
+// dropped, numbers are clamped to their range and anything missing or broken
+// takes its default, so an old or hand-edited entry can't break the game.
+import { DEFAULT_BINDINGS } from './input.js';
+
+export const SETTINGS_STORAGE_KEY = 'voxel-game-settings';
+
+export const DEFAULT_SETTINGS = {
+    renderDistance: 4, // Chunks in each direction
+    fov: 75, // Vertical, degrees
+    mouseSensitivity: 1, // Times the default look speed, gamepad too
+    antialias: true, // Smoother edges, can be costly
+    invertY: false,
+    bindings: DEFAULT_BINDINGS, // See input.js
+};
+
+// The numeric settings' ranges, also the settings menu's sliders
+export const SETTING_RANGES = {
+    renderDistance: { min: 2, max: 12, step: 1 },
+    fov: { min: 50, max: 110, step: 1 },
+    mouseSensitivity: { min: 0.1, max: 3, step: 0.1 },
+};
+
+// A complete, valid copy of settings
+export function sanitizeSettings(settings) {
+    settings = settings && typeof settings === 'object' ? settings : {};
+    const result = {};
+    for (const [name, fallback] of Object.entries(DEFAULT_SETTINGS)) {
+        const value = settings[name];
+        if (name === 'bindings') result.bindings = sanitizeBindings(value);
+        else if (typeof fallback === 'boolean') result[name] = typeof value === 'boolean' ? value : fallback;
+        else if (!Number.isFinite(value)) result[name] = fallback;
+        else result[name] = Math.max(SETTING_RANGES[name].min, Math.min(SETTING_RANGES[name].max, value));
+    }
+    return result;
+}
+
+// Every action gets its saved inputs if they look right, otherwise its defaults
+function sanitizeBindings(bindings) {
+    bindings = bindings && typeof bindings === 'object' ? bindings : {};
+    return Object.fromEntries(Object.entries(DEFAULT_BINDINGS).map(([action, fallback]) => {
+        const inputs = bindings[action];
+        const valid = Array.isArray(inputs) && inputs.every(code => typeof code === 'string' && code !== '');
+        return [action, (valid ? inputs : fallback).slice()];
+    }));
+}
+
+export function loadSettings(storage) {
+    try {
+        return sanitizeSettings(JSON.parse(storage.getItem(SETTINGS_STORAGE_KEY)));
+    } catch {
+        return sanitizeSettings(null); // Never saved, or not JSON
+    }
+}
+
+// Throws if the storage is full or not allowed
+export function saveSettings(storage, settings) {
+    storage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(sanitizeSettings(settings)));
+}
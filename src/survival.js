@@ -0,0 +1,175 @@
+// Survival rules for the player: health, hunger, fall damage and how long
+// blocks take to break. DOM-free and counted in ticks; voxel-game.js feeds it
+// what the player does and draws the bars. Creative mode just doesn't use it.
+//
+// Hunger works like health, 0..MAX_HUNGER. Everything tiring adds exhaustion;
+// every EXHAUSTION_PER_POINT of it costs a point of saturation, or of hunger
+// once saturation is gone. Eating fills both.
+import { TICK_RATE } from './constants.js';
+import { GRAVITY } from './physics.js';
+
+export const MAX_HEALTH = 20;
+export const MAX_HUNGER = 20;
+const EXHAUSTION_PER_POINT = 4;
+const SPRINT_EXHAUSTION = 0.1; // Per block
+const JUMP_EXHAUSTION = 0.05;
+const SPRINT_JUMP_EXHAUSTION = 0.2;
+export const BREAK_EXHAUSTION = 0.005; // Per block broken
+export const ATTACK_EXHAUSTION = 0.1; // Per hit
+const REGEN_EXHAUSTION = 6; // Healing costs food
+const REGEN_MIN_HUNGER = 18; // Heals only when this well fed
+const REGEN_INTERVAL = 4 * TICK_RATE; // Ticks per point healed (or lost to starving)
+const SAFE_FALL_DISTANCE = 3; // Blocks; every block fallen beyond costs a point of health
+const HURT_COOLDOWN = TICK_RATE / 2; // Ticks after damage before the next can land
+
+export class PlayerVitals {
+    // onChange(vitals) runs after every change, e.g. to redraw the bars
+    constructor({ onChange = null } = {}) {
+        this.onChange = onChange;
+        this.setFull();
+    }
+
+    setFull() {
+        this.health = MAX_HEALTH;
+        this.hunger = MAX_HUNGER;
+        this.saturation = 5;
+        this.exhaustion = 0;
+        this.regenTicks = 0;
+        this.hurtCooldown = 0;
+    }
+
+    // Back to full, e.g. on respawn
+    reset() {
+        this.setFull();
+        this.changed();
+    }
+
+    get dead() {
+        return this.health <= 0;
+    }
+
+    // Returns whether it hurt: damage right after other damage is ignored
+    damage(amount) {
+        if (this.dead || amount <= 0 || this.hurtCooldown > 0) return false;
+        this.health = Math.max(0, this.health - amount);
+        this.hurtCooldown = HURT_COOLDOWN;
+        this.changed();
+        return true;
+    }
+
+    // Straight to 0, whatever the cooldown, e.g. for falling out of the world
+    kill() {
+        this.health = 0;
+        this.changed();
+    }
+
+    exhaust(amount) {
+        this.exhaustion += amount;
+        while (this.exhaustion >= EXHAUSTION_PER_POINT) {
+            this.exhaustion -= EXHAUSTION_PER_POINT;
+            if (this.saturation > 0) this.saturation = Math.max(0, this.saturation - 1);
+            else this.hunger = Math.max(0, this.hunger - 1);
+        }
+        this.changed();
+    }
+
+    // Eats food worth food points (see food in blocks.js). Returns false when full.
+    eat(food) {
+        if (this.hunger >= MAX_HUNGER || food <= 0) return false;
+        this.hunger = Math.min(MAX_HUNGER, this.hunger + food);
+        this.saturation = Math.min(this.hunger, this.saturation + food * 0.6);
+        this.changed();
+        return true;
+    }
+
+    // The body hit the ground at velocityY (blocks per second, negative going
+    // down). The fall height follows from it: v^2 = 2gh.
+    landed(velocityY) {
+        const fallDistance = velocityY < 0 ? velocityY * velocityY / (2 * -GRAVITY) : 0;
+        return this.damage(Math.ceil(fallDistance - SAFE_FALL_DISTANCE));
+    }
+
+    // Once per tick. activity: { distance sprinted this tick, jumped, sprinting }
+    tick({ sprintDistance = 0, jumped = false, sprinting = false } = {}) {
+        if (this.dead) return;
+        if (this.hurtCooldown > 0) this.hurtCooldown--;
+        let exhaustion = sprintDistance * SPRINT_EXHAUSTION;
+        if (jumped) exhaustion += sprinting ? SPRINT_JUMP_EXHAUSTION : JUMP_EXHAUSTION;
+        if (exhaustion > 0) this.exhaust(exhaustion);
+
+        // Well fed heals, starving hurts (but never kills)
+        const healing = this.hunger >= REGEN_MIN_HUNGER && this.health < MAX_HEALTH;
+        const starving = this.hunger === 0 && this.health > 1;
+        if (!healing && !starving) {
+            this.regenTicks = 0;
+            return;
+        }
+        if (++this.regenTicks < REGEN_INTERVAL) return;
+        this.regenTicks = 0;
+        if (healing) {
+            this.health++;
+            this.exhaust(REGEN_EXHAUSTION);
+        } else {
+            this.health--;
+            this.changed();
+        }
+    }
+
+    // Plain data for the save
+    getState() {
+        return { health: this.health, hunger: this.hunger, saturation: this.saturation, exhaustion: this.exhaustion };
+    }
+
+    applyState(state) {
+        const clamp = (value, max, fallback) => Number.isFinite(value) ? Math.max(0, Math.min(max, value)) : fallback;
+        this.health = clamp(state.health, MAX_HEALTH, MAX_HEALTH);
+        this.hunger = clamp(state.hunger, MAX_HUNGER, MAX_HUNGER);
+        this.saturation = clamp(state.saturation, this.hunger, 0);
+        this.exhaustion = clamp(state.exhaustion, EXHAUSTION_PER_POINT, 0);
+        this.changed();
+    }
+
+    changed() {
+        if (this.onChange) this.onChange(this);
+    }
+}
+
+// --- Breaking blocks ---
+// Holding the button on a block builds up progress over hardness seconds (see
+// blocks.js); letting go or looking at another block starts over.
+
+export const BREAK_STAGES = 10; // Crack overlay images, see generateCrackStages in texture-atlas.js
+
+export class BlockBreaking {
+    constructor() {
+        this.cancel();
+    }
+
+    cancel() {
+        this.position = null; // [x, y, z] of the block being broken
+        this.progress = 0; // 0..1
+    }
+
+    // 0..BREAK_STAGES - 1 for the crack overlay, -1 when nothing is being broken
+    get stage() {
+        return this.position ? Math.min(BREAK_STAGES - 1, Math.floor(this.progress * BREAK_STAGES)) : -1;
+    }
+
+    // One tick of holding the button on the block at position. Returns true when
+    // it breaks (and starts over). Hardness 0 breaks at once, below 0 never.
+    tick(position, hardness, dt = 1 / TICK_RATE) {
+        if (hardness < 0) { // Unbreakable, see isBreakable in blocks.js
+            this.cancel();
+            return false;
+        }
+        const same = this.position && this.position.every((value, axis) => value === position[axis]);
+        if (!same) {
+            this.position = position.slice();
+            this.progress = 0;
+        }
+        this.progress += hardness === 0 ? 1 : dt / hardness;
+        if (this.progress < 1) return false;
+        this.cancel();
+        return true;
+    }
+}
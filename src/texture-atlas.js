@@ -0,0 +1,204 @@
+// Texture atlas for the block tiles. Builds the atlas pixels and mip levels
+// without touching the DOM or three.js; chunk-material.js turns them into a texture.
+//
+// Every tile sits in a cell twice its size, repeated 2x2 and shifted by half a tile,
+// so the pixels around a tile are the tile itself (as if it wrapped). Sampling just
+// past a tile edge, or box-filtering for a mip level, therefore only ever mixes a
+// tile with itself: no bleeding from neighbouring tiles down to the 1px-per-cell level.
+import { createRandom, hashSeed } from './noise.js';
+
+export const TILE_SIZE = 16;
+
+// Tiles are RGBA Uint8ClampedArrays of size * size * 4, row 0 at the top (image order)
+
+function hashString(text) {
+    let h = 0;
+    for (let i = 0; i < text.length; i++) h = hashSeed(h, text.charCodeAt(i));
+    return h;
+}
+
+function createTile(size, fill) {
+    const pixels = new Uint8ClampedArray(size * size * 4);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const [r, g, b, a = 255] = fill(x, y);
+            const i = (y * size + x) * 4;
+            pixels[i] = r; pixels[i + 1] = g; pixels[i + 2] = b; pixels[i + 3] = a;
+        }
+    }
+    return pixels;
+}
+
+const rgb = (hex) => [(hex >> 16) & 255, (hex >> 8) & 255, hex & 255];
+const shade = ([r, g, b], factor) => [r * factor, g * factor, b * factor];
+
+// Procedural tile recipes by tile name; anything else gets speckled noise in its
+// base color. random is seeded from the tile name, so tiles are the same every run.
+const TILE_RECIPES = {
+    blank: () => [255, 255, 255],
+    grass_side: (x, y, random, base, size) => {
+        const fringe = 3 + Math.floor(random() * 2); // Ragged edge of the grass band
+        return y < fringe ? shade(rgb(0x559944), 0.85 + random() * 0.3) : shade(rgb(0x885522), 0.8 + random() * 0.35);
+    },
+    wood_top: (x, y, random, base, size) => {
+        const c = (size - 1) / 2;
+        const ring = Math.floor(Math.hypot(x - c, y - c) * 1.2) % 3 === 0;
+        return shade(base, (ring ? 0.75 : 1) * (0.92 + random() * 0.12));
+    },
+    wood_side: (x, y, random, base) => shade(base, (x % 4 === 0 ? 0.7 : 1) * (0.85 + random() * 0.25)),
+    planks: (x, y, random, base, size) => {
+        const seam = y % (size / 4) === 0 || (x + (Math.floor(y / (size / 4)) % 2) * size / 2) % size === 0;
+        return shade(base, (seam ? 0.65 : 1) * (0.9 + random() * 0.15));
+    },
+    bricks: (x, y, random, base, size) => {
+        const row = Math.floor(y / (size / 4));
+        const mortar = y % (size / 4) === 0 || (x + (row % 2) * size / 4) % (size / 2) === 0;
+        return mortar ? [200, 195, 185] : shade(base, 0.85 + random() * 0.25);
+    },
+    glass: (x, y, random, base, size) => {
+        const edge = x === 0 || y === 0 || x === size - 1 || y === size - 1;
+        const streak = x === y + 3 || x === y + 4;
+        return edge ? [...base, 255] : streak ? [255, 255, 255, 160] : [...base, 0];
+    },
+    water: (x, y, random, base, size) => shade(base, 0.9 + 0.1 * Math.sin((x + y * 0.5) / size * Math.PI * 4)),
+    lava: (x, y, random, base, size) => {
+        const crust = Math.sin(x / size * Math.PI * 3 + Math.sin(y / size * Math.PI * 2) * 2) > 0.6; // Darker cooling streaks
+        return shade(base, (crust ? 0.6 : 1.05) + random() * 0.1);
+    },
+};
+
+function oreRecipe(x, y, random, base) {
+    // Stone with clusters of the ore color
+    const spot = random() < 0.18;
+    return spot ? shade(base, 1.1 + random() * 0.2) : shade(rgb(0x808080), 0.8 + random() * 0.35);
+}
+
+function noiseRecipe(x, y, random, base) {
+    return shade(base, 0.82 + random() * 0.3);
+}
+
+// Generates one tile. baseColor (0xRRGGBB) is the color of the block face using it.
+export function generateTile(name, baseColor, size = TILE_SIZE) {
+    const random = createRandom(hashString(name));
+    const recipe = TILE_RECIPES[name] ?? (name.endsWith('_ore') ? oreRecipe : noiseRecipe);
+    const base = rgb(baseColor);
+    return createTile(size, (x, y) => recipe(x, y, random, base, size));
+}
+
+// Procedural tiles for every tile the block registry knows about, colored after
+// the first block face that uses each one.
+export function generateRegistryTiles(registry, size = TILE_SIZE) {
+    const baseColors = new Map();
+    for (const block of registry.all()) {
+        block.faceTextures.forEach((tile, face) => {
+            if (tile && !baseColors.has(tile)) baseColors.set(tile, block.faceColors[face]);
+        });
+    }
+    return registry.tileNames.map(name => generateTile(name, baseColors.get(name) ?? 0xFFFFFF, size));
+}
+
+// Splits a tile sheet (RGBA pixels, e.g. from a canvas) into tiles, left to right,
+// top to bottom. names[i] is the tile name of the i-th tile in the sheet.
+export function sliceTileSheet(pixels, sheetWidth, tileSize, names) {
+    const columns = Math.floor(sheetWidth / tileSize);
+    const tiles = new Map();
+    names.forEach((name, i) => {
+        const originX = (i % columns) * tileSize;
+        const originY = Math.floor(i / columns) * tileSize;
+        const tile = new Uint8ClampedArray(tileSize * tileSize * 4);
+        for (let y = 0; y < tileSize; y++) {
+            const from = ((originY + y) * sheetWidth + originX) * 4;
+            tile.set(pixels.subarray(from, from + tileSize * 4), y * tileSize * 4);
+        }
+        tiles.set(name, tile);
+    });
+    return tiles;
+}
+
+// Packs tiles (indexed like registry.tileNames) into the atlas.
+// Returns { width, height, columns, cellSize, tileSize, levels } where levels[0]
+// is the full atlas and each following level halves it (levels[i] = { width, height, data }).
+// Rows are stored bottom-up (GL order), so v grows towards the top of a tile.
+export function buildAtlas(tiles, tileSize = TILE_SIZE) {
+    if ((tileSize & (tileSize - 1)) !== 0) throw new Error(`Tile size must be a power of two, got ${tileSize}`);
+    const cellSize = tileSize * 2;
+    const columns = Math.ceil(Math.sqrt(tiles.length));
+    const rows = Math.ceil(tiles.length / columns);
+    const width = columns * cellSize;
+    const height = rows * cellSize;
+    const data = new Uint8ClampedArray(width * height * 4);
+    const half = tileSize / 2;
+
+    tiles.forEach((tile, index) => {
+        const cellX = (index % columns) * cellSize;
+        const cellY = Math.floor(index / columns) * cellSize;
+        for (let y = 0; y < cellSize; y++) {
+            // Cell row y (bottom-up) shows tile row counted from the top
+            const tileRow = tileSize - 1 - ((y - half + tileSize) % tileSize);
+            for (let x = 0; x < cellSize; x++) {
+                const tileColumn = (x - half + tileSize) % tileSize;
+                const from = (tileRow * tileSize + tileColumn) * 4;
+                const to = ((cellY + y) * width + cellX + x) * 4;
+                data[to] = tile[from];
+                data[to + 1] = tile[from + 1];
+                data[to + 2] = tile[from + 2];
+                data[to + 3] = tile[from + 3];
+            }
+        }
+    });
+
+    // Box-filtered mip levels down to one pixel per cell; past that cells would mix
+    const levels = [{ width, height, data }];
+    for (let size = cellSize; size > 1; size /= 2) {
+        levels.push(downsample(levels[levels.length - 1]));
+    }
+    return { width, height, columns, cellSize, tileSize, levels };
+}
+
+function downsample({ width, height, data }) {
+    const w = width / 2;
+    const h = height / 2;
+    const out = new Uint8ClampedArray(w * h * 4);
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            for (let c = 0; c < 4; c++) {
+                const a = ((2 * y) * width + 2 * x) * 4 + c;
+                const b = ((2 * y + 1) * width + 2 * x) * 4 + c;
+                out[(y * w + x) * 4 + c] = (data[a] + data[a + 4] + data[b] + data[b + 4]) / 4;
+            }
+        }
+    }
+    return { width: w, height: h, data: out };
+}
+
+// Crack overlays for a block being broken (see BlockBreaking in survival.js):
+// stages tiles, each with more of the same cracks than the one before. Dark
+// pixels on transparent, drawn over the block's faces.
+export function generateCrackStages(stages, size = TILE_SIZE) {
+    const random = createRandom(hashString('cracks'));
+    // Crack pixels in the order they appear: random walks out from near the middle
+    const order = [];
+    const seen = new Set();
+    const cracks = 6;
+    for (let crack = 0; crack < cracks; crack++) {
+        let x = size / 2 + Math.floor((random() - 0.5) * size / 4);
+        let y = size / 2 + Math.floor((random() - 0.5) * size / 4);
+        const angle = (crack + random() * 0.5) / cracks * Math.PI * 2; // Spread all around
+        for (let step = 0; step < size; step++) {
+            if (x < 0 || y < 0 || x >= size || y >= size) break;
+            const key = y * size + x;
+            if (!seen.has(key)) {
+                seen.add(key);
+                order.push(key);
+            }
+            // Mostly along the crack's direction, with some zigzag
+            const turn = angle + (random() - 0.5) * 2;
+            x += Math.round(Math.cos(turn));
+            y += Math.round(Math.sin(turn));
+        }
+    }
+    return Array.from({ length: stages }, (_, stage) => {
+        const shown = new Set(order.slice(0, Math.ceil(order.length * (stage + 1) / stages)));
+        return createTile(size, (x, y) => shown.has(y * size + x) ? [20, 20, 20, 200] : [0, 0, 0, 0]);
+    });
+}
@@ -0,0 +1,32 @@
+// Fixed-rate simulation loop, decoupled from the frame rate: every frame hands
+// over the time that passed, and onTick runs once per whole tick that fits.
+// The fraction of a tick left over (alpha) is for interpolating what's drawn.
+import { TICK_RATE } from './constants.js';
+
+export class TickLoop {
+    constructor(onTick, { tickRate = TICK_RATE, maxTicksPerFrame = 10 } = {}) {
+        this.onTick = onTick;
+        this.tickDuration = 1 / tickRate; // Seconds
+        this.maxTicksPerFrame = maxTicksPerFrame; // After a long stall, skip ahead instead of catching up
+        this.accumulator = 0;
+        this.tickCount = 0;
+    }
+
+    // Runs the ticks due after seconds of real time. Returns alpha, 0..1: how far
+    // the current moment is between the last tick and the next one.
+    advance(seconds) {
+        this.accumulator += seconds;
+        let ticks = 0;
+        while (this.accumulator >= this.tickDuration) {
+            if (ticks === this.maxTicksPerFrame) {
+                this.accumulator = 0;
+                break;
+            }
+            this.onTick(this.tickCount);
+            this.tickCount++;
+            this.accumulator -= this.tickDuration;
+            ticks++;
+        }
+        return this.accumulator / this.tickDuration;
+    }
+}
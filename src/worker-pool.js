@@ -0,0 +1,117 @@
+// Runs chunk generation, lighting and meshing jobs on a pool of module workers.
+// Falls back to running the jobs synchronously when Worker isn't available
+// (Node, old browsers), so callers always get a Promise either way.
+import { runChunkJob } from './chunk-jobs.js';
+
+export class ChunkWorkerPool {
+    constructor(size = defaultPoolSize()) {
+        this.workers = [];
+        this.idle = [];
+        this.queue = []; // Pending { id, job, transfer, resolve, reject }
+        this.pending = new Map(); // id -> task currently running on a worker
+        this.nextId = 1;
+
+        if (typeof Worker === 'undefined') return; // Synchronous fallback
+
+        for (let i = 0; i < size; i++) {
+            const worker = new Worker(new URL('./chunk-worker.js', import.meta.url), { type: 'module' });
+            worker.onmessage = (event) => this.onWorkerMessage(worker, event.data);
+            worker.onerror = (event) => this.onWorkerError(worker, event);
+            this.workers.push(worker);
+            this.idle.push(worker);
+        }
+    }
+
+    get isAsync() {
+        return this.workers.length > 0;
+    }
+
+    // Number of jobs that can run at once (1 for the synchronous fallback)
+    get concurrency() {
+        return Math.max(1, this.workers.length);
+    }
+
+    // pipeline: generator stage list, see DEFAULT_PIPELINE in generator.js
+    generate(seed, pipeline, chunkX, chunkZ) {
+        return this.run({ type: 'generate', seed, pipeline, chunkX, chunkZ });
+    }
+
+    // Padded voxels and light of a section (see padSection in chunk-jobs.js), transferred to the worker
+    mesh(voxels, light) {
+        return this.run({ type: 'mesh', voxels, light }, [voxels.buffer, light.buffer]);
+    }
+
+    // Light of a whole column on its own (see lighting.js); voxels are transferred, pass a copy
+    light(voxels) {
+        return this.run({ type: 'light', voxels }, [voxels.buffer]);
+    }
+
+    // Sends a job to every worker without waiting for a result, e.g. to register
+    // blocks. Workers handle messages in order, so later jobs see its effects.
+    // Without workers this is a no-op: the main thread shares its modules with the fallback.
+    broadcast(job) {
+        this.workers.forEach(worker => worker.postMessage({ job }));
+    }
+
+    run(job, transfer = []) {
+        if (!this.isAsync) {
+            try {
+                return Promise.resolve(runChunkJob(job).result);
+            } catch (error) {
+                return Promise.reject(error);
+            }
+        }
+        return new Promise((resolve, reject) => {
+            this.queue.push({ id: this.nextId++, job, transfer, resolve, reject });
+            this.pump();
+        });
+    }
+
+    pump() {
+        while (this.idle.length > 0 && this.queue.length > 0) {
+            const worker = this.idle.pop();
+            const task = this.queue.shift();
+            task.worker = worker;
+            this.pending.set(task.id, task);
+            worker.postMessage({ id: task.id, job: task.job }, task.transfer);
+        }
+    }
+
+    onWorkerMessage(worker, { id, result, error }) {
+        const task = this.pending.get(id);
+        this.pending.delete(id);
+        this.idle.push(worker);
+        if (task) {
+            if (error) task.reject(new Error(error));
+            else task.resolve(result);
+        }
+        this.pump();
+    }
+
+    onWorkerError(worker, event) {
+        // Uncaught error inside the worker: fail whatever it was running
+        for (const [id, task] of this.pending) {
+            if (task.worker !== worker) continue;
+            this.pending.delete(id);
+            task.reject(new Error(event.message || 'Chunk worker failed'));
+        }
+        if (!this.idle.includes(worker)) this.idle.push(worker);
+        this.pump();
+    }
+
+    terminate() {
+        this.workers.forEach(worker => worker.terminate());
+        this.workers = [];
+        this.idle = [];
+        const error = new Error('Chunk worker pool terminated');
+        this.pending.forEach(task => task.reject(error));
+        this.queue.forEach(task => task.reject(error));
+        this.pending.clear();
+        this.queue = [];
+    }
+}
+
+function defaultPoolSize() {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    return Math.min(4, Math.max(1, cores - 1)); // Leave a core for the render thread
+}
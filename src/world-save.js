@@ -0,0 +1,165 @@
+// Saves the world seed, the player, the time of day, every edited section and the
+// entities (mobs) of every chunk through a storage backend
+// (see world-storage.js). Section edits are batched and written after a short delay.
+//
+// Sections are stored under "x,y,z" (see section.js). Saves from before sections
+// have whole 64 block tall chunks under "x,z", covering y 0..63; those are split
+// into sections the first time the chunk loads.
+import { encodeChunk, decodeChunk } from './chunk-codec.js';
+import { CHUNK_SIZE, MIN_SECTION_Y, SECTION_SIZE, SECTION_VOLUME, SECTIONS_PER_CHUNK } from './constants.js';
+import { createLogger } from './log.js';
+import { getSectionKey } from './section.js';
+
+const log = createLogger('save');
+
+export const SAVE_FORMAT_VERSION = 1;
+const LEGACY_CHUNK_HEIGHT = 64;
+
+export class WorldSave {
+    constructor(storage, { autosaveDelay = 2000 } = {}) {
+        this.storage = storage;
+        this.autosaveDelay = autosaveDelay; // ms after the last edit before sections are written
+        this.pendingSections = new Map(); // key -> voxels waiting to be written
+        this.flushTimer = null;
+        this.flushing = Promise.resolve();
+        this.entityTasks = Promise.resolve();
+    }
+
+    // Returns the stored world info, creating it with newSeed on first use
+    async loadWorldInfo(newSeed) {
+        const info = await this.storage.get('meta', 'world');
+        if (info) {
+            if (info.version !== SAVE_FORMAT_VERSION) {
+                throw new Error(`Unsupported save format version ${info.version}`);
+            }
+            return info;
+        }
+        const created = { version: SAVE_FORMAT_VERSION, seed: newSeed >>> 0, createdAt: Date.now() };
+        await this.storage.put('meta', 'world', created);
+        return created;
+    }
+
+    async loadPlayer() {
+        return (await this.storage.get('meta', 'player')) || null;
+    }
+
+    savePlayer(state) {
+        return this.storage.put('meta', 'player', state);
+    }
+
+    // Time of day, see WorldClock in day-cycle.js
+    async loadClock() {
+        return (await this.storage.get('meta', 'clock')) || null;
+    }
+
+    saveClock(state) {
+        return this.storage.put('meta', 'clock', state);
+    }
+
+    // Saved voxels of the chunk's edited sections: a Map of section y -> voxels, empty if it was never edited
+    async loadChunk(chunkX, chunkZ) {
+        const sections = new Map();
+        await Promise.all(Array.from({ length: SECTIONS_PER_CHUNK }, async (_, i) => {
+            const sectionY = MIN_SECTION_Y + i;
+            const voxels = await this.loadSection(getSectionKey(chunkX, sectionY, chunkZ));
+            if (voxels) sections.set(sectionY, voxels);
+        }));
+        await this.migrateLegacyChunk(chunkX, chunkZ, sections);
+        return sections;
+    }
+
+    // Saved voxels for the section, or null if it was never edited
+    async loadSection(key) {
+        const pending = this.pendingSections.get(key);
+        if (pending) return pending.slice();
+
+        const bytes = await this.storage.get('chunks', key);
+        if (!bytes) return null;
+        const { sizeX, sizeY, sizeZ, voxels } = decodeChunk(bytes);
+        if (sizeX !== SECTION_SIZE || sizeY !== SECTION_SIZE || sizeZ !== SECTION_SIZE) {
+            throw new Error(`Saved section ${key} is ${sizeX}x${sizeY}x${sizeZ}, expected ${SECTION_SIZE} cubed`);
+        }
+        return voxels;
+    }
+
+    // Adds the sections of a whole chunk saved before sections (that weren't saved
+    // again since) and stores them the new way. The old record goes once they are.
+    async migrateLegacyChunk(chunkX, chunkZ, sections) {
+        const key = `${chunkX},${chunkZ}`;
+        const bytes = await this.storage.get('chunks', key);
+        if (!bytes) return;
+        const { sizeX, sizeY, sizeZ, voxels } = decodeChunk(bytes);
+        if (sizeX !== CHUNK_SIZE || sizeY !== LEGACY_CHUNK_HEIGHT || sizeZ !== CHUNK_SIZE) {
+            throw new Error(`Saved chunk ${key} is ${sizeX}x${sizeY}x${sizeZ}, expected ${CHUNK_SIZE}x${LEGACY_CHUNK_HEIGHT}x${CHUNK_SIZE}`);
+        }
+        const migrated = [];
+        for (let sectionY = 0; sectionY < LEGACY_CHUNK_HEIGHT / SECTION_SIZE; sectionY++) {
+            if (sections.has(sectionY)) continue;
+            const sectionVoxels = voxels.slice(sectionY * SECTION_VOLUME, (sectionY + 1) * SECTION_VOLUME);
+            sections.set(sectionY, sectionVoxels);
+            migrated.push([getSectionKey(chunkX, sectionY, chunkZ), sectionVoxels]);
+        }
+        try {
+            await Promise.all(migrated.map(([sectionKey, sectionVoxels]) =>
+                this.storage.put('chunks', sectionKey, encodeChunk(sectionVoxels, SECTION_SIZE, SECTION_SIZE, SECTION_SIZE))));
+            await this.storage.delete('chunks', key);
+        } catch (error) {
+            log.error(`Migrating saved chunk ${key} failed, it stays as it was:`, error);
+        }
+    }
+
+    // Entity reads and writes run one after another, so an append can't interleave with a save
+    queueEntityTask(task) {
+        const result = this.entityTasks.then(task);
+        this.entityTasks = result.catch(() => {});
+        return result;
+    }
+
+    // Saved entity states of the chunk (see getMobState in mobs.js), [] if none
+    loadEntities(key) {
+        return this.queueEntityTask(async () => (await this.storage.get('entities', key)) || []);
+    }
+
+    // Replaces the chunk's saved entities
+    saveEntities(key, states) {
+        return this.queueEntityTask(() => this.writeEntities(key, states));
+    }
+
+    // Adds to the chunk's saved entities, for entities that walked into a chunk that isn't loaded
+    appendEntities(key, states) {
+        return this.queueEntityTask(async () => {
+            const saved = (await this.storage.get('entities', key)) || [];
+            return this.writeEntities(key, saved.concat(states));
+        });
+    }
+
+    writeEntities(key, states) {
+        if (states.length === 0) return this.storage.delete('entities', key);
+        return this.storage.put('entities', key, states);
+    }
+
+    // Marks an edited section for the next autosave. The voxels are read when the
+    // save happens, so queueing the same section repeatedly is cheap.
+    queueSection(key, voxels) {
+        this.pendingSections.set(key, voxels);
+        if (this.flushTimer === null) {
+            this.flushTimer = setTimeout(() => this.flush(), this.autosaveDelay);
+        }
+    }
+
+    // Writes all queued sections now. Resolves once they are stored.
+    flush() {
+        if (this.flushTimer !== null) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        const entries = Array.from(this.pendingSections);
+        this.pendingSections.clear();
+
+        // Chain writes so an older flush can't land after a newer one
+        this.flushing = this.flushing.then(() => Promise.all(entries.map(([key, voxels]) =>
+            this.storage.put('chunks', key, encodeChunk(voxels, SECTION_SIZE, SECTION_SIZE, SECTION_SIZE))
+        ))).catch(error => log.error('Saving sections failed:', error));
+        return this.flushing;
+    }
+}
@@ -0,0 +1,102 @@
+// Storage backends for world saves. Both expose the same async key/value API
+// over named stores ('meta', 'chunks' and 'entities'), so WorldSave doesn't care which one it gets.
+import { createLogger } from './log.js';
+
+const log = createLogger('storage');
+
+export const STORE_NAMES = ['meta', 'chunks', 'entities'];
+const DB_VERSION = 2; // 2 added the entities store
+
+// Keeps everything in Maps. Used for tests and when IndexedDB isn't available.
+export class MemoryStorage {
+    constructor() {
+        this.stores = new Map(STORE_NAMES.map(name => [name, new Map()]));
+    }
+
+    getStore(storeName) {
+        const store = this.stores.get(storeName);
+        if (!store) throw new Error(`Unknown store: ${storeName}`);
+        return store;
+    }
+
+    async get(storeName, key) {
+        return this.getStore(storeName).get(key);
+    }
+
+    async put(storeName, key, value) {
+        this.getStore(storeName).set(key, value);
+    }
+
+    async delete(storeName, key) {
+        this.getStore(storeName).delete(key);
+    }
+
+    async keys(storeName) {
+        return Array.from(this.getStore(storeName).keys());
+    }
+
+    close() {}
+}
+
+export class IndexedDBStorage {
+    constructor(db) {
+        this.db = db;
+    }
+
+    static open(dbName, indexedDBFactory = globalThis.indexedDB) {
+        return new Promise((resolve, reject) => {
+            const request = indexedDBFactory.open(dbName, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                for (const name of STORE_NAMES) {
+                    if (!db.objectStoreNames.contains(name)) db.createObjectStore(name);
+                }
+            };
+            request.onsuccess = () => resolve(new IndexedDBStorage(request.result));
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error(`IndexedDB "${dbName}" is blocked by another tab`));
+        });
+    }
+
+    request(storeName, mode, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    get(storeName, key) {
+        return this.request(storeName, 'readonly', store => store.get(key));
+    }
+
+    put(storeName, key, value) {
+        return this.request(storeName, 'readwrite', store => store.put(value, key)).then(() => undefined);
+    }
+
+    delete(storeName, key) {
+        return this.request(storeName, 'readwrite', store => store.delete(key)).then(() => undefined);
+    }
+
+    keys(storeName) {
+        return this.request(storeName, 'readonly', store => store.getAllKeys());
+    }
+
+    close() {
+        this.db.close();
+    }
+}
+
+// IndexedDB when the environment has it and lets us open it, memory otherwise
+export async function openWorldStorage(worldName) {
+    if (typeof indexedDB !== 'undefined') {
+        try {
+            return await IndexedDBStorage.open(`voxel-world:${worldName}`);
+        } catch (error) {
+            log.warn('IndexedDB unavailable, world will not persist:', error);
+        }
+    }
+    return new MemoryStorage();
+}
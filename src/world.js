@@ -0,0 +1,429 @@
+// The voxel world: the loaded chunks, blocks and light in world coordinates,
+// loading chunks (saved edits first, otherwise the generator) and unloading
+// them, and the block ticks and falling blocks that change it over time.
+// Chunks load and unload as whole columns, their blocks and light live in
+// sections (see section.js) that are saved and drawn one by one.
+// DOM-free, so it runs in Node too: without Workers the ChunkWorkerPool runs
+// its jobs on the spot.
+//
+// A World is itself the world object the other modules take: lighting.js
+// (getBlock, getLight, setLight), physics.js (getCollisionHeight, isLiquid) and
+// block-ticks.js (setBlock, getLoadedSections, spawnFallingBlock as well).
+// Drawing is left to whoever listens to onSectionDirty, see renderer.js.
+import { BLOCK, blocks } from './blocks.js';
+import { BlockTickScheduler } from './block-ticks.js';
+import { CHUNK_SIZE, CHUNK_VOLUME, MIN_SECTION_Y, SECTION_SIZE, SECTION_VOLUME, SECTIONS_PER_CHUNK, WORLD_MAX_Y, WORLD_MIN_Y } from './constants.js';
+import { FallingBlocks } from './falling-blocks.js';
+import { DEFAULT_PIPELINE, createGenerator } from './generator.js';
+import { stitchChunkLight, updateLightAt } from './lighting.js';
+import { createLogger } from './log.js';
+import { LRUCache } from './lru-cache.js';
+import { getColumnOffset, getSectionCoord, getSectionKey, splitColumn } from './section.js';
+import { ChunkWorkerPool } from './worker-pool.js';
+
+const log = createLogger('world');
+
+const MAX_CACHED_MODIFIED_CHUNKS = 256; // Edited chunks kept in memory after unloading (4KB per edited section)
+
+export function getChunkKey(chunkX, chunkZ) {
+    return `${chunkX},${chunkZ}`;
+}
+
+export class Chunk {
+    constructor(x, z) {
+        this.x = x;
+        this.z = z;
+        this.worldX = x * CHUNK_SIZE;
+        this.worldZ = z * CHUNK_SIZE;
+        this.sections = null; // SECTIONS_PER_CHUNK Sections bottom up, once the voxels are lit
+        this.pendingVoxels = null; // The whole column (see CHUNK_VOLUME) while it is being lit or arriving from a server
+        this.receivedSections = null; // Section ys that arrived from the server so far
+        this.generated = false; // Blocks read as air until the worker returns the terrain and its light
+        this.modified = false; // Has edited sections, must not be thrown away on unload
+        this.entitiesLoaded = false; // Saved mobs are back, from now on the save is overwritten with what's here
+        this.loading = null; // Promise that settles once the voxels are lit, see World.loadChunk
+    }
+
+    // Index into the column: local x and z, world y. -1 outside the chunk
+    getIndex(x, y, z) {
+        if (x < 0 || x >= CHUNK_SIZE || y < WORLD_MIN_Y || y >= WORLD_MAX_Y || z < 0 || z >= CHUNK_SIZE) {
+            return -1; // Out of bounds
+        }
+        return (y - WORLD_MIN_Y) * (CHUNK_SIZE * CHUNK_SIZE) + z * CHUNK_SIZE + x;
+    }
+
+    // Sections are consecutive slices of the column index
+    getSection(sectionY) {
+        return this.sections ? this.sections[sectionY - MIN_SECTION_Y] || null : null;
+    }
+
+    getBlock(index) {
+        return this.sections[Math.floor(index / SECTION_VOLUME)].getBlock(index % SECTION_VOLUME);
+    }
+
+    // Returns the section that changed
+    setBlock(index, id) {
+        const section = this.sections[Math.floor(index / SECTION_VOLUME)];
+        section.setBlock(index % SECTION_VOLUME, id);
+        return section;
+    }
+
+    getLight(index) {
+        return this.sections[Math.floor(index / SECTION_VOLUME)].getLight(index % SECTION_VOLUME);
+    }
+
+    setLight(index, value) {
+        this.sections[Math.floor(index / SECTION_VOLUME)].setLight(index % SECTION_VOLUME, value);
+    }
+}
+
+export class World {
+    // seed and pipeline: the terrain, see generator.js. worldSave: a WorldSave for the edited sections.
+    // jobs: the ChunkWorkerPool chunks are generated and lit on.
+    // server: set when playing on a server (a MultiplayerClient). The server owns the world: chunks
+    //   are requested from it and arrive through receiveSection, edits aren't saved and nothing ticks here.
+    // onSectionDirty(key): the section's mesh is out of date, its blocks or light (or a neighbour's) changed.
+    // onBlockChange(x, y, z, id): after any block changed, e.g. to tell other players.
+    // onChunkLoad(chunk) and onChunkUnload(chunk): for what lives in chunks besides blocks, like mobs.
+    // onFallingBlockSpawn(fallingBlock) and onFallingBlockRemove(fallingBlock): for drawing them.
+    constructor({
+        seed, pipeline = DEFAULT_PIPELINE, worldSave, jobs = new ChunkWorkerPool(), server = null,
+        onSectionDirty = null, onBlockChange = null, onChunkLoad = null, onChunkUnload = null,
+        onFallingBlockSpawn = null, onFallingBlockRemove = null,
+    }) {
+        this.seed = seed >>> 0;
+        this.pipeline = pipeline;
+        this.worldSave = worldSave;
+        this.jobs = jobs;
+        this.server = server;
+        this.onSectionDirty = onSectionDirty;
+        this.onBlockChange = onBlockChange;
+        this.onChunkLoad = onChunkLoad;
+        this.onChunkUnload = onChunkUnload;
+        this.batchedDirtySections = null; // Section keys held back during batchEdits
+        this.chunks = new Map(); // key -> Chunk
+        // Edited sections of chunks that were unloaded (key -> Map of section y -> voxels), so coming back
+        // doesn't regenerate them from noise (evicted chunks are already in the save, they are reloaded from there)
+        this.modifiedChunkCache = new LRUCache(MAX_CACHED_MODIFIED_CHUNKS);
+        this.terrainInfo = createGenerator(this.seed, pipeline); // Only for queries like getBiomeAt, chunks generate in the workers
+        this.blockTicks = new BlockTickScheduler({ seed: this.seed }); // See block-ticks.js
+        this.fallingBlocks = new FallingBlocks({ onSpawn: onFallingBlockSpawn, onRemove: onFallingBlockRemove });
+    }
+
+    // --- Chunks ---
+
+    getChunk(chunkX, chunkZ) {
+        return this.chunks.get(getChunkKey(chunkX, chunkZ)) || null;
+    }
+
+    getChunkAt(worldX, worldZ) {
+        return this.getChunk(Math.floor(worldX / CHUNK_SIZE), Math.floor(worldZ / CHUNK_SIZE));
+    }
+
+    // A loaded section, or null if its chunk isn't ready or it is above or below the world
+    getSection(sectionX, sectionY, sectionZ) {
+        const chunk = this.getChunk(sectionX, sectionZ);
+        return chunk && chunk.generated ? chunk.getSection(sectionY) : null;
+    }
+
+    // Physics waits for the terrain under a body, otherwise it would fall through it
+    isChunkReadyAt(worldX, worldZ) {
+        const chunk = this.getChunkAt(worldX, worldZ);
+        return !!chunk && chunk.generated;
+    }
+
+    // Chunks whose voxels are there, for mob spawning
+    getLoadedChunks() {
+        return Array.from(this.chunks.values()).filter(chunk => chunk.generated);
+    }
+
+    // Section coordinates { x, y, z } of the loaded sections that aren't all air, for random ticks
+    getLoadedSections() {
+        const sections = [];
+        for (const chunk of this.chunks.values()) {
+            if (!chunk.generated) continue;
+            chunk.sections.forEach((section, i) => {
+                if (!section.isEmpty) sections.push({ x: chunk.x, y: MIN_SECTION_Y + i, z: chunk.z });
+            });
+        }
+        return sections;
+    }
+
+    // The chunk, loading it if it isn't yet. Its voxels arrive later, see loadChunk.
+    ensureChunk(chunkX, chunkZ) {
+        const key = getChunkKey(chunkX, chunkZ);
+        if (this.chunks.has(key)) return this.chunks.get(key);
+        const chunk = new Chunk(chunkX, chunkZ);
+        this.chunks.set(key, chunk);
+        chunk.loading = this.readChunk(chunk);
+        if (this.onChunkLoad) this.onChunkLoad(chunk);
+        return chunk;
+    }
+
+    // Resolves with the chunk once its voxels are lit, or null if it was unloaded
+    // first. For code that waits on the world (scripts, tests, the server); the game
+    // just keeps asking for the chunks around the player, see loadArea. On a server
+    // it only waits for the request to go out, the voxels come with receiveSection.
+    loadChunk(chunkX, chunkZ) {
+        const chunk = this.ensureChunk(chunkX, chunkZ);
+        return chunk.loading.then(() => this.chunks.get(getChunkKey(chunkX, chunkZ)) === chunk ? chunk : null);
+    }
+
+    // The generated terrain with the saved (or cached) edited sections on top
+    readChunk(chunk) {
+        if (this.server) { // The voxels come back in receiveSection
+            this.server.requestChunk(chunk.x, chunk.z);
+            return Promise.resolve();
+        }
+        const key = getChunkKey(chunk.x, chunk.z);
+        const cachedSections = this.modifiedChunkCache.take(key);
+        if (cachedSections) log.debug(`Restoring modified chunk ${key}`);
+        else log.debug(`Loading chunk ${key}`);
+        const savedSections = cachedSections ? Promise.resolve(cachedSections) : this.worldSave.loadChunk(chunk.x, chunk.z)
+            .catch(error => {
+                log.error(`Loading saved chunk ${key} failed, regenerating it:`, error);
+                return new Map();
+            });
+        return savedSections.then(sections => {
+            if (this.chunks.get(key) !== chunk) return; // Unloaded meanwhile
+            return this.generateTerrain(chunk, sections);
+        });
+    }
+
+    // Terrain generation runs in a worker, see generator.js. savedSections: section y -> voxels to use instead.
+    generateTerrain(chunk, savedSections = new Map()) {
+        return this.jobs.generate(this.seed, this.pipeline, chunk.x, chunk.z).then(voxels => {
+            if (this.chunks.get(getChunkKey(chunk.x, chunk.z)) !== chunk) return; // Unloaded meanwhile
+            for (const [sectionY, sectionVoxels] of savedSections) voxels.set(sectionVoxels, getColumnOffset(sectionY));
+            return this.setVoxels(chunk, voxels, Array.from(savedSections.keys()));
+        });
+    }
+
+    // The chunk's own light is computed in a worker, then spread across the
+    // borders to the neighbours that are already lit. voxels: the whole column,
+    // kept as sections from then on. modifiedSections: ys of the edited ones.
+    setVoxels(chunk, voxels, modifiedSections = []) {
+        chunk.pendingVoxels = voxels;
+        const key = getChunkKey(chunk.x, chunk.z);
+        return this.jobs.light(voxels.slice())
+            .then(light => {
+                if (this.chunks.get(key) !== chunk) return; // Unloaded meanwhile
+                chunk.sections = splitColumn(chunk.pendingVoxels, light);
+                chunk.pendingVoxels = null;
+                for (const sectionY of modifiedSections) chunk.getSection(sectionY).modified = true;
+                chunk.modified = modifiedSections.length > 0;
+                chunk.generated = true;
+                stitchChunkLight(this, chunk.x, chunk.z);
+                this.markChunkDirty(chunk.x, chunk.z);
+                // Neighbours were meshed against air on this side, rebuild them
+                this.markNeighboursDirty(chunk.x, chunk.z);
+            })
+            .catch(error => log.error(`Lighting chunk ${key} failed:`, error));
+    }
+
+    unloadChunk(key) {
+        const chunk = this.chunks.get(key);
+        if (!chunk) return;
+        if (this.onChunkUnload) this.onChunkUnload(chunk);
+        this.chunks.delete(key); // Pending worker results check the map and are dropped
+        if (chunk.modified && chunk.generated && !this.server) { // The server has its own copy
+            const modifiedSections = new Map();
+            chunk.sections.forEach((section, i) => {
+                if (section.modified) modifiedSections.set(MIN_SECTION_Y + i, section.copyVoxelsTo(new Uint8Array(SECTION_VOLUME)));
+            });
+            this.modifiedChunkCache.set(key, modifiedSections);
+        }
+        // Faces of the remaining neighbours that pointed into this chunk are now exposed
+        this.markNeighboursDirty(chunk.x, chunk.z);
+    }
+
+    // Loads the chunks within loadRadius of a column and unloads the ones further
+    // than unloadRadius (a bit more, so chunks don't thrash at the border)
+    loadArea(worldX, worldZ, loadRadius, unloadRadius) {
+        const centerX = Math.floor(worldX / CHUNK_SIZE);
+        const centerZ = Math.floor(worldZ / CHUNK_SIZE);
+        for (const [key, chunk] of this.chunks) {
+            const distance = Math.max(Math.abs(chunk.x - centerX), Math.abs(chunk.z - centerZ));
+            if (distance > unloadRadius) this.unloadChunk(key);
+        }
+        for (let x = centerX - loadRadius; x <= centerX + loadRadius; x++) {
+            for (let z = centerZ - loadRadius; z <= centerZ + loadRadius; z++) {
+                this.ensureChunk(x, z);
+            }
+        }
+    }
+
+    markSectionDirty(sectionX, sectionY, sectionZ) {
+        if (sectionY < MIN_SECTION_Y || sectionY >= MIN_SECTION_Y + SECTIONS_PER_CHUNK) return;
+        const key = getSectionKey(sectionX, sectionY, sectionZ);
+        if (this.batchedDirtySections) this.batchedDirtySections.add(key);
+        else if (this.onSectionDirty) this.onSectionDirty(key);
+    }
+
+    // Runs edit() (which sets blocks) with the dirty marks held back until it's
+    // done, so a section touched by many changed blocks is rebuilt once.
+    // Returns what edit returns.
+    batchEdits(edit) {
+        if (this.batchedDirtySections) return edit(); // Already inside a batch
+        this.batchedDirtySections = new Set();
+        try {
+            return edit();
+        } finally {
+            const keys = this.batchedDirtySections;
+            this.batchedDirtySections = null;
+            if (this.onSectionDirty) keys.forEach(key => this.onSectionDirty(key));
+        }
+    }
+
+    // Every section of the column
+    markChunkDirty(chunkX, chunkZ) {
+        for (let i = 0; i < SECTIONS_PER_CHUNK; i++) this.markSectionDirty(chunkX, MIN_SECTION_Y + i, chunkZ);
+    }
+
+    // Diagonal neighbours too: ambient occlusion looks one block into them
+    markNeighboursDirty(chunkX, chunkZ) {
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dz = -1; dz <= 1; dz++) {
+                if (dx === 0 && dz === 0) continue;
+                const neighbour = this.getChunk(chunkX + dx, chunkZ + dz);
+                if (neighbour && neighbour.generated) this.markChunkDirty(neighbour.x, neighbour.z);
+            }
+        }
+    }
+
+    // Marks the sections whose meshes show the block (or its light): its own and, on the
+    // edges, the neighbours' (above and below too), which look one block across for
+    // culling, light and AO.
+    markBlockDirty(worldX, worldY, worldZ) {
+        const sectionX = getSectionCoord(worldX);
+        const sectionY = getSectionCoord(worldY);
+        const sectionZ = getSectionCoord(worldZ);
+        const localX = worldX - sectionX * SECTION_SIZE;
+        const localY = worldY - sectionY * SECTION_SIZE;
+        const localZ = worldZ - sectionZ * SECTION_SIZE;
+        const minX = localX === 0 ? -1 : 0, maxX = localX === SECTION_SIZE - 1 ? 1 : 0;
+        const minY = localY === 0 ? -1 : 0, maxY = localY === SECTION_SIZE - 1 ? 1 : 0;
+        const minZ = localZ === 0 ? -1 : 0, maxZ = localZ === SECTION_SIZE - 1 ? 1 : 0;
+        for (let dx = minX; dx <= maxX; dx++) {
+            for (let dy = minY; dy <= maxY; dy++) {
+                for (let dz = minZ; dz <= maxZ; dz++) {
+                    this.markSectionDirty(sectionX + dx, sectionY + dy, sectionZ + dz);
+                }
+            }
+        }
+    }
+
+    // --- Blocks (World Coordinates) ---
+
+    // Air outside the world and in chunks that aren't loaded
+    getBlock(worldX, worldY, worldZ) {
+        const chunk = this.getChunkAt(worldX, worldZ);
+        if (!chunk || !chunk.generated) return BLOCK.AIR;
+        const index = chunk.getIndex(worldX - chunk.worldX, worldY, worldZ - chunk.worldZ);
+        return index !== -1 ? chunk.getBlock(index) : BLOCK.AIR;
+    }
+
+    // Changes a block, saves its section, relights and wakes up the block ticks
+    // around it. Ignored outside the world and in chunks that aren't ready.
+    setBlock(worldX, worldY, worldZ, type) {
+        const chunk = this.getChunkAt(worldX, worldZ);
+        if (!chunk || !chunk.generated) return;
+        const index = chunk.getIndex(worldX - chunk.worldX, worldY, worldZ - chunk.worldZ);
+        if (index === -1 || chunk.getBlock(index) === type) return; // Only update if changed
+        const section = chunk.setBlock(index, type);
+        section.modified = true;
+        chunk.modified = true;
+        if (!this.server) { // Autosave
+            this.worldSave.queueSection(getSectionKey(chunk.x, getSectionCoord(worldY), chunk.z), section.voxels);
+        }
+        this.markBlockDirty(worldX, worldY, worldZ);
+        // Relighting marks every section whose light changed as well
+        updateLightAt(this, worldX, worldY, worldZ);
+        if (!this.server) this.blockTicks.onBlockChanged(this, worldX, worldY, worldZ);
+        if (this.onBlockChange) this.onBlockChange(worldX, worldY, worldZ, type);
+    }
+
+    isSolid(worldX, worldY, worldZ) {
+        return blocks.isSolid(this.getBlock(worldX, worldY, worldZ));
+    }
+
+    // Biome of a column (see biomes.js): { id, name, surface, treeDensity, ... }
+    getBiomeAt(worldX, worldZ) {
+        return this.terrainInfo.getBiomeAt(worldX, worldZ);
+    }
+
+    // --- Light ---
+    // Chunks that aren't lit yet are left out, they pick up the light around
+    // them in stitchChunkLight.
+
+    // Packed light (see lighting.js), -1 where there is none
+    getLight(worldX, worldY, worldZ) {
+        const chunk = this.getChunkAt(worldX, worldZ);
+        if (!chunk || !chunk.generated) return -1;
+        const index = chunk.getIndex(worldX - chunk.worldX, worldY, worldZ - chunk.worldZ);
+        return index !== -1 ? chunk.getLight(index) : -1;
+    }
+
+    setLight(worldX, worldY, worldZ, value) {
+        const chunk = this.getChunkAt(worldX, worldZ);
+        if (!chunk || !chunk.generated) return;
+        const index = chunk.getIndex(worldX - chunk.worldX, worldY, worldZ - chunk.worldZ);
+        if (index === -1) return;
+        chunk.setLight(index, value);
+        this.markBlockDirty(worldX, worldY, worldZ);
+    }
+
+    // --- Physics ---
+
+    getCollisionHeight(worldX, worldY, worldZ) {
+        return this.isSolid(worldX, worldY, worldZ) ? 1 : 0;
+    }
+
+    isLiquid(worldX, worldY, worldZ) {
+        return blocks.isLiquid(this.getBlock(worldX, worldY, worldZ));
+    }
+
+    // --- Ticks ---
+
+    spawnFallingBlock(x, y, z, id) {
+        return this.fallingBlocks.spawn(x, y, z, id);
+    }
+
+    // Scheduled and random block ticks and falling blocks, once per simulation
+    // tick. On a server they run there, for everyone.
+    tick() {
+        if (this.server) return;
+        this.blockTicks.tick(this);
+        this.fallingBlocks.tick(this);
+    }
+
+    // --- From a Server ---
+
+    // The server sends every section of a chunk it was asked for, one after another;
+    // once they are all there the chunk is lit like a generated one
+    receiveSection(chunkX, sectionY, chunkZ, voxels) {
+        const chunk = this.getChunk(chunkX, chunkZ);
+        if (!chunk) return; // Unloaded meanwhile, it asks again when it's back
+        if (!chunk.receivedSections) {
+            chunk.receivedSections = new Set();
+            chunk.pendingVoxels = new Uint8Array(CHUNK_VOLUME);
+        }
+        chunk.pendingVoxels.set(voxels, getColumnOffset(sectionY));
+        chunk.receivedSections.add(sectionY);
+        if (chunk.receivedSections.size < SECTIONS_PER_CHUNK) return;
+        chunk.receivedSections = null;
+        chunk.loading = this.setVoxels(chunk, chunk.pendingVoxels);
+    }
+
+    receiveBlock(x, y, z, id) {
+        const chunk = this.getChunkAt(x, z);
+        if (!chunk) return;
+        if (chunk.generated) {
+            this.setBlock(x, y, z, id);
+            return;
+        }
+        // Voxels still arriving or being lit: change them in place, the light catches up with the next edit nearby
+        const index = chunk.getIndex(x - chunk.worldX, y, z - chunk.worldZ);
+        if (index !== -1 && chunk.pendingVoxels) chunk.pendingVoxels[index] = id;
+    }
+}
@@ -0,0 +1,95 @@
+// Fluids and falling blocks, see src/block-ticks.js and src/falling-blocks.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { BLOCK, blocks } from '../src/blocks.js';
+import { WORLD_MIN_Y } from '../src/constants.js';
+import { createEmptyWorld, runTicks } from './helpers.js';
+
+const WATER_DELAY = blocks.get(BLOCK.WATER).flowDelay;
+
+for (const y of [100, 5, 0, -20]) {
+    test(`water at y ${y} runs down into the air under it`, async () => {
+        const world = await createEmptyWorld();
+        world.setBlock(3, y, 3, BLOCK.WATER);
+        runTicks(world, WATER_DELAY + 1);
+        assert.equal(blocks.getFluid(world.getBlock(3, y - 1, 3)), 'water');
+        assert.equal(blocks.getFluidLevel(world.getBlock(3, y - 1, 3)), 1);
+    });
+}
+
+test('water at the bottom of the world spreads instead', async () => {
+    const world = await createEmptyWorld();
+    world.setBlock(3, WORLD_MIN_Y, 3, BLOCK.WATER);
+    runTicks(world, WATER_DELAY + 1);
+    assert.equal(blocks.getFluidLevel(world.getBlock(4, WORLD_MIN_Y, 3)), 1);
+});
+
+// Stone from x, z 0..15 at y, so fluids spread on it
+function addFloor(world, y) {
+    world.batchEdits(() => {
+        for (let x = 0; x < 16; x++) {
+            for (let z = 0; z < 16; z++) world.setBlock(x, y, z, BLOCK.STONE);
+        }
+    });
+}
+
+test('water spreads one level further per block until its last level', async () => {
+    const world = await createEmptyWorld();
+    addFloor(world, 9);
+    world.setBlock(2, 10, 8, BLOCK.WATER);
+    runTicks(world, WATER_DELAY * 10);
+    for (let distance = 1; distance <= 7; distance++) {
+        assert.equal(world.getBlock(2 + distance, 10, 8), blocks.getFluidBlock('water', distance));
+    }
+    assert.equal(world.getBlock(10, 10, 8), BLOCK.AIR);
+    assert.equal(world.getBlock(2, 10, 8), BLOCK.WATER); // Sources stay
+});
+
+test('flowing water dries up without its source', async () => {
+    const world = await createEmptyWorld();
+    addFloor(world, 9);
+    world.setBlock(8, 10, 8, BLOCK.WATER);
+    runTicks(world, WATER_DELAY * 4);
+    assert.equal(blocks.getFluid(world.getBlock(10, 10, 8)), 'water');
+    world.setBlock(8, 10, 8, BLOCK.AIR);
+    runTicks(world, WATER_DELAY * 10);
+    for (let x = 4; x <= 12; x++) assert.equal(world.getBlock(x, 10, 8), BLOCK.AIR);
+});
+
+test('lava next to water turns into stone', async () => {
+    const world = await createEmptyWorld();
+    addFloor(world, 9);
+    world.setBlock(8, 10, 8, BLOCK.LAVA);
+    world.setBlock(9, 10, 8, BLOCK.WATER);
+    runTicks(world, blocks.get(BLOCK.LAVA).flowDelay + 1);
+    assert.equal(world.getBlock(8, 10, 8), BLOCK.STONE);
+});
+
+for (const y of [60, 0, -30]) {
+    test(`sand at y ${y} falls onto the floor under it`, async () => {
+        const world = await createEmptyWorld();
+        world.setBlock(2, y - 10, 2, BLOCK.STONE);
+        world.setBlock(2, y, 2, BLOCK.SAND);
+        runTicks(world, 60);
+        assert.equal(world.getBlock(2, y, 2), BLOCK.AIR);
+        assert.equal(world.getBlock(2, y - 9, 2), BLOCK.SAND);
+        assert.equal(world.fallingBlocks.fallingBlocks.size, 0);
+    });
+}
+
+test('sand at the bottom of the world stays', async () => {
+    const world = await createEmptyWorld();
+    world.setBlock(2, WORLD_MIN_Y, 2, BLOCK.SAND);
+    runTicks(world, 10);
+    assert.equal(world.getBlock(2, WORLD_MIN_Y, 2), BLOCK.SAND);
+});
+
+test('falling blocks below y 0 are landed, not lost, when saving', async () => {
+    const world = await createEmptyWorld();
+    world.setBlock(2, -40, 2, BLOCK.STONE);
+    world.setBlock(2, -5, 2, BLOCK.SAND);
+    runTicks(world, 4); // Falling, not landed yet
+    assert.equal(world.fallingBlocks.fallingBlocks.size, 1);
+    world.fallingBlocks.landAll(world);
+    assert.equal(world.getBlock(2, -39, 2), BLOCK.SAND);
+});
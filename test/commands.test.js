@@ -0,0 +1,175 @@
+// Command parsing, typed arguments and completion, and the game's commands, see src/commands.js and src/game-commands.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { BLOCK } from '../src/blocks.js';
+import { CommandRegistry } from '../src/commands.js';
+import { WorldClock } from '../src/day-cycle.js';
+import { createGameCommands } from '../src/game-commands.js';
+import { PhysicsBody } from '../src/physics.js';
+import { PlayerController } from '../src/player-controller.js';
+import { RegionEditor } from '../src/region-tools.js';
+import { createEmptyWorld } from './helpers.js';
+
+// A registry with one command per argument type, returning what it parsed
+function createRegistry(position = [10, 64, -5]) {
+    const registry = new CommandRegistry({ getContext: () => ({ position }) });
+    registry.register({
+        name: 'echo',
+        args: [
+            { name: 'count', type: 'int' },
+            { name: 'scale', type: 'number' },
+            { name: 'block', type: 'block' },
+            { name: 'mode', choices: ['on', 'off'], optional: true },
+        ],
+        run: (values) => values,
+    });
+    registry.register({
+        name: 'goto',
+        args: [{ name: 'x', type: 'coordinate', axis: 0 }, { name: 'y', type: 'coordinate', axis: 1 }, { name: 'z', type: 'coordinate', axis: 2 }],
+        run: (values) => [values.x, values.y, values.z],
+    });
+    return registry;
+}
+
+// The game as the commands see it, on an empty world with the player at 0.5 70 0.5
+async function createGame({ creative = true, multiplayer = false } = {}) {
+    const world = await createEmptyWorld();
+    const body = new PhysicsBody({ width: 0.6, height: 1.8, position: [0.5, 70, 0.5] });
+    const game = {
+        world,
+        regionEditor: new RegionEditor(world),
+        worldClock: new WorldClock(0.3, { frozen: true }),
+        playerController: new PlayerController(body),
+        seed: 1,
+        multiplayer,
+        creative,
+        culling: true,
+        teleport: (position) => { body.position = position; },
+        editBlock: (x, y, z, id) => world.setBlock(x, y, z, id),
+        setCreative: (value) => { game.creative = value; },
+        setOcclusionCulling: (on) => { game.culling = on; },
+    };
+    return { game, commands: createGameCommands(game) };
+}
+
+// --- Parsing ---
+
+test('arguments are parsed to their types, with or without the slash', () => {
+    const registry = createRegistry();
+    assert.deepEqual(registry.run('/echo 3 -1.5 stone on'), { count: 3, scale: -1.5, block: BLOCK.STONE, mode: 'on' });
+    assert.deepEqual(registry.run('  echo  +7 2e1 dirt '), { count: 7, scale: 20, block: BLOCK.DIRT });
+});
+
+test('~ coordinates are relative to the player position', () => {
+    assert.deepEqual(createRegistry().run('/goto ~ ~2 ~-0.5'), [10, 66, -5.5]);
+    assert.deepEqual(createRegistry().run('/goto 1 ~ 3'), [1, 64, 3]);
+    assert.throws(() => createRegistry(null).run('/goto ~ 0 0'), /~ needs a player position \(x\)/);
+    assert.throws(() => createRegistry().run('/goto ~up 0 0'), /"up" is not a number \(x\)/);
+});
+
+test('bad lines and arguments say what was wrong and how to use the command', () => {
+    const registry = createRegistry();
+    const usage = 'usage: /echo <count> <scale> <block> [on|off]';
+    assert.throws(() => registry.run('/'), { message: 'Type a command, try /help' });
+    assert.throws(() => registry.run('/nope'), { message: 'Unknown command "nope", try /help' });
+    assert.throws(() => registry.run('/echo 1 2'), { message: `Missing block, ${usage}` });
+    assert.throws(() => registry.run('/echo 1 2 stone on more'), { message: `Too many arguments, ${usage}` });
+    assert.throws(() => registry.run('/echo 1.5 2 stone'), { message: `"1.5" is not a whole number (count), ${usage}` });
+    assert.throws(() => registry.run('/echo 1 two stone'), { message: `"two" is not a number (scale), ${usage}` });
+    assert.throws(() => registry.run('/echo 1 2 cheese'), { message: `Unknown block "cheese" (block), ${usage}` });
+    assert.throws(() => registry.run('/echo 1 2 stone maybe'), { message: 'mode must be one of on, off' });
+});
+
+test('commands and argument types are checked when registered', () => {
+    const registry = createRegistry();
+    assert.throws(() => registry.register({ name: 'echo', run: () => {} }), /already registered/);
+    assert.throws(() => registry.register({ name: 'Bad Name', run: () => {} }), /Invalid command name/);
+    assert.throws(() => registry.register({ name: 'x', args: [{ name: 'a', type: 'colour' }], run: () => {} }), /unknown argument type/);
+    assert.throws(() => registry.register({
+        name: 'y', args: [{ name: 'a', optional: true }, { name: 'b' }], run: () => {},
+    }), /required argument b after an optional one/);
+    assert.throws(() => registry.registerType('int', { parse: Number, complete: () => [] }), /already registered/);
+});
+
+test('/help lists the commands and shows the usage of one', () => {
+    const registry = createRegistry();
+    assert.deepEqual(registry.run('/help').split('\n').map(line => line.split(' ')[0]), ['/echo', '/goto', '/help']);
+    assert.equal(registry.run('/help goto'), '/goto <x> <y> <z>');
+    assert.throws(() => registry.run('/help nope'), /Unknown command "nope"/);
+});
+
+// --- Completion ---
+
+test('Tab completes command names, choices, blocks and ~', () => {
+    const registry = createRegistry();
+    assert.deepEqual(registry.complete('/e'), ['/echo']);
+    assert.deepEqual(registry.complete(''), ['/echo', '/goto', '/help']);
+    assert.deepEqual(registry.complete('/echo 1 2 stone o'), ['/echo 1 2 stone off', '/echo 1 2 stone on']);
+    assert.ok(registry.complete('/echo 1 2 ').includes('/echo 1 2 stone'));
+    assert.deepEqual(registry.complete('/echo 1 2 sto'), ['/echo 1 2 stone']);
+    assert.deepEqual(registry.complete('/goto 1 '), ['/goto 1 ~']);
+    assert.deepEqual(registry.complete('/help g'), ['/help goto']);
+    assert.deepEqual(registry.complete('/goto 1 2 3 '), []); // Past the last argument
+    assert.deepEqual(registry.complete('/nope '), []);
+});
+
+// --- Game commands ---
+
+test('/tp moves the player, relative to where they are with ~', async () => {
+    const { game, commands } = await createGame();
+    assert.equal(commands.run('/tp ~ ~10 ~-2'), 'Teleported to 0.5 80.0 -1.5');
+    assert.deepEqual(game.playerController.body.position, [0.5, 80, -1.5]);
+});
+
+test('/setblock sets a loaded block inside the world', async () => {
+    const { game, commands } = await createGame();
+    assert.equal(commands.run('/setblock 1.7 60 ~ stone'), 'Set 1 60 0 to stone');
+    assert.equal(game.world.getBlock(1, 60, 0), BLOCK.STONE);
+    assert.throws(() => commands.run('/setblock 100 60 0 stone'), /isn't loaded/);
+    assert.throws(() => commands.run('/setblock 0 500 0 stone'), /outside the world/);
+});
+
+test('/fill fills a box or replaces one block in it', async () => {
+    const { game, commands } = await createGame();
+    assert.equal(commands.run('/fill 0 60 0 1 61 1 dirt'), 'Changed 8 blocks');
+    assert.equal(commands.run('/fill 0 60 0 1 60 1 stone dirt'), 'Changed 4 blocks');
+    assert.equal(game.world.getBlock(1, 60, 1), BLOCK.STONE);
+    assert.equal(game.world.getBlock(1, 61, 1), BLOCK.DIRT);
+});
+
+test('/time sets, advances and shows the time of day', async () => {
+    const { game, commands } = await createGame();
+    assert.equal(commands.run('/time set noon'), 'Time: 0.500 (frozen)');
+    assert.equal(commands.run('/time add 0.25'), 'Time: 0.750 (frozen)');
+    assert.equal(game.worldClock.time, 0.75);
+    assert.equal(commands.run('/time query'), 'Time: 0.750 (frozen)');
+    assert.throws(() => commands.run('/time set'), /\/time set needs a time/);
+    assert.throws(() => commands.run('/time set constructor'), /is not a time/);
+    assert.deepEqual(commands.complete('/time set s'), ['/time set sunrise', '/time set sunset']);
+});
+
+test('/gamemode, /fly, /culling and /seed', async () => {
+    const { game, commands } = await createGame();
+    assert.equal(commands.run('/fly'), 'Flying');
+    assert.equal(commands.run('/gamemode survival'), 'Game mode: survival');
+    assert.equal(game.creative, false);
+    assert.equal(game.playerController.flying, false);
+    assert.throws(() => commands.run('/fly'), /Flying needs creative mode/);
+    commands.run('/culling off');
+    assert.equal(game.culling, false);
+    assert.equal(commands.run('/seed'), 'Seed: 1');
+});
+
+test('/setblock and /fill need creative mode', async () => {
+    const { game, commands } = await createGame({ creative: false });
+    assert.throws(() => commands.run('/setblock 0 60 0 stone'), /\/setblock needs creative mode/);
+    assert.throws(() => commands.run('/fill 0 60 0 1 61 1 dirt'), /Region editing needs creative mode/);
+    assert.equal(game.world.getBlock(0, 60, 0), BLOCK.AIR);
+});
+
+test('on a server, the commands the server would undo are refused', async () => {
+    const { commands } = await createGame({ multiplayer: true });
+    assert.throws(() => commands.run('/tp 0 80 0'), /Only in single player/);
+    assert.throws(() => commands.run('/gamemode survival'), /Only in single player/);
+    assert.throws(() => commands.run('/fill 0 60 0 1 61 1 dirt'), /Region editing is single player only/);
+});
@@ -0,0 +1,142 @@
+// The multiplayer server without a network: joining, and checking edits against
+// the game mode, with fake connections, see server/game-server.js.
+// test/multiplayer.test.js runs it with real clients.
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { GameServer } from '../server/game-server.js';
+import { BLOCK, blocks } from '../src/blocks.js';
+import { TICK_RATE } from '../src/constants.js';
+import { MAX_STACK_SIZE } from '../src/inventory.js';
+import { setLogLevel } from '../src/log.js';
+import { PROTOCOL_VERSION } from '../src/protocol.js';
+import { WorldSave } from '../src/world-save.js';
+import { MemoryStorage } from '../src/world-storage.js';
+
+before(() => setLogLevel('warn'));
+after(() => setLogLevel('info'));
+
+function createServer(options = {}) {
+    return new GameServer({ seed: 1, pipeline: [], worldSave: new WorldSave(new MemoryStorage(), { autosaveDelay: 0 }), ...options });
+}
+
+// Keeps what the server sends, parsed
+function createConnection() {
+    return {
+        open: true,
+        messages: [],
+        closeReason: null,
+        send(data) { this.messages.push(JSON.parse(data)); },
+        close(code, reason) {
+            if (!this.open) return;
+            this.open = false;
+            this.closeReason = reason;
+            this.onClose();
+        },
+    };
+}
+
+function sendHello(connection, name) {
+    connection.onMessage(JSON.stringify({ type: 'hello', version: PROTOCOL_VERSION, name }));
+}
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+// A player standing at the spawn of an empty world, on the floor at y -63
+async function joinPlayer(server) {
+    const connection = createConnection();
+    const player = server.connect(connection);
+    sendHello(connection, 'A');
+    await settle();
+    assert.equal(connection.messages[0].type, 'welcome');
+    return { connection, player, y: Math.floor(player.controller.body.position[1]) };
+}
+
+test('players waiting for the spawn to load count towards the limit', async () => {
+    const server = createServer({ maxPlayers: 1 });
+    const [first, second] = [createConnection(), createConnection()];
+    server.connect(first);
+    server.connect(second);
+    sendHello(first, 'A');
+    sendHello(second, 'B'); // Before A's spawn has loaded
+    await settle();
+    assert.equal(server.players.size, 1);
+    assert.equal(first.messages[0].type, 'welcome');
+    assert.equal(second.closeReason, 'Server is full');
+    await server.stop();
+});
+
+test('a second hello while joining is ignored', async () => {
+    const server = createServer();
+    const connection = createConnection();
+    server.connect(connection);
+    sendHello(connection, 'A');
+    sendHello(connection, 'A');
+    await settle();
+    assert.equal(server.players.size, 1);
+    assert.deepEqual(connection.messages.map(message => message.type), ['welcome']);
+    assert.equal(server.joining.size, 0);
+    await server.stop();
+});
+
+test('leaving while the spawn loads frees the slot', async () => {
+    const server = createServer({ maxPlayers: 1 });
+    const [first, second] = [createConnection(), createConnection()];
+    server.connect(first);
+    sendHello(first, 'A');
+    first.close(1000, 'Bye');
+    await settle();
+    assert.equal(server.players.size, 0);
+    server.connect(second);
+    sendHello(second, 'B');
+    await settle();
+    assert.equal(second.messages[0].type, 'welcome');
+    await server.stop();
+});
+
+test('in survival, placing needs the block and uses it up', async () => {
+    const server = createServer();
+    const { connection, player, y } = await joinPlayer(server);
+    assert.equal(player.inventory.count(BLOCK.DIRT), MAX_STACK_SIZE); // The starter items, as the client has
+    server.editBlock(player, 2, y, 0, BLOCK.DIRT);
+    assert.equal(server.getBlock(2, y, 0), BLOCK.DIRT);
+    assert.equal(player.inventory.count(BLOCK.DIRT), MAX_STACK_SIZE - 1);
+
+    const coal = blocks.getByName('coal_ore').id;
+    server.editBlock(player, 3, y, 0, coal);
+    assert.equal(server.getBlock(3, y, 0), BLOCK.AIR);
+    assert.deepEqual(connection.messages.at(-1), { type: 'block', x: 3, y, z: 0, id: BLOCK.AIR }); // Undone on the client
+    await server.stop();
+});
+
+test('in survival, breaking collects the drop and takes as long as the block\'s hardness', async () => {
+    const server = createServer();
+    const { player, y } = await joinPlayer(server);
+    const coal = blocks.getByName('coal_ore').id;
+    server.setBlock(2, y, 0, coal);
+    server.setBlock(3, y, 0, coal);
+    server.editBlock(player, 2, y, 0, BLOCK.AIR);
+    assert.equal(server.getBlock(2, y, 0), BLOCK.AIR);
+    assert.equal(player.inventory.count(coal), 1);
+
+    server.editBlock(player, 3, y, 0, BLOCK.AIR); // Right after the first
+    assert.equal(server.getBlock(3, y, 0), coal);
+    for (let i = 0; i < blocks.getHardness(coal) * TICK_RATE; i++) server.tick();
+    server.editBlock(player, 3, y, 0, BLOCK.AIR);
+    assert.equal(server.getBlock(3, y, 0), BLOCK.AIR);
+    assert.equal(player.inventory.count(coal), 2);
+    await server.stop();
+});
+
+test('in creative, anything placeable goes and breaking is instant', async () => {
+    const server = createServer({ gameMode: 'creative' });
+    const { player, y } = await joinPlayer(server);
+    const coal = blocks.getByName('coal_ore').id;
+    server.editBlock(player, 2, y, 0, coal);
+    server.editBlock(player, 2, y, 0, BLOCK.AIR);
+    server.editBlock(player, 3, y, 0, coal);
+    server.editBlock(player, 3, y, 0, BLOCK.AIR);
+    assert.equal(server.getBlock(2, y, 0), BLOCK.AIR);
+    assert.equal(server.getBlock(3, y, 0), BLOCK.AIR);
+    assert.equal(player.inventory.count(coal), 0);
+    await server.stop();
+});
@@ -0,0 +1,42 @@
+// Seeded generation is deterministic, see src/generator.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { BLOCK } from '../src/blocks.js';
+import { CHUNK_VOLUME } from '../src/constants.js';
+import { createGenerator } from '../src/generator.js';
+import { createRandom } from '../src/noise.js';
+
+const CHUNKS = [[0, 0], [1, 0], [-3, 2], [5, -7]];
+
+test('the same seed gives the same bytes in any order', () => {
+    const first = createGenerator(1234);
+    const inOrder = CHUNKS.map(([x, z]) => first.generateChunk(x, z));
+    // A fresh generator, the chunks backwards and one of them twice
+    const second = createGenerator(1234);
+    const reversed = CHUNKS.slice().reverse().map(([x, z]) => second.generateChunk(x, z)).reverse();
+    assert.deepEqual(second.generateChunk(0, 0), inOrder[0]);
+    reversed.forEach((voxels, i) => assert.deepEqual(voxels, inOrder[i]));
+});
+
+test('different seeds give different worlds', () => {
+    assert.notDeepEqual(createGenerator(1).generateChunk(0, 0), createGenerator(2).generateChunk(0, 0));
+});
+
+test('chunks are whole columns of known blocks', () => {
+    const voxels = createGenerator(42).generateChunk(0, 0);
+    assert.equal(voxels.length, CHUNK_VOLUME);
+    assert.equal(voxels.includes(BLOCK.AIR), true);
+    assert.equal(voxels.includes(BLOCK.STONE), true);
+});
+
+test('unknown stages are rejected', () => {
+    assert.throws(() => createGenerator(1, [{ type: 'volcanoes' }]), /Unknown generator stage: volcanoes/);
+});
+
+test('the PRNG repeats for a seed', () => {
+    const a = createRandom(7);
+    const b = createRandom(7);
+    const values = Array.from({ length: 5 }, () => a());
+    assert.deepEqual(Array.from({ length: 5 }, () => b()), values);
+    assert.equal(values.every(value => value >= 0 && value < 1), true);
+});
@@ -0,0 +1,19 @@
+// Shared by the tests: a world of nothing but air, loaded around 0, 0
+import { World } from '../src/world.js';
+import { WorldSave } from '../src/world-save.js';
+import { MemoryStorage } from '../src/world-storage.js';
+
+// The chunks within radius of chunk 0, 0 are loaded when it resolves
+export async function createEmptyWorld({ radius = 0, ...options } = {}) {
+    const world = new World({ seed: 1, pipeline: [], worldSave: new WorldSave(new MemoryStorage(), { autosaveDelay: 0 }), ...options });
+    const loading = [];
+    for (let x = -radius; x <= radius; x++) {
+        for (let z = -radius; z <= radius; z++) loading.push(world.loadChunk(x, z));
+    }
+    await Promise.all(loading);
+    return world;
+}
+
+export function runTicks(world, count) {
+    for (let i = 0; i < count; i++) world.tick();
+}
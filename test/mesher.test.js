@@ -0,0 +1,47 @@
+// Quad counts of the greedy mesher for known layouts, see src/mesher.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { BLOCK } from '../src/blocks.js';
+import { greedyMesh } from '../src/mesher.js';
+
+// Meshes a sizeX * sizeY * sizeZ volume where isFilled(x, y, z) blocks are stone, air around it
+function countQuads(sizeX, sizeY, sizeZ, isFilled, id = BLOCK.STONE) {
+    const getBlock = (x, y, z) => {
+        const inside = x >= 0 && x < sizeX && y >= 0 && y < sizeY && z >= 0 && z < sizeZ;
+        return inside && isFilled(x, y, z) ? id : BLOCK.AIR;
+    };
+    const { opaque, translucent } = greedyMesh(sizeX, sizeY, sizeZ, getBlock);
+    return opaque.quadCount + translucent.quadCount;
+}
+
+test('a single block has 6 faces', () => {
+    assert.equal(countQuads(1, 1, 1, () => true), 6);
+});
+
+test('a 4x4x4 cube merges into 6 quads', () => {
+    assert.equal(countQuads(4, 4, 4, () => true), 6);
+});
+
+test('a 4x1x4 slab merges into 6 quads', () => {
+    assert.equal(countQuads(4, 1, 4, () => true), 6);
+});
+
+test('a 2x2x2 checkerboard has 24 quads, none touch', () => {
+    assert.equal(countQuads(2, 2, 2, (x, y, z) => (x + y + z) % 2 === 0), 24);
+});
+
+test('an empty volume has no quads', () => {
+    assert.equal(countQuads(4, 4, 4, () => false), 0);
+});
+
+test('different blocks side by side are not merged', () => {
+    const getBlock = (x, y, z) => y === 0 && z === 0 && (x === 0 || x === 1) ? [BLOCK.STONE, BLOCK.DIRT][x] : BLOCK.AIR;
+    const { opaque } = greedyMesh(2, 1, 1, getBlock);
+    assert.equal(opaque.quadCount, 10); // 6 each, less the two faces between them
+});
+
+test('every quad has 4 vertices and 2 triangles', () => {
+    const { opaque } = greedyMesh(1, 1, 1, (x, y, z) => x === 0 && y === 0 && z === 0 ? BLOCK.STONE : BLOCK.AIR);
+    assert.equal(opaque.positions.length, 6 * 4 * 3);
+    assert.equal(opaque.indices.length, 6 * 6);
+});
@@ -0,0 +1,122 @@
+// The multiplayer server with two headless clients over real WebSockets on
+// localhost, see server/game-server.js and src/multiplayer-client.js
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { after, before, test } from 'node:test';
+import { WebSocket } from 'ws';
+import { GameServer } from '../server/game-server.js';
+import { acceptWebSocket } from '../server/websocket.js';
+import { BLOCK } from '../src/blocks.js';
+import { setLogLevel } from '../src/log.js';
+import { MultiplayerClient } from '../src/multiplayer-client.js';
+import { PhysicsBody } from '../src/physics.js';
+import { PLAYER_HEIGHT, PLAYER_STEP_HEIGHT, PLAYER_WIDTH, PlayerController } from '../src/player-controller.js';
+import { World } from '../src/world.js';
+import { WorldSave } from '../src/world-save.js';
+import { MemoryStorage } from '../src/world-storage.js';
+
+const IDLE = { forward: 0, strafe: 0, yaw: 0, jump: false, sneak: false, sprint: false, canFly: false };
+
+let game, httpServer, url;
+const clients = [];
+
+// Resolves once condition() is true, checking every few milliseconds
+async function waitFor(condition, what, timeout = 10000) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) throw new Error(`Timed out waiting for ${what}`);
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+// A client with its own world, like voxel-game.js has in the browser
+async function connectClient(name) {
+    const body = new PhysicsBody({ width: PLAYER_WIDTH, height: PLAYER_HEIGHT, stepHeight: PLAYER_STEP_HEIGHT });
+    const controller = new PlayerController(body);
+    const headless = { controller, world: null, blocksReceived: [] };
+    const handlers = {
+        onSection: (x, y, z, voxels) => headless.world.receiveSection(x, y, z, voxels),
+        onBlock: (x, y, z, id) => {
+            headless.blocksReceived.push([x, y, z, id]);
+            headless.world.receiveBlock(x, y, z, id);
+        },
+    };
+    headless.client = await MultiplayerClient.connect(url, name, { controller, world: null, handlers }, WebSocket);
+    headless.world = new World({
+        seed: headless.client.welcome.seed, worldSave: new WorldSave(new MemoryStorage()), server: headless.client,
+    });
+    headless.client.world = headless.world;
+    clients.push(headless);
+    return headless;
+}
+
+async function loadSpawnChunk(headless) {
+    const chunk = headless.world.ensureChunk(0, 0);
+    await waitFor(() => chunk.generated, `${headless.client.welcome.id}'s chunk 0, 0`);
+}
+
+before(async () => {
+    setLogLevel('warn');
+    game = new GameServer({ seed: 1234, worldSave: new WorldSave(new MemoryStorage()), maxViewDistance: 2 });
+    httpServer = createServer((request, response) => response.writeHead(404).end());
+    httpServer.on('upgrade', (request, socket, head) => {
+        const connection = acceptWebSocket(request, socket, head);
+        if (connection) game.connect(connection);
+    });
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    url = `ws://127.0.0.1:${httpServer.address().port}`;
+    game.start();
+});
+
+after(async () => {
+    for (const { client } of clients) client.close();
+    await game.stop();
+    await new Promise(resolve => httpServer.close(resolve));
+    setLogLevel('info');
+});
+
+test('two clients join, get the same chunk and see each other\'s edits', async () => {
+    const a = await connectClient('A');
+    const b = await connectClient('B');
+    assert.notEqual(a.client.id, b.client.id);
+    assert.equal(a.client.welcome.gameMode, 'survival');
+    await Promise.all([loadSpawnChunk(a), loadSpawnChunk(b)]);
+    for (let y = -64; y < 192; y += 7) assert.equal(a.world.getBlock(3, y, 5), b.world.getBlock(3, y, 5));
+
+    // A places a block above its head, like editBlock in voxel-game.js
+    const [x, y, z] = a.controller.body.position.map(Math.floor);
+    a.world.setBlock(x, y + 2, z, BLOCK.STONE);
+    a.client.setBlock(x, y + 2, z, BLOCK.STONE);
+    await waitFor(() => b.world.getBlock(x, y + 2, z) === BLOCK.STONE, 'the edit to reach B');
+    assert.equal(game.getBlock(x, y + 2, z), BLOCK.STONE);
+    assert.deepEqual(b.blocksReceived, [[x, y + 2, z, BLOCK.STONE]]);
+});
+
+test('predicted movement matches the server', async () => {
+    const [a] = clients;
+    const startZ = a.controller.body.position[2];
+    // Towards +z, staying in chunk 0, 0: the only one the client has
+    for (let i = 0; i < 10; i++) a.client.predictStep({ ...IDLE, forward: 1, yaw: Math.PI });
+    await waitFor(() => a.client.pendingInputs.length === 0, 'the server to answer every input');
+    assert.equal(a.client.corrections, 0);
+    assert.ok(a.controller.body.position[2] > startZ);
+});
+
+test('edits out of reach are refused and undone', async () => {
+    const [a, b] = clients;
+    const [x, y, z] = a.controller.body.position.map(Math.floor);
+    a.world.setBlock(x, y + 12, z, BLOCK.STONE);
+    a.client.setBlock(x, y + 12, z, BLOCK.STONE);
+    await waitFor(() => a.blocksReceived.some(([, by]) => by === y + 12), 'the refusal');
+    assert.equal(a.world.getBlock(x, y + 12, z), BLOCK.AIR);
+    assert.equal(b.world.getBlock(x, y + 12, z), BLOCK.AIR);
+});
+
+test('clients in survival can\'t fly, whatever they send', async () => {
+    const [, b] = clients;
+    // Double-tapping jump with canFly: the prediction flies, the server doesn't
+    for (const jump of [true, false, true, false]) b.client.predictStep({ ...IDLE, jump, canFly: true });
+    await waitFor(() => b.client.pendingInputs.length === 0, 'the server to answer every input');
+    assert.ok(b.client.corrections > 0);
+    assert.equal(b.controller.flying, false);
+});
@@ -0,0 +1,133 @@
+// PhysicsBody and PlayerController at the fixed timestep, see src/physics.js and src/player-controller.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { FIXED_TIMESTEP, PhysicsBody } from '../src/physics.js';
+import { PLAYER_HEIGHT, PLAYER_STEP_HEIGHT, PLAYER_WIDTH, PlayerController } from '../src/player-controller.js';
+
+// A physics world (see physics.js) of a floor at y 0 for x and z in 0..floorSize, plus
+// extra blocks as "x,y,z" -> collision height (1 full block, 0.5 a slab) and water cells
+function createGrid({ floorSize = 8, blocks = {}, water = [] } = {}) {
+    const waterCells = new Set(water);
+    return {
+        getCollisionHeight(x, y, z) {
+            const key = `${x},${y},${z}`;
+            if (key in blocks) return blocks[key];
+            return y === 0 && x >= 0 && x < floorSize && z >= 0 && z < floorSize ? 1 : 0;
+        },
+        isLiquid: (x, y, z) => waterCells.has(`${x},${y},${z}`),
+    };
+}
+
+function createPlayer(position) {
+    const body = new PhysicsBody({ width: PLAYER_WIDTH, height: PLAYER_HEIGHT, position, stepHeight: PLAYER_STEP_HEIGHT });
+    return new PlayerController(body);
+}
+
+// Input towards +x (yaw -PI/2 looks along +x)
+const EAST = { forward: 1, strafe: 0, yaw: -Math.PI / 2, jump: false, sneak: false, sprint: false, canFly: false };
+const IDLE = { ...EAST, forward: 0 };
+
+function walk(player, world, input, steps) {
+    for (let i = 0; i < steps; i++) player.step(input, world);
+}
+
+test('a falling body lands on top of the floor', () => {
+    const world = createGrid();
+    const body = new PhysicsBody({ width: 0.6, height: 1, position: [2.5, 6, 2.5] });
+    for (let i = 0; i < 40; i++) body.step(FIXED_TIMESTEP, world);
+    assert.equal(body.onGround, true);
+    assert.equal(body.position[1], 1);
+    assert.deepEqual(body.velocity, [0, 0, 0]);
+});
+
+test('the same steps end in the same place', () => {
+    const run = () => {
+        const player = createPlayer([1.5, 3, 1.5]);
+        const world = createGrid({ blocks: { '4,1,2': 0.5 } });
+        walk(player, world, { ...EAST, strafe: 0.3, sprint: true }, 25);
+        walk(player, world, { ...EAST, jump: true }, 10);
+        return player.body.getState();
+    };
+    assert.deepEqual(run(), run());
+});
+
+test('walls stop the body flush against them', () => {
+    const world = createGrid({ blocks: { '4,1,1': 1, '4,2,1': 1 } });
+    const player = createPlayer([1.5, 1, 1.5]);
+    walk(player, world, EAST, 40);
+    assert.equal(player.body.position[0], 4 - PLAYER_WIDTH / 2);
+    assert.equal(player.body.position[1], 1);
+    assert.equal(player.body.velocity[0], 0);
+});
+
+test('slabs are stepped onto, full blocks are not', () => {
+    const slabs = {};
+    for (let x = 4; x < 12; x++) slabs[`${x},1,1`] = 0.5;
+    const slab = createGrid({ floorSize: 16, blocks: slabs });
+    const onSlab = createPlayer([1.5, 1, 1.5]);
+    walk(onSlab, slab, IDLE, 2); // Settle on the ground
+    walk(onSlab, slab, EAST, 20);
+    assert.ok(onSlab.body.position[0] > 4.5 && onSlab.body.position[0] < 12);
+    assert.equal(onSlab.body.position[1], 1.5);
+
+    const block = createGrid({ blocks: { '4,1,1': 1 } });
+    const atBlock = createPlayer([1.5, 1, 1.5]);
+    walk(atBlock, block, IDLE, 2);
+    walk(atBlock, block, EAST, 20);
+    assert.equal(atBlock.body.position[0], 4 - PLAYER_WIDTH / 2);
+    assert.equal(atBlock.body.position[1], 1);
+});
+
+test('sneaking stops at the edge, walking goes over it', () => {
+    const world = createGrid({ floorSize: 4 });
+    const sneaking = createPlayer([1.5, 1, 1.5]);
+    walk(sneaking, world, IDLE, 2);
+    walk(sneaking, world, { ...EAST, sneak: true }, 100);
+    assert.equal(sneaking.body.onGround, true);
+    assert.equal(sneaking.body.position[1], 1);
+    assert.ok(sneaking.body.position[0] - PLAYER_WIDTH / 2 < 4); // Still partly over the floor
+    assert.ok(sneaking.body.position[0] > 3.5); // But right at its edge
+
+    const walking = createPlayer([1.5, 1, 1.5]);
+    walk(walking, world, IDLE, 2);
+    walk(walking, world, EAST, 40);
+    assert.ok(walking.body.position[1] < 0);
+});
+
+test('sprinting is faster than walking, sneaking slower', () => {
+    const distance = (input) => {
+        const player = createPlayer([0.5, 1, 4.5]);
+        const world = createGrid({ floorSize: 64 });
+        walk(player, world, IDLE, 2);
+        walk(player, world, input, 20);
+        return player.body.position[0] - 0.5;
+    };
+    const walked = distance(EAST);
+    assert.ok(distance({ ...EAST, sprint: true }) > walked);
+    assert.ok(distance({ ...EAST, sneak: true }) < walked);
+});
+
+test('double-tapping jump flies only when allowed', () => {
+    const doubleTap = (canFly) => {
+        const player = createPlayer([1.5, 1, 1.5]);
+        const world = createGrid();
+        walk(player, world, IDLE, 2);
+        for (const jump of [true, false, true]) player.step({ ...IDLE, jump, canFly }, world);
+        return player.flying;
+    };
+    assert.equal(doubleTap(true), true);
+    assert.equal(doubleTap(false), false);
+});
+
+test('bodies sink slowly in water', () => {
+    const water = [];
+    for (let y = 1; y < 10; y++) water.push(`2,${y},2`);
+    const inWater = new PhysicsBody({ width: 0.6, height: 1, position: [2.5, 8, 2.5] });
+    const inAir = new PhysicsBody({ width: 0.6, height: 1, position: [2.5, 8, 2.5] });
+    for (let i = 0; i < 10; i++) {
+        inWater.step(FIXED_TIMESTEP, createGrid({ water }));
+        inAir.step(FIXED_TIMESTEP, createGrid());
+    }
+    assert.equal(inWater.inLiquid, true);
+    assert.ok(inWater.position[1] > inAir.position[1]);
+});
@@ -0,0 +1,76 @@
+// Grid-stepping raycast, see src/raycast.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { BLOCK, FACE } from '../src/blocks.js';
+import { raycastBox, raycastVoxels } from '../src/raycast.js';
+
+// Stone at the given cells, air everywhere else
+function solidAt(...cells) {
+    const keys = new Set(cells.map(cell => cell.join(',')));
+    return (x, y, z) => keys.has(`${x},${y},${z}`) ? BLOCK.STONE : BLOCK.AIR;
+}
+
+test('an axis-aligned ray hits the first block on its way', () => {
+    const hit = raycastVoxels([0.5, 0.5, 0.5], [1, 0, 0], 10, solidAt([3, 0, 0], [5, 0, 0]));
+    assert.deepEqual(hit.position, [3, 0, 0]);
+    assert.equal(hit.blockType, BLOCK.STONE);
+    assert.equal(hit.distance, 2.5);
+});
+
+test('the face and normal are the side the ray came in through', () => {
+    const hit = raycastVoxels([0.5, 5.5, 0.5], [0, -1, 0], 10, solidAt([0, 2, 0]));
+    assert.equal(hit.face, FACE.TOP);
+    assert.deepEqual(hit.normal, [0, 1, 0]);
+    assert.deepEqual(hit.adjacent, [0, 3, 0]);
+
+    const west = raycastVoxels([-2.5, 0.5, 0.5], [1, 0, 0], 10, solidAt([0, 0, 0]));
+    assert.equal(west.face, FACE.WEST);
+    assert.deepEqual(west.normal, [-1, 0, 0]);
+    assert.deepEqual(west.adjacent, [-1, 0, 0]);
+});
+
+test('a diagonal ray steps through every block it crosses', () => {
+    const visited = [];
+    const hit = raycastVoxels([0.5, 0.5, 0.5], [1, 1, 0.5], 10, (x, y, z) => {
+        visited.push([x, y, z]);
+        return x === 3 && y === 3 && z === 1 ? BLOCK.STONE : BLOCK.AIR;
+    });
+    assert.deepEqual(hit.position, [3, 3, 1]);
+    assert.ok(Math.abs(hit.distance - Math.hypot(2.5, 2.5, 1.25)) < 1e-9);
+    // Each step moves one block along one axis
+    for (let i = 1; i < visited.length; i++) {
+        const moved = visited[i].reduce((sum, value, axis) => sum + Math.abs(value - visited[i - 1][axis]), 0);
+        assert.equal(moved, 1);
+    }
+});
+
+test('blocks past maxDistance are missed', () => {
+    const getBlock = solidAt([6, 0, 0]);
+    assert.equal(raycastVoxels([0.5, 0.5, 0.5], [1, 0, 0], 5, getBlock), null);
+    assert.deepEqual(raycastVoxels([0.5, 0.5, 0.5], [1, 0, 0], 6, getBlock).position, [6, 0, 0]);
+    assert.equal(raycastVoxels([0.5, 0.5, 0.5], [0, 0, 0], 5, getBlock), null);
+});
+
+test('a ray starting inside a block hits it with no face', () => {
+    const hit = raycastVoxels([1.2, 1.7, 1.4], [0, 0, 1], 5, solidAt([1, 1, 1]));
+    assert.deepEqual(hit.position, [1, 1, 1]);
+    assert.equal(hit.face, -1);
+    assert.equal(hit.normal, null);
+    assert.equal(hit.adjacent, null);
+    assert.equal(hit.distance, 0);
+});
+
+test('canTarget decides what stops the ray', () => {
+    const getBlock = (x) => x === 2 ? BLOCK.WATER : x === 4 ? BLOCK.STONE : BLOCK.AIR;
+    assert.deepEqual(raycastVoxels([0.5, 0.5, 0.5], [1, 0, 0], 10, getBlock).position, [4, 0, 0]);
+    const water = raycastVoxels([0.5, 0.5, 0.5], [1, 0, 0], 10, getBlock, id => id !== BLOCK.AIR);
+    assert.deepEqual(water.position, [2, 0, 0]);
+});
+
+test('boxes are hit where the ray enters them', () => {
+    const box = { min: [2, 0, 0], max: [3, 1, 1] };
+    assert.equal(raycastBox([0, 0.5, 0.5], [1, 0, 0], 10, box), 2);
+    assert.equal(raycastBox([2.5, 0.5, 0.5], [1, 0, 0], 10, box), 0);
+    assert.equal(raycastBox([0, 2, 0.5], [1, 0, 0], 10, box), null);
+    assert.equal(raycastBox([0, 0.5, 0.5], [1, 0, 0], 1, box), null);
+});
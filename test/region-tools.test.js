@@ -0,0 +1,84 @@
+// Region edits, rotation and schematics, see src/region-tools.js and src/schematic.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { BLOCK, BlockRegistry, DEFAULT_BLOCKS } from '../src/blocks.js';
+import { RegionEditor, rotateClipboard } from '../src/region-tools.js';
+import { decodeSchematic, encodeSchematic } from '../src/schematic.js';
+import { createEmptyWorld } from './helpers.js';
+
+// 3 wide, 2 high, 4 deep, every block different enough to notice a wrong index
+function createClipboard() {
+    const ids = [BLOCK.AIR, BLOCK.STONE, BLOCK.DIRT, BLOCK.GRASS, BLOCK.SAND, BLOCK.WOOD, BLOCK.LEAVES, BLOCK.WATER];
+    const voxels = Uint8Array.from({ length: 3 * 2 * 4 }, (_, i) => ids[(i * 5) % ids.length]);
+    return { sizeX: 3, sizeY: 2, sizeZ: 4, voxels };
+}
+
+test('schematics reproduce the clipboard exactly', () => {
+    const clipboard = createClipboard();
+    assert.deepEqual(decodeSchematic(encodeSchematic(clipboard)), clipboard);
+});
+
+test('schematics keep blocks by name when the ids differ', () => {
+    const other = new BlockRegistry();
+    other.registerAll(DEFAULT_BLOCKS.map(block => block.name === 'stone' ? { ...block, id: 200 } : block));
+    const clipboard = { sizeX: 2, sizeY: 1, sizeZ: 1, voxels: Uint8Array.of(BLOCK.STONE, BLOCK.DIRT) };
+    assert.deepEqual(Array.from(decodeSchematic(encodeSchematic(clipboard), other).voxels), [200, BLOCK.DIRT]);
+});
+
+test('block names up to 255 bytes round trip, longer ones are refused', () => {
+    const registry = new BlockRegistry();
+    registry.registerAll([...DEFAULT_BLOCKS, { id: 200, name: 'b'.repeat(255) }, { id: 201, name: 'c'.repeat(256) }]);
+    const clipboard = { sizeX: 2, sizeY: 1, sizeZ: 1, voxels: Uint8Array.of(200, BLOCK.STONE) };
+    assert.deepEqual(decodeSchematic(encodeSchematic(clipboard, registry), registry), clipboard);
+    clipboard.voxels[1] = 201;
+    assert.throws(() => encodeSchematic(clipboard, registry), /too long for a schematic/);
+});
+
+test('malformed schematics are rejected', () => {
+    const bytes = encodeSchematic(createClipboard());
+    assert.throws(() => decodeSchematic(bytes.slice(0, 3)), /bad magic/);
+    assert.throws(() => decodeSchematic(bytes.slice(0, 10)), /Truncated/);
+    const version = bytes.slice();
+    version[4] = 9;
+    assert.throws(() => decodeSchematic(version), /version 9/);
+});
+
+test('four quarter turns give back the clipboard', () => {
+    const clipboard = createClipboard();
+    let turned = clipboard;
+    for (let i = 0; i < 4; i++) turned = rotateClipboard(turned, 1);
+    assert.deepEqual(turned, clipboard);
+    assert.deepEqual(rotateClipboard(clipboard, -1), rotateClipboard(clipboard, 3));
+    assert.deepEqual(rotateClipboard(rotateClipboard(clipboard, 1), 1), rotateClipboard(clipboard, 2));
+});
+
+test('a quarter turn takes east to south', () => {
+    // One row along x: stone at the west end, dirt at the east end
+    const row = { sizeX: 3, sizeY: 1, sizeZ: 1, voxels: Uint8Array.of(BLOCK.STONE, BLOCK.AIR, BLOCK.DIRT) };
+    const turned = rotateClipboard(row, 1);
+    assert.deepEqual([turned.sizeX, turned.sizeY, turned.sizeZ], [1, 1, 3]);
+    assert.deepEqual(Array.from(turned.voxels), [BLOCK.STONE, BLOCK.AIR, BLOCK.DIRT]); // North to south
+});
+
+test('fill, copy, paste, undo and redo', async () => {
+    const world = await createEmptyWorld();
+    const editor = new RegionEditor(world);
+    editor.setCorner(0, [1, 1, 1]);
+    editor.setCorner(1, [2, 2, 3]);
+    assert.equal(editor.fill(BLOCK.STONE), 12);
+    assert.equal(editor.replace(BLOCK.STONE, BLOCK.DIRT), 12);
+    const clipboard = editor.copy();
+    assert.equal(clipboard.voxels.every(id => id === BLOCK.DIRT), true);
+
+    assert.equal(editor.paste([8, 1, 8], { quarterTurns: 1 }), 12);
+    assert.equal(world.getBlock(10, 2, 9), BLOCK.DIRT); // 3 wide along x once turned
+    assert.equal(world.getBlock(8, 2, 10), BLOCK.AIR);
+
+    editor.undo();
+    assert.equal(world.getBlock(10, 2, 9), BLOCK.AIR);
+    editor.undo();
+    assert.equal(world.getBlock(1, 1, 1), BLOCK.STONE);
+    editor.redo();
+    assert.equal(world.getBlock(1, 1, 1), BLOCK.DIRT);
+    assert.equal(editor.redoStack.length, 1);
+});
@@ -0,0 +1,82 @@
+// Health, hunger, fall damage and breaking blocks, see src/survival.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { TICK_RATE } from '../src/constants.js';
+import { GRAVITY } from '../src/physics.js';
+import { BREAK_STAGES, BlockBreaking, MAX_HEALTH, MAX_HUNGER, PlayerVitals } from '../src/survival.js';
+
+// Ticks of holding the button until the block breaks, or Infinity if it doesn't within limit
+function ticksToBreak(breaking, hardness, limit = TICK_RATE * 10) {
+    for (let ticks = 1; ticks <= limit; ticks++) {
+        if (breaking.tick([1, 2, 3], hardness)) return ticks;
+    }
+    return Infinity;
+}
+
+// --- Breaking blocks ---
+
+test('blocks break after their hardness in seconds', () => {
+    for (const hardness of [0.2, 0.5, 1.5, 3]) {
+        const ticks = ticksToBreak(new BlockBreaking(), hardness);
+        assert.ok(Math.abs(ticks - hardness * TICK_RATE) <= 1, `${hardness}: ${ticks} ticks`); // Rounding
+    }
+});
+
+test('hardness 0 breaks at once, below 0 never', () => {
+    assert.equal(ticksToBreak(new BlockBreaking(), 0), 1);
+    const breaking = new BlockBreaking();
+    assert.equal(ticksToBreak(breaking, -1), Infinity);
+    assert.equal(ticksToBreak(breaking, -0.5), Infinity);
+    assert.equal(breaking.stage, -1); // No cracks either
+});
+
+test('looking at another block starts over', () => {
+    const breaking = new BlockBreaking();
+    for (let i = 0; i < TICK_RATE * 0.55; i++) breaking.tick([0, 0, 0], 1);
+    assert.equal(breaking.stage, BREAK_STAGES / 2);
+    assert.equal(breaking.tick([0, 1, 0], 1), false);
+    assert.equal(breaking.stage, 0);
+    assert.deepEqual(breaking.position, [0, 1, 0]);
+});
+
+// --- Vitals ---
+
+test('falls past the safe distance hurt a point per block', () => {
+    const vitals = new PlayerVitals();
+    const speedAfterFalling = (blocks) => -Math.sqrt(2 * -GRAVITY * blocks);
+    assert.equal(vitals.landed(speedAfterFalling(3)), false);
+    assert.equal(vitals.landed(speedAfterFalling(7.5)), true);
+    assert.equal(vitals.health, MAX_HEALTH - 5);
+    assert.equal(vitals.landed(speedAfterFalling(7.5)), false); // Too soon after the last hit
+});
+
+test('exhaustion uses up saturation, then hunger', () => {
+    const vitals = new PlayerVitals();
+    vitals.exhaust(4 * 5);
+    assert.equal(vitals.saturation, 0);
+    assert.equal(vitals.hunger, MAX_HUNGER);
+    vitals.exhaust(4 * 3);
+    assert.equal(vitals.hunger, MAX_HUNGER - 3);
+    assert.equal(vitals.eat(4), true);
+    assert.equal(vitals.hunger, MAX_HUNGER);
+    assert.equal(vitals.eat(4), false); // Full
+});
+
+test('well fed heals, starving hurts down to one point', () => {
+    const vitals = new PlayerVitals();
+    vitals.damage(5);
+    for (let i = 0; i < 4 * TICK_RATE; i++) vitals.tick();
+    assert.equal(vitals.health, MAX_HEALTH - 4);
+
+    vitals.hunger = 0;
+    vitals.health = 2;
+    for (let i = 0; i < 3 * 4 * TICK_RATE; i++) vitals.tick();
+    assert.equal(vitals.health, 1);
+    assert.equal(vitals.dead, false);
+});
+
+test('saved vitals are clamped when loaded', () => {
+    const vitals = new PlayerVitals();
+    vitals.applyState({ health: 99, hunger: -3, saturation: 5, exhaustion: 'x' });
+    assert.deepEqual(vitals.getState(), { health: MAX_HEALTH, hunger: 0, saturation: 0, exhaustion: 0 });
+});
@@ -0,0 +1,35 @@
+// Fixed-rate ticks, see src/tick-loop.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { TickLoop } from '../src/tick-loop.js';
+
+test('runs one tick per whole tick duration and returns the fraction left', () => {
+    const ticks = [];
+    const loop = new TickLoop(tick => ticks.push(tick), { tickRate: 20 });
+    assert.equal(loop.advance(0.025), 0.5);
+    assert.deepEqual(ticks, []);
+    const alpha = loop.advance(0.1); // 0.125 s in all
+    assert.deepEqual(ticks, [0, 1]);
+    assert.ok(Math.abs(alpha - 0.5) < 1e-9);
+});
+
+test('frame rate does not change the tick count', () => {
+    const count = (frameTime, frames) => {
+        let ticks = 0;
+        const loop = new TickLoop(() => ticks++, { tickRate: 20 });
+        for (let i = 0; i < frames; i++) loop.advance(frameTime);
+        return ticks;
+    };
+    assert.equal(count(1 / 60, 180), 60); // 3 s at 60 fps
+    assert.equal(count(1 / 144, 432), count(1 / 60, 180)); // 3 s at 144 fps
+});
+
+test('skips ahead after a long stall instead of catching up', () => {
+    let ticks = 0;
+    const loop = new TickLoop(() => ticks++, { tickRate: 20, maxTicksPerFrame: 5 });
+    assert.equal(loop.advance(10), 0);
+    assert.equal(ticks, 5);
+    assert.equal(loop.tickCount, 5);
+    loop.advance(0.05);
+    assert.equal(ticks, 6);
+});
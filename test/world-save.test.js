@@ -0,0 +1,76 @@
+// The chunk codec and saving through the in-memory storage, see src/chunk-codec.js and src/world-save.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { decodeChunk, encodeChunk } from '../src/chunk-codec.js';
+import { CHUNK_SIZE, SECTION_SIZE, SECTION_VOLUME } from '../src/constants.js';
+import { getSectionKey } from '../src/section.js';
+import { WorldSave } from '../src/world-save.js';
+import { MemoryStorage } from '../src/world-storage.js';
+
+test('chunks round trip through the codec', () => {
+    const voxels = new Uint8Array(4 * 5 * 6);
+    voxels.fill(3, 0, 40); // One run
+    for (let i = 40; i < voxels.length; i++) voxels[i] = i % 7; // Many short ones
+    const decoded = decodeChunk(encodeChunk(voxels, 4, 5, 6));
+    assert.deepEqual([decoded.sizeX, decoded.sizeY, decoded.sizeZ], [4, 5, 6]);
+    assert.deepEqual(decoded.voxels, voxels);
+});
+
+test('runs longer than 127 take more than one varint byte', () => {
+    const voxels = new Uint8Array(SECTION_VOLUME).fill(1); // One run of 4096
+    const bytes = encodeChunk(voxels, SECTION_SIZE, SECTION_SIZE, SECTION_SIZE);
+    assert.equal(bytes.length, 11 + 2 + 1); // Header, 4096 in two bytes, the id
+    assert.deepEqual(decodeChunk(bytes).voxels, voxels);
+});
+
+test('malformed chunks are rejected', () => {
+    const bytes = encodeChunk(new Uint8Array(8).fill(2), 2, 2, 2);
+    assert.throws(() => decodeChunk(bytes.slice(0, 4)), /bad magic/);
+    assert.throws(() => decodeChunk(bytes.slice(0, bytes.length - 1)), /Truncated/);
+    const version = bytes.slice();
+    version[4] = 99;
+    assert.throws(() => decodeChunk(version), /version 99/);
+    assert.throws(() => encodeChunk(new Uint8Array(7), 2, 2, 2), /doesn't match/);
+});
+
+test('saved sections load back', async () => {
+    const storage = new MemoryStorage();
+    const save = new WorldSave(storage);
+    const voxels = new Uint8Array(SECTION_VOLUME);
+    voxels[123] = 5;
+    save.queueSection(getSectionKey(2, -1, 3), voxels);
+    await save.flush();
+
+    const reopened = new WorldSave(storage);
+    const sections = await reopened.loadChunk(2, 3);
+    assert.deepEqual(Array.from(sections.keys()), [-1]);
+    assert.deepEqual(sections.get(-1), voxels);
+    assert.equal((await reopened.loadChunk(0, 0)).size, 0);
+});
+
+test('the seed and the player are kept', async () => {
+    const storage = new MemoryStorage();
+    const info = await new WorldSave(storage).loadWorldInfo(1234);
+    await new WorldSave(storage).savePlayer({ position: [1, 2, 3] });
+
+    const reopened = new WorldSave(storage);
+    assert.equal((await reopened.loadWorldInfo(999)).seed, info.seed);
+    assert.equal(info.seed, 1234);
+    assert.deepEqual(await reopened.loadPlayer(), { position: [1, 2, 3] });
+});
+
+test('64 block tall chunks from older saves are split into sections', async () => {
+    const storage = new MemoryStorage();
+    const voxels = new Uint8Array(CHUNK_SIZE * 64 * CHUNK_SIZE);
+    voxels.fill(4, 0, SECTION_VOLUME); // Section 0 is solid
+    voxels[3 * SECTION_VOLUME + 10] = 7; // One block in section 3
+    await storage.put('chunks', '1,1', encodeChunk(voxels, CHUNK_SIZE, 64, CHUNK_SIZE));
+
+    const sections = await new WorldSave(storage).loadChunk(1, 1);
+    assert.deepEqual(Array.from(sections.keys()).sort(), [0, 1, 2, 3]);
+    assert.equal(sections.get(0).every(id => id === 4), true);
+    assert.equal(sections.get(3)[10], 7);
+    // Stored the new way, the old record is gone
+    assert.equal(await storage.get('chunks', '1,1'), undefined);
+    assert.deepEqual(decodeChunk(await storage.get('chunks', getSectionKey(1, 3, 1))).voxels, sections.get(3));
+});
@@ -0,0 +1,71 @@
+// World blocks across sections and chunks, see src/world.js and src/section.js
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { BLOCK } from '../src/blocks.js';
+import { WORLD_MAX_Y, WORLD_MIN_Y } from '../src/constants.js';
+import { getSectionKey } from '../src/section.js';
+import { createEmptyWorld } from './helpers.js';
+
+test('blocks set on both sides of section borders read back', async () => {
+    const world = await createEmptyWorld();
+    const ys = [WORLD_MIN_Y, -17, -16, -1, 0, 15, 16, 100, WORLD_MAX_Y - 1];
+    ys.forEach((y, i) => world.setBlock(i, y, 15 - i, BLOCK.STONE));
+    ys.forEach((y, i) => {
+        assert.equal(world.getBlock(i, y, 15 - i), BLOCK.STONE);
+        assert.equal(world.getBlock(i, y + 1, 15 - i), BLOCK.AIR);
+    });
+    assert.equal(world.getSection(0, -1, 0).isEmpty, false);
+});
+
+test('chunks at negative coordinates hold their own blocks', async () => {
+    const world = await createEmptyWorld({ radius: 1 });
+    world.setBlock(-1, 5, -1, BLOCK.DIRT);
+    world.setBlock(0, 5, 0, BLOCK.STONE);
+    world.setBlock(-16, 5, 15, BLOCK.SAND);
+    assert.equal(world.getBlock(-1, 5, -1), BLOCK.DIRT);
+    assert.equal(world.getBlock(0, 5, 0), BLOCK.STONE);
+    assert.equal(world.getBlock(-16, 5, 15), BLOCK.SAND);
+    assert.equal(world.getChunk(-1, -1).modified, true);
+    assert.equal(world.getChunk(-1, 0).modified, true);
+    assert.equal(world.getChunk(1, 1).modified, false);
+});
+
+test('outside the world and in unloaded chunks is air, and edits there are ignored', async () => {
+    const world = await createEmptyWorld();
+    world.setBlock(1, WORLD_MAX_Y, 1, BLOCK.STONE);
+    world.setBlock(1, WORLD_MIN_Y - 1, 1, BLOCK.STONE);
+    world.setBlock(100, 10, 100, BLOCK.STONE);
+    assert.equal(world.getBlock(1, WORLD_MAX_Y, 1), BLOCK.AIR);
+    assert.equal(world.getBlock(1, WORLD_MIN_Y - 1, 1), BLOCK.AIR);
+    assert.equal(world.getBlock(100, 10, 100), BLOCK.AIR);
+});
+
+test('a batch of edits marks each section dirty once', async () => {
+    const dirty = [];
+    const world = await createEmptyWorld({ onSectionDirty: key => dirty.push(key) });
+    dirty.length = 0;
+    world.batchEdits(() => {
+        for (let x = 4; x < 12; x++) {
+            for (let z = 4; z < 12; z++) world.setBlock(x, 20, z, BLOCK.STONE);
+        }
+    });
+    assert.equal(new Set(dirty).size, dirty.length);
+    assert.ok(dirty.includes(getSectionKey(0, 1, 0)));
+});
+
+test('edits survive unloading and loading the chunk again', async () => {
+    const world = await createEmptyWorld();
+    world.setBlock(3, -30, 3, BLOCK.STONE);
+    world.unloadChunk('0,0');
+    assert.equal(world.getBlock(3, -30, 3), BLOCK.AIR);
+    await world.loadChunk(0, 0);
+    assert.equal(world.getBlock(3, -30, 3), BLOCK.STONE);
+});
+
+test('saved edits load into a new world', async () => {
+    const world = await createEmptyWorld();
+    world.setBlock(7, 50, 7, BLOCK.STONE);
+    await world.worldSave.flush();
+    const reopened = await createEmptyWorld({ worldSave: world.worldSave });
+    assert.equal(reopened.getBlock(7, 50, 7), BLOCK.STONE);
+});
@@ -1,651 +1,1004 @@
-import * as THREE from 'three';
-import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
-import * as BufferGeometryUtils from 'three/addons/utils/BufferGeometryUtils.js';
-import { createNoise2D } from 'noise'; // Using simplex-noise library
+// Browser bootstrap: wires the World (src/world.js), the Renderer
+// (src/renderer.js) and the Input (src/input.js) to the page, and runs the
+// player, mobs, the inventory screen and saving on top of them.
+import { BLOCK, blocks } from './src/blocks.js';
+import { CHUNK_SIZE, TICK_RATE, WORLD_MAX_Y, WORLD_MIN_Y } from './src/constants.js';
+import { ChunkWorkerPool } from './src/worker-pool.js';
+import { DEFAULT_PIPELINE } from './src/generator.js';
+import { TILE_SIZE, buildAtlas, generateRegistryTiles, sliceTileSheet } from './src/texture-atlas.js';
+import { MemoryStorage, openWorldStorage } from './src/world-storage.js';
+import { WorldSave } from './src/world-save.js';
+import { WorldClock } from './src/day-cycle.js';
+import { raycastBox, raycastVoxels } from './src/raycast.js';
+import { Inventory, MAX_STACK_SIZE } from './src/inventory.js';
+import { PhysicsBody } from './src/physics.js';
+import {
+    PLAYER_EYE_HEIGHT, PLAYER_HEIGHT, PLAYER_STEP_HEIGHT, PLAYER_WIDTH, PlayerController, REACH_DISTANCE,
+} from './src/player-controller.js';
+import { TickLoop } from './src/tick-loop.js';
+import { EntityManager, getEntityBox, updateHealth, updatePhysics } from './src/entities.js';
+import { MOB_TYPES, getMobState, rollMobDrops, spawnMob, trySpawnMobs, updateMobAI } from './src/mobs.js';
+import { createRandom, hashSeed } from './src/noise.js';
+import { MultiplayerClient } from './src/multiplayer-client.js';
+import { ATTACK_EXHAUSTION, BREAK_EXHAUSTION, BlockBreaking, MAX_HEALTH, MAX_HUNGER, PlayerVitals } from './src/survival.js';
+import { World, getChunkKey } from './src/world.js';
+import { Renderer } from './src/renderer.js';
+import { Input } from './src/input.js';
+import { loadSettings, saveSettings } from './src/settings.js';
+import { SettingsMenu } from './src/settings-menu.js';
+import { RegionEditor } from './src/region-tools.js';
+import { SCHEMATIC_FILE_EXTENSION, decodeSchematic, encodeSchematic } from './src/schematic.js';
+import { canEditRegions, createGameCommands, requireRegionEditing } from './src/game-commands.js';
+import { CommandConsole } from './src/command-console.js';
+import { createLogger, setLogLevel } from './src/log.js';
+import { DebugOverlay } from './src/debug-overlay.js';
+import { getBlockLight, getSkyLight } from './src/lighting.js';
+
+const log = createLogger('game');
 
 // --- Constants ---
-const CHUNK_SIZE = 16; // Width/Depth in blocks
-const CHUNK_HEIGHT = 64; // Height in blocks
-const VOXEL_SIZE = 1; // Size of one block in world units
-
-const RENDER_DISTANCE = 4; // Chunks in each direction
-const GRAVITY = -20;
-const JUMP_VELOCITY = 8;
-const PLAYER_HEIGHT = 1.7;
-const PLAYER_WIDTH = 0.4;
-const REACH_DISTANCE = 5;
-
-// --- Block Types (Example) ---
-const BLOCK = {
-    AIR: 0,
-    GRASS: 1,
-    DIRT: 2,
-    STONE: 3,
-    WOOD: 4,
-    LEAVES: 5,
-    // Add more...
-};
-
-const BLOCK_COLORS = { // Simple colors for non-textured blocks
-    [BLOCK.GRASS]: 0x559944,
-    [BLOCK.DIRT]: 0x885522,
-    [BLOCK.STONE]: 0x808080,
-    [BLOCK.WOOD]: 0x996633,
-    [BLOCK.LEAVES]: 0x33AA33,
-};
-const BLOCK_SOLID = { // Basic check if block is collidable/visible
-    [BLOCK.AIR]: false,
-    [BLOCK.GRASS]: true,
-    [BLOCK.DIRT]: true,
-    [BLOCK.STONE]: true,
-    [BLOCK.WOOD]: true,
-    [BLOCK.LEAVES]: true, // Usually transparent, but solid for basic collision
-};
+const UNLOAD_MARGIN = 2; // Chunks past the render distance that stay loaded, so chunks don't thrash at the border
+const INITIAL_LOAD_DISTANCE = 2; // Load a smaller area initially
+const PLAYER_SAVE_INTERVAL = 10000; // ms
+const SNEAK_EYE_DROP = 0.15;
 
 // --- Globals ---
-let scene, camera, renderer, controls;
-let world = {}; // { "x,z": Chunk }
-let chunksToUpdate = new Set(); // Chunks needing mesh regeneration
-const noise2D = createNoise2D(Math.random); // Noise function for terrain height
-const clock = new THREE.Clock();
-let playerVelocity = new THREE.Vector3();
-let onGround = false;
-let currentBlockType = BLOCK.DIRT; // Block type to place
+let world; // Chunks, blocks, light, block ticks and falling blocks, see src/world.js
+let renderer; // Draws the world, see src/renderer.js
+let input; // Keyboard, mouse, gamepad and pointer lock, see src/input.js
+// Render distance, field of view, mouse and key bindings, see src/settings.js. Changed in the pause menu.
+let settings = loadSettings(getSettingsStorage());
+let settingsMenu; // See src/settings-menu.js
+let regionEditor; // Selection, fill, copy/paste and undo for building, see src/region-tools.js
+let commandConsole; // The / console, see src/command-console.js and src/game-commands.js
+let debugOverlay; // F3, see src/debug-overlay.js and getDebugLines
+let worldSeed; // Shared by every worker so terrain lines up, comes from the save
+const generatorPipeline = DEFAULT_PIPELINE; // Terrain stages, see src/generator.js
+let worldSave; // Edited chunks and player state, see src/world-save.js
+// Set when playing on a server (?server, see start): the server owns the world, it sends the chunks,
+// checks the edits and runs the block ticks. See src/multiplayer-client.js and server/.
+let connection = null;
+const workerPool = new ChunkWorkerPool(); // Generates, lights and meshes chunks off the main thread
+let lastFrameTime = performance.now();
+// Player movement, see src/physics.js and src/player-controller.js. The camera follows the body.
+const playerBody = new PhysicsBody({ width: PLAYER_WIDTH, height: PLAYER_HEIGHT, stepHeight: PLAYER_STEP_HEIGHT });
+const playerController = new PlayerController(playerBody);
+let previousBodyPosition = playerBody.position.slice(); // As of the tick before, the camera interpolates from here
+let cameraPosition = [0, WORLD_MAX_Y + 5, 0]; // Eye position as drawn this frame, see updateCamera
+// The simulation (player physics, block ticks, the clock) runs in fixed ticks, see tick()
+const tickLoop = new TickLoop(tick);
+const entities = new EntityManager(); // Mobs, see src/entities.js and src/mobs.js. Saved with their chunk.
+let mobRandom; // For mob AI and spawning, seeded from the world
+const inventory = new Inventory({ onChange: () => renderInventory() }); // Hotbar and backpack, see src/inventory.js
+let creativeMode = false; // Placing doesn't use up items, breaking is instant and doesn't collect them, no damage or hunger
+// Survival, see src/survival.js
+const vitals = new PlayerVitals({ onChange: () => renderVitals() });
+const blockBreaking = new BlockBreaking(); // Progress on the block the left button is held on
+let breakHeld = false;
+let spawnPoint = [0, 0]; // Column (x, z) the player spawns and respawns in, on top of whatever is there
+let spawnPending = false; // The player waits above the spawn column until its chunk is ready
+let inventoryOpen = false;
+let blockAtlas; // Tile atlas pixels, see src/texture-atlas.js
+const worldClock = new WorldClock(); // Time of day, see src/day-cycle.js
+let targetedBlock = null; // Block under the crosshair, see updateTarget
 
 // --- Initialization ---
-function init() {
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color(0x87CEEB); // Sky blue
-
-    camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
-    camera.position.y = CHUNK_HEIGHT + 5; // Start above potential terrain
-
-    renderer = new THREE.WebGLRenderer({ antialias: true }); // Antialias can be costly
-    renderer.setSize(window.innerWidth, window.innerHeight);
-    // renderer.shadowMap.enabled = true; // Shadows add significant cost
-    document.body.appendChild(renderer.domElement);
-
-    // Basic Lighting (No Day/Night Cycle Yet)
-    const ambientLight = new THREE.AmbientLight(0xcccccc, 0.7);
-    scene.add(ambientLight);
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-    directionalLight.position.set(50, 100, 25);
-    // directionalLight.castShadow = true; // Performance cost
-    scene.add(directionalLight);
+function init(playerState) {
+    renderer = new Renderer({
+        world, atlas: blockAtlas, jobs: workerPool, viewDistance: settings.renderDistance, fov: settings.fov, antialias: settings.antialias,
+    });
 
     // Controls
-    controls = new PointerLockControls(camera, document.body);
     const blocker = document.getElementById('blocker');
-    blocker.addEventListener('click', () => controls.lock());
-    controls.addEventListener('unlock', () => blocker.style.display = 'flex');
-    controls.addEventListener('lock', () => blocker.style.display = 'none');
-    scene.add(controls.getObject());
-
-    // Event Listeners
-    window.addEventListener('resize', onWindowResize);
-    document.addEventListener('keydown', onKeyDown);
-    document.addEventListener('keyup', onKeyUp);
-    document.addEventListener('mousedown', onMouseDown);
-    document.addEventListener('wheel', onMouseWheel); // For toolbar selection
+    input = new Input(document.body, {
+        bindings: settings.bindings, onActionDown, onActionUp, onKeyDown, onWheel: onMouseWheel,
+        onLock: () => blocker.style.display = 'none',
+        onUnlock: () => {
+            breakHeld = false;
+            // The inventory, console and death screens unlock the mouse too
+            if (!inventoryOpen && !commandConsole.isOpen && !vitals.dead) blocker.style.display = 'flex';
+        },
+    });
+    // Clicking anywhere but the settings resumes
+    blocker.addEventListener('click', (event) => {
+        if (!event.target.closest('#settings-button, #settings-panel')) input.lock();
+    });
+    settingsMenu = new SettingsMenu(document.getElementById('settings-panel'), { settings, input, onChange: changeSettings });
+    document.getElementById('settings-button').addEventListener('click', () => settingsMenu.toggle());
+    applySettings();
+    debugOverlay = new DebugOverlay(document.getElementById('debug-overlay'));
+    commandConsole = new CommandConsole(document.getElementById('console'), commands, {
+        onClose: (resume) => {
+            blocker.style.display = 'flex'; // Hidden again once the lock succeeds
+            if (resume) input.lock();
+        },
+    });
+    if (playerState) {
+        applyPlayerState(playerState); // Restore from the save
+    } else if (!connection) { // On a server the welcome put the player at its spawn
+        moveToSpawn(); // Dropped onto the ground, not from the sky
+    }
+    previousBodyPosition = playerBody.position.slice();
+    updateCamera(1);
+    document.getElementById('respawn-button').addEventListener('click', respawn);
 
-    // Initial World Loading (Around 0,0)
-    loadInitialChunks();
+    // Initial World Loading (Around the player), meshes follow as the terrain arrives
+    world.loadArea(playerBody.position[0], playerBody.position[2], INITIAL_LOAD_DISTANCE, settings.renderDistance + UNLOAD_MARGIN);
 
     // Start Game Loop
     animate();
 }
 
-// --- World & Chunk Management ---
-class Chunk {
-    constructor(x, z) {
-        this.x = x;
-        this.z = z;
-        this.worldX = x * CHUNK_SIZE;
-        this.worldZ = z * CHUNK_SIZE;
-        // Flat array: faster access, harder indexing. Index = y * CHUNK_SIZE * CHUNK_SIZE + z * CHUNK_SIZE + x
-        this.voxels = new Uint8Array(CHUNK_SIZE * CHUNK_HEIGHT * CHUNK_SIZE).fill(BLOCK.AIR);
-        this.mesh = null;
-        this.generateTerrain();
-    }
-
-    // VERY Simple Terrain Generation (Heightmap only)
-    generateTerrain() {
-        for (let x = 0; x < CHUNK_SIZE; x++) {
-            for (let z = 0; z < CHUNK_SIZE; z++) {
-                const worldX = this.worldX + x;
-                const worldZ = this.worldZ + z;
-
-                // Basic noise height - adjust scale/amplitude
-                const noiseScale = 0.03;
-                const height = Math.floor(noise2D(worldX * noiseScale, worldZ * noiseScale) * 10 + CHUNK_HEIGHT / 3);
-
-                for (let y = 0; y < CHUNK_HEIGHT; y++) {
-                    const index = this.getIndex(x, y, z);
-                    if (y < height - 3) {
-                        this.voxels[index] = BLOCK.STONE;
-                    } else if (y < height) {
-                        this.voxels[index] = BLOCK.DIRT;
-                    } else if (y === height) {
-                        this.voxels[index] = BLOCK.GRASS;
-                    } else {
-                        this.voxels[index] = BLOCK.AIR; // Ensure air above terrain
-                    }
-                }
-            }
-        }
+// The world's callbacks: drawing, and the mobs that are saved with each chunk
+function createWorld(seed) {
+    return new World({
+        seed, pipeline: generatorPipeline, worldSave, jobs: workerPool, server: connection,
+        onSectionDirty: (key) => renderer.markSectionDirty(key),
+        onChunkLoad: loadChunkEntities,
+        onChunkUnload: (chunk) => {
+            renderer.removeChunk(chunk);
+            saveChunkEntities(chunk, { unload: true });
+        },
+        onFallingBlockSpawn: (fallingBlock) => renderer.addFallingBlock(fallingBlock),
+        onFallingBlockRemove: (fallingBlock) => renderer.removeFallingBlock(fallingBlock),
+    });
+}
+
+// --- Controls ---
+// Actions come from whatever is bound to them (see DEFAULT_BINDINGS in src/input.js
+// and the settings menu), keys that can't be rebound come to onKeyDown
+function onActionDown(action) {
+    if (action === 'inventory' && (input.isLocked || inventoryOpen)) setInventoryOpen(!inventoryOpen);
+    else if (action === 'debug') debugOverlay.toggle();
+    else if (action === 'pause') {
+        if (input.isLocked) input.unlock();
+        else if (!inventoryOpen && !commandConsole.isOpen && !vitals.dead) input.lock(); // Browsers may want a click instead
     }
+    if (!input.isLocked) return;
+
+    if (action === 'attack' || action === 'use') interact(action);
+    else if (action === 'hotbarNext' || action === 'hotbarPrevious') inventory.selectNext(action === 'hotbarNext' ? 1 : -1);
+    else if (action === 'creative' && !connection) toggleCreativeMode(); // A server decides the game mode
+    else if (action === 'commands') {
+        commandConsole.open();
+        input.unlock();
+    } else if ((action === 'regionCorner1' || action === 'regionCorner2') && canEditRegions(gameContext) && targetedBlock) {
+        regionEditor.setCorner(action === 'regionCorner1' ? 0 : 1, targetedBlock.position);
+    }
+}
 
-    // Basic (Inefficient) Mesh Generation - Creates individual cubes
-    createMesh() {
-        if (this.mesh) {
-            scene.remove(this.mesh);
-            // Properly dispose of geometry/material if needed
-        }
+function onActionUp(action) {
+    if (action === 'attack') breakHeld = false;
+}
 
-        const geometries = [];
-        const material = new THREE.MeshLambertMaterial({ vertexColors: true }); // Use vertex colors for now
-        // For textures: new THREE.MeshStandardMaterial({ map: textureAtlas });
-
-        for (let y = 0; y < CHUNK_HEIGHT; y++) {
-            for (let z = 0; z < CHUNK_SIZE; z++) {
-                for (let x = 0; x < CHUNK_SIZE; x++) {
-                    const blockType = this.getBlock(x, y, z);
-                    if (!BLOCK_SOLID[blockType]) continue; // Skip air
-
-                    // Check neighbors to only draw visible faces (Basic Culling)
-                    const faces = {
-                        px: !this.isSolid(x + 1, y, z), // Positive X face
-                        nx: !this.isSolid(x - 1, y, z), // Negative X face
-                        py: !this.isSolid(x, y + 1, z), // Positive Y face
-                        ny: !this.isSolid(x, y - 1, z), // Negative Y face
-                        pz: !this.isSolid(x, y, z + 1), // Positive Z face
-                        nz: !this.isSolid(x, y, z - 1), // Negative Z face
-                    };
-
-                    if (Object.values(faces).some(v => v)) { // Only add geometry if at least one face is visible
-                        const blockGeo = new THREE.BoxGeometry(VOXEL_SIZE, VOXEL_SIZE, VOXEL_SIZE);
-                        const color = new THREE.Color(BLOCK_COLORS[blockType] || 0xffffff);
-
-                        // Apply color to vertices (crude way, better with textures/custom shaders)
-                        const colors = [];
-                        for(let i = 0; i < blockGeo.attributes.position.count; i++) {
-                            colors.push(color.r, color.g, color.b);
-                        }
-                        blockGeo.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
-
-                        // --- Filter faces ---
-                        // This part is COMPLEX. For simple cubes, we'd ideally create a single
-                        // geometry per chunk and merge boxes, or better, use Greedy Meshing.
-                        // For now, we just add the whole box if any face is visible.
-
-                        const matrix = new THREE.Matrix4().makeTranslation(
-                            this.worldX + x * VOXEL_SIZE + VOXEL_SIZE / 2,
-                            y * VOXEL_SIZE + VOXEL_SIZE / 2,
-                            this.worldZ + z * VOXEL_SIZE + VOXEL_SIZE / 2
-                        );
-                        blockGeo.applyMatrix4(matrix);
-                        geometries.push(blockGeo);
-                    }
-                }
-            }
-        }
+function onKeyDown(event) {
+    if (event.repeat) return;
 
-        if (geometries.length > 0) {
-             // !! VERY INEFFICIENT !! Merging many small boxes is slow.
-             // Replace this with Greedy Meshing for production.
-            const mergedGeometry = BufferGeometryUtils.mergeBufferGeometries(geometries, false);
-            this.mesh = new THREE.Mesh(mergedGeometry, material);
-            // this.mesh.castShadow = true;
-            // this.mesh.receiveShadow = true;
-            scene.add(this.mesh);
-        } else {
-            this.mesh = null; // No geometry to render
-        }
-         geometries.forEach(geo => geo.dispose()); // Clean up intermediate geometries
-    }
+    if (event.code === 'Escape' && inventoryOpen) setInventoryOpen(false, false);
+    if (!input.isLocked) return;
 
+    const digit = /^Digit(\d)$/.exec(event.code);
+    if (digit) inventory.select((Number(digit[1]) + 9) % 10); // 1 is the first slot, 0 the tenth
+    else if (canEditRegions(gameContext)) onRegionKeyDown(event);
+}
 
-    getIndex(x, y, z) {
-        if (x < 0 || x >= CHUNK_SIZE || y < 0 || y >= CHUNK_HEIGHT || z < 0 || z >= CHUNK_SIZE) {
-            return -1; // Out of bounds
-        }
-        return y * (CHUNK_SIZE * CHUNK_SIZE) + z * CHUNK_SIZE + x;
+// --- Settings ---
+// localStorage can be turned off (some private windows), then settings last until the page closes
+function getSettingsStorage() {
+    try {
+        return window.localStorage;
+    } catch {
+        return null;
     }
+}
 
-    getBlock(x, y, z) {
-        const localX = x;
-        const localY = y;
-        const localZ = z;
+// Everything applies at once, nothing needs a reload
+function applySettings() {
+    renderer.setViewDistance(settings.renderDistance); // loadArea picks the distance up on the next frame
+    renderer.setFov(settings.fov);
+    renderer.setAntialias(settings.antialias);
+    input.sensitivity = settings.mouseSensitivity;
+    input.invertY = settings.invertY;
+    input.setBindings(settings.bindings);
+}
 
-        if (localX < 0 || localX >= CHUNK_SIZE || localY < 0 || localY >= CHUNK_HEIGHT || localZ < 0 || localZ >= CHUNK_SIZE) {
-            // Need to check neighboring chunks
-            return getBlockWorld(this.worldX + x, y, this.worldZ + z);
-        }
-        const index = this.getIndex(localX, localY, localZ);
-        return index !== -1 ? this.voxels[index] : BLOCK.AIR;
+function changeSettings(changed) {
+    settings = changed;
+    applySettings();
+    try {
+        saveSettings(getSettingsStorage(), settings);
+    } catch (error) {
+        log.warn('Saving settings failed:', error);
     }
+}
 
-     setBlock(x, y, z, type) {
-        const localX = x;
-        const localY = y;
-        const localZ = z;
-
-         if (localX < 0 || localX >= CHUNK_SIZE || localY < 0 || localY >= CHUNK_HEIGHT || localZ < 0 || localZ >= CHUNK_SIZE) {
-            // Need to modify neighboring chunks
-             setBlockWorld(this.worldX + x, y, this.worldZ + z, type);
-            return;
-        }
+// --- Player Movement & Physics ---
 
-        const index = this.getIndex(localX, localY, localZ);
-        if (index !== -1) {
-            if (this.voxels[index] !== type) { // Only update if changed
-                this.voxels[index] = type;
-                chunksToUpdate.add(getChunkKey(this.x, this.z)); // Mark this chunk for mesh update
-
-                // Also mark neighbors if the block is on the edge
-                if (localX === 0) chunksToUpdate.add(getChunkKey(this.x - 1, this.z));
-                if (localX === CHUNK_SIZE - 1) chunksToUpdate.add(getChunkKey(this.x + 1, this.z));
-                if (localZ === 0) chunksToUpdate.add(getChunkKey(this.x, this.z - 1));
-                if (localZ === CHUNK_SIZE - 1) chunksToUpdate.add(getChunkKey(this.x, this.z + 1));
-                 // Note: Updates don't check Y boundaries as chunks are vertically independent here
-            }
-        }
+function tickPlayer() {
+    if (vitals.dead) return; // Waiting on the death screen
+    const wasOnGround = playerBody.onGround;
+    const fallVelocity = playerBody.velocity[1];
+    const [startX, , startZ] = playerBody.position;
+    const movement = { ...input.readMovement(), canFly: creativeMode };
+    if (connection) connection.predictStep(movement); // Steps it too
+    else playerController.step(movement, world);
+    input.endTick();
+
+    // Fell out of the world
+    if (playerBody.position[1] < WORLD_MIN_Y - 50) {
+        if (creativeMode) moveToSpawn();
+        else vitals.kill();
     }
+    if (creativeMode) return;
+
+    // Water breaks the fall
+    if (!wasOnGround && playerBody.onGround && !playerBody.inLiquid) vitals.landed(fallVelocity);
+    vitals.tick({
+        sprintDistance: playerController.sprinting ? Math.hypot(playerBody.position[0] - startX, playerBody.position[2] - startZ) : 0,
+        jumped: wasOnGround && !playerBody.onGround && playerBody.velocity[1] > 0,
+        sprinting: playerController.sprinting,
+    });
+    if (vitals.dead) die();
+}
 
-    // Helper to check if a block is solid (considers neighbors)
-    isSolid(x, y, z) {
-        const blockType = this.getBlock(x, y, z);
-        return BLOCK_SOLID[blockType];
+// Sends the player to the spawn column; tick() puts them on the ground once its chunk is ready
+function moveToSpawn() {
+    if (connection) { // The server knows where that is
+        connection.respawn();
+        return;
     }
+    const [x, z] = spawnPoint;
+    playerBody.position = [x + 0.5, WORLD_MAX_Y, z + 0.5];
+    playerBody.velocity = [0, 0, 0];
+    previousBodyPosition = playerBody.position.slice(); // Don't interpolate the teleport
+    spawnPending = true;
 }
 
-function getChunkKey(chunkX, chunkZ) {
-    return `${chunkX},${chunkZ}`;
+// On top of the highest block in the spawn column, water included
+function placeAtSpawn() {
+    const [x, z] = spawnPoint;
+    let y = WORLD_MAX_Y - 1;
+    while (y > WORLD_MIN_Y && world.getBlock(x, y, z) === BLOCK.AIR) y--;
+    playerBody.position = [x + 0.5, y + 1, z + 0.5];
+    previousBodyPosition = playerBody.position.slice();
+    spawnPending = false;
 }
 
-function loadInitialChunks() {
-    const initialRadius = 2; // Load a smaller area initially
-    for (let x = -initialRadius; x <= initialRadius; x++) {
-        for (let z = -initialRadius; z <= initialRadius; z++) {
-            ensureChunk(x, z);
-        }
-    }
-    // Immediately update meshes for the initial view
-    updateDirtyChunks();
+// --- Death & Respawn ---
+const deathScreen = document.getElementById('death-screen');
+
+// The world stands still behind the death screen until the player respawns
+function die() {
+    log.info('Player died');
+    blockBreaking.cancel();
+    deathScreen.classList.add('open');
+    document.getElementById('blocker').style.display = 'none';
+    input.unlock();
 }
 
-function ensureChunk(chunkX, chunkZ) {
-    const key = getChunkKey(chunkX, chunkZ);
-    if (!world[key]) {
-        console.log(`Generating chunk: ${key}`);
-        const newChunk = new Chunk(chunkX, chunkZ);
-        world[key] = newChunk;
-        chunksToUpdate.add(key); // Needs initial mesh generation
-        return newChunk;
-    }
-    return world[key];
+// Items are kept, health and hunger start over
+function respawn() {
+    vitals.reset();
+    moveToSpawn();
+    deathScreen.classList.remove('open');
+    input.lock();
+}
+
+// Health and hunger above the hotbar, survival only
+function renderVitals() {
+    document.getElementById('vitals').style.display = creativeMode ? 'none' : '';
+    document.getElementById('health-fill').style.width = `${vitals.health / MAX_HEALTH * 100}%`;
+    document.getElementById('hunger-fill').style.width = `${vitals.hunger / MAX_HUNGER * 100}%`;
 }
 
-// Load/Unload chunks based on player position
-function updateChunksAroundPlayer() {
-    const cam = controls.getObject();
-    const currentChunkX = Math.floor(cam.position.x / CHUNK_SIZE);
-    const currentChunkZ = Math.floor(cam.position.z / CHUNK_SIZE);
+// Every frame: the camera goes between the body's last two tick positions
+function updateCamera(alpha) {
+    const [x, y, z] = playerBody.position;
+    const [px, py, pz] = previousBodyPosition;
+    const eyeHeight = PLAYER_EYE_HEIGHT - (playerController.sneaking ? SNEAK_EYE_DROP : 0);
+    cameraPosition = [px + (x - px) * alpha, py + (y - py) * alpha + eyeHeight, pz + (z - pz) * alpha];
+    renderer.setCamera(cameraPosition, input.pitch, input.yaw);
+}
 
-    // TODO: Unload distant chunks (iterate `world`, check distance, remove mesh, delete from `world`)
+// --- Block Interaction ---
+// Block under the crosshair within reach, see src/raycast.js
+function raycastFromCamera() {
+    return raycastVoxels(cameraPosition, input.getLookDirection(), REACH_DISTANCE, (x, y, z) => world.getBlock(x, y, z));
+}
 
-    for (let x = currentChunkX - RENDER_DISTANCE; x <= currentChunkX + RENDER_DISTANCE; x++) {
-        for (let z = currentChunkZ - RENDER_DISTANCE; z <= currentChunkZ + RENDER_DISTANCE; z++) {
-            ensureChunk(x, z);
+// Runs every frame: keeps targetedBlock and the outline up to date
+function updateTarget() {
+    targetedBlock = input.isLocked ? raycastFromCamera() : null;
+    renderer.setTarget(targetedBlock ? targetedBlock.position : null);
+}
+
+// action: 'attack' (left click) or 'use' (right click)
+function interact(action) {
+    const stack = inventory.getSelectedStack();
+    if (action === 'use' && stack && blocks.getFood(stack.id) > 0) { // Using food: eat it
+        if (!creativeMode && vitals.eat(blocks.getFood(stack.id))) inventory.take(inventory.selected, 1);
+        return;
+    }
+
+    const target = raycastFromCamera(); // Fresh, the player may have moved since the last frame
+    // A mob in front of the targeted block takes the hit instead
+    const mob = action === 'attack' ? raycastMobs(target ? target.distance : REACH_DISTANCE) : null;
+    if (mob !== null) {
+        hitMob(mob);
+        return;
+    }
+    if (!target) return;
+
+    if (action === 'attack') { // Break Block
+        if (creativeMode) breakBlock(target);
+        else breakHeld = true; // Takes a while, see tickBreaking
+
+    } else { // Place Block
+        if (!stack) return; // Empty hotbar slot
+        if (!target.adjacent) return; // Camera is inside the block, there's no face to place against
+        const [x, y, z] = target.adjacent;
+
+        // Check if player is intersecting the placement location
+        const { min, max } = playerBody.getBox();
+        const insidePlayer = max[0] > x && min[0] < x + 1 && max[1] > y && min[1] < y + 1 && max[2] > z && min[2] < z + 1;
+
+        // Blocks can replace anything you can walk through (air, water)
+        if (!insidePlayer && !world.isSolid(x, y, z)) {
+            log.debug('Placing block at', x, y, z);
+            editBlock(x, y, z, stack.id);
+            if (!creativeMode) inventory.take(inventory.selected, 1);
+        } else {
+            log.debug('Cannot place block inside player or in a solid block');
         }
     }
 }
 
-function updateDirtyChunks() {
-     if (chunksToUpdate.size === 0) return;
-     // Limit updates per frame to avoid stutter
-     let updatedCount = 0;
-     const maxUpdatesPerFrame = 4; // Adjust as needed
+// The player's own edits. A server gets them too, and sends the block back if it refuses one.
+function editBlock(x, y, z, id) {
+    world.setBlock(x, y, z, id);
+    if (connection) connection.setBlock(x, y, z, id);
+}
 
-     const chunksToProcess = Array.from(chunksToUpdate); // Process a snapshot
-     chunksToUpdate.clear(); // Clear immediately
+function breakBlock(target) {
+    const [x, y, z] = target.position;
+    log.debug('Breaking block at', x, y, z);
+    editBlock(x, y, z, BLOCK.AIR);
+    if (creativeMode) return;
+    const drop = blocks.getDrop(target.blockType);
+    if (drop !== null) inventory.add(drop, 1); // With a full inventory the drop is lost
+    vitals.exhaust(BREAK_EXHAUSTION);
+}
 
-    for (const key of chunksToProcess) {
-        const chunk = world[key];
-        if (chunk) {
-            console.log(`Updating mesh for chunk: ${key}`);
-            chunk.createMesh(); // Regenerate mesh
-            updatedCount++;
-            if(updatedCount >= maxUpdatesPerFrame) {
-                 // Re-add remaining chunks to be processed next frame
-                 chunksToUpdate = new Set([...chunksToUpdate, ...chunksToProcess.slice(updatedCount)]);
-                 break;
-            }
-        }
+// Every tick in survival: holding the button on a block for its hardness in
+// seconds breaks it. Letting go or looking away starts over.
+function tickBreaking() {
+    if (!breakHeld || !targetedBlock) {
+        blockBreaking.cancel();
+        return;
     }
-     console.log(`Updated ${updatedCount} chunk meshes.`);
+    if (blockBreaking.tick(targetedBlock.position, blocks.getHardness(targetedBlock.blockType))) breakBlock(targetedBlock);
 }
 
+// --- Inventory & Hotbar ---
+const toolbarSlots = document.querySelectorAll('.toolbar-slot'); // The hotbar, inventory slots 0-9
+const inventoryScreen = document.getElementById('inventory-screen');
+let inventorySlotElements = []; // Inventory screen slots by inventory index, see buildInventoryScreen
 
-// --- Block Access (World Coordinates) ---
-function getBlockWorld(worldX, worldY, worldZ) {
-    if (worldY < 0 || worldY >= CHUNK_HEIGHT) return BLOCK.AIR; // Outside vertical bounds
+// Solid blocks and fluid sources, which then flow from where they're placed
+function getPlaceableBlocks() {
+    return blocks.all().filter(block => blocks.isPlaceable(block.id));
+}
 
-    const chunkX = Math.floor(worldX / CHUNK_SIZE);
-    const chunkZ = Math.floor(worldZ / CHUNK_SIZE);
-    const chunk = world[getChunkKey(chunkX, chunkZ)];
+function renderSlot(element, stack) {
+    const block = stack && blocks.get(stack.id);
+    element.textContent = block ? block.name.replace(/_/g, ' ').toUpperCase() : stack ? `#${stack.id}` : '';
+    element.style.boxShadow = block ? `inset 0 -6px 0 #${block.color.toString(16).padStart(6, '0')}` : '';
+    if (stack && stack.count > 1) {
+        const count = document.createElement('span');
+        count.className = 'slot-count';
+        count.textContent = stack.count;
+        element.appendChild(count);
+    }
+}
 
-    if (!chunk) return BLOCK.AIR; // Chunk not loaded (or doesn't exist)
+// Redraws the hotbar, and the inventory screen while it's open
+function renderInventory() {
+    toolbarSlots.forEach((element, index) => {
+        renderSlot(element, inventory.getSlot(index));
+        element.classList.toggle('selected', index === inventory.selected);
+    });
+    if (inventoryOpen) inventorySlotElements.forEach((element, index) => renderSlot(element, inventory.getSlot(index)));
+}
 
-    const localX = worldX - chunk.worldX;
-    const localY = worldY;
-    const localZ = worldZ - chunk.worldZ;
+// Slots carry what is dragged out of them: { slot } for inventory slots, { block } for the creative palette
+function createSlotElement(parent, dragData) {
+    const element = document.createElement('div');
+    element.className = 'toolbar-slot';
+    element.draggable = true;
+    element.addEventListener('dragstart', (event) => event.dataTransfer.setData('text/plain', JSON.stringify(dragData)));
+    element.addEventListener('dragover', (event) => event.preventDefault()); // Accept drops
+    parent.appendChild(element);
+    return element;
+}
 
-    return chunk.getBlock(localX, localY, localZ); // Use chunk's internal getter (handles boundary checks if needed)
+function readDragData(event) {
+    try {
+        return JSON.parse(event.dataTransfer.getData('text/plain'));
+    } catch {
+        return null; // Something dragged in from outside the page
+    }
 }
 
-function setBlockWorld(worldX, worldY, worldZ, type) {
-    if (worldY < 0 || worldY >= CHUNK_HEIGHT) return;
+function onSlotDrop(event, index) {
+    event.preventDefault();
+    const dragData = readDragData(event);
+    if (!dragData) return;
+    if (dragData.block !== undefined) inventory.setSlot(index, { id: dragData.block, count: MAX_STACK_SIZE });
+    else if (dragData.slot !== undefined) inventory.move(dragData.slot, index);
+}
 
-    const chunkX = Math.floor(worldX / CHUNK_SIZE);
-    const chunkZ = Math.floor(worldZ / CHUNK_SIZE);
-    const chunk = world[getChunkKey(chunkX, chunkZ)];
+// Backpack, a copy of the hotbar and the creative palette, which doubles as a bin
+function buildInventoryScreen() {
+    const backpack = document.getElementById('backpack');
+    const hotbar = document.getElementById('inventory-hotbar');
+    inventorySlotElements = [];
+    for (let index = 0; index < inventory.size; index++) {
+        const element = createSlotElement(index < inventory.hotbarSize ? hotbar : backpack, { slot: index });
+        element.addEventListener('drop', (event) => onSlotDrop(event, index));
+        inventorySlotElements.push(element);
+    }
 
-    if (!chunk) return; // Cannot set block in non-existent chunk
+    const palette = document.getElementById('creative-palette');
+    for (const block of getPlaceableBlocks()) {
+        renderSlot(createSlotElement(palette, { block: block.id }), { id: block.id, count: 1 });
+    }
+    palette.addEventListener('dragover', (event) => event.preventDefault());
+    palette.addEventListener('drop', (event) => {
+        event.preventDefault();
+        const dragData = readDragData(event);
+        if (dragData && dragData.slot !== undefined) inventory.setSlot(dragData.slot, null);
+    });
+}
 
-    const localX = worldX - chunk.worldX;
-    const localY = worldY;
-    const localZ = worldZ - chunk.worldZ;
+// resume: lock the mouse again when closing (E), as opposed to going to the menu (Escape)
+function setInventoryOpen(open, resume = true) {
+    inventoryOpen = open;
+    inventoryScreen.classList.toggle('open', open);
+    for (const id of ['creative-title', 'creative-palette']) {
+        document.getElementById(id).style.display = creativeMode ? '' : 'none';
+    }
+    if (open) {
+        renderInventory();
+        input.unlock();
+    } else {
+        document.getElementById('blocker').style.display = 'flex'; // Hidden again once the lock succeeds
+        if (resume) input.lock();
+    }
+}
 
-    chunk.setBlock(localX, localY, localZ, type);
+function setCreativeMode(creative) {
+    if (creative !== creativeMode) toggleCreativeMode();
 }
 
-function isSolidWorld(worldX, worldY, worldZ) {
-    const blockType = getBlockWorld(worldX, worldY, worldZ);
-    return BLOCK_SOLID[blockType];
+function toggleCreativeMode() {
+    creativeMode = !creativeMode;
+    blockBreaking.cancel();
+    renderVitals();
+    log.info(`Creative mode ${creativeMode ? 'on' : 'off'}`);
 }
 
+function onMouseWheel(event) {
+    if (!input.isLocked) return;
+    inventory.selectNext(Math.sign(event.deltaY));
+}
 
-// --- Player Movement & Physics ---
-const keys = {};
-function onKeyDown(event) { keys[event.code] = true; }
-function onKeyUp(event) { keys[event.code] = false; }
-
-// Helper function to get blocks intersecting a bounding box
-function getBlocksInBoundingBox(box) {
-    const blocks = [];
-    const minX = Math.floor(box.min.x);
-    const maxX = Math.ceil(box.max.x);
-    const minY = Math.floor(box.min.y);
-    const maxY = Math.ceil(box.max.y);
-    const minZ = Math.floor(box.min.z);
-    const maxZ = Math.ceil(box.max.z);
-
-    for (let y = minY; y < maxY; y++) {
-        for (let z = minZ; z < maxZ; z++) {
-            for (let x = minX; x < maxX; x++) {
-                if (isSolidWorld(x, y, z)) {
-                    blocks.push({ x, y, z });
-                }
-            }
-        }
+// --- Region Editing ---
+// Creative single player only: the region corner actions ([ and ] by default) set the
+// selection corners on the targeted block, Ctrl+Z undoes, Ctrl+Y or Ctrl+Shift+Z redoes.
+// The rest is in game.region.
+function onRegionKeyDown(event) {
+    if (event.ctrlKey && event.code === 'KeyZ') {
+        if (event.shiftKey) regionEditor.redo();
+        else regionEditor.undo();
+    } else if (event.ctrlKey && event.code === 'KeyY') {
+        regionEditor.redo();
     }
-    return blocks;
-}
-
-// Helper to get the player's current world bounding box
-function getPlayerBoundingBox(position) {
-    const halfWidth = PLAYER_WIDTH / 2;
-    // Player position is eye level, bbox bottom is at position.y - PLAYER_HEIGHT
-    return new THREE.Box3(
-        new THREE.Vector3(position.x - halfWidth, position.y - PLAYER_HEIGHT, position.z - halfWidth),
-        new THREE.Vector3(position.x + halfWidth, position.y, position.z + halfWidth)
-    );
-}
-
-
-function handleMovement(deltaTime) {
-    const player = controls.getObject();
-    const speed = 5; // Base speed, deltaTime applied later
-    const epsilon = 0.001; // Small offset to prevent sticking
-
-    // --- Calculate Intended Velocity ---
-    const moveForward = (keys['KeyW'] || keys['ArrowUp']) ? 1 : 0;
-    const moveBackward = (keys['KeyS'] || keys['ArrowDown']) ? 1 : 0;
-    const moveLeft = (keys['KeyA'] || keys['ArrowLeft']) ? 1 : 0;
-    const moveRight = (keys['KeyD'] || keys['ArrowRight']) ? 1 : 0;
-
-    const direction = new THREE.Vector3();
-    player.getWorldDirection(direction);
-    direction.y = 0;
-    direction.normalize();
-
-    // Calculate the RIGHT vector using forward x up
-    const right = new THREE.Vector3().crossVectors(direction, player.up).normalize(); // Swapped order here
-
-    const horizontalVelocity = new THREE.Vector3();
-    if (moveForward || moveBackward || moveLeft || moveRight) { // Only normalize if there's input
-        horizontalVelocity.addScaledVector(direction, (moveForward - moveBackward));
-        horizontalVelocity.addScaledVector(right, (moveRight - moveLeft)); // Apply movement along the calculated right vector
-        horizontalVelocity.normalize().multiplyScalar(speed);
-    }
-
-    // Apply gravity
-    playerVelocity.y += GRAVITY * deltaTime;
-
-    // Frame's potential displacement vector
-    const frameDisplacement = new THREE.Vector3(
-        horizontalVelocity.x * deltaTime,
-        playerVelocity.y * deltaTime,
-        horizontalVelocity.z * deltaTime
-    );
-
-
-    // --- Collision Detection (Axis-by-Axis) ---
-    const currentPos = player.position.clone(); // Start with current position
-    let correctedPos = currentPos.clone(); // Position after collision adjustments
-
-    onGround = false; // Reset before checks
-
-    // --- Check Y movement ---
-    let targetYPos = currentPos.clone().add(new THREE.Vector3(0, frameDisplacement.y, 0));
-    let playerBoxY = getPlayerBoundingBox(targetYPos);
-    let potentialYBlocks = getBlocksInBoundingBox(playerBoxY);
-
-    for (const block of potentialYBlocks) {
-        const blockBox = new THREE.Box3(
-            new THREE.Vector3(block.x, block.y, block.z),
-            new THREE.Vector3(block.x + 1, block.y + 1, block.z + 1)
-        );
-        if (playerBoxY.intersectsBox(blockBox)) {
-            if (frameDisplacement.y < 0) { // Moving Down
-                // Adjust position to be just above the block
-                correctedPos.y = block.y + 1 + PLAYER_HEIGHT + epsilon;
-                playerVelocity.y = 0;
-                onGround = true;
-            } else if (frameDisplacement.y > 0) { // Moving Up (Hit ceiling)
-                // Adjust position to be just below the block
-                 correctedPos.y = block.y - epsilon;
-                 playerVelocity.y = 0;
+}
+
+// Block id from a name ('stone') or an id
+function getBlockId(block) {
+    if (typeof block === 'number') return block;
+    const definition = blocks.getByName(block);
+    if (!definition) throw new Error(`Unknown block "${block}"`);
+    return definition.id;
+}
+
+// Where a paste goes by default: the block in front of the targeted face, or the player's feet
+function getPastePosition() {
+    if (targetedBlock && targetedBlock.adjacent) return targetedBlock.adjacent;
+    return playerBody.position.map(Math.floor);
+}
+
+// Saves the clipboard as a schematic file, see src/schematic.js
+function exportSchematic(name = 'selection') {
+    requireRegionEditing(gameContext);
+    if (!regionEditor.clipboard) throw new Error('Nothing to export, copy a region first');
+    const blob = new Blob([encodeSchematic(regionEditor.clipboard)], { type: 'application/octet-stream' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = name + SCHEMATIC_FILE_EXTENSION;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Asks for a schematic file and puts it on the clipboard, ready to paste
+function importSchematic() {
+    requireRegionEditing(gameContext);
+    return new Promise((resolve, reject) => {
+        const picker = document.createElement('input');
+        picker.type = 'file';
+        picker.accept = SCHEMATIC_FILE_EXTENSION;
+        picker.addEventListener('change', async () => {
+            if (!picker.files.length) return;
+            try {
+                regionEditor.clipboard = decodeSchematic(new Uint8Array(await picker.files[0].arrayBuffer()));
+                const { sizeX, sizeY, sizeZ } = regionEditor.clipboard;
+                log.info(`Imported ${picker.files[0].name}: ${sizeX}x${sizeY}x${sizeZ}`);
+                resolve(regionEditor.clipboard);
+            } catch (error) {
+                reject(error);
             }
-             // Recalculate potential displacement for Y after correction
-             frameDisplacement.y = correctedPos.y - currentPos.y;
-            break; // Collision resolved for Y axis
-        }
+        });
+        picker.click();
+    });
+}
+
+// game.region in the browser console, e.g. game.region.fill('stone') or game.region.paste({ quarterTurns: 1 })
+const regionApi = {
+    get selection() { return regionEditor.getSelection(); },
+    setCorner: (index, position) => regionEditor.setCorner(index, position),
+    clear: () => regionEditor.clearSelection(),
+    fill: (block) => {
+        requireRegionEditing(gameContext);
+        return regionEditor.fill(getBlockId(block));
+    },
+    replace: (from, to) => {
+        requireRegionEditing(gameContext);
+        return regionEditor.replace(getBlockId(from), getBlockId(to));
+    },
+    copy: () => regionEditor.copy(),
+    paste: ({ position = getPastePosition(), quarterTurns = 0, includeAir = true } = {}) => {
+        requireRegionEditing(gameContext);
+        return regionEditor.paste(position, { quarterTurns, includeAir });
+    },
+    undo: () => {
+        requireRegionEditing(gameContext);
+        return regionEditor.undo();
+    },
+    redo: () => {
+        requireRegionEditing(gameContext);
+        return regionEditor.redo();
+    },
+    exportSchematic,
+    importSchematic,
+};
+
+// --- Commands ---
+// The / commands are in src/game-commands.js, they reach the game through this object
+const gameContext = {
+    get world() { return world; },
+    get regionEditor() { return regionEditor; },
+    worldClock,
+    playerController,
+    get seed() { return worldSeed; },
+    get multiplayer() { return connection !== null; },
+    get creative() { return creativeMode; },
+    teleport: (position) => {
+        playerBody.position = position;
+        playerBody.velocity = [0, 0, 0];
+        previousBodyPosition = playerBody.position.slice(); // Don't interpolate the teleport
+        spawnPending = false;
+    },
+    editBlock: (x, y, z, id) => editBlock(x, y, z, id),
+    setCreative: (creative) => setCreativeMode(creative),
+    setOcclusionCulling: (on) => { renderer.occlusionCulling = on; },
+};
+const commands = createGameCommands(gameContext);
+
+// --- Animation Loop ---
+function animate() {
+    requestAnimationFrame(animate);
+    const frameTime = performance.now();
+    const deltaTime = (frameTime - lastFrameTime) / 1000; // The tick loop limits catching up after a stall
+    lastFrameTime = frameTime;
+    input.pollGamepad(deltaTime);
+
+    // The world stands still in the menu
+    if (input.isLocked) {
+        const alpha = tickLoop.advance(deltaTime);
+        updateCamera(alpha);
+        renderer.updateFallingBlocks(alpha);
+        renderer.updateMobs(entities, alpha);
+        // Load/unload chunks based on player movement
+        world.loadArea(playerBody.position[0], playerBody.position[2], settings.renderDistance, settings.renderDistance + UNLOAD_MARGIN);
     }
-    // Apply the potentially corrected Y displacement
-    correctedPos.y = currentPos.y + frameDisplacement.y;
-
-
-    // --- Check X movement ---
-    let targetXPos = correctedPos.clone().add(new THREE.Vector3(frameDisplacement.x, 0, 0)); // Use already corrected Y pos
-    let playerBoxX = getPlayerBoundingBox(targetXPos);
-    let potentialXBlocks = getBlocksInBoundingBox(playerBoxX);
-
-    for (const block of potentialXBlocks) {
-        const blockBox = new THREE.Box3(
-            new THREE.Vector3(block.x, block.y, block.z),
-            new THREE.Vector3(block.x + 1, block.y + 1, block.z + 1)
-        );
-        if (playerBoxX.intersectsBox(blockBox)) {
-             const halfWidth = PLAYER_WIDTH / 2;
-             if (frameDisplacement.x > 0) { // Moving Right (+X)
-                  correctedPos.x = block.x - halfWidth - epsilon;
-             } else if (frameDisplacement.x < 0) { // Moving Left (-X)
-                  correctedPos.x = block.x + 1 + halfWidth + epsilon;
-             }
-             // Recalculate potential displacement for X after correction
-             frameDisplacement.x = correctedPos.x - currentPos.x;
-             // We don't zero out horizontal velocity here, just prevent penetration
-             break; // Collision resolved for X axis
-        }
+
+    renderer.updateSectionMeshes(); // Process sections needing mesh updates
+    renderer.updateSky(worldClock);
+    updateTarget();
+    renderer.setBreaking(blockBreaking.stage, blockBreaking.position);
+    debugOverlay.update(deltaTime, getDebugLines); // Draw calls and triangles are the last frame's
+
+    renderer.render();
+}
+
+// --- Debug Overlay ---
+const FACING_NAMES = ['north', 'west', 'south', 'east']; // By quarter turns of yaw, 0 looks along -z
+
+function getDebugLines() {
+    const [x, y, z] = playerBody.position;
+    const [blockX, blockY, blockZ] = playerBody.position.map(Math.floor);
+    const local = (value) => ((value % CHUNK_SIZE) + CHUNK_SIZE) % CHUNK_SIZE;
+    const facing = FACING_NAMES[((Math.round(input.yaw / (Math.PI / 2)) % 4) + 4) % 4];
+    const stats = renderer.getStats();
+    const lines = [
+        `XYZ: ${x.toFixed(2)} ${y.toFixed(2)} ${z.toFixed(2)}, facing ${facing}`,
+        `Chunk: ${Math.floor(blockX / CHUNK_SIZE)} ${Math.floor(blockZ / CHUNK_SIZE)}, section ${Math.floor(blockY / CHUNK_SIZE)},` +
+            ` block ${local(blockX)} ${local(blockY)} ${local(blockZ)} in it`,
+        `Biome: ${world.getBiomeAt(blockX, blockZ).name}`,
+        `Chunks: ${world.chunks.size} loaded, ${stats.dirtyChunks} waiting for meshes (${stats.dirtySections} sections)`,
+        `Sections: ${stats.meshedSections} meshed, ${stats.visibleSections} drawn` +
+            (renderer.occlusionCulling ? '' : ', occlusion culling off'),
+        `Draw calls: ${stats.drawCalls}, triangles: ${stats.triangles}`,
+    ];
+    if (targetedBlock) {
+        const [tx, ty, tz] = targetedBlock.position;
+        const [lx, ly, lz] = targetedBlock.adjacent || targetedBlock.position; // Light in front of the face, solid blocks have none
+        const light = world.getLight(lx, ly, lz);
+        const block = blocks.get(targetedBlock.blockType);
+        lines.push(`Target: ${block ? block.name : `#${targetedBlock.blockType}`} at ${tx} ${ty} ${tz},` +
+            ` light ${getSkyLight(light)} sky ${getBlockLight(light)} block`);
     }
-    // Apply the potentially corrected X displacement
-    correctedPos.x = currentPos.x + frameDisplacement.x;
-
-
-    // --- Check Z movement ---
-    let targetZPos = correctedPos.clone().add(new THREE.Vector3(0, 0, frameDisplacement.z)); // Use already corrected Y and X pos
-    let playerBoxZ = getPlayerBoundingBox(targetZPos);
-    let potentialZBlocks = getBlocksInBoundingBox(playerBoxZ);
-
-    for (const block of potentialZBlocks) {
-        const blockBox = new THREE.Box3(
-            new THREE.Vector3(block.x, block.y, block.z),
-            new THREE.Vector3(block.x + 1, block.y + 1, block.z + 1)
-        );
-        if (playerBoxZ.intersectsBox(blockBox)) {
-             const halfWidth = PLAYER_WIDTH / 2;
-             if (frameDisplacement.z > 0) { // Moving "Forward" (+Z world)
-                 correctedPos.z = block.z - halfWidth - epsilon;
-             } else if (frameDisplacement.z < 0) { // Moving "Backward" (-Z world)
-                 correctedPos.z = block.z + 1 + halfWidth + epsilon;
-             }
-            // Recalculate potential displacement for Z after correction
-             frameDisplacement.z = correctedPos.z - currentPos.z;
-             // We don't zero out horizontal velocity here, just prevent penetration
-            break; // Collision resolved for Z axis
-        }
+    return lines;
+}
+
+// --- Simulation Ticks ---
+// TICK_RATE times per second while playing
+function tick() {
+    previousBodyPosition = playerBody.position.slice();
+    if (spawnPending) {
+        if (world.isChunkReadyAt(playerBody.position[0], playerBody.position[2])) placeAtSpawn();
+    } else if (world.isChunkReadyAt(playerBody.position[0], playerBody.position[2])) {
+        tickPlayer();
     }
-     // Apply the potentially corrected Z displacement
-     correctedPos.z = currentPos.z + frameDisplacement.z;
+    if (!creativeMode) tickBreaking();
+    world.tick(); // Block ticks and falling blocks
+    if (!connection) tickEntities(); // A server runs these for everyone
+    worldClock.advance(1 / TICK_RATE);
+}
 
+// --- Entities ---
+const MOB_SPAWN_INTERVAL = TICK_RATE; // Ticks between spawn attempts
+const HIT_DAMAGE = 2;
+const HIT_KNOCKBACK = 5; // Blocks per second away from the player
+const HURT_TICKS = 10; // Mobs flash red and can't walk for this long after a hit
+
+const mobWorld = {
+    isSolid: (x, y, z) => world.isSolid(x, y, z),
+    getBlock: (x, y, z) => world.getBlock(x, y, z),
+    getLight: (x, y, z) => world.getLight(x, y, z),
+    getBiome: (x, z) => world.getBiomeAt(x, z).name,
+};
 
-    // --- Apply Final Position ---
-    player.position.copy(correctedPos); // Update player position with corrected values
+function getEntityChunkKey(id) {
+    const [x, , z] = entities.get(id, 'position');
+    return getChunkKey(Math.floor(x / CHUNK_SIZE), Math.floor(z / CHUNK_SIZE));
+}
 
+// Like the player, mobs wait for the terrain under them
+function isEntityWaiting(id) {
+    const [x, , z] = entities.get(id, 'position');
+    return !world.isChunkReadyAt(x, z);
+}
 
-    // --- Jumping ---
-    if (keys['Space'] && onGround) {
-        playerVelocity.y = JUMP_VELOCITY;
-        onGround = false; // Immediately set to false after jump impulse
+function tickEntities() {
+    for (const id of entities.query('model', 'position')) {
+        entities.get(id, 'model').previousPosition = entities.get(id, 'position').slice();
     }
+    storeStrayMobs();
+    updateMobAI(entities, mobWorld, mobRandom, isEntityWaiting);
+    updatePhysics(entities, world, isEntityWaiting);
+    updateHealth(entities);
+    if (tickLoop.tickCount % MOB_SPAWN_INTERVAL === 0) {
+        trySpawnMobs(entities, mobWorld, world.getLoadedChunks(), playerBody.position, mobRandom);
+    }
+}
 
-    // Prevent falling through floor
-    // if (playerPos.y < -50) { // Note: Using playerPos here might be slightly outdated, should use correctedPos or player.position
-    if (player.position.y < -50) { // Use the updated player position
-         player.position.y = CHUNK_HEIGHT + 10; // Respawn high up
-         playerVelocity.set(0,0,0);
+// Mobs that got into a chunk that isn't loaded go into its save
+function storeStrayMobs() {
+    for (const id of entities.query('mob', 'position')) {
+        const key = getEntityChunkKey(id);
+        if (world.chunks.has(key)) continue;
+        worldSave.appendEntities(key, [getMobState(entities, id)])
+            .catch(error => log.error(`Saving mobs of chunk ${key} failed:`, error));
+        entities.destroy(id);
     }
 }
 
-// --- Block Interaction ---
-function onMouseDown(event) {
-    if (!controls.isLocked) return;
-
-    const raycaster = new THREE.Raycaster();
-    raycaster.setFromCamera({ x: 0, y: 0 }, camera); // Ray from center of screen
-    const intersects = raycaster.intersectObjects(scene.children.filter(c => c.isMesh)); // Intersect chunk meshes
-
-    if (intersects.length > 0) {
-        const intersection = intersects[0];
-        if (intersection.distance > REACH_DISTANCE) return; // Too far
-
-        // Calculate block coordinates based on intersection point and face normal
-        const point = intersection.point;
-        const normal = intersection.face.normal.clone(); // Use face normal from the intersection
-
-        // Tiny epsilon value to push slightly along the normal
-        const epsilon = 0.001;
-
-        if (event.button === 0) { // Left Click: Break Block
-            // Calculate the position slightly INSIDE the clicked face
-            const breakPos = point.clone().addScaledVector(normal, -epsilon).floor();
-            console.log("Breaking block at:", breakPos.x, breakPos.y, breakPos.z);
-            setBlockWorld(breakPos.x, breakPos.y, breakPos.z, BLOCK.AIR);
-
-        } else if (event.button === 2) { // Right Click: Place Block
-            // Calculate the position slightly OUTSIDE the clicked face
-            const placePos = point.clone().addScaledVector(normal, epsilon).floor();
-
-            // Check if player is intersecting the placement location
-            const playerBB = new THREE.Box3(
-                new THREE.Vector3(camera.position.x - PLAYER_WIDTH/2, camera.position.y - PLAYER_HEIGHT, camera.position.z - PLAYER_WIDTH/2),
-                new THREE.Vector3(camera.position.x + PLAYER_WIDTH/2, camera.position.y, camera.position.z + PLAYER_WIDTH/2)
-            );
-            const placeBB = new THREE.Box3(
-                new THREE.Vector3(placePos.x, placePos.y, placePos.z),
-                new THREE.Vector3(placePos.x + 1, placePos.y + 1, placePos.z + 1)
-            );
-
-            if (!playerBB.intersectsBox(placeBB) && getBlockWorld(placePos.x, placePos.y, placePos.z) === BLOCK.AIR) { // Also check ifplacement spot is air
-                console.log("Placing block at:", placePos.x, placePos.y, placePos.z);
-                setBlockWorld(placePos.x, placePos.y, placePos.z, currentBlockType);
-            } else {
-                console.log("Cannot place block inside player or in non-air block");
+function loadChunkEntities(chunk) {
+    const key = getChunkKey(chunk.x, chunk.z);
+    worldSave.loadEntities(key)
+        .then(states => {
+            if (world.chunks.get(key) !== chunk) return; // Unloaded meanwhile, they're still in the save
+            for (const state of states) {
+                if (MOB_TYPES[state.type]) spawnMob(entities, state.type, state.position, state);
             }
-        }
+            chunk.entitiesLoaded = true;
+        })
+        .catch(error => log.error(`Loading mobs of chunk ${key} failed:`, error));
+}
+
+// Writes the mobs standing in chunk to the save, and with unload removes them from the world
+function saveChunkEntities(chunk, { unload = false } = {}) {
+    const key = getChunkKey(chunk.x, chunk.z);
+    const ids = entities.query('mob', 'position').filter(id => getEntityChunkKey(id) === key);
+    const states = ids.map(id => getMobState(entities, id));
+    let saving = null;
+    if (chunk.entitiesLoaded) saving = worldSave.saveEntities(key, states);
+    // The saved ones aren't back yet: keep them and add these, but only when they go
+    else if (unload && states.length > 0) saving = worldSave.appendEntities(key, states);
+    if (saving) saving.catch(error => log.error(`Saving mobs of chunk ${key} failed:`, error));
+    if (unload) ids.forEach(id => entities.destroy(id));
+}
+
+// The nearest mob the crosshair is on within maxDistance, or null
+function raycastMobs(maxDistance) {
+    const direction = input.getLookDirection();
+    let nearest = null, nearestDistance = maxDistance;
+    for (const id of entities.query('mob', 'health', 'aabb')) {
+        const distance = raycastBox(cameraPosition, direction, nearestDistance, getEntityBox(entities, id));
+        if (distance === null) continue;
+        nearest = id;
+        nearestDistance = distance;
     }
+    return nearest;
 }
 
+function hitMob(id) {
+    const health = entities.get(id, 'health');
+    health.current -= HIT_DAMAGE;
+    health.hurtTicks = HURT_TICKS;
+    if (!creativeMode) vitals.exhaust(ATTACK_EXHAUSTION);
+    if (health.current <= 0) {
+        const drop = creativeMode ? null : rollMobDrops(entities.get(id, 'mob').type, mobRandom);
+        if (drop) inventory.add(drop.id, drop.count);
+        entities.destroy(id);
+        return;
+    }
+    // Knocked away from the player and a little up
+    const [x, , z] = entities.get(id, 'position');
+    const dx = x - playerBody.position[0], dz = z - playerBody.position[2];
+    const distance = Math.hypot(dx, dz) || 1;
+    const velocity = entities.get(id, 'velocity');
+    velocity[0] = dx / distance * HIT_KNOCKBACK;
+    velocity[1] = 4;
+    velocity[2] = dz / distance * HIT_KNOCKBACK;
+}
 
-// --- Toolbar Selection ---
-let selectedToolbarSlot = 0;
-const toolbarSlots = document.querySelectorAll('.toolbar-slot');
-const blockTypesInToolbar = [BLOCK.DIRT, BLOCK.STONE, BLOCK.WOOD, /*...*/]; // Match HTML
+// --- Multiplayer ---
+// What the server sends, see src/protocol.js. Other players are drawn once the renderer is up.
+const serverHandlers = {
+    onSection: (chunkX, sectionY, chunkZ, voxels) => world.receiveSection(chunkX, sectionY, chunkZ, voxels),
+    onBlock: (x, y, z, id) => world.receiveBlock(x, y, z, id),
+    onPlayers: (players) => renderer && renderer.updatePlayers(players),
+    onPlayerLeft: (id) => renderer && renderer.removePlayer(id),
+    onClose: onDisconnected,
+};
 
-function updateToolbarSelection() {
-    toolbarSlots.forEach((slot, index) => {
-        if (index === selectedToolbarSlot) {
-            slot.classList.add('selected');
-            currentBlockType = blockTypesInToolbar[index] || BLOCK.DIRT; // Get block type
-        } else {
-            slot.classList.remove('selected');
-        }
-    });
-     console.log("Selected Block:", Object.keys(BLOCK).find(key => BLOCK[key] === currentBlockType));
+function onDisconnected(reason) {
+    log.warn(`Disconnected from the server: ${reason}`);
+    document.getElementById('blocker-message').textContent = `Disconnected: ${reason}`;
+    if (input) input.unlock();
 }
 
-function onMouseWheel(event) {
-    if (!controls.isLocked) return;
-    const delta = Math.sign(event.deltaY);
-    selectedToolbarSlot = (selectedToolbarSlot + delta + toolbarSlots.length) % toolbarSlots.length;
-    updateToolbarSelection();
+// --- Day/Night Cycle ---
+// Time of day 0..1 (0 midnight, 0.5 noon). Handy with freezeTime for testing.
+function setTimeOfDay(time) {
+    worldClock.setTime(time);
 }
 
+function freezeTime(frozen = true) {
+    worldClock.frozen = frozen;
+}
 
-// --- Window Resize ---
-function onWindowResize() {
-    camera.aspect = window.innerWidth / window.innerHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(window.innerWidth, window.innerHeight);
+// --- Debug API (browser console) ---
+// Compare geometries/textures over a long walk: they should stay roughly constant.
+function getMemoryStats() {
+    const sections = Array.from(world.chunks.values()).flatMap(chunk => chunk.sections || []);
+    return {
+        ...renderer.getStats(),
+        loadedChunks: world.chunks.size,
+        loadedSections: sections.length,
+        uniformSections: sections.filter(section => section.isUniform).length, // One block id instead of an array
+        cachedModifiedChunks: world.modifiedChunkCache.size,
+        scheduledBlockTicks: world.blockTicks.pendingCount,
+        fallingBlocks: world.fallingBlocks.count,
+        entities: entities.count,
+    };
+}
+// Spawns a mob in front of the player, e.g. game.spawnMob('pig')
+function spawnMobInFront(type = 'pig') {
+    const [x, y, z] = playerBody.position;
+    return spawnMob(entities, type, [x - Math.sin(input.yaw) * 3, y + 1, z - Math.cos(input.yaw) * 3]);
 }
 
-// --- Animation Loop ---
-function animate() {
-    requestAnimationFrame(animate);
-    const deltaTime = Math.min(0.05, clock.getDelta()); // Clamp delta to avoid large jumps
+window.game = {
+    getMemoryStats, blocks, setTimeOfDay, freezeTime, clock: worldClock, entities, spawnMob: spawnMobInFront,
+    getBiomeAt: (x, z) => world.getBiomeAt(x, z), region: regionApi, commands,
+    get world() { return world; },
+    get connection() { return connection; }, // Set once connected to a server
+};
+
+// --- Saving ---
+function getPlayerState() {
+    return {
+        position: [playerBody.position[0], playerBody.position[1] + PLAYER_EYE_HEIGHT, playerBody.position[2]], // Eye level
+        rotation: [input.pitch, input.yaw], // There is no roll
+        velocity: playerBody.velocity.slice(),
+        flying: playerController.flying,
+        inventory: inventory.getState(),
+        creative: creativeMode,
+        vitals: vitals.getState(),
+        spawnPoint: spawnPoint.slice(),
+    };
+}
+
+function applyPlayerState(state) {
+    input.setLook(state.rotation[0], state.rotation[1]);
+    playerBody.position = [state.position[0], state.position[1] - PLAYER_EYE_HEIGHT, state.position[2]];
+    playerBody.velocity = state.velocity.slice();
+    playerController.applyState(state);
+    if (state.inventory) inventory.applyState(state.inventory);
+    else inventory.select(state.selectedToolbarSlot ?? 0); // Saved before there was an inventory
+    creativeMode = !!state.creative;
+    if (state.vitals) vitals.applyState(state.vitals);
+    if (state.spawnPoint) spawnPoint = state.spawnPoint.slice();
+}
 
-    if (controls.isLocked) {
-        handleMovement(deltaTime);
-        updateChunksAroundPlayer(); // Load/unload chunks based on player movement
+function saveGame() {
+    for (const chunk of world.chunks.values()) saveChunkEntities(chunk);
+    worldSave.savePlayer(getPlayerState()).catch(error => log.error('Saving player failed:', error));
+    worldSave.saveClock(worldClock.getState()).catch(error => log.error('Saving time of day failed:', error));
+    return worldSave.flush();
+}
+
+// --- Extra Blocks ---
+// Optional blocks.json next to index.html: { "blocks": [definition, ...] },
+// see src/blocks.js for the definition format.
+async function loadExtraBlocks(url) {
+    let definitions;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) return; // No extra blocks
+        definitions = (await response.json()).blocks || [];
+    } catch (error) {
+        log.warn(`Could not read ${url}:`, error);
+        return;
     }
 
-    updateDirtyChunks(); // Process chunks needing mesh updates
+    const registered = [];
+    for (const definition of definitions) {
+        try {
+            blocks.register(definition);
+            registered.push(definition);
+        } catch (error) {
+            log.error(`Skipping block from ${url}:`, error.message);
+        }
+    }
+    workerPool.broadcast({ type: 'registerBlocks', definitions: registered }); // Workers have their own registry
+    log.info(`Registered ${registered.length} blocks from ${url}`);
+}
 
-    renderer.render(scene, camera);
+// --- Block Textures ---
+// Tiles are generated in code so the game works offline. An optional tiles.json
+// next to index.html replaces them with a tile sheet:
+// { "image": "tiles.png", "tileSize": 16, "tiles": ["grass_top", "dirt", ...] }
+// (tile names left to right, top to bottom; names not in the sheet stay procedural)
+async function loadBlockAtlas(url) {
+    let manifest = null;
+    try {
+        const response = await fetch(url);
+        if (response.ok) manifest = await response.json();
+    } catch (error) {
+        log.warn(`Could not read ${url}:`, error);
+    }
+
+    const tileSize = manifest ? manifest.tileSize : TILE_SIZE;
+    const tiles = generateRegistryTiles(blocks, tileSize);
+    if (manifest) {
+        try {
+            const image = await createImageBitmap(await (await fetch(new URL(manifest.image, new URL(url, location.href)))).blob());
+            const canvas = new OffscreenCanvas(image.width, image.height);
+            const context = canvas.getContext('2d');
+            context.drawImage(image, 0, 0);
+            const { data } = context.getImageData(0, 0, image.width, image.height);
+            const sheet = sliceTileSheet(data, image.width, tileSize, manifest.tiles);
+            blocks.tileNames.forEach((name, index) => {
+                if (sheet.has(name)) tiles[index] = sheet.get(name);
+            });
+            log.info(`Loaded ${sheet.size} tiles from ${manifest.image}`);
+        } catch (error) {
+            log.error(`Could not load tile sheet ${manifest.image}, using generated tiles:`, error);
+        }
+    }
+    return buildAtlas(tiles, tileSize);
 }
 
 // --- Start ---
-init();
-updateToolbarSelection(); // Initial toolbar setup
+async function start() {
+    const params = new URLSearchParams(location.search);
+    // ?log=debug shows every chunk loaded and meshed, see src/log.js
+    if (params.has('log')) {
+        try {
+            setLogLevel(params.get('log'));
+        } catch (error) {
+            log.warn(error.message);
+        }
+    }
+    if (params.has('server')) {
+        // ?server joins the server the page came from (server/main.js), ?server=ws://host:port another one
+        const url = params.get('server') || `ws://${location.host}`;
+        try {
+            // Predictions step in the world, which needs the seed from the welcome first
+            connection = await MultiplayerClient.connect(url, params.get('name') || '',
+                { controller: playerController, world: null, handlers: serverHandlers });
+        } catch (error) {
+            log.error(error);
+            document.getElementById('blocker-message').textContent = error.message;
+            return;
+        }
+        worldSave = new WorldSave(new MemoryStorage()); // Nothing of a server's world is saved here
+        worldSeed = connection.welcome.seed;
+        creativeMode = connection.welcome.gameMode === 'creative'; // Flying has to match what the server allows
+        log.info(`Joined ${url} as player ${connection.id}, seed ${worldSeed}`);
+    } else {
+        const worldName = params.get('world') || 'default';
+        worldSave = new WorldSave(await openWorldStorage(worldName));
+        // ?seed= only applies when the world is created, an existing save keeps its seed
+        const newSeed = params.has('seed') ? Number(params.get('seed')) : Math.random() * 0x100000000;
+        const worldInfo = await worldSave.loadWorldInfo(newSeed >>> 0);
+        worldSeed = worldInfo.seed;
+        log.info(`World "${worldName}", seed ${worldSeed}`);
+    }
+    mobRandom = createRandom(hashSeed(worldSeed, 1));
+    world = createWorld(worldSeed);
+    regionEditor = new RegionEditor(world, { onSelectionChange: (bounds) => renderer.setRegion(bounds) });
+    if (connection) connection.world = world;
+
+    await loadExtraBlocks('blocks.json'); // Before any chunk is generated or meshed
+    blockAtlas = await loadBlockAtlas('tiles.json'); // After the blocks, it needs all their tiles
+    const playerState = await worldSave.loadPlayer();
+    const clockState = await worldSave.loadClock();
+    if (clockState) worldClock.applyState(clockState);
+    // ?time=0.5 starts at noon, ?freezeTime keeps it there (both for testing)
+    const startTime = Number(params.get('time'));
+    if (params.has('time') && Number.isFinite(startTime)) worldClock.setTime(startTime);
+    if (params.has('freezeTime')) worldClock.frozen = true;
+    init(playerState);
+    buildInventoryScreen();
+    if (!playerState || !playerState.inventory) inventory.addStarterItems(blocks); // New player, or a save from before the inventory
+    renderInventory();
+    renderVitals();
+    if (vitals.dead) die(); // Saved on the death screen
+
+    setInterval(saveGame, PLAYER_SAVE_INTERVAL);
+    // Last chance to save; beforeunload can't wait for IndexedDB, a hidden page usually can
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            world.fallingBlocks.landAll(world); // Not saved while in the air
+            saveGame();
+        }
+    });
+}
+
+start();